@@ -0,0 +1,286 @@
+const { getStateAdapter, broadcastToRoom } = require('./stateAdapter');
+const { getUserSockets, leaveProject } = require('./socketHandlers');
+const { setReadOnly } = require('./readOnly');
+const { recordAudit } = require('./audit');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'admin' });
+
+// Commands are published to every instance, which acts on its own sockets
+const ADMIN_CHANNEL = 'admin_commands';
+
+const ANNOUNCEMENT_LEVELS = ['info', 'warning', 'critical'];
+
+let boundIo = null;
+
+/**
+ * Build an error with a code the socket and HTTP handlers can report
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code
+ */
+function adminError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Describe the admin performing an action
+ * @param {Object} actor - Socket or { userId, userEmail }
+ * @returns {Object} - { userId, userEmail }
+ */
+function actorSummary(actor) {
+  return { userId: actor?.userId ?? null, userEmail: actor?.userEmail ?? null };
+}
+
+/**
+ * Find this instance's sockets for a user
+ * @param {string} userId - User ID
+ * @returns {Array} - Socket.IO sockets
+ */
+function localUserSockets(userId) {
+  return Array.from(boundIo.of('/').sockets.values())
+    .filter(socket => socket.authenticated && String(socket.userId) === String(userId));
+}
+
+/**
+ * Carry out a command on this instance's sockets
+ * @param {Object} command - Published command
+ */
+async function runCommand(command) {
+  switch (command.type) {
+    case 'disconnect_sockets':
+      command.socketIds.forEach(socketId => {
+        const socket = boundIo.of('/').sockets.get(socketId);
+        if (!socket) {
+          return;
+        }
+        socket.emit('force_disconnected', {
+          message: command.reason || 'Disconnected by an administrator',
+          reason: command.reason || null,
+          by: command.by,
+          timestamp: new Date().toISOString()
+        });
+        socket.disconnect(true);
+      });
+      break;
+
+    case 'remove_from_project':
+      for (const socket of localUserSockets(command.userId)) {
+        if (!socket.rooms.has(`project_${command.projectId}`)) {
+          continue;
+        }
+        await leaveProject(socket, command.projectId);
+        socket.emit('removed_from_project', {
+          projectId: command.projectId,
+          reason: command.reason || null,
+          by: command.by,
+          timestamp: new Date().toISOString()
+        });
+      }
+      break;
+
+    case 'announce':
+      boundIo.emit('system_announcement', command.announcement);
+      break;
+
+    default:
+      logger.warn(`Ignoring unknown admin command '${command.type}'`);
+  }
+}
+
+/**
+ * Bind the Socket.IO server so admin commands published by any instance are
+ * applied to the sockets of this one
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise<Function>} - async () => void, stops applying them
+ */
+async function bindAdminCommands(io) {
+  boundIo = io;
+  return getStateAdapter().subscribe(ADMIN_CHANNEL, (command) => {
+    runCommand(command).catch(error => logger.error(`Admin command ${command.type} failed`, error));
+  });
+}
+
+/**
+ * Disconnect every socket a user has open, on all instances
+ * @param {string} userId - User to disconnect
+ * @param {string} reason - Shown to the user
+ * @param {Object} actor - Admin performing the action
+ * @returns {Promise<Object>} - { userId, sockets } (number of sockets disconnected)
+ */
+async function disconnectUser(userId, reason, actor) {
+  const socketIds = await getUserSockets(userId);
+  if (socketIds.length > 0) {
+    await getStateAdapter().publish(ADMIN_CHANNEL, {
+      type: 'disconnect_sockets',
+      socketIds,
+      reason,
+      by: actorSummary(actor)
+    });
+  }
+
+  await recordAudit({
+    action: 'user_disconnected',
+    actor,
+    source: 'admin',
+    details: { userId, sockets: socketIds.length, reason: reason || null }
+  });
+  logger.info(`Admin ${actor?.userEmail} disconnected user ${userId} (${socketIds.length} sockets)`);
+  return { userId, sockets: socketIds.length };
+}
+
+/**
+ * Take a user's sockets out of a project room, on all instances
+ * The user can rejoin if they are still on the project's team; remove them
+ * from the team in the backend to keep them out.
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User to remove
+ * @param {string} reason - Shown to the user
+ * @param {Object} actor - Admin performing the action
+ * @returns {Promise<Object>} - { projectId, userId }
+ */
+async function removeUserFromProject(projectId, userId, reason, actor) {
+  await getStateAdapter().publish(ADMIN_CHANNEL, {
+    type: 'remove_from_project',
+    projectId,
+    userId,
+    reason,
+    by: actorSummary(actor)
+  });
+
+  await recordAudit({
+    action: 'user_removed_from_project',
+    actor,
+    source: 'admin',
+    projectId,
+    details: { userId, reason: reason || null }
+  });
+  logger.info(`Admin ${actor?.userEmail} removed user ${userId} from project ${projectId}`);
+  return { projectId, userId };
+}
+
+/**
+ * Send a system announcement to one team or to every connected socket
+ * @param {Object} announcement - { message, level, teamId }
+ * @param {Object} actor - Admin performing the action
+ * @returns {Promise<Object>} - Announcement as sent
+ * @throws {Error} - EMPTY_MESSAGE or INVALID_FIELDS
+ */
+async function sendAnnouncement({ message, level, teamId }, actor) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw adminError('EMPTY_MESSAGE', 'Announcement message cannot be empty');
+  }
+  if (level && !ANNOUNCEMENT_LEVELS.includes(level)) {
+    throw adminError('INVALID_FIELDS', `level must be one of: ${ANNOUNCEMENT_LEVELS.join(', ')}`);
+  }
+
+  const announcement = {
+    message: message.trim(),
+    level: level || 'info',
+    teamId: teamId ?? null,
+    by: actorSummary(actor),
+    timestamp: new Date().toISOString()
+  };
+
+  if (teamId) {
+    await broadcastToRoom(`team:${teamId}`, 'system_announcement', announcement);
+  } else {
+    await getStateAdapter().publish(ADMIN_CHANNEL, { type: 'announce', announcement });
+  }
+
+  await recordAudit({
+    action: 'announcement_sent',
+    actor,
+    source: 'admin',
+    teamId,
+    payload: announcement,
+    details: { level: announcement.level }
+  });
+  logger.info(`Admin ${actor?.userEmail} sent a ${announcement.level} announcement to ${teamId ? `team ${teamId}` : 'everyone'}`);
+  return announcement;
+}
+
+/**
+ * Put a project into read-only mode, or take it out
+ * @param {string} projectId - Project ID
+ * @param {boolean} readOnly - True to block changes from non-admins
+ * @param {string} reason - Shown to users
+ * @param {Object} actor - Admin performing the action
+ * @returns {Promise<Object>} - { projectId, readOnly, reason, by, since }
+ */
+async function setProjectReadOnly(projectId, readOnly, reason, actor) {
+  const state = await setReadOnly(projectId, readOnly ? { reason: reason || null, by: actorSummary(actor) } : null);
+  const result = { projectId, readOnly: Boolean(readOnly), ...state };
+
+  await broadcastToRoom(`project_${projectId}`, 'project_read_only', {
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+
+  await recordAudit({
+    action: 'project_read_only_changed',
+    actor,
+    source: 'admin',
+    projectId,
+    details: { readOnly: result.readOnly, reason: reason || null }
+  });
+  logger.info(`Admin ${actor?.userEmail} made project ${projectId} ${readOnly ? 'read-only' : 'writable'}`);
+  return result;
+}
+
+/**
+ * Register the admin socket events for a connection
+ * Each replies with admin_action_completed, or an error for non-admins.
+ * @param {Object} socket - Socket.IO socket instance
+ */
+function registerAdminHandlers(socket) {
+  const handle = (event, action) => {
+    socket.on(event, async (data) => {
+      if (!socket.authenticated || socket.userRole !== 'admin') {
+        socket.emit('error', {
+          message: 'Admin role required',
+          code: 'FORBIDDEN_ADMIN',
+          event,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      try {
+        const result = await action(data);
+        socket.emit('admin_action_completed', {
+          event,
+          result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (err) {
+        if (!err.code) {
+          logger.error(`Failed to handle ${event}`, err);
+        }
+        socket.emit('error', {
+          message: err.code ? err.message : 'Admin action failed',
+          code: err.code || 'ADMIN_ACTION_FAILED',
+          event,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  };
+
+  handle('admin_disconnect_user', ({ userId, reason }) => disconnectUser(userId, reason, socket));
+  handle('admin_remove_from_project', ({ projectId, userId, reason }) => removeUserFromProject(projectId, userId, reason, socket));
+  handle('admin_announce', (announcement) => sendAnnouncement(announcement, socket));
+  handle('admin_set_read_only', ({ projectId, readOnly, reason }) => setProjectReadOnly(projectId, readOnly, reason, socket));
+}
+
+module.exports = {
+  ANNOUNCEMENT_LEVELS,
+  bindAdminCommands,
+  disconnectUser,
+  removeUserFromProject,
+  sendAnnouncement,
+  setProjectReadOnly,
+  registerAdminHandlers
+};
@@ -0,0 +1,1610 @@
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const cors = require('cors');
+
+// Import our modules
+const { verifyToken, authenticateToken, authenticateService, authenticateMetrics, requireRole, requireTeamMember, fetchUserTeams, fetchUserTasks, invalidateUserTeams } = require('./auth');
+const { handleConnection, trackAuthenticatedSocket, untrackAuthenticatedSocket, buildTeamEvent, getProjectTeamId, invalidateProjectTeam, invalidateTaskProject, getActiveUsers, getActiveRooms, getUserSockets } = require('./socketHandlers');
+const { getStateAdapter, bindServer } = require('./stateAdapter');
+const { broadcastTeamEvent, getTeamSequences } = require('./eventReplay');
+const { bindInvalidation, getCacheStats } = require('./cache');
+const { isBackendDegraded, getBackendStatus, onBackendStatusChange } = require('./backendClient');
+const { createValidationMiddleware } = require('./validation');
+const { createQuotaMiddleware, startBucketSweep } = require('./eventQuotas');
+const { getUserPresence, getTeamPresence, startIdleSweep } = require('./presence');
+const { notifyForTeamEvent, getUnreadCount, listNotifications, markRead } = require('./notifications');
+const { getChatStore, projectChannel } = require('./chatStore');
+const { startLockSweep } = require('./locks');
+const { recordTaskCreated, forceTaskUpdate, recordTaskDeleted } = require('./taskVersions');
+const { startSnapshotTimer } = require('./documents');
+const { invalidateTeamMembers } = require('./mentions');
+const metrics = require('./metrics');
+const { recordAudit, queryAudit, getAuditSink } = require('./audit');
+const { createReadOnlyMiddleware } = require('./readOnly');
+const { isJwksConfigured, refreshKeys, getJwksStatus } = require('./jwks');
+const { revokeToken, revokeUserTokens, revokeAllTokens, bindRevocations, startRevocationSweep } = require('./revocation');
+const { scheduleTokenExpiry, clearTokenExpiry } = require('./sessionExpiry');
+const { MEMBERSHIP_CHANGES, applyTeams, bindMembershipSync, changeMembership } = require('./membership');
+const { config, configWarnings, redactConfig } = require('./config');
+const { ANNOUNCEMENT_LEVELS, bindAdminCommands, disconnectUser, removeUserFromProject, sendAnnouncement, setProjectReadOnly, registerAdminHandlers } = require('./admin');
+const { trackSocket, untrackSocket, startInstanceHeartbeat } = require('./instances');
+const { createLogger, createCorrelationId, runWithContext, bindContext } = require('./logger');
+
+const logger = createLogger({ module: 'server' });
+
+// Configuration (validated by config.js before anything else runs)
+const NODE_ENV = config.server.environment;
+const corsOrigins = config.cors.origin;
+
+// Connection rate limiting - improved for localhost and legitimate users
+// State lives in the shared state adapter so limits hold across instances
+// Counters are updated with atomic increments and expire on their own
+const connectionAttemptsKey = (ip) => `connection_attempts:${ip}`; // Counter of connections in the current window
+const expiredTokenAttemptsKey = (ip) => `expired_token_attempts:${ip}`; // Counter of expired-token reconnects in the current window
+const connectionCooldownKey = (ip) => `connection_cooldown:${ip}`; // Counter of attempts since the cooldown started
+const activeConnectionsKey = (ip) => `connections:${ip}`; // Set of socket IDs
+const MAX_CONNECTIONS_PER_IP = config.rateLimit.maxConnections;
+const MAX_CONNECTIONS_LOCALHOST = config.rateLimit.maxConnectionsLocalhost; // Higher limit for localhost development
+const CONNECTION_WINDOW = config.rateLimit.windowMs;
+const CONNECTION_COOLDOWN = config.rateLimit.cooldownMs;
+const CONNECTION_COOLDOWN_LOCALHOST = config.rateLimit.cooldownLocalhostMs; // Very short cooldown for localhost
+const EXPIRED_TOKEN_COOLDOWN = config.rateLimit.expiredTokenCooldownMs; // Special cooldown for expired token reconnects
+const BACKEND_RESYNC_INTERVAL = 30000; // Retry team rooms for sockets that missed them
+
+// Function to check connection rate limits - fails open if shared state is unavailable
+function checkConnectionRateLimit(ip, isExpiredToken = false) {
+  return applyConnectionRateLimit(ip, isExpiredToken).catch((error) => {
+    logger.error(`Connection rate limit check failed for ${ip}, allowing connection`, error);
+    return true;
+  });
+}
+
+/**
+ * Start a cooldown for an IP, or report that one is already running
+ * The first attempt creates a counter that expires after the cooldown;
+ * any attempt that finds it already there is inside the cooldown.
+ * @param {string} ip - Client IP
+ * @param {number} cooldown - Cooldown in milliseconds (0 disables it)
+ * @returns {Promise<boolean>} - True if a cooldown was already running
+ */
+async function inCooldown(ip, cooldown) {
+  if (cooldown <= 0) {
+    return false;
+  }
+  return (await getStateAdapter().increment(connectionCooldownKey(ip), 1, cooldown)) > 1;
+}
+
+/**
+ * Take one attempt off a rate limit counter without letting it go below zero
+ * @param {string} key - Counter key
+ */
+async function releaseAttempt(key) {
+  const stateAdapter = getStateAdapter();
+  // A counter that had already expired is recreated with the window's expiry, then put back to zero
+  if (await stateAdapter.increment(key, -1, CONNECTION_WINDOW) < 0) {
+    await stateAdapter.increment(key, 1);
+  }
+}
+
+// Apply connection rate limits - improved for localhost and expired tokens
+async function applyConnectionRateLimit(ip, isExpiredToken = false) {
+  const isLocalhost = ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1' || ip === 'localhost';
+  const stateAdapter = getStateAdapter();
+  
+  // Special handling for expired token reconnects
+  if (isExpiredToken) {
+    const expiredTokenAttempts = await stateAdapter.increment(expiredTokenAttemptsKey(ip), 1, CONNECTION_WINDOW);
+    
+    // Allow more expired token attempts for localhost
+    const maxExpiredAttempts = isLocalhost ? 50 : 10;
+    if (expiredTokenAttempts > maxExpiredAttempts) {
+      logger.warn(`Too many expired token attempts for ${isLocalhost ? 'localhost' : 'IP'} ${ip}: ${expiredTokenAttempts}/${maxExpiredAttempts}`);
+      metrics.rateLimitRejections.inc({ reason: 'expired_token_attempts' });
+      return false;
+    }
+    
+    // Use shorter cooldown for expired token reconnects
+    const expiredCooldown = isLocalhost ? EXPIRED_TOKEN_COOLDOWN : EXPIRED_TOKEN_COOLDOWN * 2;
+    if (await inCooldown(ip, expiredCooldown)) {
+      logger.warn(`Expired token cooldown active for ${isLocalhost ? 'localhost' : 'IP'} ${ip}`);
+      metrics.rateLimitRejections.inc({ reason: 'expired_token_cooldown' });
+      return false;
+    }
+    return true;
+  }
+  
+  // Check cooldown period (different for localhost)
+  const cooldown = isLocalhost ? CONNECTION_COOLDOWN_LOCALHOST : CONNECTION_COOLDOWN;
+  if (await inCooldown(ip, cooldown)) {
+    logger.warn(`Cooldown active for ${isLocalhost ? 'localhost' : 'IP'} ${ip}`);
+    metrics.rateLimitRejections.inc({ reason: 'cooldown' });
+    return false;
+  }
+  
+  // Count the connection, taking it back if it is over the limit (different for localhost)
+  const maxConnections = isLocalhost ? MAX_CONNECTIONS_LOCALHOST : MAX_CONNECTIONS_PER_IP;
+  const count = await stateAdapter.increment(connectionAttemptsKey(ip), 1, CONNECTION_WINDOW);
+  if (count > maxConnections) {
+    await stateAdapter.increment(connectionAttemptsKey(ip), -1);
+    logger.warn(`Rate limit exceeded for ${isLocalhost ? 'localhost' : 'IP'} ${ip}: ${count - 1}/${maxConnections} connections`);
+    metrics.rateLimitRejections.inc({ reason: 'max_connections' });
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Free the shared entries of a socket whose instance died: its connection
+ * slot and, if it had authenticated, its user, room and presence tracking
+ * @param {Object} socket - { id, ip, userId, userEmail, projectIds } as recorded by trackSocket
+ */
+async function releaseOrphanedSocket(socket) {
+  if (socket.ip) {
+    await getStateAdapter().setRemove(activeConnectionsKey(socket.ip), socket.id);
+  }
+  if (socket.userId !== null && socket.userId !== undefined) {
+    await untrackAuthenticatedSocket({ ...socket, joinedProjects: new Set(socket.projectIds || []) }, 'disconnected');
+  }
+}
+
+/**
+ * Build the Express app, HTTP server and Socket.IO server without listening
+ * Background jobs (sweeps, cross-instance subscriptions) start here too.
+ * server.js listens on PORT; tests listen on an ephemeral port.
+ * @returns {Object} - { app, server, io, close }
+ */
+function createApp() {
+  const app = express();
+  const server = http.createServer(app);
+
+  // CORS configuration for Socket.IO
+  const io = socketIo(server, {
+    cors: {
+      origin: corsOrigins,
+      methods: config.cors.methods,
+      credentials: config.cors.credentials,
+      allowedHeaders: config.cors.allowedHeaders
+    },
+    pingInterval: config.socketio.pingInterval,
+    pingTimeout: config.socketio.pingTimeout,
+    maxHttpBufferSize: config.socketio.maxHttpBufferSize,
+    transports: config.socketio.transports,
+    allowEIO3: config.socketio.allowEIO3
+  });
+
+  const stops = []; // Stop functions for the app's timers and listeners, run by close()
+  const subscriptions = []; // Promises of unsubscribe functions (undefined if subscribing failed)
+
+  // Deliver broadcasts published by other instances to our sockets
+  subscriptions.push(bindServer(io).catch((err) => {
+    logger.error('Failed to bind state adapter to Socket.IO', err);
+  }));
+
+  // Apply admin commands (disconnects, removals, announcements) published by any instance
+  subscriptions.push(bindAdminCommands(io).catch((err) => {
+    logger.error('Failed to subscribe to admin commands', err);
+  }));
+
+  // Join and leave team rooms when memberships change, on every instance
+  subscriptions.push(bindMembershipSync(io).catch((err) => {
+    logger.error('Failed to subscribe to team membership changes', err);
+  }));
+
+  // End sessions revoked through any instance
+  subscriptions.push(bindRevocations(io).catch((err) => {
+    logger.error('Failed to subscribe to token revocations', err);
+  }));
+
+  // Drop revocations of single tokens once they have expired
+  stops.push(startRevocationSweep());
+
+  // Load the JWKS signing keys up front rather than on the first connection
+  if (isJwksConfigured()) {
+    refreshKeys();
+  }
+
+  // Move users with no recent activity to idle
+  stops.push(startIdleSweep());
+
+  // Release edit locks that stopped being renewed
+  stops.push(startLockSweep());
+
+  // Keep this instance's lease alive and clean up after instances that died
+  stops.push(startInstanceHeartbeat(releaseOrphanedSocket));
+
+  // Snapshot collaborative documents and unload idle ones
+  stops.push(startSnapshotTimer());
+
+  // Forget idle users' event quota buckets
+  stops.push(startBucketSweep());
+
+  // Refresh connection and room gauges on each scrape
+  stops.push(metrics.addCollector(async () => {
+    metrics.activeConnections.set({}, io.of('/').sockets.size);
+    const rooms = await getActiveRooms();
+    metrics.activeRooms.set({}, Object.keys(rooms).length);
+    metrics.roomUsers.reset();
+    Object.entries(rooms).forEach(([projectId, users]) => metrics.roomUsers.set({ project_id: projectId }, users));
+  }));
+
+  // Apply cache invalidations published by other instances
+  subscriptions.push(bindInvalidation().catch((err) => {
+    logger.error('Failed to subscribe to cache invalidations', err);
+  }));
+
+  // Middleware
+  app.use(cors({
+    origin: corsOrigins,
+    credentials: config.cors.credentials,
+    methods: config.cors.methods,
+    allowedHeaders: config.cors.allowedHeaders
+  }));
+  app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body so backend ingestion signatures can be verified
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Correlation ID and request logging middleware - the ID is taken from
+  // X-Request-Id when the caller sends one and is echoed back in the response
+  app.use((req, res, next) => {
+    req.correlationId = createCorrelationId(req.get('X-Request-Id'));
+    res.set('X-Request-Id', req.correlationId);
+    runWithContext({ correlationId: req.correlationId }, () => {
+      logger.info(`${req.method} ${req.path}`, { ip: req.ip });
+      next();
+    });
+  });
+
+  // Routes
+
+  // Health check endpoint
+  app.get('/', (req, res) => {
+    res.json({ 
+      message: 'Team Collaboration WebSocket Server',
+      version: '1.0.0',
+      status: 'running',
+      timestamp: new Date().toISOString(),
+      environment: NODE_ENV,
+      endpoints: {
+        health: '/health - Server health check',
+        auth: '/auth/test - Authentication test',
+        projects: '/projects/:projectId/users - Get active users in project',
+        rooms: '/rooms - Get all active rooms',
+        connections: '/users/:userId/connections - Get user connections',
+        presence: '/users/:userId/presence, /teams/:teamId/presence - Get presence',
+        notifications: '/notifications - List your notifications (paged)',
+        messages: '/projects/:projectId/messages - Get project chat history (paged)',
+        metrics: '/metrics - Prometheus metrics',
+        audit: '/audit - Query the audit log (admin)',
+        config: '/config - Effective configuration, secrets redacted (admin)',
+        admin: '/admin/... - Disconnect users, remove them from projects, announce, set read-only, sync memberships (admin)',
+        ingest: 'POST /ingest/events - Backend event ingestion (service auth)',
+        revocations: 'POST /ingest/revocations - Revoke tokens and end their sessions (service auth)',
+        memberships: 'POST /ingest/memberships - Team membership changes (service auth)',
+        invalidate: 'POST /ingest/invalidate - Drop cached project/team lookups (service auth)'
+      }
+    });
+  });
+
+  // Health check with detailed status
+  app.get('/health', async (req, res) => {
+    try {
+      const activeRooms = await getActiveRooms();
+      const totalConnections = io.engine.clientsCount;
+    
+      res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        environment: NODE_ENV,
+        connections: {
+          total: totalConnections,
+          activeRooms: Object.keys(activeRooms).length,
+          rooms: activeRooms
+        },
+        stateAdapter: getStateAdapter().name,
+        chatStore: getChatStore().name,
+        auditSink: getAuditSink().name,
+        caches: getCacheStats(),
+        backend: getBackendStatus(),
+        jwks: getJwksStatus(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage()
+      });
+    } catch (error) {
+      logger.error('Error reading shared state for health check', error);
+      res.status(503).json({
+        status: 'DEGRADED',
+        message: 'Shared state unavailable',
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Prometheus metrics
+  app.get('/metrics', authenticateMetrics, async (req, res) => {
+    try {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(await metrics.renderMetrics());
+    } catch (error) {
+      logger.error('Error rendering metrics', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to render metrics'
+      });
+    }
+  });
+
+  // Authentication test endpoint
+  app.get('/auth/test', authenticateToken, (req, res) => {
+    res.json({
+      message: 'Authentication successful',
+      user: req.user,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Get active users in a project
+  app.get('/projects/:projectId/users', authenticateToken, async (req, res) => {
+    try {
+      const { projectId } = req.params;
+    
+      if (!projectId) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Project ID is required'
+        });
+      }
+    
+      const activeUsers = await getActiveUsers(projectId);
+    
+      res.json({
+        success: true,
+        projectId,
+        activeUsers,
+        count: activeUsers.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting active users', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get active users'
+      });
+    }
+  });
+
+  // Get a project's chat history, oldest first
+  // Query: limit, before (cursor from nextBefore)
+  app.get('/projects/:projectId/messages', authenticateToken, async (req, res) => {
+    try {
+      const { projectId } = req.params;
+    
+      const teamId = await getProjectTeamId(projectId, req.token);
+      if (!teamId) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Project not found'
+        });
+      }
+    
+      if (req.user.role !== 'admin') {
+        const teamIds = await fetchUserTeams(req.user.userId, req.token);
+        if (!teamIds.some(id => String(id) === String(teamId))) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'You are not a member of the team that owns this project',
+            code: 'FORBIDDEN_PROJECT'
+          });
+        }
+      }
+    
+      const page = await getChatStore().listMessages(projectChannel(projectId), {
+        before: req.query.before,
+        limit: req.query.limit
+      });
+    
+      res.json({
+        success: true,
+        projectId,
+        ...page,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === 'BACKEND_UNAVAILABLE') {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Backend temporarily unavailable. Please retry shortly.',
+          code: 'BACKEND_UNAVAILABLE'
+        });
+      }
+      logger.error('Error getting chat history', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get chat history'
+      });
+    }
+  });
+
+  // Get all active rooms
+  app.get('/rooms', authenticateToken, async (req, res) => {
+    try {
+      const activeRooms = await getActiveRooms();
+    
+      res.json({
+        success: true,
+        rooms: activeRooms,
+        totalRooms: Object.keys(activeRooms).length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting active rooms', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get active rooms'
+      });
+    }
+  });
+
+  // Get user's active connections
+  app.get('/users/:userId/connections', authenticateToken, async (req, res) => {
+    try {
+      const { userId } = req.params;
+    
+      if (!userId) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'User ID is required'
+        });
+      }
+    
+      // Only allow users to check their own connections or admin users
+      if (req.user.userId !== userId && req.user.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You can only check your own connections'
+        });
+      }
+    
+      const userSockets = await getUserSockets(userId);
+    
+      res.json({
+        success: true,
+        userId,
+        activeConnections: userSockets.length,
+        connections: userSockets,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting user connections', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get user connections'
+      });
+    }
+  });
+
+  // Get a user's presence (self, admins, or members of a shared team)
+  app.get('/users/:userId/presence', authenticateToken, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const userPresence = await getUserPresence(userId);
+    
+      if (!userPresence) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No presence recorded for this user'
+        });
+      }
+    
+      if (String(req.user.userId) !== String(userId) && req.user.role !== 'admin') {
+        const teamIds = await fetchUserTeams(req.user.userId, req.token);
+        const theirTeams = await fetchUserTeams(userId, req.token);
+        const sharesTeam = theirTeams.some(teamId => teamIds.some(id => String(id) === String(teamId)));
+        if (!sharesTeam) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'You can only view presence of your teammates'
+          });
+        }
+      }
+    
+      res.json({
+        success: true,
+        presence: userPresence,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting user presence', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get user presence'
+      });
+    }
+  });
+
+  // Get presence of everyone seen in a team
+  app.get('/teams/:teamId/presence', authenticateToken, requireTeamMember, async (req, res) => {
+    try {
+      const members = await getTeamPresence(req.params.teamId);
+    
+      res.json({
+        success: true,
+        teamId: req.params.teamId,
+        members,
+        online: members.filter(member => member.status !== 'offline').length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting team presence', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to get team presence'
+      });
+    }
+  });
+
+  // List the authenticated user's notifications, newest first
+  // Query: limit, before (cursor from nextBefore), unread=true
+  app.get('/notifications', authenticateToken, async (req, res) => {
+    try {
+      const { limit, before, unread } = req.query;
+      const page = await listNotifications(req.user.userId, {
+        limit,
+        before,
+        unreadOnly: unread === 'true'
+      });
+    
+      res.json({
+        success: true,
+        ...page,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error listing notifications', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to list notifications'
+      });
+    }
+  });
+
+  // Mark notifications as read ({ ids } or { all: true })
+  app.post('/notifications/read', authenticateToken, async (req, res) => {
+    try {
+      const { ids, all } = req.body || {};
+    
+      if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Provide a non-empty ids array or all: true',
+          code: 'INVALID_FIELDS'
+        });
+      }
+    
+      const result = await markRead(req.user.userId, all ? null : ids);
+    
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error marking notifications as read', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to mark notifications as read'
+      });
+    }
+  });
+
+  // Events the Python backend may ingest, with their required fields
+  const INGEST_EVENTS = {
+    task_created: ['taskId', 'projectId', 'taskData'],
+    task_updated: ['taskId', 'projectId'],
+    task_deleted: ['taskId', 'projectId'],
+    project_updated: ['projectId']
+  };
+
+  // Audit log of mutating and admin actions, newest first (admin only)
+  app.get('/audit', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const { action, userId, teamId, projectId, taskId, since, until, before, limit } = req.query;
+    
+      const invalid = [['since', since], ['until', until]]
+        .filter(([, value]) => value !== undefined && Number.isNaN(Date.parse(value)))
+        .map(([name]) => name);
+      if (before !== undefined && !(parseInt(before) > 0)) {
+        invalid.push('before');
+      }
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid query parameters: ${invalid.join(', ')}`,
+          code: 'INVALID_FIELDS'
+        });
+      }
+    
+      const result = await queryAudit({
+        action,
+        userId,
+        teamId,
+        projectId,
+        taskId,
+        since: since && new Date(since).toISOString(),
+        until: until && new Date(until).toISOString(),
+        before: before && parseInt(before)
+      }, { limit });
+    
+      res.json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error querying audit log', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to query audit log'
+      });
+    }
+  });
+
+  // Effective configuration with secrets redacted (admin only)
+  app.get('/config', authenticateToken, requireRole('admin'), (req, res) => {
+    res.json({
+      environment: NODE_ENV,
+      config: redactConfig(config),
+      warnings: configWarnings,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Describe the admin making an HTTP request, for the audit log
+   * @param {Object} req - Express request with req.user
+   * @returns {Object} - { userId, userEmail, userRole }
+   */
+  function adminActor(req) {
+    return { userId: req.user.userId, userEmail: req.user.email, userRole: req.user.role };
+  }
+
+  /**
+   * Read an optional reason from a request body
+   * @param {Object} body - Request body
+   * @returns {string|null|undefined} - Reason, null if absent, undefined if invalid
+   */
+  function readReason(body) {
+    const reason = body?.reason;
+    if (reason === undefined || reason === null) {
+      return null;
+    }
+    return typeof reason === 'string' && reason.length <= 500 ? reason : undefined;
+  }
+
+  /**
+   * Reply 400 for invalid admin request fields
+   * @param {Object} res - Express response
+   * @param {string} message - What was wrong
+   */
+  function rejectAdminFields(res, message) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message,
+      code: 'INVALID_FIELDS'
+    });
+  }
+
+  // Force-disconnect every socket a user has open (admin only)
+  app.post('/admin/users/:userId/disconnect', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const reason = readReason(req.body);
+      if (reason === undefined) {
+        return rejectAdminFields(res, 'reason must be a string of at most 500 characters');
+      }
+    
+      const result = await disconnectUser(req.params.userId, reason, adminActor(req));
+      res.json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error disconnecting user', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to disconnect user'
+      });
+    }
+  });
+
+  // Take a user out of a project room (admin only)
+  app.delete('/admin/projects/:projectId/users/:userId', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const reason = readReason(req.body);
+      if (reason === undefined) {
+        return rejectAdminFields(res, 'reason must be a string of at most 500 characters');
+      }
+    
+      const result = await removeUserFromProject(req.params.projectId, req.params.userId, reason, adminActor(req));
+      res.json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error removing user from project', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to remove user from project'
+      });
+    }
+  });
+
+  // Send a system announcement to a team, or to everyone without teamId (admin only)
+  app.post('/admin/announcements', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const { message, level, teamId } = req.body || {};
+    
+      if (typeof message !== 'string' || message.length > 2000) {
+        return rejectAdminFields(res, 'message must be a string of at most 2000 characters');
+      }
+      if (level !== undefined && !ANNOUNCEMENT_LEVELS.includes(level)) {
+        return rejectAdminFields(res, `level must be one of: ${ANNOUNCEMENT_LEVELS.join(', ')}`);
+      }
+    
+      const announcement = await sendAnnouncement({ message, level, teamId }, adminActor(req));
+      res.status(201).json({
+        announcement,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === 'EMPTY_MESSAGE') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message,
+          code: error.code
+        });
+      }
+      logger.error('Error sending announcement', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to send announcement'
+      });
+    }
+  });
+
+  // Put a project into read-only mode or take it out (admin only)
+  app.put('/admin/projects/:projectId/read-only', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const { readOnly } = req.body || {};
+      const reason = readReason(req.body);
+    
+      if (typeof readOnly !== 'boolean') {
+        return rejectAdminFields(res, 'readOnly must be a boolean');
+      }
+      if (reason === undefined) {
+        return rejectAdminFields(res, 'reason must be a string of at most 500 characters');
+      }
+    
+      const result = await setProjectReadOnly(req.params.projectId, readOnly, reason, adminActor(req));
+      res.json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error changing project read-only mode', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to change project read-only mode'
+      });
+    }
+  });
+
+  /**
+   * Check a team membership change from a request body
+   * @param {Object} body - { userId, teamId, change }
+   * @returns {string|null} - What is wrong, or null if valid
+   */
+  function validateMembershipChange(body) {
+    const { userId, teamId, change } = body || {};
+    if (userId === undefined || userId === null || userId === '') {
+      return 'userId is required';
+    }
+    if (teamId !== undefined && teamId !== null && !MEMBERSHIP_CHANGES.includes(change)) {
+      return `change must be one of: ${MEMBERSHIP_CHANGES.join(', ')}`;
+    }
+    return null;
+  }
+
+  // Apply a team membership change to a user's live sockets (admin only)
+  app.post('/admin/memberships', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+      const invalid = validateMembershipChange(req.body);
+      if (invalid) {
+        return rejectAdminFields(res, invalid);
+      }
+    
+      const membership = await changeMembership(req.body, adminActor(req), 'admin');
+      res.json({
+        success: true,
+        membership,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error applying membership change', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to apply membership change'
+      });
+    }
+  });
+
+  // Server-to-server ingestion: the Python backend reports committed changes
+  app.post('/ingest/events', authenticateService, async (req, res) => {
+    try {
+      const { event, teamId, actor } = req.body || {};
+    
+      if (!INGEST_EVENTS[event]) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `event must be one of: ${Object.keys(INGEST_EVENTS).join(', ')}`,
+          code: 'UNKNOWN_EVENT'
+        });
+      }
+    
+      const missing = ['teamId', ...INGEST_EVENTS[event]].filter(field => !req.body[field]);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Missing required fields: ${missing.join(', ')}`,
+          code: 'MISSING_REQUIRED_FIELDS'
+        });
+      }
+    
+      // A project moving teams must not keep routing to its old team
+      if (event === 'project_updated' && req.body.projectData?.team_id) {
+        await invalidateProjectTeam(req.body.projectId);
+      }
+    
+      // Tasks can move between projects; look the owner up again next time
+      if (event === 'task_updated' || event === 'task_deleted') {
+        await invalidateTaskProject(req.body.taskId);
+      }
+    
+      // The backend is authoritative, so its changes skip the version check
+      let version = null;
+      if (event === 'task_created') {
+        version = await recordTaskCreated(req.body.taskId, req.body.projectId, req.body.taskData, actor);
+      } else if (event === 'task_updated') {
+        version = await forceTaskUpdate(req.body.taskId, req.body.projectId, req.body.taskData || {}, actor, req.body.version);
+      } else if (event === 'task_deleted') {
+        await recordTaskDeleted(req.body.taskId);
+      }
+    
+      const payload = {
+        ...buildTeamEvent(event, { ...req.body, version }, actor),
+        source: 'backend'
+      };
+      await notifyForTeamEvent(event, payload, teamId);
+      const broadcast = await broadcastTeamEvent(teamId, event, payload);
+    
+      await recordAudit({
+        action: event,
+        actor,
+        source: 'ingest',
+        teamId,
+        projectId: req.body.projectId,
+        taskId: req.body.taskId,
+        payload,
+        details: { service: req.service.method, seq: broadcast.seq }
+      });
+      logger.info(`Ingested ${event} for team ${teamId} (project ${req.body.projectId}) via ${req.service.method}`);
+    
+      res.status(202).json({
+        success: true,
+        event,
+        teamId,
+        seq: broadcast.seq,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.code === 'TASK_BUSY') {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: error.message,
+          code: 'TASK_BUSY'
+        });
+      }
+      logger.error('Error ingesting backend event', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to broadcast event'
+      });
+    }
+  });
+
+  // Server-to-server cache invalidation for project moves and membership changes
+  app.post('/ingest/invalidate', authenticateService, async (req, res) => {
+    try {
+      const { projectIds = [], userIds = [], teamIds = [] } = req.body || {};
+    
+      if (!Array.isArray(projectIds) || !Array.isArray(userIds) || !Array.isArray(teamIds)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'projectIds, userIds and teamIds must be arrays',
+          code: 'INVALID_FIELDS'
+        });
+      }
+    
+      await Promise.all([
+        ...projectIds.map(projectId => invalidateProjectTeam(projectId)),
+        ...userIds.map(userId => invalidateUserTeams(userId)),
+        ...teamIds.map(teamId => invalidateTeamMembers(teamId))
+      ]);
+    
+      logger.info(`Invalidated cache for ${projectIds.length} projects, ${userIds.length} users and ${teamIds.length} teams via ${req.service.method}`);
+    
+      res.json({
+        success: true,
+        invalidated: { projectIds, userIds, teamIds },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error invalidating caches', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to invalidate caches'
+      });
+    }
+  });
+
+  /**
+   * Read a time sent as epoch seconds or an ISO date
+   * @param {number|string} value - Time from a request body
+   * @returns {number|null|undefined} - Epoch seconds, null if absent, undefined if invalid
+   */
+  function readEpochSeconds(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && value > 0 ? Math.floor(value) : undefined;
+    }
+    const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(parsed) ? undefined : Math.floor(parsed / 1000);
+  }
+
+  // Server-to-server membership sync: the Python backend reports users joining
+  // or leaving teams, and their live sockets join or leave the team rooms
+  app.post('/ingest/memberships', authenticateService, async (req, res) => {
+    try {
+      const invalid = validateMembershipChange(req.body);
+      if (invalid) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: invalid,
+          code: 'INVALID_FIELDS'
+        });
+      }
+    
+      const membership = await changeMembership(req.body, req.body.actor, 'ingest');
+      res.json({
+        success: true,
+        membership,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error ingesting membership change', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to apply membership change'
+      });
+    }
+  });
+
+  // Server-to-server revocation: the Python backend reports logouts, deactivations
+  // and password resets; matching tokens are rejected and live sessions ended
+  app.post('/ingest/revocations', authenticateService, async (req, res) => {
+    try {
+      const { jti, userId, all, reason, actor } = req.body || {};
+      const expiresAt = readEpochSeconds(req.body?.expiresAt);
+      const issuedBefore = readEpochSeconds(req.body?.issuedBefore);
+    
+      const targets = [jti, userId, all === true ? all : undefined].filter(value => value !== undefined && value !== null);
+      if (targets.length !== 1) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Send exactly one of jti, userId or all: true',
+          code: 'INVALID_FIELDS'
+        });
+      }
+      if (expiresAt === undefined || issuedBefore === undefined || (reason !== undefined && typeof reason !== 'string')) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'expiresAt and issuedBefore must be epoch seconds or ISO dates, reason a string',
+          code: 'INVALID_FIELDS'
+        });
+      }
+    
+      let revocation;
+      if (jti !== undefined && jti !== null) {
+        revocation = await revokeToken(String(jti), expiresAt, reason);
+      } else if (userId !== undefined && userId !== null) {
+        revocation = await revokeUserTokens(userId, issuedBefore, reason);
+      } else {
+        revocation = await revokeAllTokens(issuedBefore, reason);
+      }
+    
+      await recordAudit({
+        action: 'tokens_revoked',
+        actor,
+        source: 'ingest',
+        details: { ...revocation, service: req.service.method }
+      });
+      logger.info(`Revoked ${jti ? `token ${jti}` : userId ? `tokens of user ${userId}` : 'all tokens'} via ${req.service.method}`);
+    
+      res.status(201).json({
+        success: true,
+        revocation,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error revoking tokens', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to revoke tokens'
+      });
+    }
+  });
+
+  // WebSocket connection handling - everything logged for a socket, including
+  // from its event handlers, carries the socket's correlation ID
+  io.on('connection', (socket) => {
+    socket.logContext = {
+      correlationId: createCorrelationId(socket.handshake.headers['x-request-id']),
+      socketId: socket.id
+    };
+    runWithContext(socket.logContext, () => onConnection(socket));
+  });
+
+  /**
+   * Set up a new socket: limits, authentication and event handlers
+   * @param {Object} socket - Socket.IO socket instance
+   */
+  async function onConnection(socket) {
+    const clientIP = socket.handshake.address;
+  
+    metrics.connectionsTotal.inc();
+    socket.on('disconnect', (reason) => metrics.disconnectsTotal.inc({ reason }));
+  
+    // Count every inbound event, enforce per-event quotas, validate it against
+    // its schema and refuse changes to read-only projects, before any handler runs
+    socket.use(([event], next) => {
+      metrics.eventsReceived.inc({ event: metrics.eventLabel(event) });
+      runWithContext(socket.logContext, next);
+    });
+    socket.use(createQuotaMiddleware(socket));
+    socket.use(createValidationMiddleware(socket));
+    socket.use(createReadOnlyMiddleware(socket));
+  
+    // Check connection rate limit (will be updated based on token status)
+    let isExpiredTokenAttempt = false;
+  
+    // Add connection metadata
+    socket.connectedAt = new Date().toISOString();
+    socket.userAgent = socket.handshake.headers['user-agent'];
+    socket.ip = clientIP;
+  
+    // Check concurrent connections limit (different for localhost)
+    const isLocalhost = clientIP === '127.0.0.1' || clientIP === '::1' || clientIP === '::ffff:127.0.0.1' || clientIP === 'localhost';
+    const maxConcurrent = isLocalhost ? MAX_CONNECTIONS_LOCALHOST : MAX_CONNECTIONS_PER_IP;
+    const stateAdapter = getStateAdapter();
+  
+    // Take a slot first and count afterwards, so connections arriving together
+    // can't all see room for themselves. The socket is recorded against this
+    // instance's lease so the slot is freed even if the instance dies.
+    let activeConnections = 0;
+    try {
+      await trackSocket(socket);
+      await stateAdapter.setAdd(activeConnectionsKey(clientIP), socket.id);
+      activeConnections = await stateAdapter.setSize(activeConnectionsKey(clientIP));
+    } catch (error) {
+      logger.error(`Failed to record connection ${socket.id} for ${clientIP}`, error);
+    }
+  
+    // Release the slot however the socket ends
+    socket.on('disconnect', () => {
+      stateAdapter.setRemove(activeConnectionsKey(clientIP), socket.id).catch((error) => {
+        logger.error(`Failed to release connection ${socket.id} for ${clientIP}`, error);
+      });
+      untrackSocket(socket).catch((error) => {
+        logger.error(`Failed to forget socket ${socket.id} for this instance`, error);
+      });
+    });
+  
+    if (activeConnections > maxConcurrent) {
+      const existingConnections = activeConnections - 1;
+      logger.warn(`Too many concurrent connections for ${isLocalhost ? 'localhost' : 'IP'} ${clientIP}: ${existingConnections}/${maxConcurrent}, disconnecting socket ${socket.id}`);
+      metrics.rateLimitRejections.inc({ reason: 'concurrent_connections' });
+      socket.emit('connection_limit_exceeded', {
+        message: `Too many concurrent connections. Please close other tabs or wait. (${existingConnections}/${maxConcurrent})`,
+        code: 'CONNECTION_LIMIT_EXCEEDED',
+        maxConnections: maxConcurrent,
+        currentConnections: existingConnections,
+        isLocalhost: isLocalhost,
+        timestamp: new Date().toISOString()
+      });
+      socket.disconnect(true);
+      return;
+    }
+  
+    logger.info(`New connection: ${socket.id}`, { transport: socket.conn.transport.name, ip: clientIP });
+
+    // Handle authentication during connection with improved error handling
+    const token = socket.handshake.auth?.token;
+    if (token) {
+      try {
+        const user = await verifyToken(token);
+      
+        if (user) {
+          // Check rate limit for successful authentication
+          if (!(await checkConnectionRateLimit(clientIP))) {
+            logger.warn(`Connection rate limit exceeded for IP ${clientIP}, disconnecting socket ${socket.id}`);
+            metrics.authOutcomes.inc({ stage: 'connect', outcome: 'rate_limited', code: 'RATE_LIMIT_EXCEEDED' });
+            socket.emit('rate_limit_exceeded', {
+              message: 'Too many connection attempts. Please wait before reconnecting.',
+              code: 'RATE_LIMIT_EXCEEDED',
+              retryAfter: CONNECTION_COOLDOWN / 1000,
+              timestamp: new Date().toISOString()
+            });
+            socket.disconnect(true);
+            return;
+          }
+        
+          socket.userId = user.userId;
+          socket.logContext.userId = user.userId;
+          socket.userEmail = user.email;
+          socket.userRole = user.role;
+          socket.authenticated = true;
+          socket.authenticatedAt = new Date().toISOString();
+          socket.token = token; // Store token for later use
+          socket.tokenJti = user.jti; // Matched against revocations
+          socket.tokenIssuedAt = user.iat;
+          scheduleTokenExpiry(socket, user.exp); // Warn before expiry, demote after
+        
+          logger.info(`Socket authenticated on connection: ${user.email} (${user.userId}) from ${isLocalhost ? 'localhost' : clientIP}`);
+          metrics.authOutcomes.inc({ stage: 'connect', outcome: 'success', code: 'NONE' });
+        
+          const unreadNotifications = await getUnreadCount(user.userId).catch(error => {
+            logger.error(`Failed to count notifications for user ${user.userId}`, error);
+            return 0;
+          });
+        
+          // Fetch user's teams and tasks from Python backend
+          try {
+            const [teamIds, userTasks] = await Promise.all([
+              fetchUserTeams(user.userId, token),
+              fetchUserTasks(user.userId, token)
+            ]);
+            const sequences = await getTeamSequences(teamIds);
+          
+            socket.teamIds = teamIds;
+            socket.userTasks = userTasks;
+          
+            // Join team rooms
+            teamIds.forEach(teamId => {
+              const teamRoom = `team:${teamId}`;
+              socket.join(teamRoom);
+              logger.debug(`User ${user.email} joined team room: ${teamRoom}`);
+            });
+          
+            socket.emit('authenticated', { 
+              success: true,
+              user: {
+                id: user.userId,
+                email: user.email,
+                role: user.role,
+                username: user.username
+              },
+              teams: teamIds,
+              tasks: userTasks,
+              sequences, // Latest event sequence per team, for sync_events after reconnect
+              unreadNotifications,
+              degraded: false,
+              timestamp: new Date().toISOString()
+            });
+          } catch (error) {
+            logger.error(`Failed to fetch user data for user ${user.userId}`, error);
+          
+            // Retry team rooms once the backend is reachable again
+            socket.teamIds = [];
+            socket.teamSyncPending = true;
+          
+            // Still emit authenticated but without teams and tasks
+            socket.emit('authenticated', { 
+              success: true,
+              user: {
+                id: user.userId,
+                email: user.email,
+                role: user.role,
+                username: user.username
+              },
+              teams: [],
+              tasks: [],
+              sequences: {},
+              unreadNotifications,
+              degraded: true, // Backend unreachable - teams will follow in teams_resynced
+              timestamp: new Date().toISOString()
+            });
+          }
+        } else {
+          logger.warn(`Socket authentication failed for ${socket.id}: invalid token`);
+          metrics.authOutcomes.inc({ stage: 'connect', outcome: 'failure', code: 'INVALID_TOKEN' });
+          socket.emit('authentication_error', { 
+            message: 'Invalid or expired token. Please refresh your session or log in again.',
+            code: 'INVALID_TOKEN',
+            timestamp: new Date().toISOString(),
+            action: 'REFRESH_TOKEN',
+            retryAfter: 2000 // Allow retry after 2 seconds
+          });
+          // Don't disconnect immediately - let client handle refresh
+          setTimeout(() => {
+            if (!socket.authenticated) {
+              socket.disconnect(true);
+            }
+          }, 5000); // Give 5 seconds for token refresh
+        }
+      } catch (error) {
+        logger.error(`Socket authentication error for ${socket.id}`, error);
+      
+        // Determine if it's a token expiration issue
+        const isTokenExpired = error.message.includes('expired') || error.message.includes('TokenExpiredError');
+        const isInvalidToken = ['JsonWebTokenError', 'InvalidTokenType', 'MissingFields'].includes(error.name);
+        const isTokenRevoked = error.name === 'TokenRevokedError';
+      
+        // For expired tokens, use special rate limiting
+        if (isTokenExpired) {
+          isExpiredTokenAttempt = true;
+          if (!(await checkConnectionRateLimit(clientIP, true))) {
+            logger.warn(`Expired token rate limit exceeded for IP ${clientIP}, disconnecting socket ${socket.id}`);
+            metrics.authOutcomes.inc({ stage: 'connect', outcome: 'rate_limited', code: 'EXPIRED_TOKEN_RATE_LIMIT_EXCEEDED' });
+            socket.emit('rate_limit_exceeded', {
+              message: 'Too many expired token reconnection attempts. Please wait before reconnecting.',
+              code: 'EXPIRED_TOKEN_RATE_LIMIT_EXCEEDED',
+              retryAfter: EXPIRED_TOKEN_COOLDOWN / 1000,
+              timestamp: new Date().toISOString()
+            });
+            socket.disconnect(true);
+            return;
+          }
+        } else {
+          // For invalid tokens, use normal rate limiting
+          if (!(await checkConnectionRateLimit(clientIP))) {
+            logger.warn(`Connection rate limit exceeded for IP ${clientIP}, disconnecting socket ${socket.id}`);
+            metrics.authOutcomes.inc({ stage: 'connect', outcome: 'rate_limited', code: 'RATE_LIMIT_EXCEEDED' });
+            socket.emit('rate_limit_exceeded', {
+              message: 'Too many connection attempts. Please wait before reconnecting.',
+              code: 'RATE_LIMIT_EXCEEDED',
+              retryAfter: CONNECTION_COOLDOWN / 1000,
+              timestamp: new Date().toISOString()
+            });
+            socket.disconnect(true);
+            return;
+          }
+        }
+      
+        const code = isTokenExpired ? 'TOKEN_EXPIRED' : isTokenRevoked ? 'TOKEN_REVOKED' : isInvalidToken ? 'INVALID_TOKEN' : 'AUTH_ERROR';
+        metrics.authOutcomes.inc({ stage: 'connect', outcome: 'failure', code });
+        socket.emit('authentication_error', { 
+          message: isTokenExpired ? 'Token has expired. Please refresh your session or log in again.' : 
+                  isTokenRevoked ? 'Your session has been revoked. Please log in again.' :
+                  isInvalidToken ? 'Invalid token format. Please log in again.' : 'Authentication failed',
+          code,
+          timestamp: new Date().toISOString(),
+          action: isTokenExpired ? 'REFRESH_TOKEN' : 'RELOGIN',
+          retryAfter: isTokenExpired ? 2000 : 5000
+        });
+      
+        // For expired tokens, give time for refresh; for invalid tokens, disconnect immediately
+        if (isTokenExpired) {
+          setTimeout(() => {
+            if (!socket.authenticated) {
+              socket.disconnect(true);
+            }
+          }, 5000);
+        } else {
+          socket.disconnect(true);
+        }
+      }
+    } else {
+      // Check rate limit for connections without tokens
+      if (!(await checkConnectionRateLimit(clientIP))) {
+        logger.warn(`Connection rate limit exceeded for IP ${clientIP}, disconnecting socket ${socket.id}`);
+        metrics.authOutcomes.inc({ stage: 'connect', outcome: 'rate_limited', code: 'RATE_LIMIT_EXCEEDED' });
+        socket.emit('rate_limit_exceeded', {
+          message: 'Too many connection attempts. Please wait before reconnecting.',
+          code: 'RATE_LIMIT_EXCEEDED',
+          retryAfter: CONNECTION_COOLDOWN / 1000,
+          timestamp: new Date().toISOString()
+        });
+        socket.disconnect(true);
+        return;
+      }
+    
+      logger.info(`Socket ${socket.id} connected without auth token - allowing temporary connection`);
+      metrics.authOutcomes.inc({ stage: 'connect', outcome: 'missing', code: 'MISSING_TOKEN' });
+      socket.emit('authentication_required', { 
+        message: 'Authentication token required',
+        code: 'MISSING_TOKEN',
+        timestamp: new Date().toISOString(),
+        action: 'PROVIDE_TOKEN'
+      });
+      // Don't disconnect immediately - allow client to provide token
+      setTimeout(() => {
+        if (!socket.authenticated) {
+          socket.disconnect(true);
+        }
+      }, 10000); // Give 10 seconds to provide token
+    }
+  
+    socket.on('disconnect', bindContext(async (reason) => {
+      logger.info(`User disconnected: ${socket.id}`, { reason, authenticated: Boolean(socket.authenticated) });
+      clearTokenExpiry(socket);
+    
+      const clientIP = socket.ip;
+      if (!clientIP) {
+        return;
+      }
+    
+      try {
+        // Reduce count when socket disconnects (helps with legitimate reconnections)
+        await releaseAttempt(connectionAttemptsKey(clientIP));
+        // Also reduce expired token attempts if this was an expired token disconnect
+        if (isExpiredTokenAttempt) {
+          await releaseAttempt(expiredTokenAttemptsKey(clientIP));
+        }
+      } catch (error) {
+        logger.error(`Failed to release connection state for ${socket.id}`, error);
+      }
+    }));
+
+    socket.on('error', bindContext((err) => {
+      logger.error(`Socket error: ${socket.id}`, { error: err });
+      // Don't disconnect on socket errors - let the client handle reconnection
+    }));
+
+    socket.on('connect_error', bindContext((err) => {
+      logger.error(`connect_error for ${socket.id}`, { error: err });
+      // This is handled by the client-side connection logic
+    }));
+  
+    // Handle token refresh requests
+    socket.on('refresh_token', async (data) => {
+      const { token } = data;
+      if (!token) {
+        metrics.authOutcomes.inc({ stage: 'refresh', outcome: 'missing', code: 'MISSING_TOKEN' });
+        socket.emit('authentication_error', {
+          message: 'No token provided for refresh',
+          code: 'MISSING_TOKEN',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+    
+      try {
+        const user = await verifyToken(token);
+        if (user) {
+          const wasAuthenticated = socket.authenticated;
+          socket.userId = user.userId;
+          socket.logContext.userId = user.userId;
+          socket.userEmail = user.email;
+          socket.userRole = user.role;
+          socket.authenticated = true;
+          socket.authenticatedAt = new Date().toISOString();
+          socket.token = token;
+          socket.tokenJti = user.jti;
+          socket.tokenIssuedAt = user.iat;
+          scheduleTokenExpiry(socket, user.exp);
+        
+          logger.info(`Socket token refreshed: ${user.email} (${user.userId})`);
+          metrics.authOutcomes.inc({ stage: 'refresh', outcome: 'success', code: 'NONE' });
+        
+          const unreadNotifications = await getUnreadCount(user.userId).catch(error => {
+            logger.error(`Failed to count notifications for user ${user.userId}`, error);
+            return 0;
+          });
+        
+          // Fetch user's teams and tasks after token refresh
+          try {
+            const [teamIds, userTasks] = await Promise.all([
+              fetchUserTeams(user.userId, token),
+              fetchUserTasks(user.userId, token)
+            ]);
+            const sequences = await getTeamSequences(teamIds);
+          
+            socket.userTasks = userTasks;
+          
+            // Join the rooms of new teams and leave those the user was removed from
+            const { added, removed } = await applyTeams(socket, teamIds);
+            logger.debug(`Team rooms after refresh for ${user.email}: +[${added.join(', ')}] -[${removed.join(', ')}]`);
+
+            // Sockets that connected without a token, or whose token expired,
+            // are tracked now that their teams are known
+            if (!wasAuthenticated) {
+              await trackAuthenticatedSocket(socket);
+            }
+          
+            socket.emit('token_refreshed', {
+              success: true,
+              user: {
+                id: user.userId,
+                email: user.email,
+                role: user.role,
+                username: user.username
+              },
+              teams: teamIds,
+              tasks: userTasks,
+              sequences, // Latest event sequence per team, for sync_events after reconnect
+              unreadNotifications,
+              degraded: false,
+              timestamp: new Date().toISOString()
+            });
+          } catch (error) {
+            logger.error(`Failed to fetch user data after token refresh for user ${user.userId}`, error);
+          
+            // Keep any team rooms already joined and retry once the backend is back
+            socket.teamSyncPending = true;
+            if (!wasAuthenticated) {
+              await trackAuthenticatedSocket(socket);
+            }
+          
+            // Still emit token refreshed but without teams and tasks
+            socket.emit('token_refreshed', {
+              success: true,
+              user: {
+                id: user.userId,
+                email: user.email,
+                role: user.role,
+                username: user.username
+              },
+              teams: [],
+              tasks: [],
+              sequences: {},
+              unreadNotifications,
+              degraded: true, // Backend unreachable - teams will follow in teams_resynced
+              timestamp: new Date().toISOString()
+            });
+          }
+        } else {
+          metrics.authOutcomes.inc({ stage: 'refresh', outcome: 'failure', code: 'INVALID_REFRESH_TOKEN' });
+          socket.emit('authentication_error', {
+            message: 'Invalid refresh token',
+            code: 'INVALID_REFRESH_TOKEN',
+            timestamp: new Date().toISOString(),
+            action: 'RELOGIN'
+          });
+        }
+      } catch (error) {
+        logger.error(`Token refresh failed for ${socket.id}`, error);
+      
+        // Determine if it's a token expiration issue
+        const isTokenExpired = error.message.includes('expired') || error.message.includes('TokenExpiredError');
+      
+        const isTokenRevoked = error.name === 'TokenRevokedError';
+      
+        const code = isTokenExpired ? 'REFRESH_TOKEN_EXPIRED' : isTokenRevoked ? 'TOKEN_REVOKED' : 'REFRESH_FAILED';
+        metrics.authOutcomes.inc({ stage: 'refresh', outcome: 'failure', code });
+        socket.emit('authentication_error', {
+          message: isTokenExpired ? 'Refresh token has also expired. Please log in again.' :
+                  isTokenRevoked ? 'Your session has been revoked. Please log in again.' : 'Token refresh failed',
+          code,
+          timestamp: new Date().toISOString(),
+          action: 'RELOGIN'
+        });
+      }
+    });
+  
+    // Handle the connection
+    handleConnection(socket, io);
+    registerAdminHandlers(socket);
+  
+    // Send welcome message
+    socket.emit('connected', {
+      socketId: socket.id,
+      correlationId: socket.logContext.correlationId, // quote this when reporting problems
+      timestamp: socket.connectedAt,
+      message: 'Connected to Team Collaboration WebSocket Server'
+    });
+  }
+
+  /**
+   * Fetch a socket's teams again and join their rooms after a backend outage
+   * @param {Object} socket - Socket.IO socket instance
+   */
+  async function resyncTeamRooms(socket) {
+    const teamIds = await fetchUserTeams(socket.userId, socket.token);
+    const sequences = await getTeamSequences(teamIds);
+  
+    socket.teamSyncPending = false;
+    await applyTeams(socket, teamIds);
+  
+    socket.emit('teams_resynced', {
+      teams: teamIds,
+      sequences,
+      timestamp: new Date().toISOString()
+    });
+    logger.info(`Re-synced team rooms for ${socket.userEmail}: ${teamIds.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Re-sync every local socket whose team fetch failed during an outage
+   */
+  async function resyncPendingSockets() {
+    for (const socket of io.sockets.sockets.values()) {
+      if (!socket.authenticated || !socket.teamSyncPending || isBackendDegraded()) {
+        continue;
+      }
+      try {
+        await resyncTeamRooms(socket);
+      } catch (error) {
+        logger.warn(`Team re-sync failed for ${socket.userEmail}`, error);
+      }
+    }
+  }
+
+  // Tell clients when the backend goes down or recovers, and re-sync on recovery
+  stops.push(onBackendStatusChange((status) => {
+    io.emit('backend_status', {
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  
+    if (!status.degraded) {
+      resyncPendingSockets();
+    }
+  }));
+
+  // Also retry pending sockets periodically, for failures that never opened the circuit
+  const resyncTimer = setInterval(resyncPendingSockets, BACKEND_RESYNC_INTERVAL);
+  resyncTimer.unref();
+  stops.push(() => clearInterval(resyncTimer));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    logger.error('Server error', err);
+  
+    res.status(err.status || 500).json({
+      error: 'Internal Server Error',
+      message: NODE_ENV === 'development' ? err.message : 'Something went wrong',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `Route ${req.method} ${req.originalUrl} not found`,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Stop the app's timers, listeners and subscriptions, then close Socket.IO
+   * and the HTTP server. Another app can be created in the same process afterwards.
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    stops.forEach(stop => stop());
+    const unsubscribes = await Promise.all(subscriptions);
+    await Promise.all(unsubscribes.filter(Boolean).map(unsubscribe => unsubscribe()));
+    await new Promise(resolve => io.close(() => resolve()));
+  }
+
+  return { app, server, io, close };
+}
+
+module.exports = { createApp };
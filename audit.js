@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { createLogger, getCorrelationId } = require('./logger');
+
+const logger = createLogger({ module: 'audit' });
+
+// Audit log configuration
+const AUDIT_MEMORY_LIMIT = 10000; // entries kept by the memory sink
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+let auditSink = null;
+
+/**
+ * Digest an event payload so the log can prove what was sent without storing it
+ * @param {*} payload - Event payload
+ * @returns {string|null} - sha256:<hex> or null without a payload
+ */
+function digestPayload(payload) {
+  if (payload === undefined || payload === null) {
+    return null;
+  }
+  return `sha256:${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')}`;
+}
+
+/**
+ * Clamp a requested page size
+ * @param {number|string} limit - Requested page size
+ * @returns {number} - Page size between 1 and MAX_PAGE_SIZE
+ */
+function pageSize(limit) {
+  return Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Check an entry against query filters
+ * @param {Object} entry - Audit entry
+ * @param {Object} filters - { action, userId, teamId, projectId, taskId, since, until, before }
+ * @returns {boolean} - True if the entry matches every given filter
+ */
+function matches(entry, filters) {
+  const same = (value, wanted) => wanted === undefined || wanted === null || String(value) === String(wanted);
+  return same(entry.action, filters.action) &&
+    same(entry.actor?.userId, filters.userId) &&
+    same(entry.teamId, filters.teamId) &&
+    same(entry.projectId, filters.projectId) &&
+    same(entry.taskId, filters.taskId) &&
+    (!filters.since || entry.timestamp >= filters.since) &&
+    (!filters.until || entry.timestamp < filters.until) &&
+    (!filters.before || entry.id < filters.before);
+}
+
+/**
+ * Collect the newest matching entries from entries read oldest first
+ * @param {Object} filters - Query filters
+ * @param {number} limit - Page size
+ * @returns {Object} - { add(entry), result() }
+ */
+function createPageCollector(filters, limit) {
+  const newest = []; // up to limit + 1 matches, oldest first
+  return {
+    add(entry) {
+      if (matches(entry, filters)) {
+        newest.push(entry);
+        if (newest.length > limit + 1) {
+          newest.shift();
+        }
+      }
+    },
+    result() {
+      const hasMore = newest.length > limit;
+      const entries = newest.slice(-limit).reverse();
+      return {
+        entries,
+        hasMore,
+        nextBefore: hasMore ? entries[entries.length - 1].id : null
+      };
+    }
+  };
+}
+
+/**
+ * Create an audit sink kept in process memory (lost on restart)
+ * @returns {Object} - Audit sink
+ */
+function createMemoryAuditSink() {
+  const entries = [];
+  let nextId = 1;
+
+  return {
+    name: 'memory',
+
+    async append(entry) {
+      const stored = { id: nextId++, ...entry };
+      entries.push(stored);
+      if (entries.length > AUDIT_MEMORY_LIMIT) {
+        entries.shift();
+      }
+      return stored;
+    },
+
+    async query(filters = {}, { limit } = {}) {
+      const collector = createPageCollector(filters, pageSize(limit));
+      entries.forEach(entry => collector.add(entry));
+      return collector.result();
+    }
+  };
+}
+
+/**
+ * Create an audit sink that appends one JSON entry per line to a file
+ * Queries scan the file, so rotate it (and keep the old files) as it grows.
+ * @param {string} file - Path of the JSONL file
+ * @returns {Object} - Audit sink
+ */
+function createFileAuditSink(file) {
+  let nextId = null;
+  let writes = Promise.resolve();
+
+  // Call fn with each entry in the file, oldest first
+  async function readEntries(fn) {
+    let stream;
+    try {
+      await fs.promises.access(file);
+      stream = fs.createReadStream(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        fn(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping unreadable audit log line in ${file}`, error);
+      }
+    }
+  }
+
+  // Continue numbering after the last entry already in the file
+  async function loadNextId() {
+    let lastId = 0;
+    await readEntries(entry => {
+      lastId = Math.max(lastId, entry.id || 0);
+    });
+    return lastId + 1;
+  }
+
+  return {
+    name: 'file',
+
+    append(entry) {
+      // Serialize appends so ids are written in order
+      const write = writes.then(async () => {
+        if (nextId === null) {
+          await fs.promises.mkdir(path.dirname(file), { recursive: true });
+          nextId = await loadNextId();
+        }
+        const stored = { id: nextId++, ...entry };
+        await fs.promises.appendFile(file, `${JSON.stringify(stored)}\n`, 'utf8');
+        return stored;
+      });
+      writes = write.catch(() => {});
+      return write;
+    },
+
+    async query(filters = {}, { limit } = {}) {
+      await writes;
+      const collector = createPageCollector(filters, pageSize(limit));
+      await readEntries(entry => collector.add(entry));
+      return collector.result();
+    }
+  };
+}
+
+/**
+ * Create the audit sink selected by AUDIT_SINK
+ * @returns {Object} - Audit sink
+ */
+function createAuditSink() {
+  const sinkType = config.audit.sink;
+  switch (sinkType) {
+    case 'file':
+      return createFileAuditSink(config.audit.file);
+    case 'memory':
+      return createMemoryAuditSink();
+    default:
+      throw new Error(`Unknown AUDIT_SINK '${sinkType}' (expected 'file' or 'memory')`);
+  }
+}
+
+/**
+ * Get the process-wide audit sink, creating it on first use
+ * @returns {Object} - Audit sink
+ */
+function getAuditSink() {
+  if (!auditSink) {
+    auditSink = createAuditSink();
+  }
+  return auditSink;
+}
+
+/**
+ * Replace the process-wide audit sink (e.g. with a database or SIEM forwarder)
+ * A sink must implement append(entry) and query(filters, { limit }).
+ * @param {Object} sink - Audit sink
+ */
+function setAuditSink(sink) {
+  auditSink = sink;
+}
+
+/**
+ * Append an audit entry for a mutating or administrative action
+ * Never throws: a failed write is logged rather than failing the action.
+ * @param {Object} record - Entry fields
+ * @param {string} record.action - e.g. task_deleted, lock_overridden
+ * @param {Object} record.actor - { userId, userEmail, userRole } (a socket works too)
+ * @param {string} record.source - socket, ingest or admin
+ * @param {string} record.teamId - Team ID, if any
+ * @param {string} record.projectId - Project ID, if any
+ * @param {string} record.taskId - Task ID, if any
+ * @param {Object} record.payload - Broadcast payload (only its digest is stored)
+ * @param {Object} record.details - Small extra fields (e.g. changed field names)
+ * @returns {Promise<Object|null>} - Stored entry, or null if it could not be written
+ */
+async function recordAudit({ action, actor, source, teamId, projectId, taskId, payload, details }) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    action,
+    actor: {
+      userId: actor?.userId ?? null,
+      userEmail: actor?.userEmail ?? null,
+      role: actor?.userRole ?? actor?.role ?? null
+    },
+    source,
+    teamId: teamId ?? null,
+    projectId: projectId ?? null,
+    taskId: taskId ?? null,
+    digest: digestPayload(payload),
+    correlationId: getCorrelationId() || null,
+    ...(details && { details })
+  };
+
+  try {
+    return await getAuditSink().append(entry);
+  } catch (error) {
+    logger.error(`Failed to write audit entry for ${action}`, { error, entry });
+    return null;
+  }
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - { action, userId, teamId, projectId, taskId, since, until, before }
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { entries, hasMore, nextBefore }
+ */
+async function queryAudit(filters, options) {
+  return getAuditSink().query(filters, options);
+}
+
+module.exports = {
+  createMemoryAuditSink,
+  createFileAuditSink,
+  getAuditSink,
+  setAuditSink,
+  recordAudit,
+  queryAudit
+};
@@ -1,9 +1,106 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
+const { backendRequest } = require('./backendClient');
+const { createTtlCache, invalidate } = require('./cache');
+const { createLogger } = require('./logger');
+const { isJwksConfigured, getSigningKeys } = require('./jwks');
+const { getRevocation } = require('./revocation');
+const { getStateAdapter } = require('./stateAdapter');
+const { config } = require('./config');
+
+const logger = createLogger({ module: 'auth' });
 
 // JWT Configuration - must match FastAPI backend
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+// HS* tokens are checked against JWT_SECRET, asymmetric ones (RS256, ES256, ...)
+// against the public keys in JWKS_URL or JWKS_FILE
+const JWT_SECRET = config.jwt.secret;
+const JWT_ALGORITHMS = config.jwt.algorithms;
+const JWT_ISSUER = config.jwt.issuer; // checked against the iss claim when set
+const JWT_AUDIENCE = config.jwt.audience;
+
+// Server-to-server ingestion credentials (shared with the Python backend)
+const INGEST_HMAC_SECRET = config.ingest.hmacSecret;
+const INGEST_SERVICE_TOKEN = config.ingest.serviceToken;
+const INGEST_MAX_SKEW = config.ingest.maxSkewSeconds;
+const INGEST_NONCE_PATTERN = /^[A-Za-z0-9._:-]{16,128}$/; // e.g. a UUID
+
+const ingestNonceKey = (nonce) => `ingest_nonces:${nonce}`; // Counter of uses, kept while the nonce's timestamp is fresh
+const METRICS_TOKEN = config.metrics.token; // /metrics is open when unset
+
+// Team memberships are fetched on every connect and refresh, so cache them briefly
+const userTeamsCache = createTtlCache('userTeams', {
+  ttlMs: config.cache.userTeamsTtlMs,
+  maxEntries: config.cache.maxEntries
+});
+
+/**
+ * Check a token's signature, expiry, issuer and audience
+ * The token's alg must be one of JWT_ALGORITHM; asymmetric tokens are checked
+ * against the JWKS key named by their kid, or every matching key without one.
+ * @param {string} token - JWT without the Bearer prefix
+ * @returns {Promise<Object>} - Decoded payload
+ * @throws {Error} - jsonwebtoken errors, or JwksUnavailableError
+ */
+async function verifySignature(token) {
+  const complete = jwt.decode(token, { complete: true });
+  if (!complete) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { alg, kid } = complete.header;
+  if (!JWT_ALGORITHMS.includes(alg)) {
+    throw new jwt.JsonWebTokenError(`jwt algorithm ${alg} not allowed`);
+  }
+  const options = {
+    algorithms: [alg],
+    ...(JWT_ISSUER && { issuer: JWT_ISSUER }),
+    ...(JWT_AUDIENCE && { audience: JWT_AUDIENCE })
+  };
+
+  if (alg.startsWith('HS')) {
+    if (!JWT_SECRET) {
+      throw new jwt.JsonWebTokenError('no secret configured for HMAC tokens');
+    }
+    return jwt.verify(token, JWT_SECRET, options);
+  }
+
+  if (!isJwksConfigured()) {
+    throw new jwt.JsonWebTokenError('no JWKS configured for asymmetric tokens');
+  }
+  const keys = await getSigningKeys(complete.header);
+  if (keys.length === 0) {
+    throw new jwt.JsonWebTokenError(`no signing key found${kid ? ` for kid ${kid}` : ''}`);
+  }
+
+  // Without a kid, any published key may have signed the token
+  let signatureError;
+  for (const key of keys) {
+    try {
+      return jwt.verify(token, key, options);
+    } catch (error) {
+      if (error.message !== 'invalid signature') {
+        throw error;
+      }
+      signatureError = error;
+    }
+  }
+  throw signatureError;
+}
+
+/**
+ * Find the revocation covering a token, failing open if shared state is down
+ * (like the connection rate limiter) so an outage does not log everyone out
+ * @param {Object} decoded - Decoded token payload
+ * @returns {Promise<Object|null>} - Matching revocation or null
+ */
+async function findRevocation(decoded) {
+  try {
+    return await getRevocation({ jti: decoded.jti, userId: decoded.user_id, iat: decoded.iat });
+  } catch (error) {
+    logger.error('Failed to check token revocations', error);
+    return null;
+  }
+}
 
 /**
  * Verify JWT token and extract user information with improved error handling
@@ -14,21 +111,19 @@ const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
 async function verifyToken(token) {
   try {
     if (!token) {
-      console.log('No token provided');
+      logger.debug('No token provided');
       return null;
     }
     
     // Remove 'Bearer ' prefix if present
     const cleanToken = token.replace('Bearer ', '');
     
-    // Verify token with same secret as Python backend
-    const decoded = jwt.verify(cleanToken, JWT_SECRET, { 
-      algorithms: [JWT_ALGORITHM] 
-    });
+    // Verify token with the same secret or keys as the Python backend
+    const decoded = await verifySignature(cleanToken);
     
     // Validate token type - only accept access tokens
     if (decoded.type !== 'access') {
-      console.log('Invalid token type:', decoded.type);
+      logger.warn('Invalid token type', { type: decoded.type });
       const error = new Error('Invalid token type');
       error.name = 'InvalidTokenType';
       throw error;
@@ -36,17 +131,27 @@ async function verifyToken(token) {
     
     // Validate required fields
     if (!decoded.user_id || !decoded.email) {
-      console.log('Missing required token fields');
+      logger.warn('Missing required token fields');
       const error = new Error('Missing required token fields');
       error.name = 'MissingFields';
       throw error;
     }
     
+    // Reject tokens revoked by the backend (logout, deactivation, password reset)
+    const revocation = await findRevocation(decoded);
+    if (revocation) {
+      logger.info(`Rejected revoked token for ${decoded.email}`, { jti: decoded.jti });
+      const error = new Error('Token has been revoked');
+      error.name = 'TokenRevokedError';
+      error.reason = revocation.reason;
+      throw error;
+    }
+    
     // Check if token is close to expiration (within 5 minutes)
     const now = Math.floor(Date.now() / 1000);
     const timeUntilExpiry = decoded.exp - now;
     if (timeUntilExpiry < 300) { // 5 minutes
-      console.log(`Token for ${decoded.email} expires in ${timeUntilExpiry} seconds`);
+      logger.debug(`Token for ${decoded.email} expires in ${timeUntilExpiry} seconds`);
     }
     
     // Extract user information (matching FastAPI JWT payload structure)
@@ -56,6 +161,7 @@ async function verifyToken(token) {
       role: decoded.role || 'member', // Default to member if not specified
       exp: decoded.exp,
       iat: decoded.iat,
+      jti: decoded.jti,
       type: decoded.type, // Should be "access" for access tokens
       // Additional fields that might be in FastAPI JWT
       username: decoded.username || decoded.email,
@@ -65,22 +171,24 @@ async function verifyToken(token) {
   } catch (error) {
     // Handle specific JWT errors with more detailed logging and re-throw for better handling
     if (error.name === 'TokenExpiredError') {
-      console.log('Token has expired - user needs to refresh or re-login');
+      logger.info('Token has expired - user needs to refresh or re-login');
       const expiredError = new Error('Token has expired');
       expiredError.name = 'TokenExpiredError';
       throw expiredError;
     } else if (error.name === 'JsonWebTokenError') {
-      console.log('Invalid token format - malformed JWT');
+      logger.warn(`Invalid token - ${error.message}`);
       const invalidError = new Error('Invalid token format');
       invalidError.name = 'JsonWebTokenError';
       throw invalidError;
+    } else if (error.name === 'TokenRevokedError') {
+      throw error; // Logged where the revocation was found
     } else if (error.name === 'NotBeforeError') {
-      console.log('Token not active yet - check system time');
+      logger.warn('Token not active yet - check system time');
       const notBeforeError = new Error('Token not active yet');
       notBeforeError.name = 'NotBeforeError';
       throw notBeforeError;
     } else {
-      console.error('Token verification failed:', error.message);
+      logger.error('Token verification failed', error);
       throw error; // Re-throw to preserve error type
     }
   }
@@ -108,6 +216,7 @@ function authenticateToken(req, res, next) {
     .then(user => {
       if (user) {
         req.user = user;
+        req.token = token; // Forwarded on backend calls made for this request
         next();
       } else {
         res.status(403).json({ 
@@ -118,7 +227,7 @@ function authenticateToken(req, res, next) {
       }
     })
     .catch(error => {
-      console.error('Authentication error:', error.message);
+      logger.error('Authentication error', error);
       
       // Handle specific error types
       if (error.name === 'TokenExpiredError') {
@@ -128,6 +237,13 @@ function authenticateToken(req, res, next) {
           code: 'TOKEN_EXPIRED',
           action: 'REFRESH_TOKEN'
         });
+      } else if (error.name === 'TokenRevokedError') {
+        return res.status(401).json({ 
+          error: 'Token revoked',
+          message: 'Your session has been revoked. Please log in again.',
+          code: 'TOKEN_REVOKED',
+          action: 'RELOGIN'
+        });
       } else if (error.name === 'JsonWebTokenError') {
         return res.status(403).json({ 
           error: 'Invalid token',
@@ -171,64 +287,241 @@ function requireRole(requiredRole) {
 }
 
 /**
- * Fetch user's team memberships from Python backend
+ * Check if the authenticated user belongs to the team in req.params.teamId
+ * Admins may access any team. Must run after authenticateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+function requireTeamMember(req, res, next) {
+  if (req.user.role === 'admin') {
+    return next();
+  }
+
+  fetchUserTeams(req.user.userId, req.token)
+    .then(teamIds => {
+      if (!teamIds.some(teamId => String(teamId) === String(req.params.teamId))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'You are not a member of this team',
+          code: 'FORBIDDEN_TEAM'
+        });
+      }
+      req.teamIds = teamIds;
+      next();
+    })
+    .catch(error => {
+      logger.error('Team membership check failed', error);
+      res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to verify team membership',
+        code: 'BACKEND_UNAVAILABLE'
+      });
+    });
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Middleware to authenticate server-to-server calls from the Python backend
+ * Accepts either an HMAC signature or a shared service token:
+ * - X-Ingest-Timestamp: unix seconds,
+ *   X-Ingest-Nonce: a unique value per request (16-128 of A-Z a-z 0-9 . _ : -), and
+ *   X-Ingest-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>" with INGEST_HMAC_SECRET>
+ *   A nonce is accepted once; replays are rejected until its timestamp goes stale.
+ * - X-Service-Token: <INGEST_SERVICE_TOKEN>
+ * Requires req.rawBody to be captured by the JSON body parser.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+function authenticateService(req, res, next) {
+  if (!INGEST_HMAC_SECRET && !INGEST_SERVICE_TOKEN) {
+    return res.status(503).json({
+      error: 'Ingestion disabled',
+      message: 'Set INGEST_HMAC_SECRET or INGEST_SERVICE_TOKEN to enable backend ingestion',
+      code: 'INGEST_DISABLED'
+    });
+  }
+
+  const signature = req.headers['x-ingest-signature'];
+  const serviceToken = req.headers['x-service-token'];
+
+  if (signature && INGEST_HMAC_SECRET) {
+    const timestamp = parseInt(req.headers['x-ingest-timestamp']);
+    const nonce = req.headers['x-ingest-nonce'];
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!timestamp || Math.abs(now - timestamp) > INGEST_MAX_SKEW) {
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: 'Missing or stale X-Ingest-Timestamp header',
+        code: 'STALE_SIGNATURE'
+      });
+    }
+
+    if (!INGEST_NONCE_PATTERN.test(nonce || '')) {
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: 'Missing or malformed X-Ingest-Nonce header',
+        code: 'INVALID_NONCE'
+      });
+    }
+
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', INGEST_HMAC_SECRET)
+      .update(`${timestamp}.${nonce}.${req.rawBody || ''}`)
+      .digest('hex');
+
+    if (!safeEqual(signature, expected)) {
+      logger.warn(`Rejected ingestion request with bad signature from ${req.ip}`);
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: 'Request signature verification failed',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    // Remember the nonce for as long as its timestamp would pass the skew check
+    const freshForMs = (timestamp + INGEST_MAX_SKEW - now + 1) * 1000;
+    getStateAdapter().increment(ingestNonceKey(nonce), 1, freshForMs)
+      .then(uses => {
+        if (uses > 1) {
+          logger.warn(`Rejected replayed ingestion request from ${req.ip}`);
+          return res.status(401).json({
+            error: 'Invalid signature',
+            message: 'Request nonce has already been used',
+            code: 'REPLAYED_SIGNATURE'
+          });
+        }
+        req.service = { name: 'python-backend', method: 'hmac' };
+        next();
+      })
+      .catch(error => {
+        logger.error('Ingestion nonce check failed', error);
+        res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Unable to verify request nonce',
+          code: 'STATE_UNAVAILABLE'
+        });
+      });
+    return;
+  }
+
+  if (serviceToken && INGEST_SERVICE_TOKEN) {
+    if (!safeEqual(serviceToken, INGEST_SERVICE_TOKEN)) {
+      logger.warn(`Rejected ingestion request with bad service token from ${req.ip}`);
+      return res.status(401).json({
+        error: 'Invalid service token',
+        message: 'Service token verification failed',
+        code: 'INVALID_SERVICE_TOKEN'
+      });
+    }
+
+    req.service = { name: 'python-backend', method: 'token' };
+    return next();
+  }
+
+  return res.status(401).json({
+    error: 'Service authentication required',
+    message: 'Provide X-Ingest-Signature or X-Service-Token',
+    code: 'MISSING_SERVICE_CREDENTIALS'
+  });
+}
+
+/**
+ * Middleware to protect the metrics endpoint with a static bearer token
+ * Scrapers send Authorization: Bearer <METRICS_TOKEN>. Without METRICS_TOKEN
+ * the endpoint is open, so keep it off public networks.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+function authenticateMetrics(req, res, next) {
+  if (!METRICS_TOKEN) {
+    return next();
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token || !safeEqual(token, METRICS_TOKEN)) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'Valid metrics token required',
+      code: 'INVALID_METRICS_TOKEN'
+    });
+  }
+  next();
+}
+
+/**
+ * Fetch user's team memberships from Python backend (cached)
  * @param {number} userId - User ID
  * @param {string} token - JWT token for authentication
  * @returns {Array} - Array of team IDs user belongs to
+ * @throws {Error} - BackendUnavailableError if the backend can't be reached
  */
 async function fetchUserTeams(userId, token) {
+  const cached = userTeamsCache.get(userId);
+  if (cached !== undefined) {
+    return cached;
+  }
+
   try {
-    const pythonBackendUrl = process.env.PYTHON_BACKEND_URL;
-    if (!pythonBackendUrl) {
-        throw new Error('PYTHON_BACKEND_URL environment variable is required');
-    }
+    const response = await backendRequest('get', `/api/users/${userId}/teams`, { token, operation: 'fetchUserTeams' });
     
-    const response = await axios.get(`${pythonBackendUrl}/api/users/${userId}/teams`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 5000
-    });
-    
-    if (response.data && Array.isArray(response.data)) {
-      return response.data.map(team => team.id);
-    }
-    
-    return [];
+    const teamIds = response.data && Array.isArray(response.data)
+      ? response.data.map(team => team.id)
+      : [];
+    userTeamsCache.set(userId, teamIds);
+    return teamIds;
   } catch (error) {
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      console.warn(`Python backend not available at ${pythonBackendUrl} - teams will be empty`);
+    if (error.code === 'BACKEND_UNAVAILABLE') {
+      // Let callers tell "no teams" apart from "couldn't ask"
+      logger.warn(`Cannot fetch teams for user ${userId}: ${error.message}`);
+      throw error;
     } else if (error.response?.status === 404) {
-      console.warn(`User ${userId} not found in Python backend - teams will be empty`);
+      logger.warn(`User ${userId} not found in Python backend - teams will be empty`);
     } else if (error.response?.status === 403) {
-      console.warn(`User ${userId} not authorized to view teams - teams will be empty`);
+      logger.warn(`User ${userId} not authorized to view teams - teams will be empty`);
     } else {
-      console.error(`Failed to fetch teams for user ${userId}:`, error.message);
+      logger.error(`Failed to fetch teams for user ${userId}`, error);
     }
     return [];
   }
 }
 
+/**
+ * Forget a user's cached team memberships (e.g. after they joined or left a team)
+ * @param {number} userId - User ID
+ */
+async function invalidateUserTeams(userId) {
+  await invalidate('userTeams', userId);
+}
+
 /**
  * Fetch user's tasks from Python backend
  * @param {number} userId - User ID
  * @param {string} token - JWT token for authentication
  * @returns {Array} - Array of user's tasks
+ * @throws {Error} - BackendUnavailableError if the backend can't be reached
  */
 async function fetchUserTasks(userId, token) {
   try {
-    const pythonBackendUrl = process.env.PYTHON_BACKEND_URL;
-    if (!pythonBackendUrl) {
-        throw new Error('PYTHON_BACKEND_URL environment variable is required');
-    }
-    
-    const response = await axios.get(`${pythonBackendUrl}/api/tasks?assigned_to=${userId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 5000
+    const response = await backendRequest('get', '/api/tasks', {
+      token,
+      params: { assigned_to: userId },
+      operation: 'fetchUserTasks'
     });
     
     if (response.data && Array.isArray(response.data)) {
@@ -237,14 +530,15 @@ async function fetchUserTasks(userId, token) {
     
     return [];
   } catch (error) {
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      console.warn(`Python backend not available at ${pythonBackendUrl} - tasks will be empty`);
+    if (error.code === 'BACKEND_UNAVAILABLE') {
+      logger.warn(`Cannot fetch tasks for user ${userId}: ${error.message}`);
+      throw error;
     } else if (error.response?.status === 404) {
-      console.warn(`No tasks found for user ${userId} - tasks will be empty`);
+      logger.warn(`No tasks found for user ${userId} - tasks will be empty`);
     } else if (error.response?.status === 403) {
-      console.warn(`User ${userId} not authorized to view tasks - tasks will be empty`);
+      logger.warn(`User ${userId} not authorized to view tasks - tasks will be empty`);
     } else {
-      console.error(`Failed to fetch tasks for user ${userId}:`, error.message);
+      logger.error(`Failed to fetch tasks for user ${userId}`, error);
     }
     return [];
   }
@@ -254,6 +548,10 @@ module.exports = {
   verifyToken, 
   authenticateToken, 
   requireRole,
+  requireTeamMember,
+  authenticateService,
+  authenticateMetrics,
   fetchUserTeams,
+  invalidateUserTeams,
   fetchUserTasks
 };
@@ -0,0 +1,297 @@
+const axios = require('axios');
+const { EventEmitter } = require('events');
+const { backendRequestDuration, backendFailures } = require('./metrics');
+const { getCorrelationId, createLogger } = require('./logger');
+const { config } = require('./config');
+
+const logger = createLogger({ module: 'backend' });
+
+// Backend client configuration
+const BACKEND_TIMEOUT = config.backend.timeoutMs;
+const BACKEND_RETRIES = config.backend.retries; // retries after the first attempt
+const BACKEND_RETRY_BASE_DELAY = config.backend.retryBaseMs; // doubled per retry
+const CIRCUIT_FAILURE_THRESHOLD = config.backend.circuitThreshold; // consecutive failures
+const CIRCUIT_RESET_TIMEOUT = config.backend.circuitResetMs; // before probing again
+const BACKEND_HEALTH_PATH = config.backend.healthPath;
+
+// Requests that are safe to send twice; others are only retried when they never reached the backend
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Circuit breaker state: closed (normal), open (failing fast), half_open (probing)
+const circuit = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  lastError: null
+};
+const statusEvents = new EventEmitter();
+let probeTimer = null;
+let trialInFlight = false; // while half_open, only one request (or the probe) tries the backend
+
+/**
+ * Build the error thrown when the backend cannot be reached
+ * @param {string} message - Error message
+ * @param {Error} cause - Underlying error, if any
+ * @returns {Error} - Error with name BackendUnavailableError and code BACKEND_UNAVAILABLE
+ */
+function backendUnavailableError(message, cause) {
+  const error = new Error(message);
+  error.name = 'BackendUnavailableError';
+  error.code = 'BACKEND_UNAVAILABLE';
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Decide whether a failed request says anything about backend availability
+ * (4xx responses mean the backend is up and answered)
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for network errors, timeouts, 5xx and 429
+ */
+function isAvailabilityFailure(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+/**
+ * Decide whether a failed request may be sent again
+ * @param {string} method - HTTP method
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for idempotent methods, or any method that failed to connect
+ */
+function isRetryable(method, error) {
+  return IDEMPOTENT_METHODS.includes(method.toUpperCase()) || CONNECT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Get the Python backend base URL
+ * @returns {string} - Base URL
+ */
+function getBackendUrl() {
+  const pythonBackendUrl = config.backend.url;
+  if (!pythonBackendUrl) {
+    throw new Error('PYTHON_BACKEND_URL environment variable is required');
+  }
+  return pythonBackendUrl;
+}
+
+/**
+ * Record a request that reached the backend, closing the circuit
+ */
+function recordSuccess() {
+  const wasDegraded = circuit.state !== 'closed';
+  circuit.state = 'closed';
+  circuit.consecutiveFailures = 0;
+  circuit.openedAt = null;
+  circuit.lastError = null;
+
+  if (wasDegraded) {
+    logger.info('Python backend recovered - circuit closed');
+    statusEvents.emit('change', getBackendStatus());
+  }
+}
+
+/**
+ * Record a request that could not reach the backend, opening the circuit
+ * once the failure threshold is hit
+ * @param {Error} error - Last error
+ */
+function recordFailure(error) {
+  circuit.consecutiveFailures++;
+  circuit.lastError = error.message;
+
+  const shouldOpen = circuit.state === 'half_open' ||
+    circuit.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD;
+
+  if (shouldOpen) {
+    const wasClosed = circuit.state === 'closed';
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    scheduleProbe();
+
+    if (wasClosed) {
+      logger.warn(`Python backend unavailable after ${circuit.consecutiveFailures} failures - circuit open`);
+      statusEvents.emit('change', getBackendStatus());
+    }
+  }
+}
+
+/**
+ * Probe the backend once the reset timeout passes so recovery is noticed
+ * even when no client traffic arrives
+ */
+function scheduleProbe() {
+  if (probeTimer) {
+    clearTimeout(probeTimer);
+  }
+  probeTimer = setTimeout(async () => {
+    probeTimer = null;
+    // A trial request already in flight will close or reopen the circuit
+    if (circuit.state === 'closed' || trialInFlight) {
+      return;
+    }
+    circuit.state = 'half_open';
+    trialInFlight = true;
+    try {
+      await axios.get(`${getBackendUrl()}${BACKEND_HEALTH_PATH}`, {
+        timeout: BACKEND_TIMEOUT,
+        validateStatus: status => status < 500
+      });
+      recordSuccess();
+    } catch (error) {
+      recordFailure(error);
+    } finally {
+      trialInFlight = false;
+    }
+  }, CIRCUIT_RESET_TIMEOUT);
+  probeTimer.unref();
+}
+
+/**
+ * Make a request to the Python backend with timeout, retries and circuit breaking
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to PYTHON_BACKEND_URL (e.g. /api/tasks)
+ * @param {Object} options - Options
+ * @param {string} options.token - JWT to forward as a Bearer token
+ * @param {Object} options.params - Query string parameters
+ * @param {Object} options.data - Request body
+ * @param {string} options.operation - Name recorded in metrics (e.g. fetchUserTeams)
+ * @returns {Promise<Object>} - Axios response
+ * @throws {Error} - BackendUnavailableError when the backend can't be reached,
+ *                   or the axios error for 4xx responses
+ */
+async function backendRequest(method, path, { token, params, data, operation = 'other' } = {}) {
+  const endTimer = backendRequestDuration.startTimer();
+  try {
+    const response = await sendRequest(method, path, { token, params, data });
+    endTimer({ operation, outcome: 'success' });
+    return response;
+  } catch (error) {
+    const code = error.code === 'BACKEND_UNAVAILABLE' ? error.code : `HTTP_${error.response?.status || 'ERROR'}`;
+    endTimer({ operation, outcome: error.code === 'BACKEND_UNAVAILABLE' ? 'unavailable' : 'error' });
+    backendFailures.inc({ operation, code });
+    throw error;
+  }
+}
+
+/**
+ * Send a request, retrying and tracking the circuit (see backendRequest)
+ * Once the reset timeout has passed, the first request through an open
+ * circuit is sent as a single trial; the others fail fast until it settles.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to PYTHON_BACKEND_URL
+ * @param {Object} options - { token, params, data }
+ * @returns {Promise<Object>} - Axios response
+ */
+async function sendRequest(method, path, { token, params, data }) {
+  if (circuit.state !== 'closed') {
+    if (trialInFlight) {
+      throw backendUnavailableError('Python backend circuit is half-open, waiting on a trial request');
+    }
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt < CIRCUIT_RESET_TIMEOUT) {
+      throw backendUnavailableError('Python backend circuit is open');
+    }
+    circuit.state = 'half_open';
+    trialInFlight = true;
+    try {
+      return await attemptRequest(method, path, { token, params, data }, 0);
+    } finally {
+      trialInFlight = false;
+    }
+  }
+
+  return attemptRequest(method, path, { token, params, data }, BACKEND_RETRIES);
+}
+
+/**
+ * Send a request, retrying failures that may be retried, and record the outcome on the circuit
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to PYTHON_BACKEND_URL
+ * @param {Object} options - { token, params, data }
+ * @param {number} retries - Retries allowed after the first attempt
+ * @returns {Promise<Object>} - Axios response
+ */
+async function attemptRequest(method, path, { token, params, data }, retries) {
+  const pythonBackendUrl = getBackendUrl();
+  const correlationId = getCorrelationId();
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, BACKEND_RETRY_BASE_DELAY * 2 ** (attempt - 1)));
+    }
+
+    try {
+      const response = await axios.request({
+        method,
+        url: `${pythonBackendUrl}${path}`,
+        params,
+        data,
+        headers: {
+          ...(token && { 'Authorization': `Bearer ${token}` }),
+          // Lets backend logs be matched with the request or socket that caused the call
+          ...(correlationId && { 'X-Request-Id': correlationId }),
+          'Content-Type': 'application/json'
+        },
+        timeout: BACKEND_TIMEOUT
+      });
+      recordSuccess();
+      return response;
+    } catch (error) {
+      if (!isAvailabilityFailure(error)) {
+        // The backend answered - no point retrying a 4xx
+        recordSuccess();
+        throw error;
+      }
+      lastError = error;
+
+      // A request the backend may have acted on is only sent again if that is harmless
+      if (!isRetryable(method, error)) {
+        break;
+      }
+    }
+  }
+
+  recordFailure(lastError);
+  throw backendUnavailableError(`Python backend unavailable at ${pythonBackendUrl}: ${lastError.message}`, lastError);
+}
+
+/**
+ * Check whether the backend is currently considered down
+ * @returns {boolean} - True while the circuit is not closed
+ */
+function isBackendDegraded() {
+  return circuit.state !== 'closed';
+}
+
+/**
+ * Get the backend client status (for /health and client notifications)
+ * @returns {Object} - Circuit state summary
+ */
+function getBackendStatus() {
+  return {
+    degraded: isBackendDegraded(),
+    circuit: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+    openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    lastError: circuit.lastError
+  };
+}
+
+/**
+ * Subscribe to degraded/recovered transitions
+ * @param {Function} listener - Called with getBackendStatus() on each transition
+ * @returns {Function} - Unsubscribes the listener
+ */
+function onBackendStatusChange(listener) {
+  statusEvents.on('change', listener);
+  return () => statusEvents.off('change', listener);
+}
+
+module.exports = {
+  backendRequest,
+  isBackendDegraded,
+  getBackendStatus,
+  onBackendStatusChange
+};
@@ -0,0 +1,132 @@
+const { getStateAdapter } = require('./stateAdapter');
+
+// Channel used to drop cache entries on every server instance
+const INVALIDATION_CHANNEL = 'cache_invalidate';
+
+const caches = new Map(); // name -> cache
+
+/**
+ * Create a bounded LRU cache whose entries expire after a TTL
+ * @param {string} name - Cache name (used for stats and invalidation)
+ * @param {Object} options - Options
+ * @param {number} options.ttlMs - Entry lifetime in milliseconds
+ * @param {number} options.maxEntries - Maximum number of entries kept
+ * @returns {Object} - Cache with get, set, delete, clear and stats
+ */
+function createTtlCache(name, { ttlMs, maxEntries }) {
+  const entries = new Map(); // key -> { value, expiresAt }, oldest first
+  const counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+  const cache = {
+    name,
+
+    get(key) {
+      const entry = entries.get(String(key));
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) {
+          entries.delete(String(key));
+        }
+        counters.misses++;
+        return undefined;
+      }
+
+      // Re-insert to mark as most recently used
+      entries.delete(String(key));
+      entries.set(String(key), entry);
+      counters.hits++;
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(String(key));
+      entries.set(String(key), { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions++;
+      }
+    },
+
+    delete(key) {
+      if (entries.delete(String(key))) {
+        counters.invalidations++;
+      }
+    },
+
+    clear() {
+      counters.invalidations += entries.size;
+      entries.clear();
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        ...counters,
+        size: entries.size,
+        maxEntries,
+        ttlMs,
+        hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : 0
+      };
+    }
+  };
+
+  caches.set(name, cache);
+  return cache;
+}
+
+/**
+ * Drop a cache entry on this and every other server instance
+ * @param {string} name - Cache name
+ * @param {string|number} key - Entry key (omit to clear the whole cache)
+ */
+async function invalidate(name, key) {
+  const cache = caches.get(name);
+  if (!cache) {
+    throw new Error(`Unknown cache '${name}'`);
+  }
+
+  if (key === undefined) {
+    cache.clear();
+  } else {
+    cache.delete(key);
+  }
+
+  await getStateAdapter().publish(INVALIDATION_CHANNEL, { name, key: key === undefined ? null : key });
+}
+
+/**
+ * Apply invalidations published by other instances to local caches
+ * @returns {Promise<Function>} - async () => void, stops applying them
+ */
+async function bindInvalidation() {
+  return getStateAdapter().subscribe(INVALIDATION_CHANNEL, ({ name, key }) => {
+    const cache = caches.get(name);
+    if (!cache) {
+      return;
+    }
+    if (key === null) {
+      cache.clear();
+    } else {
+      cache.delete(key);
+    }
+  });
+}
+
+/**
+ * Get hit/miss counters for every cache
+ * @returns {Object} - Map of cache name to stats
+ */
+function getCacheStats() {
+  const stats = {};
+  caches.forEach((cache, name) => {
+    stats[name] = cache.stats();
+  });
+  return stats;
+}
+
+module.exports = {
+  createTtlCache,
+  invalidate,
+  bindInvalidation,
+  getCacheStats
+};
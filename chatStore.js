@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const { getStateAdapter } = require('./stateAdapter');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'chat' });
+
+// Chat storage configuration
+const CHAT_HISTORY_LIMIT = config.chat.historyLimit; // messages kept per channel
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// A channel is one message thread: a project's chat or a task's comments
+const projectChannel = (projectId) => `project:${projectId}`;
+const taskChannel = (taskId) => `task:${taskId}`;
+
+let chatStore = null;
+
+/**
+ * Clamp a requested page size
+ * @param {number|string} limit - Requested page size
+ * @returns {number} - Page size between 1 and MAX_PAGE_SIZE
+ */
+function pageSize(limit) {
+  return Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Take one page of history from messages sorted oldest first
+ * @param {Array} messages - Messages sorted by id ascending
+ * @param {Object} options - { before, limit }
+ * @returns {Object} - { messages (oldest first), hasMore, nextBefore }
+ */
+function paginate(messages, { before, limit } = {}) {
+  const cursor = parseInt(before) || Infinity;
+  const size = pageSize(limit);
+  const older = messages.filter(message => message.id < cursor);
+  const page = older.slice(-size);
+
+  return {
+    messages: page,
+    hasMore: older.length > size,
+    nextBefore: older.length > size ? page[0].id : null
+  };
+}
+
+/**
+ * Create a chat store that keeps each channel's history as an array
+ * @param {string} name - Store name (for /health)
+ * @param {Function} load - async (channel) => stored messages, called once per channel
+ * @param {Function} save - async (channel, messages) => void, called after each change
+ * @returns {Object} - Chat store
+ */
+function createArrayStore(name, load, save) {
+  const channels = new Map(); // channel -> { messages, nextId }
+  const writes = new Map(); // channel -> Promise of the last queued save
+
+  async function getChannel(channel) {
+    const key = String(channel);
+    if (!channels.has(key)) {
+      const messages = await load(key);
+      // Another call may have loaded it while we were waiting
+      if (!channels.has(key)) {
+        const lastId = messages.length > 0 ? messages[messages.length - 1].id : 0;
+        channels.set(key, { messages, nextId: lastId + 1 });
+      }
+    }
+    return channels.get(key);
+  }
+
+  function persist(channel, thread) {
+    const key = String(channel);
+    // Serialize saves per channel so an older snapshot never overwrites a newer one
+    const write = (writes.get(key) || Promise.resolve())
+      .then(() => save(key, thread.messages))
+      .catch(error => logger.error(`Failed to save chat history for channel ${key}`, error));
+    writes.set(key, write);
+    return write;
+  }
+
+  return {
+    name,
+
+    async addMessage(channel, message) {
+      const thread = await getChannel(channel);
+      const stored = { ...message, id: thread.nextId++ };
+      thread.messages.push(stored);
+      if (thread.messages.length > CHAT_HISTORY_LIMIT) {
+        thread.messages.splice(0, thread.messages.length - CHAT_HISTORY_LIMIT);
+      }
+      await persist(channel, thread);
+      return stored;
+    },
+
+    async getMessage(channel, messageId) {
+      const thread = await getChannel(channel);
+      return thread.messages.find(message => message.id === Number(messageId)) || null;
+    },
+
+    async updateMessage(channel, messageId, changes) {
+      const thread = await getChannel(channel);
+      const index = thread.messages.findIndex(message => message.id === Number(messageId));
+      if (index === -1) {
+        return null;
+      }
+      thread.messages[index] = { ...thread.messages[index], ...changes };
+      await persist(channel, thread);
+      return thread.messages[index];
+    },
+
+    async listMessages(channel, options) {
+      const thread = await getChannel(channel);
+      return paginate(thread.messages, options);
+    }
+  };
+}
+
+/**
+ * Create an in-memory chat store (history is lost on restart)
+ * @returns {Object} - Chat store
+ */
+function createMemoryChatStore() {
+  return createArrayStore('memory', async () => [], async () => {});
+}
+
+/**
+ * Create a chat store that persists each channel's history to a JSON file
+ * Single instance only - instances do not see each other's writes.
+ * @param {string} directory - Directory for the history files
+ * @returns {Object} - Chat store
+ */
+function createFileChatStore(directory) {
+  const fileFor = (channel) => path.join(directory, `${encodeURIComponent(channel)}.json`);
+
+  return createArrayStore('file',
+    async (channel) => {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(channel), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+    },
+    async (channel, messages) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      // Write then rename so a crash never leaves a half-written file
+      const tmpFile = `${fileFor(channel)}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(messages));
+      await fs.promises.rename(tmpFile, fileFor(channel));
+    }
+  );
+}
+
+/**
+ * Create a chat store on top of the shared state adapter
+ * Use with STATE_ADAPTER=redis so every instance shares history.
+ * @returns {Object} - Chat store
+ */
+function createStateChatStore() {
+  const messagesKey = (channel) => `chat:${channel}`; // Hash of messageId -> message
+  const seqKey = (channel) => `chat_seq:${channel}`; // Counter used for message IDs
+
+  return {
+    name: 'state',
+
+    async addMessage(channel, message) {
+      const adapter = getStateAdapter();
+      const id = await adapter.increment(seqKey(channel));
+      const stored = { ...message, id };
+      await adapter.hashSet(messagesKey(channel), id, stored);
+      if (id > CHAT_HISTORY_LIMIT) {
+        await adapter.hashDelete(messagesKey(channel), id - CHAT_HISTORY_LIMIT);
+      }
+      return stored;
+    },
+
+    async getMessage(channel, messageId) {
+      return getStateAdapter().hashGet(messagesKey(channel), messageId);
+    },
+
+    async updateMessage(channel, messageId, changes) {
+      const adapter = getStateAdapter();
+      const existing = await adapter.hashGet(messagesKey(channel), messageId);
+      if (!existing) {
+        return null;
+      }
+      const updated = { ...existing, ...changes };
+      await adapter.hashSet(messagesKey(channel), messageId, updated);
+      return updated;
+    },
+
+    async listMessages(channel, options) {
+      const messages = Object.values(await getStateAdapter().hashGetAll(messagesKey(channel)))
+        .sort((a, b) => a.id - b.id);
+      return paginate(messages, options);
+    }
+  };
+}
+
+/**
+ * Create the chat store selected by CHAT_STORE
+ * @returns {Object} - Chat store
+ */
+function createChatStore() {
+  const storeType = config.chat.store;
+
+  switch (storeType) {
+    case 'memory':
+      return createMemoryChatStore();
+    case 'file':
+      return createFileChatStore(config.chat.dir);
+    case 'state':
+      return createStateChatStore();
+    default:
+      throw new Error(`Unknown CHAT_STORE '${storeType}' (expected 'memory', 'file' or 'state')`);
+  }
+}
+
+/**
+ * Get the process-wide chat store, creating it on first use
+ * @returns {Object} - Chat store
+ */
+function getChatStore() {
+  if (!chatStore) {
+    chatStore = createChatStore();
+  }
+  return chatStore;
+}
+
+/**
+ * Replace the process-wide chat store (e.g. with a database-backed one)
+ * A store must implement addMessage, getMessage, updateMessage and listMessages.
+ * @param {Object} store - Chat store
+ */
+function setChatStore(store) {
+  chatStore = store;
+}
+
+module.exports = {
+  projectChannel,
+  taskChannel,
+  createMemoryChatStore,
+  createFileChatStore,
+  createStateChatStore,
+  getChatStore,
+  setChatStore
+};
@@ -1,52 +1,448 @@
 // Configuration file for the WebSocket server
-module.exports = {
+//
+// Every setting is declared once in SCHEMA with its environment variable, type
+// and default. Values come from the environment (and .env), then the overlay
+// for NODE_ENV, then the default. Invalid values and unsafe production
+// settings stop the server at startup with a list of every problem found.
+
+const path = require('path');
+
+// Load environment variables before anything reads them
+require('dotenv').config();
+
+const DEV_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+
+// Example values from this repo's docs that must never reach production
+const PLACEHOLDER_SECRETS = new Set([
+  DEV_JWT_SECRET,
+  'your-secret-key-here',
+  'your-jwt-secret-key-here',
+  'your-fastapi-jwt-secret-here'
+]);
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+/**
+ * Schema of every setting
+ * A leaf is { env, type, default } plus optional min, max, values (for enum)
+ * and secret (redacted by GET /config). Leaves without env are fixed.
+ * Types: string, integer, number, boolean, list (comma-separated), enum, json.
+ */
+const SCHEMA = {
   // Server configuration
   server: {
-    port: process.env.PORT || 3001,
-    environment: process.env.NODE_ENV || 'development',
-    host: process.env.HOST || '0.0.0.0'
+    port: { env: 'PORT', type: 'integer', default: 3001, min: 1, max: 65535 },
+    environment: { env: 'NODE_ENV', type: 'string', default: 'development' },
+    host: { env: 'HOST', type: 'string', default: '0.0.0.0' }
   },
 
   // CORS configuration
   cors: {
-    origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Authorization', 'Content-Type', 'X-Requested-With']
+    origin: {
+      env: 'CORS_ORIGIN',
+      type: 'list',
+      default: [
+        'http://localhost:3000',
+        'https://teamapp-frontend-react.vercel.app',
+        'https://teamapp-frontend-react-4q6ea3ipa-haroons-projects-41fe01b2.vercel.app'
+      ]
+    },
+    credentials: { default: true },
+    methods: { default: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'] },
+    allowedHeaders: { default: ['Authorization', 'Content-Type', 'X-Requested-With'] }
   },
 
   // JWT configuration (must match FastAPI backend)
   jwt: {
-    secret: process.env.JWT_SECRET || 'your-secret-key-here',
-    algorithm: process.env.JWT_ALGORITHM || 'HS256',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    secret: { env: 'JWT_SECRET', type: 'string', default: null, secret: true },
+    algorithms: { env: 'JWT_ALGORITHM', type: 'list', default: ['HS256'] },
+    issuer: { env: 'JWT_ISSUER', type: 'string', default: null },
+    audience: { env: 'JWT_AUDIENCE', type: 'list', default: null }
+  },
+
+  // Public keys for asymmetrically signed tokens
+  jwks: {
+    url: { env: 'JWKS_URL', type: 'string', default: null },
+    file: { env: 'JWKS_FILE', type: 'string', default: null },
+    refreshIntervalMs: { env: 'JWKS_REFRESH_INTERVAL_MS', type: 'integer', default: 10 * 60 * 1000, min: 1000 },
+    minRefreshIntervalMs: { env: 'JWKS_MIN_REFRESH_INTERVAL_MS', type: 'integer', default: 30 * 1000, min: 0 },
+    timeoutMs: { env: 'JWKS_TIMEOUT_MS', type: 'integer', default: 5000, min: 1 }
+  },
+
+  // Token revocation and expiry
+  session: {
+    expiryWarningSeconds: { env: 'TOKEN_EXPIRY_WARNING_SECONDS', type: 'integer', default: 300, min: 0 },
+    expiredGraceMs: { env: 'EXPIRED_SESSION_GRACE_MS', type: 'integer', default: 30000, min: 0 },
+    revokedTokenTtlSeconds: { env: 'REVOKED_TOKEN_TTL_SECONDS', type: 'integer', default: 24 * 60 * 60, min: 1 }
   },
 
   // Socket.IO configuration
   socketio: {
-    transports: ['websocket', 'polling'],
-    pingTimeout: 60000,
-    pingInterval: 25000,
-    maxHttpBufferSize: 1e6, // 1MB
-    allowEIO3: true
+    transports: { default: ['websocket', 'polling'] },
+    pingTimeout: { env: 'SOCKET_PING_TIMEOUT', type: 'integer', default: 60000, min: 1000 },
+    pingInterval: { env: 'SOCKET_PING_INTERVAL', type: 'integer', default: 25000, min: 1000 },
+    maxHttpBufferSize: { env: 'SOCKET_MAX_HTTP_BUFFER_SIZE', type: 'integer', default: 1e6, min: 1024 }, // 1MB
+    allowEIO3: { default: true }
+  },
+
+  // Python backend client
+  backend: {
+    url: { env: 'PYTHON_BACKEND_URL', type: 'string', default: null },
+    timeoutMs: { env: 'BACKEND_TIMEOUT_MS', type: 'integer', default: 5000, min: 1 },
+    retries: { env: 'BACKEND_RETRIES', type: 'integer', default: 2, min: 0 }, // retries after the first attempt
+    retryBaseMs: { env: 'BACKEND_RETRY_BASE_MS', type: 'integer', default: 200, min: 0 }, // doubled per retry
+    circuitThreshold: { env: 'BACKEND_CIRCUIT_THRESHOLD', type: 'integer', default: 5, min: 1 }, // consecutive failures
+    circuitResetMs: { env: 'BACKEND_CIRCUIT_RESET_MS', type: 'integer', default: 30000, min: 1 }, // before probing again
+    healthPath: { env: 'BACKEND_HEALTH_PATH', type: 'string', default: '/health' }
+  },
+
+  // Server-to-server ingestion credentials (shared with the Python backend)
+  ingest: {
+    hmacSecret: { env: 'INGEST_HMAC_SECRET', type: 'string', default: null, secret: true },
+    serviceToken: { env: 'INGEST_SERVICE_TOKEN', type: 'string', default: null, secret: true },
+    maxSkewSeconds: { env: 'INGEST_MAX_SKEW_SECONDS', type: 'integer', default: 300, min: 1 } // 5 minutes
+  },
+
+  // Prometheus metrics (/metrics is open when no token is set)
+  metrics: {
+    token: { env: 'METRICS_TOKEN', type: 'string', default: null, secret: true }
   },
 
   // Logging configuration
   logging: {
-    level: process.env.LOG_LEVEL || 'info',
-    format: process.env.LOG_FORMAT || 'combined'
+    level: { env: 'LOG_LEVEL', type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info' },
+    format: { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'pretty' },
+    redactPii: { env: 'LOG_REDACT_PII', type: 'boolean', default: false } // mask email addresses
+  },
+
+  // Shared state across instances
+  state: {
+    adapter: { env: 'STATE_ADAPTER', type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+    redisUrl: { env: 'REDIS_URL', type: 'string', default: null, secret: true }, // may carry a password
+    keyPrefix: { env: 'STATE_KEY_PREFIX', type: 'string', default: 'teamapp:' }
   },
 
-  // Rate limiting (if needed in future)
+  // Instance leases (shared entries of an instance that stops heartbeating are cleaned up)
+  instances: {
+    heartbeatMs: { env: 'INSTANCE_HEARTBEAT_MS', type: 'integer', default: 10000, min: 1000 }, // 10 seconds
+    leaseMs: { env: 'INSTANCE_LEASE_MS', type: 'integer', default: 30000, min: 1000 } // 30 seconds
+  },
+
+  // Lookup caches
+  cache: {
+    maxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', default: 1000, min: 1 },
+    userTeamsTtlMs: { env: 'USER_TEAMS_CACHE_TTL_MS', type: 'integer', default: 60 * 1000, min: 0 }, // 1 minute
+    projectTeamTtlMs: { env: 'PROJECT_TEAM_CACHE_TTL_MS', type: 'integer', default: 5 * 60 * 1000, min: 0 }, // 5 minutes
+    teamMembersTtlMs: { env: 'TEAM_MEMBERS_CACHE_TTL_MS', type: 'integer', default: 5 * 60 * 1000, min: 0 } // 5 minutes
+  },
+
+  // Connection rate limiting (per IP, shared across instances)
   rateLimit: {
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    windowMs: { env: 'CONNECTION_WINDOW_MS', type: 'integer', default: 60000, min: 1000 }, // 1 minute
+    maxConnections: { env: 'MAX_CONNECTIONS_PER_IP', type: 'integer', default: 10, min: 1 },
+    maxConnectionsLocalhost: { env: 'MAX_CONNECTIONS_LOCALHOST', type: 'integer', default: 20, min: 1 },
+    cooldownMs: { env: 'CONNECTION_COOLDOWN_MS', type: 'integer', default: 2000, min: 0 },
+    cooldownLocalhostMs: { env: 'CONNECTION_COOLDOWN_LOCALHOST_MS', type: 'integer', default: 500, min: 0 },
+    expiredTokenCooldownMs: { env: 'EXPIRED_TOKEN_COOLDOWN_MS', type: 'integer', default: 1000, min: 0 }
+  },
+
+  // Per-event quotas
+  quotas: {
+    overrides: { env: 'EVENT_QUOTAS', type: 'json', default: {} }, // event -> { capacity, refillPerSecond }
+    userMultiplier: { env: 'USER_QUOTA_MULTIPLIER', type: 'number', default: 3, min: 1 },
+    abuseThreshold: { env: 'QUOTA_ABUSE_THRESHOLD', type: 'integer', default: 50, min: 1 }, // rejections per window
+    abuseWindowMs: { env: 'QUOTA_ABUSE_WINDOW_MS', type: 'integer', default: 60000, min: 1000 } // 1 minute
+  },
+
+  // Missed-event replay
+  replay: {
+    bufferSize: { env: 'REPLAY_BUFFER_SIZE', type: 'integer', default: 200, min: 1 }, // events kept per team
+    maxAgeMs: { env: 'REPLAY_MAX_AGE_MS', type: 'integer', default: 15 * 60 * 1000, min: 1000 } // 15 minutes
+  },
+
+  presence: {
+    idleTimeoutMs: { env: 'PRESENCE_IDLE_TIMEOUT_MS', type: 'integer', default: 5 * 60 * 1000, min: 1000 } // 5 minutes
+  },
+
+  locks: {
+    timeoutMs: { env: 'LOCK_TIMEOUT_MS', type: 'integer', default: 60000, min: 1000 } // clients renew by sending lock_task again
+  },
+
+  // Collaborative task descriptions
+  documents: {
+    maxLength: { env: 'DOC_MAX_LENGTH', type: 'integer', default: 100000, min: 1 }, // characters
+    historyLimit: { env: 'DOC_HISTORY_LIMIT', type: 'integer', default: 500, min: 1 }, // operations kept for transforming late ops
+    snapshotEvery: { env: 'DOC_SNAPSHOT_EVERY', type: 'integer', default: 50, min: 1 } // operations between snapshots (capped at historyLimit)
+  },
+
+  // Project chat and task comments
+  chat: {
+    store: { env: 'CHAT_STORE', type: 'enum', values: ['memory', 'file', 'state'], default: 'memory' },
+    dir: { env: 'CHAT_STORE_DIR', type: 'string', default: path.join(__dirname, 'data', 'chat') },
+    historyLimit: { env: 'CHAT_HISTORY_LIMIT', type: 'integer', default: 1000, min: 1 } // messages kept per channel
+  },
+
+  notifications: {
+    inboxSize: { env: 'NOTIFICATION_INBOX_SIZE', type: 'integer', default: 200, min: 1 } // newest notifications kept per user
   },
 
-  // Room management
-  rooms: {
-    maxUsersPerRoom: 50,
-    cleanupInterval: 300000, // 5 minutes
-    inactiveTimeout: 1800000 // 30 minutes
+  // Audit log
+  audit: {
+    sink: { env: 'AUDIT_SINK', type: 'enum', values: ['file', 'memory'], default: 'file' },
+    file: { env: 'AUDIT_LOG_FILE', type: 'string', default: path.join(__dirname, 'data', 'audit.jsonl') }
   }
 };
+
+// Defaults that differ per NODE_ENV (environment variables still win)
+const OVERLAYS = {
+  development: {
+    jwt: { secret: DEV_JWT_SECRET } // so a fresh checkout runs; never accepted in production
+  },
+  test: {
+    jwt: { secret: DEV_JWT_SECRET },
+    logging: { level: 'error' },
+    audit: { sink: 'memory' },
+    rateLimit: { maxConnectionsLocalhost: 1000, cooldownLocalhostMs: 0, expiredTokenCooldownMs: 0 }
+  },
+  production: {
+    logging: { format: 'json' }
+  }
+};
+
+/**
+ * Build the error thrown for invalid configuration
+ * @param {Array} problems - One message per invalid setting
+ * @returns {Error} - Error with name ConfigError and the problems listed
+ */
+function configError(problems) {
+  const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  error.name = 'ConfigError';
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Check whether a schema node is a setting rather than a group
+ * @param {Object} node - Schema node
+ * @returns {boolean} - True for settings
+ */
+function isSetting(node) {
+  return Object.prototype.hasOwnProperty.call(node, 'default');
+}
+
+/**
+ * Convert an environment variable to a setting's type
+ * @param {Object} spec - Setting from SCHEMA
+ * @param {string} raw - Raw environment value
+ * @returns {*} - Typed value
+ * @throws {Error} - With a message describing the expected value
+ */
+function parseValue(spec, raw) {
+  const value = raw.trim();
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        throw new Error(`must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        throw new Error(`must be at most ${spec.max}`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(value.toLowerCase())) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(value.toLowerCase())) {
+        return false;
+      }
+      throw new Error('must be true or false');
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'enum':
+      if (!spec.values.includes(value.toLowerCase())) {
+        throw new Error(`must be one of: ${spec.values.join(', ')}`);
+      }
+      return value.toLowerCase();
+    case 'json': {
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`must be valid JSON (${error.message})`);
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('must be a JSON object');
+      }
+      return parsed;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolve every setting of a schema group
+ * @param {Object} schema - Schema group
+ * @param {Object} overlay - Overlay values for the group
+ * @param {Object} env - Environment variables
+ * @param {Array} problems - Collects invalid settings
+ * @returns {Object} - Resolved group
+ */
+function resolveGroup(schema, overlay, env, problems) {
+  const result = {};
+  for (const [key, node] of Object.entries(schema)) {
+    if (!isSetting(node)) {
+      result[key] = resolveGroup(node, overlay?.[key], env, problems);
+      continue;
+    }
+
+    const raw = node.env ? env[node.env] : undefined;
+    if (raw === undefined || raw === '') {
+      result[key] = overlay?.[key] !== undefined ? overlay[key] : node.default;
+      continue;
+    }
+    try {
+      result[key] = parseValue(node, raw);
+    } catch (error) {
+      problems.push(`${node.env} ${error.message} (got '${raw}')`);
+      result[key] = node.default;
+    }
+  }
+  return result;
+}
+
+/**
+ * Check settings that are valid on their own but not together, or unsafe
+ * @param {Object} config - Resolved configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { problems, warnings }
+ */
+function checkConfig(config, env) {
+  const problems = [];
+  const warnings = [];
+  const production = config.server.environment === 'production';
+  const hmac = config.jwt.algorithms.some(alg => alg.startsWith('HS'));
+  const asymmetric = config.jwt.algorithms.some(alg => !alg.startsWith('HS'));
+
+  if (config.jwt.algorithms.length === 0) {
+    problems.push('JWT_ALGORITHM must list at least one algorithm');
+  }
+  if (hmac && !config.jwt.secret) {
+    problems.push('JWT_SECRET is required for HS* tokens');
+  } else if (hmac && production && PLACEHOLDER_SECRETS.has(config.jwt.secret)) {
+    problems.push('JWT_SECRET is a placeholder value - set the secret shared with the FastAPI backend');
+  } else if (hmac && production && config.jwt.secret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+    problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`);
+  } else if (hmac && !env.JWT_SECRET) {
+    warnings.push('JWT_SECRET is not set - using the insecure development secret');
+  }
+  if (asymmetric && !config.jwks.url && !config.jwks.file) {
+    problems.push(`JWT_ALGORITHM includes ${config.jwt.algorithms.join(', ')} but neither JWKS_URL nor JWKS_FILE is set`);
+  }
+
+  if (config.state.adapter === 'redis' && !config.state.redisUrl) {
+    problems.push('REDIS_URL is required when STATE_ADAPTER=redis');
+  }
+  if (config.instances.leaseMs <= config.instances.heartbeatMs) {
+    problems.push('INSTANCE_LEASE_MS must be longer than INSTANCE_HEARTBEAT_MS, or live instances would be cleaned up');
+  }
+  if (config.socketio.pingTimeout <= config.socketio.pingInterval) {
+    warnings.push('SOCKET_PING_TIMEOUT should be longer than SOCKET_PING_INTERVAL');
+  }
+
+  if (production) {
+    if (!config.backend.url) {
+      problems.push('PYTHON_BACKEND_URL is required in production');
+    }
+    if (config.cors.origin.includes('*')) {
+      problems.push('CORS_ORIGIN cannot be * in production (credentials are allowed)');
+    }
+    if (!config.ingest.hmacSecret && !config.ingest.serviceToken) {
+      warnings.push('Neither INGEST_HMAC_SECRET nor INGEST_SERVICE_TOKEN is set - backend ingestion is disabled');
+    }
+    if (!config.metrics.token) {
+      warnings.push('METRICS_TOKEN is not set - /metrics is served without authentication');
+    }
+  } else if (!config.backend.url) {
+    warnings.push('PYTHON_BACKEND_URL is not set - backend calls will fail');
+  }
+
+  return { problems, warnings };
+}
+
+/**
+ * Freeze a configuration tree so modules cannot change it at runtime
+ * @param {Object} value - Configuration (sub)tree
+ * @returns {Object} - The same tree, frozen
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { config, warnings }
+ * @throws {Error} - ConfigError listing every invalid or unsafe setting
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const environment = env.NODE_ENV || SCHEMA.server.environment.default;
+  const config = resolveGroup(SCHEMA, OVERLAYS[environment], env, problems);
+
+  const checks = checkConfig(config, env);
+  problems.push(...checks.problems);
+  if (problems.length > 0) {
+    throw configError(problems);
+  }
+  return { config: deepFreeze(config), warnings: checks.warnings };
+}
+
+/**
+ * Copy a configuration with secrets replaced, for GET /config
+ * @param {Object} config - Resolved configuration
+ * @param {Object} schema - Schema group (defaults to the whole schema)
+ * @returns {Object} - Redacted copy
+ */
+function redactConfig(config, schema = SCHEMA) {
+  const result = {};
+  for (const [key, node] of Object.entries(schema)) {
+    if (!isSetting(node)) {
+      result[key] = redactConfig(config[key], node);
+    } else if (node.secret) {
+      result[key] = config[key] ? '[REDACTED]' : null;
+    } else {
+      result[key] = config[key];
+    }
+  }
+  return result;
+}
+
+// Fail fast: a server with invalid settings should not start at all
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  if (error.name !== 'ConfigError') {
+    throw error;
+  }
+  console.error(error.message);
+  process.exit(1);
+}
+const { config, warnings } = loaded;
+
+module.exports = {
+  config,
+  configWarnings: warnings,
+  loadConfig,
+  redactConfig
+};
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const { getStateAdapter } = require('./stateAdapter');
+const textOperation = require('./textOperation');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'documents' });
+
+// Collaborative document configuration
+const DOC_MAX_LENGTH = config.documents.maxLength; // characters
+const DOC_HISTORY_LIMIT = config.documents.historyLimit; // operations kept for transforming late ops
+// Snapshots must be at least as frequent as history is trimmed, or the
+// operations after the latest snapshot would no longer all be there
+const DOC_SNAPSHOT_EVERY = Math.min(config.documents.snapshotEvery, DOC_HISTORY_LIMIT); // operations between snapshots
+const DOC_SNAPSHOT_INTERVAL = 30000; // also snapshot unsaved documents every 30 seconds
+const DOC_IDLE_UNLOAD = 5 * 60 * 1000; // drop documents nobody has open after 5 minutes
+const DOC_LOCK_TTL = 5000; // a lock left by a crashed instance is taken over after 5 seconds
+const DOC_LOCK_WAIT = 2000; // give up on a busy document after 2 seconds
+const DOC_LOCK_RETRY = 10; // milliseconds between attempts to claim a busy document
+
+const DOC_SNAPSHOTS_KEY = 'doc_snapshots'; // Hash of taskId -> { projectId, content, revision, updatedAt }
+const DOC_LOCKS_KEY = 'doc_locks'; // Hash of taskId -> { token, expiresAt }
+const docHistoryKey = (taskId) => `doc_history:${taskId}`; // List of { revision, operation }, oldest first
+
+// The state adapter holds the authoritative revision history, so every
+// instance transforms against the same operations; each instance keeps a
+// copy of the documents its sockets have open, caught up from that history
+// while holding the document's lock
+const documents = new Map(); // taskId -> document
+const pending = new Map(); // taskId -> Promise of the last queued change on this instance
+
+/**
+ * Build an error with a code the socket handlers can report
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code
+ */
+function documentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Claim a document's lock in the state adapter, waiting while another instance holds it
+ * @param {string} taskId - Task ID
+ * @returns {Promise<string>} - Token identifying this claim
+ * @throws {Error} - DOC_BUSY if the lock stays held for DOC_LOCK_WAIT
+ */
+async function claimDocument(taskId) {
+  const adapter = getStateAdapter();
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + DOC_LOCK_WAIT;
+
+  for (;;) {
+    if (await adapter.hashSetIfAbsent(DOC_LOCKS_KEY, taskId, { token, expiresAt: Date.now() + DOC_LOCK_TTL })) {
+      return token;
+    }
+    const holder = await adapter.hashGet(DOC_LOCKS_KEY, taskId);
+    if (holder && holder.expiresAt <= Date.now()) {
+      await adapter.hashDelete(DOC_LOCKS_KEY, taskId);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw documentError('DOC_BUSY', `Document for task ${taskId} is busy, please retry`);
+    }
+    await new Promise(resolve => setTimeout(resolve, DOC_LOCK_RETRY));
+  }
+}
+
+/**
+ * Release a document's lock if this claim still holds it
+ * @param {string} taskId - Task ID
+ * @param {string} token - Token returned by claimDocument
+ */
+async function releaseDocument(taskId, token) {
+  const adapter = getStateAdapter();
+  const holder = await adapter.hashGet(DOC_LOCKS_KEY, taskId);
+  if (holder?.token === token) {
+    await adapter.hashDelete(DOC_LOCKS_KEY, taskId);
+  }
+}
+
+/**
+ * Run changes to one document one at a time across all instances
+ * Changes on this instance queue behind each other before claiming the
+ * shared lock, so they don't compete with each other for it.
+ * @param {string} taskId - Task ID
+ * @param {Function} change - async () => result
+ * @returns {Promise<*>} - Result of change
+ */
+function withDocumentLock(taskId, change) {
+  const key = String(taskId);
+  const locked = async () => {
+    const token = await claimDocument(key);
+    try {
+      return await change();
+    } finally {
+      await releaseDocument(key, token);
+    }
+  };
+  const run = (pending.get(key) || Promise.resolve()).then(locked, locked);
+  const settled = run.catch(() => {});
+  pending.set(key, settled);
+  settled.then(() => {
+    if (pending.get(key) === settled) {
+      pending.delete(key);
+    }
+  });
+  return run;
+}
+
+/**
+ * Bring this instance's copy of a document up to date with the shared history
+ * Loads it from its snapshot first if it isn't held here or has fallen
+ * behind the oldest kept operation. A document with no snapshot is started
+ * from the given content, which is saved straight away so every instance
+ * starts from the same text. Call with the document's lock held.
+ * @param {string} taskId - Task ID
+ * @param {string} projectId - Project that owns the task (for new documents)
+ * @param {string} initialContent - Content to start from if there is no snapshot
+ * @returns {Promise<Object>} - Document, with the kept operations in history
+ */
+async function syncDocument(taskId, projectId, initialContent) {
+  const adapter = getStateAdapter();
+  const key = String(taskId);
+  const history = await adapter.listRange(docHistoryKey(key));
+  let doc = documents.get(key);
+
+  if (!doc || (history.length > 0 && history[0].revision > doc.revision + 1)) {
+    let snapshot = await adapter.hashGet(DOC_SNAPSHOTS_KEY, key);
+    if (!snapshot) {
+      snapshot = {
+        projectId: String(projectId),
+        content: (initialContent || '').slice(0, DOC_MAX_LENGTH),
+        revision: 0,
+        updatedAt: new Date().toISOString()
+      };
+      await adapter.hashSet(DOC_SNAPSHOTS_KEY, key, snapshot);
+    }
+    // Rebuilding from a snapshot older than the kept history would reuse revisions
+    if (history.length > 0 && history[0].revision - 1 > snapshot.revision) {
+      logger.error(`Document for task ${key} cannot be rebuilt: snapshot is at revision ${snapshot.revision}, history starts at ${history[0].revision}`);
+      throw documentError('DOC_UNAVAILABLE', `Document for task ${taskId} cannot be rebuilt, please retry later`);
+    }
+    doc = {
+      taskId: key,
+      projectId: String(snapshot.projectId),
+      content: snapshot.content,
+      revision: snapshot.revision,
+      history: [],
+      savedRevision: snapshot.revision,
+      editors: doc ? doc.editors : new Set(), // socket IDs on this instance with the document open
+      lastUsedAt: Date.now()
+    };
+    documents.set(key, doc);
+  }
+
+  for (const entry of history) {
+    if (entry.revision === doc.revision + 1) {
+      doc.content = textOperation.apply(doc.content, entry.operation);
+      doc.revision = entry.revision;
+    }
+  }
+  doc.history = history;
+  return doc;
+}
+
+/**
+ * Save a document's current content to the state adapter
+ * Call with the document's lock held, so an older copy can't overwrite a newer one.
+ * @param {Object} doc - Document
+ */
+async function saveSnapshot(doc) {
+  if (doc.savedRevision === doc.revision) {
+    return;
+  }
+  const revision = doc.revision;
+  await getStateAdapter().hashSet(DOC_SNAPSHOTS_KEY, doc.taskId, {
+    projectId: doc.projectId,
+    content: doc.content,
+    revision,
+    updatedAt: new Date().toISOString()
+  });
+  doc.savedRevision = revision;
+}
+
+/**
+ * Catch a loaded document up and snapshot it
+ * @param {string} taskId - Task ID
+ */
+async function refreshSnapshot(taskId) {
+  await withDocumentLock(taskId, async () => {
+    if (documents.has(taskId)) {
+      await saveSnapshot(await syncDocument(taskId));
+    }
+  });
+}
+
+/**
+ * Open a task's document for a socket
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Project that owns the task
+ * @param {string} taskId - Task ID
+ * @param {string} initialContent - Current description, used if the document is new
+ * @returns {Promise<Object>} - { content, revision }
+ * @throws {Error} - DOC_PROJECT_MISMATCH if the task belongs to another project
+ */
+async function openDocument(socket, projectId, taskId, initialContent) {
+  const doc = await withDocumentLock(taskId, () => syncDocument(taskId, projectId, initialContent));
+  if (doc.projectId !== String(projectId)) {
+    throw documentError('DOC_PROJECT_MISMATCH', `Task ${taskId} does not belong to project ${projectId}`);
+  }
+
+  doc.editors.add(socket.id);
+  doc.lastUsedAt = Date.now();
+  if (!socket.openDocuments) {
+    socket.openDocuments = new Set(); // taskIds
+  }
+  socket.openDocuments.add(doc.taskId);
+
+  return { content: doc.content, revision: doc.revision };
+}
+
+/**
+ * Apply a client operation made against a given revision
+ * The operation is transformed past everything applied since that revision.
+ * @param {Object} socket - Socket that sent the operation (must have the document open)
+ * @param {string} taskId - Task ID
+ * @param {number} revision - Revision the client's operation was made against
+ * @param {Array} operation - Text operation (see textOperation.js)
+ * @returns {Promise<Object>} - { revision, operation } after applying
+ * @throws {Error} - DOC_NOT_OPEN, DOC_RESYNC_REQUIRED, INVALID_OPERATION, DOC_TOO_LARGE or DOC_UNAVAILABLE
+ */
+async function applyOperation(socket, taskId, revision, operation) {
+  const key = String(taskId);
+  if (!documents.get(key)?.editors.has(socket.id)) {
+    throw documentError('DOC_NOT_OPEN', `Document for task ${taskId} is not open`);
+  }
+  if (!textOperation.isValid(operation)) {
+    throw documentError('INVALID_OPERATION', 'Operation components must be non-zero integers or non-empty strings');
+  }
+
+  return withDocumentLock(key, async () => {
+    const doc = await syncDocument(key);
+    const historyStart = doc.history.length > 0 ? doc.history[0].revision - 1 : doc.revision;
+    if (revision > doc.revision || revision < historyStart) {
+      throw documentError('DOC_RESYNC_REQUIRED', `Revision ${revision} cannot be applied (current ${doc.revision}, oldest ${historyStart})`);
+    }
+
+    let transformed = operation;
+    let content;
+    try {
+      for (const concurrent of doc.history.filter(entry => entry.revision > revision)) {
+        transformed = textOperation.transform(transformed, concurrent.operation)[0];
+      }
+      content = textOperation.apply(doc.content, transformed);
+    } catch (error) {
+      throw documentError('INVALID_OPERATION', error.message);
+    }
+
+    if (content.length > DOC_MAX_LENGTH) {
+      throw documentError('DOC_TOO_LARGE', `Documents are limited to ${DOC_MAX_LENGTH} characters`);
+    }
+
+    // Snapshot before the history can be trimmed past the last snapshot; if
+    // saving fails the operation fails too, before anything was written
+    if (doc.revision - doc.savedRevision >= DOC_SNAPSHOT_EVERY) {
+      await saveSnapshot(doc);
+    }
+
+    // Shared history first: once it's there the operation is applied for every instance
+    await getStateAdapter().listPush(docHistoryKey(key), { revision: doc.revision + 1, operation: transformed }, DOC_HISTORY_LIMIT);
+    doc.content = content;
+    doc.revision++;
+    doc.lastUsedAt = Date.now();
+
+    return { revision: doc.revision, operation: transformed };
+  });
+}
+
+/**
+ * Get a document's current state
+ * @param {string} taskId - Task ID
+ * @returns {Object|null} - { content, revision } or null if not loaded
+ */
+function getDocument(taskId) {
+  const doc = documents.get(String(taskId));
+  return doc ? { content: doc.content, revision: doc.revision } : null;
+}
+
+/**
+ * Close a document for a socket, saving it once nobody has it open
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} taskId - Task ID
+ */
+async function closeDocument(socket, taskId) {
+  socket.openDocuments?.delete(String(taskId));
+  const doc = documents.get(String(taskId));
+  if (!doc) {
+    return;
+  }
+
+  doc.editors.delete(socket.id);
+  if (doc.editors.size === 0) {
+    await refreshSnapshot(doc.taskId);
+  }
+}
+
+/**
+ * Close every document a socket has open, optionally only in one project
+ * @param {Object} socket - Socket that disconnected or left a project
+ * @param {string} projectId - Only close documents in this project
+ * @returns {Promise<Array>} - Task IDs that were closed
+ */
+async function closeSocketDocuments(socket, projectId = null) {
+  const closed = [];
+  for (const taskId of Array.from(socket.openDocuments || [])) {
+    const doc = documents.get(taskId);
+    if (projectId !== null && doc && doc.projectId !== String(projectId)) {
+      continue;
+    }
+    await closeDocument(socket, taskId);
+    closed.push(taskId);
+  }
+  return closed;
+}
+
+/**
+ * Periodically snapshot edited documents and unload idle ones
+ * @returns {Function} - Stops the timer
+ */
+function startSnapshotTimer() {
+  const timer = setInterval(async () => {
+    const now = Date.now();
+    for (const doc of Array.from(documents.values())) {
+      try {
+        await refreshSnapshot(doc.taskId);
+        if (doc.editors.size === 0 && now - doc.lastUsedAt > DOC_IDLE_UNLOAD) {
+          documents.delete(doc.taskId);
+        }
+      } catch (error) {
+        logger.error(`Failed to snapshot document for task ${doc.taskId}`, error);
+      }
+    }
+  }, DOC_SNAPSHOT_INTERVAL);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  openDocument,
+  applyOperation,
+  getDocument,
+  closeDocument,
+  closeSocketDocuments,
+  startSnapshotTimer
+};
@@ -0,0 +1,184 @@
+// Per-event token-bucket quotas for inbound socket messages
+// Each socket gets its own buckets; each user gets shared buckets (across the
+// user's sockets on this instance) sized USER_QUOTA_MULTIPLIER times larger.
+
+const { eventsRejected, eventLabel } = require('./metrics');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'quotas' });
+
+const DEFAULT_QUOTAS = {
+  cursor_position: { capacity: 20, refillPerSecond: 10 },
+  user_typing: { capacity: 10, refillPerSecond: 5 },
+  task_created: { capacity: 30, refillPerSecond: 5 },
+  task_updated: { capacity: 30, refillPerSecond: 5 },
+  task_deleted: { capacity: 30, refillPerSecond: 5 },
+  project_updated: { capacity: 10, refillPerSecond: 2 },
+  join_project: { capacity: 10, refillPerSecond: 1 },
+  leave_project: { capacity: 10, refillPerSecond: 1 },
+  set_presence: { capacity: 5, refillPerSecond: 0.5 },
+  presence_heartbeat: { capacity: 5, refillPerSecond: 1 },
+  lock_task: { capacity: 20, refillPerSecond: 2 },
+  unlock_task: { capacity: 20, refillPerSecond: 2 },
+  doc_open: { capacity: 10, refillPerSecond: 1 },
+  doc_op: { capacity: 60, refillPerSecond: 20 },
+  doc_close: { capacity: 10, refillPerSecond: 1 },
+  chat_message: { capacity: 10, refillPerSecond: 1 },
+  chat_edit: { capacity: 10, refillPerSecond: 1 },
+  chat_delete: { capacity: 10, refillPerSecond: 1 },
+  chat_history: { capacity: 10, refillPerSecond: 1 },
+  comment_added: { capacity: 10, refillPerSecond: 1 },
+  comment_edited: { capacity: 10, refillPerSecond: 1 },
+  comment_deleted: { capacity: 10, refillPerSecond: 1 },
+  comment_history: { capacity: 10, refillPerSecond: 1 },
+  sync_events: { capacity: 5, refillPerSecond: 0.2 },
+  mark_read: { capacity: 20, refillPerSecond: 2 },
+  mark_all_read: { capacity: 5, refillPerSecond: 0.5 },
+  admin_disconnect_user: { capacity: 10, refillPerSecond: 1 },
+  admin_remove_from_project: { capacity: 10, refillPerSecond: 1 },
+  admin_announce: { capacity: 5, refillPerSecond: 0.2 },
+  admin_set_read_only: { capacity: 10, refillPerSecond: 1 },
+  refresh_token: { capacity: 5, refillPerSecond: 0.1 },
+  default: { capacity: 20, refillPerSecond: 5 }
+};
+
+const USER_QUOTA_MULTIPLIER = config.quotas.userMultiplier;
+const ABUSE_THRESHOLD = config.quotas.abuseThreshold; // rejections per window
+const ABUSE_WINDOW = config.quotas.abuseWindowMs;
+const NOTICE_INTERVAL = 1000; // at most one rate_limited notice per event per second
+const USER_BUCKET_IDLE_TIMEOUT = 5 * 60 * 1000; // drop idle per-user buckets after 5 minutes
+
+/**
+ * Load quotas, letting config.quotas.overrides (EVENT_QUOTAS JSON) override individual events
+ * e.g. EVENT_QUOTAS='{"cursor_position":{"capacity":30,"refillPerSecond":15}}'
+ * @returns {Object} - Map of event name -> { capacity, refillPerSecond }
+ */
+function loadQuotas() {
+  return { ...DEFAULT_QUOTAS, ...config.quotas.overrides };
+}
+
+const quotas = loadQuotas();
+const userBuckets = new Map(); // userId -> Map of event -> bucket
+
+/**
+ * Take one token from a bucket, refilling it for the time elapsed
+ * @param {Map} buckets - Map of event -> { tokens, updatedAt }
+ * @param {string} event - Event name
+ * @param {Object} quota - { capacity, refillPerSecond }
+ * @returns {number} - 0 if a token was taken, else milliseconds until one is available
+ */
+function takeToken(buckets, event, quota) {
+  const now = Date.now();
+  const bucket = buckets.get(event) || { tokens: quota.capacity, updatedAt: now };
+
+  bucket.tokens = Math.min(quota.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * quota.refillPerSecond);
+  bucket.updatedAt = now;
+  buckets.set(event, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / quota.refillPerSecond) * 1000);
+}
+
+/**
+ * Get the quota for an event
+ * @param {string} event - Event name
+ * @returns {Object} - { capacity, refillPerSecond }
+ */
+function getQuota(event) {
+  return quotas[event] || quotas.default;
+}
+
+/**
+ * Create Socket.IO middleware enforcing per-socket and per-user event quotas
+ * Over-quota packets are dropped with a rate_limited notice; sockets that keep
+ * exceeding quotas are disconnected.
+ * @param {Object} socket - Socket.IO socket instance
+ * @returns {Function} - Middleware for socket.use()
+ */
+function createQuotaMiddleware(socket) {
+  const socketBuckets = new Map(); // event -> bucket
+  const lastNotice = new Map(); // event -> timestamp
+  let rejections = [];
+
+  return ([event], next) => {
+    // Events without a schema share one bucket, so made-up names can't each get a fresh one
+    const key = eventLabel(event);
+    const quota = getQuota(key);
+    let retryAfter = takeToken(socketBuckets, key, quota);
+    let scope = 'socket';
+
+    if (!retryAfter && socket.authenticated && socket.userId) {
+      if (!userBuckets.has(socket.userId)) {
+        userBuckets.set(socket.userId, new Map());
+      }
+      retryAfter = takeToken(userBuckets.get(socket.userId), key, {
+        capacity: quota.capacity * USER_QUOTA_MULTIPLIER,
+        refillPerSecond: quota.refillPerSecond * USER_QUOTA_MULTIPLIER
+      });
+      scope = 'user';
+    }
+
+    if (!retryAfter) {
+      return next();
+    }
+
+    eventsRejected.inc({ event: key, reason: 'quota' });
+    const now = Date.now();
+    rejections = rejections.filter(at => now - at < ABUSE_WINDOW);
+    rejections.push(now);
+
+    // Sustained abuse - cut the connection
+    if (rejections.length >= ABUSE_THRESHOLD) {
+      logger.warn(`Disconnecting ${socket.userEmail || socket.id} after ${rejections.length} quota violations in ${ABUSE_WINDOW / 1000}s`);
+      socket.emit('rate_limited', {
+        message: 'Too many messages. Connection closed.',
+        code: 'QUOTA_ABUSE',
+        event,
+        disconnect: true,
+        timestamp: new Date().toISOString()
+      });
+      socket.disconnect(true);
+      return;
+    }
+
+    if (now - (lastNotice.get(key) || 0) >= NOTICE_INTERVAL) {
+      lastNotice.set(key, now);
+      socket.emit('rate_limited', {
+        message: `Too many '${event}' messages. Please slow down.`,
+        code: 'EVENT_RATE_LIMITED',
+        event,
+        scope,
+        retryAfter, // milliseconds
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
+
+/**
+ * Periodically drop per-user buckets that have been idle long enough to be full again
+ * @returns {Function} - Stops the sweep
+ */
+function startBucketSweep() {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    userBuckets.forEach((buckets, userId) => {
+      const idle = Array.from(buckets.values()).every(bucket => now - bucket.updatedAt > USER_BUCKET_IDLE_TIMEOUT);
+      if (idle) {
+        userBuckets.delete(userId);
+      }
+    });
+  }, USER_BUCKET_IDLE_TIMEOUT);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  createQuotaMiddleware,
+  getQuota,
+  startBucketSweep
+};
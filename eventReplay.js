@@ -0,0 +1,99 @@
+const { getStateAdapter, broadcastToRoom } = require('./stateAdapter');
+const { config } = require('./config');
+
+// Replay buffer configuration
+const REPLAY_BUFFER_SIZE = config.replay.bufferSize; // events kept per team
+const REPLAY_MAX_AGE = config.replay.maxAgeMs;
+
+const sequenceKey = (teamId) => `team_seq:${teamId}`; // Counter of last sequence number
+const bufferKey = (teamId) => `team_events:${teamId}`; // List of { seq, event, payload, recordedAt }
+
+/**
+ * Stamp a team event with the next sequence number, store it in the replay
+ * buffer and broadcast it to the team room
+ * @param {number} teamId - Team ID
+ * @param {string} event - Event name (e.g. task_updated)
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} - Payload as broadcast, including teamId and seq
+ */
+async function broadcastTeamEvent(teamId, event, payload) {
+  const adapter = getStateAdapter();
+  const seq = await adapter.increment(sequenceKey(teamId));
+  const sequenced = { ...payload, teamId, seq };
+
+  await adapter.listPush(bufferKey(teamId), {
+    seq,
+    event,
+    payload: sequenced,
+    recordedAt: Date.now()
+  }, REPLAY_BUFFER_SIZE);
+
+  await broadcastToRoom(`team:${teamId}`, event, sequenced);
+  return sequenced;
+}
+
+/**
+ * Get the latest sequence number for a team
+ * @param {number} teamId - Team ID
+ * @returns {Promise<number>} - Latest sequence number (0 if no events yet)
+ */
+async function getLatestSequence(teamId) {
+  return getStateAdapter().getCounter(sequenceKey(teamId));
+}
+
+/**
+ * Get the latest sequence number for each of a user's teams
+ * @param {Array} teamIds - Team IDs
+ * @returns {Promise<Object>} - Map of team ID to latest sequence number
+ */
+async function getTeamSequences(teamIds) {
+  const sequences = {};
+  for (const teamId of teamIds) {
+    sequences[teamId] = await getLatestSequence(teamId);
+  }
+  return sequences;
+}
+
+/**
+ * Get the events a client missed since its last-seen sequence number
+ * @param {number} teamId - Team ID
+ * @param {number} lastSeq - Last sequence number the client processed
+ * @returns {Promise<Object>} - { events, latestSeq } or { resync: true, latestSeq, reason }
+ */
+async function getEventsSince(teamId, lastSeq) {
+  const adapter = getStateAdapter();
+  const latestSeq = await getLatestSequence(teamId);
+
+  if (lastSeq > latestSeq) {
+    // Client is ahead of us (e.g. state was reset) - its view can't be trusted
+    return { resync: true, latestSeq, reason: 'SEQUENCE_AHEAD' };
+  }
+
+  if (lastSeq === latestSeq) {
+    return { events: [], latestSeq };
+  }
+
+  const cutoff = Date.now() - REPLAY_MAX_AGE;
+  const buffered = (await adapter.listRange(bufferKey(teamId)))
+    .filter(entry => entry.recordedAt >= cutoff)
+    .sort((a, b) => a.seq - b.seq);
+
+  // The gap is only replayable if the event right after lastSeq is still buffered
+  if (buffered.length === 0 || buffered[0].seq > lastSeq + 1) {
+    return { resync: true, latestSeq, reason: 'GAP_TOO_OLD' };
+  }
+
+  return {
+    events: buffered
+      .filter(entry => entry.seq > lastSeq)
+      .map(({ seq, event, payload }) => ({ seq, event, payload })),
+    latestSeq
+  };
+}
+
+module.exports = {
+  broadcastTeamEvent,
+  getLatestSequence,
+  getTeamSequences,
+  getEventsSince
+};
@@ -0,0 +1,211 @@
+// Schemas for every client-to-server socket event
+//
+// Each field rule supports:
+//   type        - 'id' (positive integer or short string), 'string', 'number',
+//                 'integer', 'boolean', 'object' or 'array'
+//   required    - field must be present (not undefined/null)
+//   maxLength   - maximum string length or array length
+//   min / max   - numeric bounds
+//   enum        - allowed values
+//   maxBytes    - maximum JSON-encoded size for objects and arrays
+//   maxKeys     - maximum number of keys for objects
+//   properties  - nested rules for objects (unknown keys rejected)
+//   values      - rule applied to every value of a map-like object
+//   items       - rule applied to every element of an array
+//
+// Unknown top-level fields are rejected so the contract stays precise.
+
+const id = (required = true) => ({ type: 'id', required });
+
+const eventSchemas = {
+  join_project: {
+    projectId: id()
+  },
+
+  leave_project: {
+    projectId: id()
+  },
+
+  task_created: {
+    taskId: id(),
+    projectId: id(),
+    taskData: { type: 'object', required: true, maxBytes: 32 * 1024 }
+  },
+
+  task_updated: {
+    taskId: id(),
+    projectId: id(),
+    taskData: { type: 'object', maxBytes: 32 * 1024 },
+    action: { type: 'string', maxLength: 50 },
+    baseVersion: { type: 'integer', required: true, min: 0 } // version the change was made against
+  },
+
+  task_deleted: {
+    taskId: id(),
+    projectId: id()
+  },
+
+  project_updated: {
+    projectId: id(),
+    projectData: { type: 'object', maxBytes: 32 * 1024 },
+    action: { type: 'string', maxLength: 50 }
+  },
+
+  user_typing: {
+    projectId: id(),
+    isTyping: { type: 'boolean' },
+    field: { type: 'string', maxLength: 100 }
+  },
+
+  cursor_position: {
+    projectId: id(),
+    position: {
+      type: 'object',
+      required: true,
+      maxBytes: 1024,
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        taskId: id(false),
+        field: { type: 'string', maxLength: 100 },
+        offset: { type: 'integer', min: 0 },
+        revision: { type: 'integer', min: 0 } // document revision the offset refers to
+      }
+    }
+  },
+
+  lock_task: {
+    projectId: id(),
+    taskId: id(),
+    field: { type: 'string', maxLength: 100 },
+    force: { type: 'boolean' }
+  },
+
+  unlock_task: {
+    projectId: id(),
+    taskId: id(),
+    field: { type: 'string', maxLength: 100 }
+  },
+
+  doc_open: {
+    projectId: id(),
+    taskId: id(),
+    content: { type: 'string', maxLength: 100000 }
+  },
+
+  doc_op: {
+    projectId: id(),
+    taskId: id(),
+    revision: { type: 'integer', required: true, min: 0 },
+    ops: { type: 'array', required: true, maxLength: 1000, maxBytes: 64 * 1024 }
+  },
+
+  doc_close: {
+    projectId: id(),
+    taskId: id()
+  },
+
+  chat_message: {
+    projectId: id(),
+    text: { type: 'string', required: true, maxLength: 4000 },
+    clientId: { type: 'string', maxLength: 64 }
+  },
+
+  chat_edit: {
+    projectId: id(),
+    messageId: { type: 'integer', required: true, min: 1 },
+    text: { type: 'string', required: true, maxLength: 4000 }
+  },
+
+  chat_delete: {
+    projectId: id(),
+    messageId: { type: 'integer', required: true, min: 1 }
+  },
+
+  chat_history: {
+    projectId: id(),
+    before: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+  },
+
+  comment_added: {
+    projectId: id(),
+    taskId: id(),
+    text: { type: 'string', required: true, maxLength: 10000 },
+    clientId: { type: 'string', maxLength: 64 }
+  },
+
+  comment_edited: {
+    projectId: id(),
+    taskId: id(),
+    commentId: { type: 'integer', required: true, min: 1 },
+    text: { type: 'string', required: true, maxLength: 10000 }
+  },
+
+  comment_deleted: {
+    projectId: id(),
+    taskId: id(),
+    commentId: { type: 'integer', required: true, min: 1 }
+  },
+
+  comment_history: {
+    projectId: id(),
+    taskId: id(),
+    before: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+  },
+
+  sync_events: {
+    lastSeen: {
+      type: 'object',
+      required: true,
+      maxKeys: 200,
+      values: { type: 'integer', min: 0 }
+    }
+  },
+
+  set_presence: {
+    status: { type: 'string', required: true, enum: ['online', 'away', 'busy'] }
+  },
+
+  presence_heartbeat: {},
+
+  mark_read: {
+    ids: { type: 'array', required: true, maxLength: 200, items: { type: 'integer', min: 1 } }
+  },
+
+  mark_all_read: {},
+
+  admin_disconnect_user: {
+    userId: id(),
+    reason: { type: 'string', maxLength: 500 }
+  },
+
+  admin_remove_from_project: {
+    projectId: id(),
+    userId: id(),
+    reason: { type: 'string', maxLength: 500 }
+  },
+
+  admin_announce: {
+    message: { type: 'string', required: true, maxLength: 2000 },
+    level: { type: 'string', enum: ['info', 'warning', 'critical'] },
+    teamId: id(false)
+  },
+
+  admin_set_read_only: {
+    projectId: id(),
+    readOnly: { type: 'boolean', required: true },
+    reason: { type: 'string', maxLength: 500 }
+  },
+
+  refresh_token: {
+    token: { type: 'string', required: true, maxLength: 8192 }
+  },
+
+  auth_error: {
+    message: { type: 'string', maxLength: 500 }
+  }
+};
+
+module.exports = { eventSchemas };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { getStateAdapter } = require('./stateAdapter');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'instances' });
+
+// Instance leases - an instance that stops heartbeating is presumed dead and
+// the shared entries for its sockets are cleaned up by the others
+const HEARTBEAT_INTERVAL = config.instances.heartbeatMs;
+const LEASE_TIMEOUT = config.instances.leaseMs;
+
+const INSTANCE_ID = crypto.randomUUID();
+
+const INSTANCES_KEY = 'instances'; // Hash of instanceId -> { startedAt, heartbeatAt }
+const REAPERS_KEY = 'instance_reapers'; // Hash of dead instanceId -> { instanceId, expiresAt } while it is cleaned up
+const instanceSocketsKey = (instanceId) => `instance_sockets:${instanceId}`; // Hash of socketId -> { ip, userId, userEmail, projectIds }
+
+/**
+ * Record a socket as served by this instance, or update what is known about it
+ * Call again once the socket authenticates and as it joins or leaves projects,
+ * so cleanup knows its user and rooms.
+ * @param {Object} socket - Socket.IO socket instance
+ */
+async function trackSocket(socket) {
+  await getStateAdapter().hashSet(instanceSocketsKey(INSTANCE_ID), socket.id, {
+    ip: socket.ip ?? null,
+    userId: socket.userId ?? null,
+    userEmail: socket.userEmail ?? null,
+    projectIds: Array.from(socket.joinedProjects || [])
+  });
+}
+
+/**
+ * Forget a socket that has disconnected
+ * @param {Object} socket - Socket.IO socket instance
+ */
+async function untrackSocket(socket) {
+  await getStateAdapter().hashDelete(instanceSocketsKey(INSTANCE_ID), socket.id);
+}
+
+/**
+ * Claim the cleanup of a dead instance, so only one instance performs it
+ * A claim left by an instance that died while cleaning up expires after LEASE_TIMEOUT.
+ * @param {string} instanceId - Dead instance
+ * @returns {Promise<boolean>} - True if this instance should clean up
+ */
+async function claimReap(instanceId) {
+  const adapter = getStateAdapter();
+  const claim = { instanceId: INSTANCE_ID, expiresAt: Date.now() + LEASE_TIMEOUT };
+  if (await adapter.hashSetIfAbsent(REAPERS_KEY, instanceId, claim)) {
+    return true;
+  }
+
+  const existing = await adapter.hashGet(REAPERS_KEY, instanceId);
+  if (existing && existing.expiresAt <= Date.now()) {
+    await adapter.hashDelete(REAPERS_KEY, instanceId);
+    return adapter.hashSetIfAbsent(REAPERS_KEY, instanceId, claim);
+  }
+  return false;
+}
+
+/**
+ * Release every socket a dead instance left behind, then drop its lease
+ * @param {string} instanceId - Dead instance
+ * @param {Function} releaseSocket - async ({ id, ip, userId, userEmail, projectIds }) => void
+ */
+async function reapInstance(instanceId, releaseSocket) {
+  if (!(await claimReap(instanceId))) {
+    return;
+  }
+
+  const adapter = getStateAdapter();
+  const sockets = await adapter.hashGetAll(instanceSocketsKey(instanceId));
+  for (const [socketId, info] of Object.entries(sockets)) {
+    try {
+      await releaseSocket({ id: socketId, ...info });
+    } catch (error) {
+      logger.error(`Failed to release socket ${socketId} of instance ${instanceId}`, error);
+    }
+  }
+
+  await adapter.delete(instanceSocketsKey(instanceId));
+  await adapter.hashDelete(INSTANCES_KEY, instanceId);
+  await adapter.hashDelete(REAPERS_KEY, instanceId);
+  logger.warn(`Released ${Object.keys(sockets).length} sockets of instance ${instanceId}, which stopped heartbeating`);
+}
+
+/**
+ * Heartbeat this instance's lease and clean up after instances whose lease lapsed
+ * @param {Function} releaseSocket - async ({ id, ip, userId, userEmail, projectIds }) => void, frees a dead socket's shared entries
+ * @returns {Function} - Stops the heartbeat
+ */
+function startInstanceHeartbeat(releaseSocket) {
+  const startedAt = Date.now();
+
+  const beat = async () => {
+    try {
+      const adapter = getStateAdapter();
+      await adapter.hashSet(INSTANCES_KEY, INSTANCE_ID, { startedAt, heartbeatAt: Date.now() });
+
+      const leases = await adapter.hashGetAll(INSTANCES_KEY);
+      for (const [instanceId, lease] of Object.entries(leases)) {
+        if (instanceId !== INSTANCE_ID && Date.now() - lease.heartbeatAt > LEASE_TIMEOUT) {
+          await reapInstance(instanceId, releaseSocket);
+        }
+      }
+    } catch (error) {
+      logger.error('Instance heartbeat failed', error);
+    }
+  };
+
+  beat();
+  const timer = setInterval(beat, HEARTBEAT_INTERVAL);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  INSTANCE_ID,
+  trackSocket,
+  untrackSocket,
+  startInstanceHeartbeat
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+const { config } = require('./config');
+
+const logger = createLogger({ module: 'jwks' });
+
+// JWKS configuration - public keys used to verify asymmetrically signed tokens
+const JWKS_URL = config.jwks.url;
+const JWKS_FILE = config.jwks.file;
+const JWKS_REFRESH_INTERVAL = config.jwks.refreshIntervalMs;
+const JWKS_MIN_REFRESH_INTERVAL = config.jwks.minRefreshIntervalMs; // on unknown kid
+const JWKS_TIMEOUT = config.jwks.timeoutMs;
+
+// Key types that can be turned into public keys
+const SUPPORTED_KEY_TYPES = new Set(['RSA', 'EC', 'OKP']);
+
+const keySet = {
+  keys: [], // [{ kid, alg, key }]
+  loadedAt: 0,
+  lastAttemptAt: 0,
+  lastError: null
+};
+let inflight = null;
+
+/**
+ * Build the error thrown when no public keys can be loaded
+ * @param {string} message - Error message
+ * @param {Error} cause - Underlying error, if any
+ * @returns {Error} - Error with name JwksUnavailableError and code JWKS_UNAVAILABLE
+ */
+function jwksUnavailableError(message, cause) {
+  const error = new Error(message);
+  error.name = 'JwksUnavailableError';
+  error.code = 'JWKS_UNAVAILABLE';
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Check whether a JWKS source is configured
+ * @returns {boolean} - True if JWKS_URL or JWKS_FILE is set
+ */
+function isJwksConfigured() {
+  return Boolean(JWKS_URL || JWKS_FILE);
+}
+
+/**
+ * Read the JWKS document from JWKS_URL or JWKS_FILE
+ * @returns {Promise<Object>} - Parsed { keys: [...] }
+ */
+async function fetchJwks() {
+  if (JWKS_URL) {
+    const response = await axios.get(JWKS_URL, { timeout: JWKS_TIMEOUT });
+    return response.data;
+  }
+  return JSON.parse(await fs.promises.readFile(JWKS_FILE, 'utf8'));
+}
+
+/**
+ * Turn the signing keys of a JWKS document into public keys, skipping any
+ * that cannot be used
+ * @param {Object} jwks - { keys: [...] }
+ * @returns {Array} - [{ kid, alg, key }]
+ */
+function parseKeys(jwks) {
+  if (!Array.isArray(jwks?.keys)) {
+    throw new Error('JWKS document has no keys array');
+  }
+
+  return jwks.keys.flatMap(jwk => {
+    if ((jwk.use && jwk.use !== 'sig') || !SUPPORTED_KEY_TYPES.has(jwk.kty)) {
+      return [];
+    }
+    try {
+      const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      return [{ kid: jwk.kid ?? null, alg: jwk.alg ?? null, key }];
+    } catch (error) {
+      logger.warn(`Skipping unusable JWKS key ${jwk.kid || '(no kid)'}`, error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Reload the key set, keeping the previous keys if the reload fails
+ * Concurrent callers share one reload.
+ * @returns {Promise<void>}
+ */
+function refreshKeys() {
+  if (!inflight) {
+    keySet.lastAttemptAt = Date.now();
+    inflight = fetchJwks()
+      .then(jwks => {
+        keySet.keys = parseKeys(jwks);
+        keySet.loadedAt = Date.now();
+        keySet.lastError = null;
+        logger.info(`Loaded ${keySet.keys.length} JWKS signing keys`, { kids: keySet.keys.map(k => k.kid) });
+      })
+      .catch(error => {
+        keySet.lastError = error.message;
+        logger.warn(`Failed to refresh JWKS from ${JWKS_URL || JWKS_FILE}`, error);
+      })
+      .finally(() => {
+        inflight = null;
+      });
+  }
+  return inflight;
+}
+
+/**
+ * Find the keys that may have signed a token
+ * Keys are refreshed when stale, and when the token names a kid we do not
+ * know (at most once per JWKS_MIN_REFRESH_INTERVAL_MS), so a new key is
+ * picked up as soon as the issuer starts using it. Old keys stay valid for as
+ * long as they are published, which covers rotation.
+ * @param {Object} header - Decoded token header { kid, alg }
+ * @returns {Promise<Array>} - Candidate public keys (KeyObjects)
+ * @throws {Error} - JwksUnavailableError if no keys could ever be loaded
+ */
+async function getSigningKeys(header) {
+  const now = Date.now();
+  if (now - keySet.loadedAt > JWKS_REFRESH_INTERVAL && now - keySet.lastAttemptAt > JWKS_MIN_REFRESH_INTERVAL) {
+    await refreshKeys();
+  }
+
+  const select = () => keySet.keys
+    .filter(entry => !header.kid || entry.kid === header.kid)
+    .filter(entry => !entry.alg || entry.alg === header.alg);
+
+  let candidates = select();
+  if (candidates.length === 0 && header.kid && Date.now() - keySet.lastAttemptAt > JWKS_MIN_REFRESH_INTERVAL) {
+    await refreshKeys();
+    candidates = select();
+  }
+
+  if (keySet.loadedAt === 0) {
+    throw jwksUnavailableError(`Signing keys unavailable: ${keySet.lastError}`);
+  }
+  return candidates.map(entry => entry.key);
+}
+
+/**
+ * Describe the JWKS key set for /health
+ * @returns {Object|null} - { source, keys, kids, loadedAt, lastError } or null if not configured
+ */
+function getJwksStatus() {
+  if (!isJwksConfigured()) {
+    return null;
+  }
+  return {
+    source: JWKS_URL ? 'url' : 'file',
+    keys: keySet.keys.length,
+    kids: keySet.keys.map(entry => entry.kid),
+    loadedAt: keySet.loadedAt ? new Date(keySet.loadedAt).toISOString() : null,
+    lastError: keySet.lastError
+  };
+}
+
+module.exports = {
+  isJwksConfigured,
+  refreshKeys,
+  getSigningKeys,
+  getJwksStatus
+};
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const { getStateAdapter, broadcastToRoom } = require('./stateAdapter');
+const { recordAudit } = require('./audit');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'locks' });
+
+// Lock configuration
+const LOCK_TIMEOUT = config.locks.timeoutMs; // clients renew by sending lock_task again
+const LOCK_SWEEP_INTERVAL = 10000; // release expired locks every 10 seconds
+const CLAIM_TTL = 5000; // a task claim left by a crashed instance is taken over after 5 seconds
+const CLAIM_WAIT = 2000; // give up on a busy task after 2 seconds
+const CLAIM_RETRY = 10; // milliseconds between attempts to claim a busy task
+
+// A lock without a field covers the whole task
+const WHOLE_TASK = '*';
+
+const LOCKED_PROJECTS_KEY = 'locked_projects'; // Set of projectIds with at least one lock
+const projectLocksKey = (projectId) => `locks:${projectId}`; // Hash of "<taskId>:<field>" -> lock
+const lockField = (taskId, field) => `${taskId}:${field}`;
+const LOCK_CLAIMS_KEY = 'lock_claims'; // Hash of "<projectId>|<taskId>" -> { token, expiresAt } while a task's locks change
+
+const pending = new Map(); // "<projectId>|<taskId>" -> Promise of the last queued change on this instance
+
+/**
+ * Build an error with a code the socket handlers can report
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code
+ */
+function lockError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Claim the right to change a task's locks, waiting while another instance holds it
+ * @param {string} key - "<projectId>|<taskId>"
+ * @returns {Promise<string>} - Token that releases the claim
+ * @throws {Error} - LOCK_BUSY if the claim stays held for CLAIM_WAIT
+ */
+async function claimTask(key) {
+  const adapter = getStateAdapter();
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + CLAIM_WAIT;
+
+  for (;;) {
+    if (await adapter.hashSetIfAbsent(LOCK_CLAIMS_KEY, key, { token, expiresAt: Date.now() + CLAIM_TTL })) {
+      return token;
+    }
+    const holder = await adapter.hashGet(LOCK_CLAIMS_KEY, key);
+    if (holder && holder.expiresAt <= Date.now()) {
+      await adapter.hashDelete(LOCK_CLAIMS_KEY, key);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw lockError('LOCK_BUSY', 'Locks on this task are being changed, please retry');
+    }
+    await new Promise(resolve => setTimeout(resolve, CLAIM_RETRY));
+  }
+}
+
+/**
+ * Release a task claim if it is still this one
+ * @param {string} key - "<projectId>|<taskId>"
+ * @param {string} token - Token returned by claimTask
+ */
+async function releaseTask(key, token) {
+  const adapter = getStateAdapter();
+  const holder = await adapter.hashGet(LOCK_CLAIMS_KEY, key);
+  if (holder?.token === token) {
+    await adapter.hashDelete(LOCK_CLAIMS_KEY, key);
+  }
+}
+
+/**
+ * Run changes to one task's locks one at a time across all instances, so a
+ * conflict check and the write that follows it can't interleave with another
+ * change. Changes on this instance queue behind each other before claiming
+ * the task in the state adapter.
+ * @param {string} projectId - Project ID
+ * @param {string} taskId - Task ID
+ * @param {Function} change - async () => result
+ * @returns {Promise<*>} - Result of change
+ */
+function withTaskClaim(projectId, taskId, change) {
+  const key = `${projectId}|${taskId}`;
+  const claimed = async () => {
+    const token = await claimTask(key);
+    try {
+      return await change();
+    } finally {
+      await releaseTask(key, token);
+    }
+  };
+  const run = (pending.get(key) || Promise.resolve()).then(claimed, claimed);
+  const settled = run.catch(() => {});
+  pending.set(key, settled);
+  settled.then(() => {
+    if (pending.get(key) === settled) {
+      pending.delete(key);
+    }
+  });
+  return run;
+}
+
+/**
+ * Shape a lock for clients
+ * @param {Object} lock - Stored lock
+ * @returns {Object} - Public lock
+ */
+function toPublicLock(lock) {
+  return {
+    projectId: lock.projectId,
+    taskId: lock.taskId,
+    field: lock.field === WHOLE_TASK ? null : lock.field,
+    holder: { userId: lock.userId, userEmail: lock.userEmail },
+    acquiredAt: new Date(lock.acquiredAt).toISOString(),
+    expiresAt: new Date(lock.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Check whether two locks on the same task overlap
+ * @param {string} a - Field of the first lock
+ * @param {string} b - Field of the second lock
+ * @returns {boolean} - True if either covers the whole task or both cover the same field
+ */
+function overlaps(a, b) {
+  return a === WHOLE_TASK || b === WHOLE_TASK || a === b;
+}
+
+/**
+ * Get the unexpired locks on a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} - Stored locks
+ */
+async function getLiveLocks(projectId) {
+  const now = Date.now();
+  const locks = await getStateAdapter().hashGetAll(projectLocksKey(projectId));
+  return Object.values(locks).filter(lock => lock.expiresAt > now);
+}
+
+/**
+ * Remove a lock and tell the project room
+ * @param {Object} lock - Stored lock
+ * @param {string} reason - released, expired, disconnected or overridden
+ * @param {Object} releasedBy - User who released it, if not the holder
+ */
+async function removeLock(lock, reason, releasedBy = null) {
+  const adapter = getStateAdapter();
+  await adapter.hashDelete(projectLocksKey(lock.projectId), lockField(lock.taskId, lock.field));
+  if (Object.keys(await adapter.hashGetAll(projectLocksKey(lock.projectId))).length === 0) {
+    await adapter.setRemove(LOCKED_PROJECTS_KEY, String(lock.projectId));
+  }
+
+  await broadcastToRoom(`project_${lock.projectId}`, 'task_unlocked', {
+    ...toPublicLock(lock),
+    reason,
+    releasedBy,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Acquire or renew an advisory lock on a task (or one of its fields)
+ * Locks held by the same user (from any socket) are renewed rather than refused.
+ * Admins may pass force to take over locks held by others.
+ * @param {Object} socket - Authenticated socket
+ * @param {Object} request - { projectId, taskId, field, force }
+ * @returns {Promise<Object>} - { acquired: true, lock } or { acquired: false, conflict }
+ */
+function acquireLock(socket, { projectId, taskId, field, force }) {
+  return withTaskClaim(projectId, taskId, async () => {
+    const adapter = getStateAdapter();
+    const wanted = field || WHOLE_TASK;
+    const now = Date.now();
+
+    const conflicts = (await getLiveLocks(projectId)).filter(lock =>
+      String(lock.taskId) === String(taskId) &&
+      overlaps(lock.field, wanted) &&
+      String(lock.userId) !== String(socket.userId)
+    );
+
+    if (conflicts.length > 0) {
+      if (!force || socket.userRole !== 'admin') {
+        return { acquired: false, conflict: toPublicLock(conflicts[0]) };
+      }
+      for (const lock of conflicts) {
+        logger.info(`Admin ${socket.userEmail} overrode ${lock.userEmail}'s lock on task ${taskId} (${lock.field})`);
+        await removeLock(lock, 'overridden', { userId: socket.userId, userEmail: socket.userEmail });
+        await recordAudit({
+          action: 'lock_overridden',
+          actor: socket,
+          source: 'admin',
+          projectId,
+          taskId,
+          details: { field: lock.field === WHOLE_TASK ? null : lock.field, holderId: lock.userId }
+        });
+      }
+    }
+
+    const existing = await adapter.hashGet(projectLocksKey(projectId), lockField(taskId, wanted));
+    const lock = {
+      projectId,
+      taskId,
+      field: wanted,
+      userId: socket.userId,
+      userEmail: socket.userEmail,
+      socketId: socket.id,
+      acquiredAt: existing && existing.expiresAt > now && String(existing.userId) === String(socket.userId)
+        ? existing.acquiredAt
+        : now,
+      expiresAt: now + LOCK_TIMEOUT
+    };
+
+    await adapter.hashSet(projectLocksKey(projectId), lockField(taskId, wanted), lock);
+    await adapter.setAdd(LOCKED_PROJECTS_KEY, String(projectId));
+
+    // Remember the lock on the socket so a disconnect can release it
+    if (!socket.heldLocks) {
+      socket.heldLocks = new Map(); // "<projectId>|<taskId>:<field>" -> { projectId, taskId, field }
+    }
+    socket.heldLocks.set(`${projectId}|${lockField(taskId, wanted)}`, { projectId, taskId, field: wanted });
+
+    await broadcastToRoom(`project_${projectId}`, 'task_locked', {
+      ...toPublicLock(lock),
+      renewed: lock.acquiredAt !== now,
+      timestamp: new Date().toISOString()
+    });
+    return { acquired: true, lock: toPublicLock(lock) };
+  });
+}
+
+/**
+ * Release a lock held by the socket's user (admins may release anyone's)
+ * @param {Object} socket - Authenticated socket
+ * @param {Object} request - { projectId, taskId, field }
+ * @returns {Promise<Object>} - { released: true } or { released: false, code }
+ */
+function releaseLock(socket, { projectId, taskId, field }) {
+  return withTaskClaim(projectId, taskId, async () => {
+    const wanted = field || WHOLE_TASK;
+    const lock = await getStateAdapter().hashGet(projectLocksKey(projectId), lockField(taskId, wanted));
+    socket.heldLocks?.delete(`${projectId}|${lockField(taskId, wanted)}`);
+
+    if (!lock || lock.expiresAt <= Date.now()) {
+      return { released: false, code: 'LOCK_NOT_FOUND' };
+    }
+
+    const isHolder = String(lock.userId) === String(socket.userId);
+    if (!isHolder && socket.userRole !== 'admin') {
+      return { released: false, code: 'NOT_LOCK_HOLDER', holder: toPublicLock(lock).holder };
+    }
+
+    await removeLock(lock, isHolder ? 'released' : 'overridden',
+      isHolder ? null : { userId: socket.userId, userEmail: socket.userEmail });
+    if (!isHolder) {
+      await recordAudit({
+        action: 'lock_overridden',
+        actor: socket,
+        source: 'admin',
+        projectId,
+        taskId,
+        details: { field: field || null, holderId: lock.userId }
+      });
+    }
+    return { released: true };
+  });
+}
+
+/**
+ * Release every lock a socket holds, optionally only in one project
+ * Locks the user has since renewed from another socket are left alone.
+ * @param {Object} socket - Socket that disconnected or left a project
+ * @param {string} reason - disconnected or left
+ * @param {string} projectId - Only release locks in this project
+ */
+async function releaseSocketLocks(socket, reason, projectId = null) {
+  if (!socket.heldLocks) {
+    return;
+  }
+
+  const adapter = getStateAdapter();
+  for (const [key, held] of Array.from(socket.heldLocks)) {
+    if (projectId !== null && String(held.projectId) !== String(projectId)) {
+      continue;
+    }
+    socket.heldLocks.delete(key);
+
+    await withTaskClaim(held.projectId, held.taskId, async () => {
+      const lock = await adapter.hashGet(projectLocksKey(held.projectId), lockField(held.taskId, held.field));
+      if (lock && lock.socketId === socket.id) {
+        await removeLock(lock, reason);
+      }
+    });
+  }
+}
+
+/**
+ * Get the current locks on a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} - Public locks
+ */
+async function getProjectLocks(projectId) {
+  return (await getLiveLocks(projectId)).map(toPublicLock);
+}
+
+/**
+ * Periodically release locks whose holders stopped renewing them
+ * @returns {Function} - Stops the sweep
+ */
+function startLockSweep() {
+  const timer = setInterval(async () => {
+    try {
+      const adapter = getStateAdapter();
+      const now = Date.now();
+      for (const projectId of await adapter.setMembers(LOCKED_PROJECTS_KEY)) {
+        const locks = await adapter.hashGetAll(projectLocksKey(projectId));
+        for (const lock of Object.values(locks)) {
+          if (lock.expiresAt <= now) {
+            // Look again under the claim, in case the holder renewed it meanwhile
+            await withTaskClaim(lock.projectId, lock.taskId, async () => {
+              const current = await adapter.hashGet(projectLocksKey(lock.projectId), lockField(lock.taskId, lock.field));
+              if (current && current.expiresAt <= Date.now()) {
+                await removeLock(current, 'expired');
+              }
+            });
+          }
+        }
+        if (Object.keys(locks).length === 0) {
+          await adapter.setRemove(LOCKED_PROJECTS_KEY, projectId);
+        }
+      }
+    } catch (error) {
+      logger.error('Lock sweep failed', error);
+    }
+  }, LOCK_SWEEP_INTERVAL);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  releaseSocketLocks,
+  getProjectLocks,
+  startLockSweep
+};
@@ -0,0 +1,170 @@
+// Structured, leveled logging with correlation IDs and redaction
+//
+// logger.info('Message', { fields }) writes one line per entry, either JSON
+// (LOG_FORMAT=json) or human-readable (LOG_FORMAT=pretty). Entries logged
+// while handling an HTTP request or socket event carry its correlation ID.
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_LEVEL = config.logging.level;
+const LOG_FORMAT = config.logging.format;
+const REDACT_PII = config.logging.redactPii;
+
+// Field names whose values are never logged
+const SECRET_KEY_PATTERN = /token|authorization|password|secret|cookie|signature/i;
+const JWT_PATTERN = /eyJ[\w-]*\.[\w-]*\.[\w-]*/g;
+const BEARER_PATTERN = /(Bearer\s+)[^\s"',]+/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const contextStorage = new AsyncLocalStorage(); // { correlationId, socketId, userId }
+
+/**
+ * Create a correlation ID, reusing one supplied by the caller if it looks sane
+ * @param {string} supplied - ID from an X-Request-Id header, if any
+ * @returns {string} - The supplied ID or a random UUID
+ */
+function createCorrelationId(supplied) {
+  return typeof supplied === 'string' && CORRELATION_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+}
+
+/**
+ * Run a function with a log context (correlation ID etc.) attached to
+ * everything it logs, including after awaits
+ * @param {Object} context - { correlationId, ... }
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of fn
+ */
+function runWithContext(context, fn) {
+  return contextStorage.run(context, fn);
+}
+
+/**
+ * Bind a callback to the current log context (for event listeners that
+ * fire outside it, such as socket disconnects)
+ * @param {Function} fn - Callback
+ * @returns {Function} - Bound callback
+ */
+function bindContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+/**
+ * Get the correlation ID of the current request or socket
+ * @returns {string|undefined} - Correlation ID, if any
+ */
+function getCorrelationId() {
+  return contextStorage.getStore()?.correlationId;
+}
+
+/**
+ * Redact tokens (and emails when LOG_REDACT_PII is set) from a string
+ * @param {string} text - Text to redact
+ * @returns {string} - Redacted text
+ */
+function redactString(text) {
+  let redacted = text.replace(JWT_PATTERN, '[REDACTED]').replace(BEARER_PATTERN, '$1[REDACTED]');
+  if (REDACT_PII) {
+    redacted = redacted.replace(EMAIL_PATTERN, '[EMAIL]');
+  }
+  return redacted;
+}
+
+/**
+ * Make a value safe to log: redact secrets and flatten errors
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @returns {*} - Loggable copy
+ */
+function sanitize(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code && { code: value.code }),
+      ...(LEVELS[LOG_LEVEL] >= LEVELS.debug && value.stack && { stack: redactString(value.stack) })
+    };
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY_PATTERN.test(key) && item ? '[REDACTED]' : sanitize(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Format one entry for output
+ * @param {Object} entry - { time, level, msg, ...fields }
+ * @returns {string} - Output line
+ */
+function format(entry) {
+  if (LOG_FORMAT === 'json') {
+    return JSON.stringify(entry);
+  }
+
+  const { time, level, msg, correlationId, ...fields } = entry;
+  const context = correlationId ? ` [${correlationId.slice(0, 8)}]` : '';
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)}${context} ${msg}${extra}`;
+}
+
+/**
+ * Create a logger that adds the given fields to every entry
+ * @param {Object} bindings - Fields such as { module: 'auth' }
+ * @returns {Object} - Logger with error, warn, info, debug and child
+ */
+function createLogger(bindings = {}) {
+  const write = (level, message, fields) => {
+    if (LEVELS[level] > LEVELS[LOG_LEVEL]) {
+      return;
+    }
+
+    const entry = sanitize({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...contextStorage.getStore(),
+      ...bindings,
+      ...(fields instanceof Error ? { error: fields } : fields)
+    });
+    const line = format(entry);
+    if (LEVELS[level] <= LEVELS.warn) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  };
+
+  return {
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+module.exports = {
+  logger: createLogger(),
+  createLogger,
+  createCorrelationId,
+  runWithContext,
+  bindContext,
+  getCorrelationId
+};
@@ -0,0 +1,159 @@
+const { getStateAdapter } = require('./stateAdapter');
+const { fetchUserTeams, invalidateUserTeams } = require('./auth');
+const { invalidateTeamMembers } = require('./mentions');
+const { getTeamSequences } = require('./eventReplay');
+const { leaveProject } = require('./socketHandlers');
+const { recordAudit } = require('./audit');
+const presence = require('./presence');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'membership' });
+
+// Membership changes are published to every instance, which updates its own sockets
+const MEMBERSHIP_CHANNEL = 'team_memberships';
+
+const MEMBERSHIP_CHANGES = ['added', 'removed'];
+
+let boundIo = null;
+
+/**
+ * Find this instance's authenticated sockets for a user
+ * @param {string} userId - User ID
+ * @returns {Array} - Socket.IO sockets
+ */
+function localUserSockets(userId) {
+  return Array.from(boundIo.of('/').sockets.values())
+    .filter(socket => socket.authenticated && String(socket.userId) === String(userId));
+}
+
+/**
+ * Move a socket into the rooms of its current teams and out of the rest
+ * Projects of teams the user left are left too, with removed_from_project,
+ * and the user's presence moves to the new teams.
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {Array} teamIds - The user's teams now
+ * @returns {Promise<Object>} - { added, removed } team IDs
+ */
+async function applyTeams(socket, teamIds) {
+  const current = new Set(teamIds.map(String));
+  const previous = new Set(Array.from(socket.rooms)
+    .filter(room => room.startsWith('team:'))
+    .map(room => room.slice('team:'.length)));
+
+  const added = teamIds.filter(teamId => !previous.has(String(teamId)));
+  const removed = Array.from(previous)
+    .filter(teamId => !current.has(teamId))
+    .map(teamId => (socket.teamIds || []).find(known => String(known) === teamId) ?? teamId);
+
+  socket.teamIds = teamIds;
+  added.forEach(teamId => socket.join(`team:${teamId}`));
+  removed.forEach(teamId => socket.leave(`team:${teamId}`));
+
+  if (socket.authenticated && (added.length > 0 || removed.length > 0)) {
+    await presence.updateTeams(socket, { teamIds, added, removed });
+  }
+
+  for (const [projectId, teamId] of Array.from(socket.projectTeams || [])) {
+    if (current.has(String(teamId))) {
+      continue;
+    }
+    await leaveProject(socket, projectId);
+    socket.emit('removed_from_project', {
+      projectId,
+      reason: 'Removed from the project\'s team',
+      by: null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return { added, removed };
+}
+
+/**
+ * Bring a socket's team rooms up to date and tell the client
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {Object} change - { teamId, change } to apply, or {} to fetch the teams again
+ */
+async function syncSocketTeams(socket, change) {
+  let teamIds;
+  if (change.teamId === undefined || change.teamId === null) {
+    teamIds = await fetchUserTeams(socket.userId, socket.token);
+  } else if (change.change === 'added') {
+    teamIds = (socket.teamIds || []).filter(teamId => String(teamId) !== String(change.teamId)).concat(change.teamId);
+  } else {
+    teamIds = (socket.teamIds || []).filter(teamId => String(teamId) !== String(change.teamId));
+  }
+
+  const { added, removed } = await applyTeams(socket, teamIds);
+  if (added.length === 0 && removed.length === 0) {
+    return;
+  }
+
+  socket.emit('teams_updated', {
+    teams: teamIds,
+    added,
+    removed,
+    sequences: await getTeamSequences(added), // Latest sequence of each new team, for sync_events
+    timestamp: new Date().toISOString()
+  });
+  logger.info(`Updated team rooms for ${socket.userEmail}: +[${added.join(', ')}] -[${removed.join(', ')}]`);
+}
+
+/**
+ * Bind the Socket.IO server so membership changes published by any instance
+ * are applied to the sockets of this one
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise<Function>} - async () => void, stops applying them
+ */
+async function bindMembershipSync(io) {
+  boundIo = io;
+  return getStateAdapter().subscribe(MEMBERSHIP_CHANNEL, async (change) => {
+    for (const socket of localUserSockets(change.userId)) {
+      try {
+        await syncSocketTeams(socket, change);
+      } catch (error) {
+        logger.error(`Failed to sync team rooms for socket ${socket.id}`, error);
+      }
+    }
+  });
+}
+
+/**
+ * Apply a team membership change to a user's live sockets on every instance
+ * Without teamId the user's teams are fetched from the backend again.
+ * @param {Object} change - { userId, teamId, change: 'added' | 'removed' }
+ * @param {Object} actor - Who reported the change
+ * @param {string} source - ingest or admin
+ * @returns {Promise<Object>} - The change as published
+ */
+async function changeMembership({ userId, teamId, change }, actor, source) {
+  const published = {
+    userId,
+    teamId: teamId ?? null,
+    change: teamId === undefined || teamId === null ? 'resync' : change
+  };
+
+  // Drop cached memberships first so fetches (here and on other instances) see the change
+  await invalidateUserTeams(userId);
+  if (published.teamId !== null) {
+    await invalidateTeamMembers(published.teamId);
+  }
+  await getStateAdapter().publish(MEMBERSHIP_CHANNEL, published);
+
+  await recordAudit({
+    action: 'team_membership_changed',
+    actor,
+    source,
+    teamId: published.teamId,
+    details: { userId, change: published.change }
+  });
+  logger.info(`Team membership ${published.change} for user ${userId}${published.teamId !== null ? ` in team ${published.teamId}` : ''}`);
+  return published;
+}
+
+module.exports = {
+  MEMBERSHIP_CHANGES,
+  applyTeams,
+  bindMembershipSync,
+  changeMembership
+};
@@ -0,0 +1,112 @@
+const { backendRequest } = require('./backendClient');
+const { createTtlCache, invalidate } = require('./cache');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'mentions' });
+
+// @handle, where handle is a username, an email local part or a full email
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+const MAX_MENTIONS = 20;
+
+// Team rosters are needed for every comment that mentions someone
+const teamMembersCache = createTtlCache('teamMembers', {
+  ttlMs: config.cache.teamMembersTtlMs,
+  maxEntries: config.cache.maxEntries
+});
+
+/**
+ * Fetch a team's members from Python backend (cached)
+ * @param {number} teamId - Team ID
+ * @param {string} token - JWT token for authentication
+ * @returns {Array} - Array of { userId, email, username }
+ * @throws {Error} - BackendUnavailableError if the backend can't be reached
+ */
+async function fetchTeamMembers(teamId, token) {
+  const cached = teamMembersCache.get(teamId);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  try {
+    const response = await backendRequest('get', `/api/teams/${teamId}/members`, { token, operation: 'fetchTeamMembers' });
+
+    const members = Array.isArray(response.data)
+      ? response.data.map(member => ({
+        userId: member.user_id ?? member.id,
+        email: member.email || null,
+        username: member.username || null
+      }))
+      : [];
+    teamMembersCache.set(teamId, members);
+    return members;
+  } catch (error) {
+    if (error.code === 'BACKEND_UNAVAILABLE') {
+      logger.warn(`Cannot fetch members of team ${teamId}: ${error.message}`);
+      throw error;
+    } else if (error.response?.status === 404) {
+      logger.warn(`Team ${teamId} not found in Python backend - no members`);
+    } else {
+      logger.error(`Failed to fetch members of team ${teamId}`, error);
+    }
+    return [];
+  }
+}
+
+/**
+ * Forget a team's cached roster (e.g. after someone joined or left)
+ * @param {number} teamId - Team ID
+ */
+async function invalidateTeamMembers(teamId) {
+  await invalidate('teamMembers', teamId);
+}
+
+/**
+ * Extract @handles from text
+ * @param {string} text - Comment text
+ * @returns {Array} - Lower-cased handles, without duplicates
+ */
+function parseMentions(text) {
+  const handles = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // A trailing dot is punctuation, not part of the handle
+    handles.add(match[2].replace(/\.+$/, '').toLowerCase());
+    if (handles.size >= MAX_MENTIONS) {
+      break;
+    }
+  }
+  return Array.from(handles);
+}
+
+/**
+ * Resolve the @mentions in text against a team's members
+ * Handles that match nobody in the team are ignored.
+ * @param {number} teamId - Team ID
+ * @param {string} text - Comment text
+ * @param {string} token - JWT token for authentication
+ * @returns {Promise<Array>} - Mentioned members ({ userId, email, username })
+ * @throws {Error} - BackendUnavailableError if the backend can't be reached
+ */
+async function resolveMentions(teamId, text, token) {
+  const handles = parseMentions(text);
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const members = await fetchTeamMembers(teamId, token);
+  return members.filter(member => {
+    const email = member.email?.toLowerCase();
+    return handles.some(handle =>
+      handle === email ||
+      handle === email?.split('@')[0] ||
+      handle === member.username?.toLowerCase()
+    );
+  });
+}
+
+module.exports = {
+  fetchTeamMembers,
+  invalidateTeamMembers,
+  parseMentions,
+  resolveMentions
+};
@@ -0,0 +1,266 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+// Metrics are per instance; Prometheus aggregates across instances.
+
+const { eventSchemas } = require('./eventSchemas');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'metrics' });
+
+const METRIC_PREFIX = 'teamapp_';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+const registry = new Map(); // name -> metric
+const collectors = []; // async functions run before each scrape
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set
+ * @param {Array} labelNames - Label names, in order
+ * @param {Object} labels - Label values
+ * @param {string} extra - Extra rendered label (e.g. le="0.1")
+ * @returns {string} - {a="1",b="2"} or an empty string
+ */
+function renderLabels(labelNames, labels, extra = '') {
+  const parts = labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`);
+  if (extra) {
+    parts.push(extra);
+  }
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Key a series by its label values
+ * @param {Array} labelNames - Label names
+ * @param {Object} labels - Label values
+ * @returns {string} - Series key
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+/**
+ * Register a metric under a unique name
+ * @param {Object} metric - Metric with name, help, type and render()
+ * @returns {Object} - The metric
+ */
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Name without the teamapp_ prefix (should end in _total)
+ * @param {string} help - Description
+ * @param {Array} labelNames - Label names
+ * @returns {Object} - Counter with inc(labels, value)
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = new Map(); // key -> { labels, value }
+
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'counter',
+
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+
+    render() {
+      return Array.from(series.values())
+        .map(entry => `${this.name}${renderLabels(labelNames, entry.labels)} ${entry.value}`);
+    }
+  });
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Name without the teamapp_ prefix
+ * @param {string} help - Description
+ * @param {Array} labelNames - Label names
+ * @returns {Object} - Gauge with set(labels, value) and reset()
+ */
+function createGauge(name, help, labelNames = []) {
+  const series = new Map(); // key -> { labels, value }
+
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'gauge',
+
+    set(labels, value) {
+      series.set(seriesKey(labelNames, labels), { labels, value });
+    },
+
+    // Drop every series (for gauges rebuilt at scrape time, e.g. per-room sizes)
+    reset() {
+      series.clear();
+    },
+
+    render() {
+      return Array.from(series.values())
+        .map(entry => `${this.name}${renderLabels(labelNames, entry.labels)} ${entry.value}`);
+    }
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Name without the teamapp_ prefix (e.g. ..._seconds)
+ * @param {string} help - Description
+ * @param {Array} labelNames - Label names
+ * @param {Array} buckets - Upper bounds, ascending
+ * @returns {Object} - Histogram with observe(labels, value) and startTimer()
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // key -> { labels, counts, sum, count }
+
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'histogram',
+
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+
+    /**
+     * Start timing; call the returned function with labels to record seconds elapsed
+     * @returns {Function} - (labels) => void
+     */
+    startTimer() {
+      const start = process.hrtime.bigint();
+      return (labels) => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+
+    render() {
+      const lines = [];
+      series.forEach(entry => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${this.name}_bucket${renderLabels(labelNames, entry.labels, `le="${bound}"`)} ${entry.counts[index]}`);
+        });
+        lines.push(`${this.name}_bucket${renderLabels(labelNames, entry.labels, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${this.name}_sum${renderLabels(labelNames, entry.labels)} ${entry.sum}`);
+        lines.push(`${this.name}_count${renderLabels(labelNames, entry.labels)} ${entry.count}`);
+      });
+      return lines;
+    }
+  });
+}
+
+/**
+ * Run a function before every scrape (to refresh gauges)
+ * @param {Function} collector - async () => void
+ * @returns {Function} - Removes the collector
+ */
+function addCollector(collector) {
+  collectors.push(collector);
+  return () => {
+    const index = collectors.indexOf(collector);
+    if (index !== -1) {
+      collectors.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Map a client-supplied event name to a bounded label value
+ * @param {string} event - Event name
+ * @returns {string} - The event name if it is a known event, otherwise 'unknown'
+ */
+function eventLabel(event) {
+  return Object.prototype.hasOwnProperty.call(eventSchemas, event) ? event : 'unknown';
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {Promise<string>} - Exposition text
+ */
+async function renderMetrics() {
+  for (const collector of collectors) {
+    try {
+      await collector();
+    } catch (error) {
+      logger.error('Metrics collector failed', error);
+    }
+  }
+
+  const lines = [];
+  registry.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Process metrics
+const residentMemory = createGauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+const heapUsed = createGauge('process_heap_used_bytes', 'V8 heap used in bytes');
+const uptime = createGauge('process_uptime_seconds', 'Seconds since the process started');
+
+addCollector(async () => {
+  const memory = process.memoryUsage();
+  residentMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+  uptime.set({}, Math.round(process.uptime()));
+});
+
+// Application metrics, shared by the modules that record them
+const connectionsTotal = createCounter('socket_connections_total', 'Socket connections accepted');
+const disconnectsTotal = createCounter('socket_disconnects_total', 'Socket disconnections by reason', ['reason']);
+const activeConnections = createGauge('socket_active_connections', 'Currently connected sockets');
+const authOutcomes = createCounter('socket_auth_total', 'Socket authentication attempts by stage, outcome and error code', ['stage', 'outcome', 'code']);
+const rateLimitRejections = createCounter('connection_rate_limit_rejections_total', 'Connections refused by the connection rate limiter', ['reason']);
+const eventsReceived = createCounter('socket_events_received_total', 'Socket events received from clients', ['event']);
+const eventsRejected = createCounter('socket_events_rejected_total', 'Socket events dropped before reaching a handler', ['event', 'reason']);
+const eventsBroadcast = createCounter('socket_events_broadcast_total', 'Events broadcast to rooms', ['event']);
+const backendRequestDuration = createHistogram('backend_request_duration_seconds', 'Python backend request latency, including retries', ['operation', 'outcome']);
+const backendFailures = createCounter('backend_request_failures_total', 'Python backend requests that failed', ['operation', 'code']);
+const activeRooms = createGauge('project_rooms_active', 'Project rooms with at least one user (shared state, all instances)');
+const roomUsers = createGauge('project_room_users', 'Users in each project room (shared state, all instances)', ['project_id']);
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  addCollector,
+  eventLabel,
+  renderMetrics,
+  connectionsTotal,
+  disconnectsTotal,
+  activeConnections,
+  authOutcomes,
+  rateLimitRejections,
+  eventsReceived,
+  eventsRejected,
+  eventsBroadcast,
+  backendRequestDuration,
+  backendFailures,
+  activeRooms,
+  roomUsers
+};
@@ -0,0 +1,219 @@
+const { getStateAdapter, broadcastToRoom } = require('./stateAdapter');
+const { getTeamMemberIds } = require('./presence');
+const { config } = require('./config');
+
+// Notification configuration
+const INBOX_SIZE = config.notifications.inboxSize; // newest notifications kept per user
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const inboxKey = (userId) => `notifications:${userId}`; // Hash of notificationId -> notification
+const inboxSeqKey = (userId) => `notification_seq:${userId}`; // Counter used for notification IDs
+const TASK_ASSIGNEES_KEY = 'task_assignees'; // Hash of taskId -> assigneeId, for "your task was deleted"
+
+/**
+ * Add a notification to a user's inbox and push it to their connected sockets
+ * @param {number} userId - Recipient user ID
+ * @param {Object} notification - { type, message, teamId, projectId, taskId, actor, data }
+ * @returns {Promise<Object>} - Stored notification
+ */
+async function notifyUser(userId, notification) {
+  const adapter = getStateAdapter();
+  const id = await adapter.increment(inboxSeqKey(userId));
+  const stored = {
+    id,
+    ...notification,
+    read: false,
+    createdAt: new Date().toISOString()
+  };
+
+  await adapter.hashSet(inboxKey(userId), id, stored);
+
+  // Drop the oldest notifications once the inbox is full
+  const oldest = id - INBOX_SIZE;
+  if (oldest > 0) {
+    await adapter.hashDelete(inboxKey(userId), oldest);
+  }
+
+  await broadcastToRoom(`user:${userId}`, 'notification', {
+    notification: stored,
+    unreadCount: await getUnreadCount(userId),
+    timestamp: new Date().toISOString()
+  });
+  return stored;
+}
+
+/**
+ * Notify several users, skipping the actor and duplicates
+ * @param {Array} userIds - Recipient user IDs
+ * @param {Object} actor - Acting user ({ userId, userEmail })
+ * @param {Object} notification - Notification fields (see notifyUser)
+ */
+async function notifyUsers(userIds, actor, notification) {
+  const recipients = new Set(userIds.map(String));
+  if (actor?.userId != null) {
+    recipients.delete(String(actor.userId));
+  }
+
+  for (const userId of recipients) {
+    await notifyUser(userId, notification);
+  }
+}
+
+/**
+ * Create the notifications implied by a team mutation event
+ * Called for events from sockets and from backend ingestion alike.
+ * @param {string} event - task_created, task_updated, task_deleted or project_updated
+ * @param {Object} payload - Payload from buildTeamEvent
+ * @param {number} teamId - Team that owns the project
+ */
+async function notifyForTeamEvent(event, payload, teamId) {
+  const adapter = getStateAdapter();
+  const actor = payload.createdBy || payload.updatedBy || payload.deletedBy;
+  const who = actor?.userEmail || 'Someone';
+  const context = { teamId, projectId: payload.projectId, taskId: payload.taskId, actor };
+
+  switch (event) {
+    case 'task_created':
+    case 'task_updated': {
+      const assigneeId = payload.taskData?.assigneeId;
+      if (!assigneeId) {
+        return;
+      }
+      const previousAssignee = await adapter.hashGet(TASK_ASSIGNEES_KEY, payload.taskId);
+      await adapter.hashSet(TASK_ASSIGNEES_KEY, payload.taskId, assigneeId);
+
+      if (String(previousAssignee) !== String(assigneeId)) {
+        await notifyUsers([assigneeId], actor, {
+          type: 'task_assigned',
+          message: `${who} assigned you a task${payload.taskData.title ? `: ${payload.taskData.title}` : ''}`,
+          ...context
+        });
+      }
+      return;
+    }
+
+    case 'task_deleted': {
+      const assigneeId = await adapter.hashGet(TASK_ASSIGNEES_KEY, payload.taskId);
+      if (!assigneeId) {
+        return;
+      }
+      await adapter.hashDelete(TASK_ASSIGNEES_KEY, payload.taskId);
+      await notifyUsers([assigneeId], actor, {
+        type: 'task_deleted',
+        message: `${who} deleted a task assigned to you`,
+        ...context
+      });
+      return;
+    }
+
+    case 'project_updated':
+      await notifyUsers(await getTeamMemberIds(teamId), actor, {
+        type: 'project_updated',
+        message: `${who} updated a project${payload.projectData?.name ? `: ${payload.projectData.name}` : ''}`,
+        ...context,
+        data: { action: payload.action }
+      });
+      return;
+
+    default:
+      return;
+  }
+}
+
+/**
+ * Notify users mentioned in a comment
+ * @param {Array} userIds - Mentioned user IDs
+ * @param {Object} comment - Stored comment
+ * @param {number} teamId - Team that owns the task
+ */
+async function notifyMentions(userIds, comment, teamId) {
+  const actor = { userId: comment.userId, userEmail: comment.userEmail };
+  await notifyUsers(userIds, actor, {
+    type: 'mention',
+    message: `${comment.userEmail || 'Someone'} mentioned you in a comment`,
+    teamId,
+    projectId: comment.projectId,
+    taskId: comment.taskId,
+    actor,
+    data: {
+      commentId: comment.id,
+      excerpt: comment.text.length > 140 ? `${comment.text.slice(0, 137)}...` : comment.text
+    }
+  });
+}
+
+/**
+ * Count a user's unread notifications
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Unread count
+ */
+async function getUnreadCount(userId) {
+  const inbox = await getStateAdapter().hashGetAll(inboxKey(userId));
+  return Object.values(inbox).filter(notification => !notification.read).length;
+}
+
+/**
+ * List a user's notifications, newest first
+ * @param {number} userId - User ID
+ * @param {Object} options - Paging options
+ * @param {number} options.limit - Page size (capped at MAX_PAGE_SIZE)
+ * @param {number} options.before - Only notifications with a lower ID (cursor from the previous page)
+ * @param {boolean} options.unreadOnly - Skip read notifications
+ * @returns {Promise<Object>} - { notifications, unreadCount, nextBefore }
+ */
+async function listNotifications(userId, { limit, before, unreadOnly } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const cursor = parseInt(before) || Infinity;
+
+  const all = Object.values(await getStateAdapter().hashGetAll(inboxKey(userId)))
+    .sort((a, b) => b.id - a.id);
+  const matching = all.filter(notification => notification.id < cursor && (!unreadOnly || !notification.read));
+  const page = matching.slice(0, pageSize);
+
+  return {
+    notifications: page,
+    unreadCount: all.filter(notification => !notification.read).length,
+    nextBefore: matching.length > pageSize ? page[page.length - 1].id : null
+  };
+}
+
+/**
+ * Mark notifications as read and sync the user's other sockets
+ * @param {number} userId - User ID
+ * @param {Array|null} ids - Notification IDs, or null for all
+ * @returns {Promise<Object>} - { ids, unreadCount }
+ */
+async function markRead(userId, ids) {
+  const adapter = getStateAdapter();
+  const inbox = await adapter.hashGetAll(inboxKey(userId));
+  const wanted = ids ? new Set(ids.map(String)) : null;
+  const marked = [];
+
+  for (const notification of Object.values(inbox)) {
+    if (!notification.read && (!wanted || wanted.has(String(notification.id)))) {
+      notification.read = true;
+      await adapter.hashSet(inboxKey(userId), notification.id, notification);
+      marked.push(notification.id);
+    }
+  }
+
+  const result = {
+    ids: marked,
+    unreadCount: Object.values(inbox).filter(notification => !notification.read).length
+  };
+  await broadcastToRoom(`user:${userId}`, 'notifications_read', {
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+  return result;
+}
+
+module.exports = {
+  notifyUser,
+  notifyForTeamEvent,
+  notifyMentions,
+  getUnreadCount,
+  listNotifications,
+  markRead
+};
@@ -0,0 +1,254 @@
+const { getStateAdapter, broadcastToRoom } = require('./stateAdapter');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'presence' });
+
+// Presence configuration
+const IDLE_TIMEOUT = config.presence.idleTimeoutMs;
+const IDLE_SWEEP_INTERVAL = 30000; // check for idle users every 30 seconds
+const ACTIVITY_WRITE_INTERVAL = 15000; // record activity at most every 15 seconds per socket
+
+// Statuses a client may choose; 'idle' and 'offline' are set by the server
+const CLIENT_STATUSES = ['online', 'away', 'busy'];
+
+const PRESENCE_KEY = 'presence'; // Hash of userId -> presence record
+const teamMembersKey = (teamId) => `team_members:${teamId}`; // Set of userIds seen in a team
+
+/**
+ * Work out the status other users should see
+ * @param {Object} record - Presence record
+ * @returns {string} - online, away, busy, idle or offline
+ */
+function effectiveStatus(record) {
+  if (record.connections === 0) {
+    return 'offline';
+  }
+  // Idle only overrides a plain "online" - an explicit away/busy is kept
+  if (record.manualStatus === 'online' && Date.now() - record.lastActiveAt > IDLE_TIMEOUT) {
+    return 'idle';
+  }
+  return record.manualStatus;
+}
+
+/**
+ * Shape a presence record for clients
+ * @param {Object} record - Presence record
+ * @returns {Object} - Public presence
+ */
+function toPublicPresence(record) {
+  return {
+    userId: record.userId,
+    userEmail: record.userEmail,
+    status: record.status,
+    connections: record.connections,
+    lastActiveAt: new Date(record.lastActiveAt).toISOString(),
+    lastSeenAt: record.lastSeenAt ? new Date(record.lastSeenAt).toISOString() : null
+  };
+}
+
+/**
+ * Save a presence record and broadcast presence_changed if its status changed
+ * @param {Object} record - Presence record (status is recomputed)
+ * @param {string} previousStatus - Status before the update
+ */
+async function savePresence(record, previousStatus) {
+  record.status = effectiveStatus(record);
+  await getStateAdapter().hashSet(PRESENCE_KEY, record.userId, record);
+
+  if (record.status === previousStatus) {
+    return;
+  }
+
+  const payload = {
+    ...toPublicPresence(record),
+    previousStatus: previousStatus || 'offline',
+    timestamp: new Date().toISOString()
+  };
+  for (const teamId of record.teamIds || []) {
+    await broadcastToRoom(`team:${teamId}`, 'presence_changed', payload);
+  }
+}
+
+/**
+ * Record that one of a user's sockets connected
+ * @param {Object} socket - Authenticated socket (teamIds already loaded)
+ * @param {number} connections - User's connection count including this socket
+ */
+async function markConnected(socket, connections) {
+  const adapter = getStateAdapter();
+  const existing = await adapter.hashGet(PRESENCE_KEY, socket.userId);
+  const now = Date.now();
+
+  const record = {
+    userId: socket.userId,
+    userEmail: socket.userEmail,
+    // A reconnecting user keeps a status they chose while still connected elsewhere
+    manualStatus: existing && existing.connections > 0 ? existing.manualStatus : 'online',
+    connections,
+    lastActiveAt: now,
+    lastSeenAt: now,
+    teamIds: socket.teamIds || []
+  };
+
+  for (const teamId of record.teamIds) {
+    await adapter.setAdd(teamMembersKey(teamId), socket.userId);
+  }
+  socket.lastActivityWrite = now;
+
+  await savePresence(record, existing?.status);
+}
+
+/**
+ * Record that one of a user's sockets disconnected
+ * The user only goes offline when their last socket is gone.
+ * @param {Object} socket - Socket that disconnected
+ * @param {number} connections - User's remaining connection count
+ */
+async function markDisconnected(socket, connections) {
+  const existing = await getStateAdapter().hashGet(PRESENCE_KEY, socket.userId);
+  if (!existing) {
+    return;
+  }
+
+  await savePresence({
+    ...existing,
+    connections,
+    lastSeenAt: Date.now()
+  }, existing.status);
+}
+
+/**
+ * Move a user's presence to the teams they are in now
+ * Called whenever a socket's team rooms change, so presence_changed reaches
+ * the right rooms and team presence lists only show current members.
+ * @param {Object} socket - Authenticated socket
+ * @param {Object} teams - { teamIds, added, removed } - current, newly joined and left team IDs
+ */
+async function updateTeams(socket, { teamIds, added, removed }) {
+  const adapter = getStateAdapter();
+  for (const teamId of added) {
+    await adapter.setAdd(teamMembersKey(teamId), socket.userId);
+  }
+  for (const teamId of removed) {
+    await adapter.setRemove(teamMembersKey(teamId), socket.userId);
+  }
+
+  // Sockets that aren't tracked yet get their teams when markConnected runs
+  const existing = await adapter.hashGet(PRESENCE_KEY, socket.userId);
+  if (existing) {
+    await adapter.hashSet(PRESENCE_KEY, socket.userId, { ...existing, teamIds });
+  }
+}
+
+/**
+ * Record activity from a socket (throttled), bringing an idle user back
+ * @param {Object} socket - Authenticated socket
+ */
+async function recordActivity(socket) {
+  const now = Date.now();
+  if (now - (socket.lastActivityWrite || 0) < ACTIVITY_WRITE_INTERVAL) {
+    return;
+  }
+  socket.lastActivityWrite = now;
+
+  const existing = await getStateAdapter().hashGet(PRESENCE_KEY, socket.userId);
+  if (!existing) {
+    return;
+  }
+
+  await savePresence({
+    ...existing,
+    lastActiveAt: now,
+    lastSeenAt: now
+  }, existing.status);
+}
+
+/**
+ * Set a user's chosen status (applies to all of their sockets)
+ * @param {Object} socket - Authenticated socket
+ * @param {string} status - online, away or busy
+ * @returns {Promise<Object>} - Public presence
+ */
+async function setStatus(socket, status) {
+  if (!CLIENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid presence status '${status}'`);
+  }
+
+  const existing = await getStateAdapter().hashGet(PRESENCE_KEY, socket.userId);
+  const now = Date.now();
+  const record = {
+    ...existing,
+    manualStatus: status,
+    lastActiveAt: now,
+    lastSeenAt: now
+  };
+  socket.lastActivityWrite = now;
+
+  await savePresence(record, existing?.status);
+  return toPublicPresence(record);
+}
+
+/**
+ * Get a user's presence
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} - Public presence or null if never seen
+ */
+async function getUserPresence(userId) {
+  const record = await getStateAdapter().hashGet(PRESENCE_KEY, userId);
+  return record ? toPublicPresence({ ...record, status: effectiveStatus(record) }) : null;
+}
+
+/**
+ * Get the presence of every user seen in a team
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Array>} - Public presence records
+ */
+async function getTeamPresence(teamId) {
+  const userIds = await getTeamMemberIds(teamId);
+  const presence = await Promise.all(userIds.map(userId => getUserPresence(userId)));
+  return presence.filter(Boolean);
+}
+
+/**
+ * Get the IDs of every user seen connected to a team
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Array>} - User IDs
+ */
+async function getTeamMemberIds(teamId) {
+  return getStateAdapter().setMembers(teamMembersKey(teamId));
+}
+
+/**
+ * Periodically move connected users with no recent activity to idle
+ * @returns {Function} - Stops the sweep
+ */
+function startIdleSweep() {
+  const timer = setInterval(async () => {
+    try {
+      const records = await getStateAdapter().hashGetAll(PRESENCE_KEY);
+      for (const record of Object.values(records)) {
+        if (record.connections > 0 && effectiveStatus(record) !== record.status) {
+          await savePresence(record, record.status);
+        }
+      }
+    } catch (error) {
+      logger.error('Presence idle sweep failed', error);
+    }
+  }, IDLE_SWEEP_INTERVAL);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  CLIENT_STATUSES,
+  markConnected,
+  markDisconnected,
+  updateTeams,
+  recordActivity,
+  setStatus,
+  getUserPresence,
+  getTeamPresence,
+  getTeamMemberIds,
+  startIdleSweep
+};
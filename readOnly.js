@@ -0,0 +1,84 @@
+const { getStateAdapter } = require('./stateAdapter');
+
+const READ_ONLY_PROJECTS_KEY = 'read_only_projects'; // Hash of projectId -> { reason, by, since }
+
+// Events that change a project's content and are refused while it is read-only
+const MUTATING_EVENTS = new Set([
+  'task_created',
+  'task_updated',
+  'task_deleted',
+  'project_updated',
+  'lock_task',
+  'doc_op',
+  'chat_message',
+  'chat_edit',
+  'chat_delete',
+  'comment_added',
+  'comment_edited',
+  'comment_deleted'
+]);
+
+/**
+ * Get a project's read-only state
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} - { reason, by, since } or null if writable
+ */
+async function getReadOnly(projectId) {
+  return getStateAdapter().hashGet(READ_ONLY_PROJECTS_KEY, String(projectId));
+}
+
+/**
+ * Put a project into read-only mode, or take it out
+ * @param {string} projectId - Project ID
+ * @param {Object|null} state - { reason, by } to make it read-only, null to make it writable
+ * @returns {Promise<Object|null>} - Stored state
+ */
+async function setReadOnly(projectId, state) {
+  const adapter = getStateAdapter();
+  if (!state) {
+    await adapter.hashDelete(READ_ONLY_PROJECTS_KEY, String(projectId));
+    return null;
+  }
+  const stored = { ...state, since: new Date().toISOString() };
+  await adapter.hashSet(READ_ONLY_PROJECTS_KEY, String(projectId), stored);
+  return stored;
+}
+
+/**
+ * Create Socket.IO middleware that drops mutating events for read-only
+ * projects (admins are exempt)
+ * @param {Object} socket - Socket.IO socket instance
+ * @returns {Function} - Middleware for socket.use()
+ */
+function createReadOnlyMiddleware(socket) {
+  return async ([event, data], next) => {
+    if (!MUTATING_EVENTS.has(event) || !data?.projectId || socket.userRole === 'admin') {
+      return next();
+    }
+
+    let readOnly;
+    try {
+      readOnly = await getReadOnly(data.projectId);
+    } catch (error) {
+      // Fail open like the connection rate limiter - shared state is down, not the project
+      return next();
+    }
+    if (!readOnly) {
+      return next();
+    }
+
+    socket.emit('error', {
+      message: `Project ${data.projectId} is read-only${readOnly.reason ? `: ${readOnly.reason}` : ''}`,
+      code: 'PROJECT_READ_ONLY',
+      event,
+      projectId: data.projectId,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+module.exports = {
+  getReadOnly,
+  setReadOnly,
+  createReadOnlyMiddleware
+};
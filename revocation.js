@@ -0,0 +1,191 @@
+const { getStateAdapter } = require('./stateAdapter');
+const { createLogger } = require('./logger');
+const { config } = require('./config');
+
+const logger = createLogger({ module: 'revocation' });
+
+// Revocation configuration
+const REVOKED_TOKEN_TTL = config.session.revokedTokenTtlSeconds; // when the token's exp is unknown
+const REVOCATION_SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+// Shared state keys (backed by the configured state adapter)
+const REVOCATIONS_KEY = 'token_revocations'; // Hash of jti:<jti> | user:<userId> | all -> revocation
+const REVOCATION_CHANNEL = 'token_revocations'; // Ends matching sessions on every instance
+
+let boundIo = null;
+
+/**
+ * Check whether a revocation covers a token
+ * A revocation names a single token (jti), or covers tokens issued before
+ * issuedBefore - for one user (userId) or for everyone. A token from the same
+ * second as the cut-off stays valid, and one without an iat is always covered.
+ * @param {Object} claims - { jti, userId, iat } of the token
+ * @param {Object} revocation - { jti } or { userId, issuedBefore } or { issuedBefore }
+ * @returns {boolean} - True if the token is revoked
+ */
+function coversToken(claims, revocation) {
+  if (revocation.jti) {
+    return claims.jti === revocation.jti;
+  }
+  if (revocation.userId !== undefined && revocation.userId !== null && String(revocation.userId) !== String(claims.userId)) {
+    return false;
+  }
+  if (!Number.isFinite(claims.iat)) {
+    return true;
+  }
+  return claims.iat < revocation.issuedBefore;
+}
+
+/**
+ * Find the revocation covering a token, if any
+ * @param {Object} claims - { jti, userId, iat } of the token
+ * @returns {Promise<Object|null>} - Matching revocation or null
+ */
+async function getRevocation(claims) {
+  const adapter = getStateAdapter();
+  const revocations = await Promise.all([
+    claims.jti ? adapter.hashGet(REVOCATIONS_KEY, `jti:${claims.jti}`) : null,
+    adapter.hashGet(REVOCATIONS_KEY, `user:${claims.userId}`),
+    adapter.hashGet(REVOCATIONS_KEY, 'all')
+  ]);
+  return revocations.find(revocation => revocation && coversToken(claims, revocation)) || null;
+}
+
+/**
+ * Store a revocation and end the sessions it covers on every instance
+ * @param {string} field - Hash field (jti:<jti>, user:<userId> or all)
+ * @param {Object} revocation - Revocation to store
+ * @returns {Promise<Object>} - Stored revocation
+ */
+async function storeRevocation(field, revocation) {
+  const adapter = getStateAdapter();
+  const stored = { ...revocation, revokedAt: new Date().toISOString() };
+
+  // Keep the latest cut-off when revoking the same user (or everyone) again
+  const previous = stored.jti ? null : await adapter.hashGet(REVOCATIONS_KEY, field);
+  if (previous && previous.issuedBefore > stored.issuedBefore) {
+    stored.issuedBefore = previous.issuedBefore;
+  }
+
+  await adapter.hashSet(REVOCATIONS_KEY, field, stored);
+  await adapter.publish(REVOCATION_CHANNEL, stored);
+  return stored;
+}
+
+/**
+ * Revoke one token by its jti claim
+ * @param {string} jti - Token ID
+ * @param {number} expiresAt - Token's exp (epoch seconds); the entry is dropped after it
+ * @param {string} reason - Shown to the user
+ * @returns {Promise<Object>} - Stored revocation
+ */
+async function revokeToken(jti, expiresAt, reason) {
+  return storeRevocation(`jti:${jti}`, {
+    jti,
+    expiresAt: expiresAt || Math.floor(Date.now() / 1000) + REVOKED_TOKEN_TTL,
+    reason: reason || null
+  });
+}
+
+/**
+ * Revoke every token of a user issued before a time (logout everywhere,
+ * deactivation, password reset)
+ * @param {string} userId - User ID
+ * @param {number} issuedBefore - Cut-off (epoch seconds), defaults to now
+ * @param {string} reason - Shown to the user
+ * @returns {Promise<Object>} - Stored revocation
+ */
+async function revokeUserTokens(userId, issuedBefore, reason) {
+  return storeRevocation(`user:${userId}`, {
+    userId,
+    issuedBefore: issuedBefore || Math.floor(Date.now() / 1000),
+    reason: reason || null
+  });
+}
+
+/**
+ * Revoke every token issued before a time, for all users (e.g. after a
+ * signing key leak)
+ * @param {number} issuedBefore - Cut-off (epoch seconds), defaults to now
+ * @param {string} reason - Shown to users
+ * @returns {Promise<Object>} - Stored revocation
+ */
+async function revokeAllTokens(issuedBefore, reason) {
+  return storeRevocation('all', {
+    issuedBefore: issuedBefore || Math.floor(Date.now() / 1000),
+    reason: reason || null
+  });
+}
+
+/**
+ * End a socket's session: tell the client why, then disconnect it
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {Object} revocation - Revocation covering its token
+ */
+function endSession(socket, revocation) {
+  socket.emit('session_revoked', {
+    message: revocation.reason || 'Your session has been revoked. Please log in again.',
+    code: 'SESSION_REVOKED',
+    reason: revocation.reason,
+    action: 'RELOGIN',
+    timestamp: new Date().toISOString()
+  });
+  socket.disconnect(true);
+}
+
+/**
+ * Bind the Socket.IO server so revocations published by any instance end
+ * the matching sessions on this one
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise<Function>} - async () => void, stops applying them
+ */
+async function bindRevocations(io) {
+  boundIo = io;
+  return getStateAdapter().subscribe(REVOCATION_CHANNEL, (revocation) => {
+    let ended = 0;
+    for (const socket of boundIo.of('/').sockets.values()) {
+      if (!socket.authenticated) {
+        continue;
+      }
+      if (coversToken({ jti: socket.tokenJti, userId: socket.userId, iat: socket.tokenIssuedAt }, revocation)) {
+        endSession(socket, revocation);
+        ended++;
+      }
+    }
+    if (ended > 0) {
+      logger.info(`Ended ${ended} revoked sessions`, { jti: revocation.jti, userId: revocation.userId });
+    }
+  });
+}
+
+/**
+ * Periodically drop revocations of single tokens that have expired anyway
+ * @returns {Function} - Stops the sweep
+ */
+function startRevocationSweep() {
+  const timer = setInterval(async () => {
+    try {
+      const adapter = getStateAdapter();
+      const now = Math.floor(Date.now() / 1000);
+      const revocations = await adapter.hashGetAll(REVOCATIONS_KEY);
+      for (const [field, revocation] of Object.entries(revocations)) {
+        if (revocation.jti && revocation.expiresAt <= now) {
+          await adapter.hashDelete(REVOCATIONS_KEY, field);
+        }
+      }
+    } catch (error) {
+      logger.error('Revocation sweep failed', error);
+    }
+  }, REVOCATION_SWEEP_INTERVAL);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  getRevocation,
+  revokeToken,
+  revokeUserTokens,
+  revokeAllTokens,
+  bindRevocations,
+  startRevocationSweep
+};
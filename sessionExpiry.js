@@ -0,0 +1,111 @@
+const { untrackAuthenticatedSocket } = require('./socketHandlers');
+const { createLogger, bindContext } = require('./logger');
+const { config } = require('./config');
+
+const logger = createLogger({ module: 'session' });
+
+// Session expiry configuration
+const TOKEN_EXPIRY_WARNING = config.session.expiryWarningSeconds * 1000;
+const EXPIRED_SESSION_GRACE = config.session.expiredGraceMs; // to refresh before disconnect
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+
+/**
+ * Clear a socket's expiry timers
+ * @param {Object} socket - Socket.IO socket instance
+ */
+function clearTokenExpiry(socket) {
+  clearTimeout(socket.expiryWarningTimer);
+  clearTimeout(socket.expiryTimer);
+  socket.expiryWarningTimer = null;
+  socket.expiryTimer = null;
+}
+
+/**
+ * Warn a socket that its token is about to expire
+ * @param {Object} socket - Socket.IO socket instance
+ */
+function warnTokenExpiring(socket) {
+  const expiresAt = socket.tokenExpiresAt * 1000;
+  socket.emit('token_expiring', {
+    message: 'Your session is about to expire. Refresh your token to stay connected.',
+    expiresAt: new Date(expiresAt).toISOString(),
+    expiresIn: Math.max(0, Math.round((expiresAt - Date.now()) / 1000)), // seconds
+    action: 'REFRESH_TOKEN',
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Demote a socket whose token expired without a refresh: take it out of
+ * every room and ask for a new token, disconnecting it if none arrives
+ * @param {Object} socket - Socket.IO socket instance
+ */
+async function expireSession(socket) {
+  clearTokenExpiry(socket);
+  logger.info(`Token expired for ${socket.userEmail} on socket ${socket.id} - demoting`);
+
+  // Demote before any await so a refresh_token arriving meanwhile re-tracks the socket
+  socket.authenticated = false;
+  Array.from(socket.rooms)
+    .filter(room => room !== socket.id)
+    .forEach(room => socket.leave(room));
+  socket.projectTeams?.clear();
+  socket.teamIds = [];
+
+  try {
+    await untrackAuthenticatedSocket(socket, 'session_expired');
+  } catch (error) {
+    logger.error(`Failed to clean up state for expired socket ${socket.id}`, error);
+  }
+
+  socket.emit('authentication_required', {
+    message: 'Your token has expired. Refresh it to continue.',
+    code: 'TOKEN_EXPIRED',
+    timestamp: new Date().toISOString(),
+    action: 'REFRESH_TOKEN',
+    retryAfter: EXPIRED_SESSION_GRACE
+  });
+
+  // Same as a connection without a token: refresh or be disconnected
+  setTimeout(() => {
+    if (!socket.authenticated) {
+      socket.disconnect(true);
+    }
+  }, EXPIRED_SESSION_GRACE);
+}
+
+/**
+ * Schedule the expiry warning and demotion for a socket's current token,
+ * replacing any timers from a previous token
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {number} exp - Token's exp claim (epoch seconds); no timers without one
+ */
+function scheduleTokenExpiry(socket, exp) {
+  clearTokenExpiry(socket);
+  socket.tokenExpiresAt = exp;
+  if (!exp) {
+    return;
+  }
+
+  const expiresIn = exp * 1000 - Date.now();
+  const warnIn = expiresIn - TOKEN_EXPIRY_WARNING;
+  if (warnIn > 0 && warnIn <= MAX_TIMER_DELAY) {
+    socket.expiryWarningTimer = setTimeout(bindContext(() => warnTokenExpiring(socket)), warnIn);
+  } else if (warnIn <= 0 && expiresIn > 0) {
+    warnTokenExpiring(socket);
+  }
+
+  // Very long-lived tokens are re-checked when the longest possible timer fires
+  socket.expiryTimer = setTimeout(bindContext(() => {
+    if (socket.tokenExpiresAt * 1000 > Date.now()) {
+      scheduleTokenExpiry(socket, socket.tokenExpiresAt);
+      return;
+    }
+    expireSession(socket).catch(error => logger.error(`Failed to expire session for ${socket.id}`, error));
+  }), Math.min(Math.max(expiresIn, 0), MAX_TIMER_DELAY));
+}
+
+module.exports = {
+  scheduleTokenExpiry,
+  clearTokenExpiry
+};
@@ -1,71 +1,208 @@
 const { verifyToken, fetchUserTeams } = require('./auth');
-const axios = require('axios');
+const { backendRequest } = require('./backendClient');
+const { getStateAdapter, broadcastToRoom } = require('./stateAdapter');
+const { broadcastTeamEvent, getEventsSince } = require('./eventReplay');
+const { createTtlCache, invalidate } = require('./cache');
+const presence = require('./presence');
+const instances = require('./instances');
+const { notifyForTeamEvent, notifyMentions, markRead } = require('./notifications');
+const { resolveMentions } = require('./mentions');
+const locks = require('./locks');
+const { recordTaskCreated, applyTaskUpdate, recordTaskDeleted } = require('./taskVersions');
+const documents = require('./documents');
+const { getChatStore, projectChannel, taskChannel } = require('./chatStore');
+const { createLogger, bindContext } = require('./logger');
+const { recordAudit } = require('./audit');
+const { getReadOnly } = require('./readOnly');
+const { config } = require('./config');
 
-// In-memory storage for active rooms and users
-const activeRooms = new Map(); // projectId -> Set of userIds
-const userSockets = new Map(); // userId -> Set of socketIds
-const socketUsers = new Map(); // socketId -> userInfo
+const logger = createLogger({ module: 'socket' });
+
+// Shared state keys (backed by the configured state adapter)
+const ACTIVE_ROOMS_KEY = 'rooms'; // Set of projectIds with active users
+const roomKey = (projectId) => `room:${projectId}`; // Set of userIds
+const roomSocketsKey = (projectId, userId) => `room_sockets:${projectId}:${userId}`; // Set of a user's socketIds in a room
+const userSocketsKey = (userId) => `user_sockets:${userId}`; // Set of socketIds
+const SOCKET_USERS_KEY = 'socket_users'; // Hash of socketId -> userInfo
+
+// Project -> team lookups are hit on every task/project event, so cache them
+const projectTeamCache = createTtlCache('projectTeams', {
+  ttlMs: config.cache.projectTeamTtlMs,
+  maxEntries: config.cache.maxEntries
+});
 
 /**
- * Get team ID for a project from Python backend
+ * Get team ID for a project from Python backend (cached)
  * @param {number} projectId - Project ID
  * @param {string} token - JWT token for authentication
  * @returns {number|null} - Team ID or null if not found
+ * @throws {Error} - BackendUnavailableError if the backend can't be reached
  */
 async function getProjectTeamId(projectId, token) {
+  const cached = projectTeamCache.get(projectId);
+  if (cached !== undefined) {
+    return cached;
+  }
+
   try {
-    const pythonBackendUrl = process.env.PYTHON_BACKEND_URL;
-    if (!pythonBackendUrl) {
-        throw new Error('PYTHON_BACKEND_URL environment variable is required');
-    }
+    const response = await backendRequest('get', `/api/projects/${projectId}`, { token, operation: 'getProjectTeamId' });
     
-    const response = await axios.get(`${pythonBackendUrl}/api/projects/${projectId}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 5000
-    });
+    const teamId = response.data?.team_id || null;
+    if (teamId) {
+      projectTeamCache.set(projectId, teamId);
+    }
+    return teamId;
+  } catch (error) {
+    if (error.code === 'BACKEND_UNAVAILABLE') {
+      logger.warn(`Cannot get team ID for project ${projectId}: ${error.message}`);
+      throw error;
+    } else if (error.response?.status === 404) {
+      logger.warn(`Project ${projectId} not found in Python backend`);
+    } else {
+      logger.error(`Failed to fetch team ID for project ${projectId}`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Forget the cached team of a project (e.g. after it moved to another team)
+ * @param {number} projectId - Project ID
+ */
+async function invalidateProjectTeam(projectId) {
+  await invalidate('projectTeams', projectId);
+}
+
+// Task -> project lookups guard comments and documents against task IDs from other teams
+const taskProjectCache = createTtlCache('taskProjects', {
+  ttlMs: config.cache.projectTeamTtlMs,
+  maxEntries: config.cache.maxEntries
+});
+
+/**
+ * Get the project a task belongs to from Python backend (cached)
+ * @param {number} taskId - Task ID
+ * @param {string} token - JWT token for authentication
+ * @returns {number|null} - Project ID or null if not found
+ * @throws {Error} - BackendUnavailableError if the backend can't be reached
+ */
+async function getTaskProjectId(taskId, token) {
+  const cached = taskProjectCache.get(taskId);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  try {
+    const response = await backendRequest('get', `/api/tasks/${taskId}`, { token, operation: 'getTaskProjectId' });
     
-    return response.data?.team_id || null;
+    const projectId = response.data?.project_id ?? null;
+    if (projectId !== null) {
+      taskProjectCache.set(taskId, projectId);
+    }
+    return projectId;
   } catch (error) {
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      console.warn(`Python backend not available at ${pythonBackendUrl} - cannot get team ID for project ${projectId}`);
+    if (error.code === 'BACKEND_UNAVAILABLE') {
+      logger.warn(`Cannot get project ID for task ${taskId}: ${error.message}`);
+      throw error;
     } else if (error.response?.status === 404) {
-      console.warn(`Project ${projectId} not found in Python backend`);
+      logger.warn(`Task ${taskId} not found in Python backend`);
     } else {
-      console.error(`Failed to fetch team ID for project ${projectId}:`, error.message);
+      logger.error(`Failed to fetch project ID for task ${taskId}`, error);
     }
     return null;
   }
 }
 
+/**
+ * Forget the cached project of a task (e.g. after it moved to another project)
+ * @param {number} taskId - Task ID
+ */
+async function invalidateTaskProject(taskId) {
+  await invalidate('taskProjects', taskId);
+}
+
+/**
+ * Check that a socket may act on a task: the user must be in the team that
+ * owns the project, and the task must belong to that project - otherwise a
+ * member could reach another team's task by pairing its ID with their own
+ * project. Emits FORBIDDEN_PROJECT when either check fails.
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {number} projectId - Project ID sent by the client
+ * @param {number} taskId - Task ID sent by the client
+ * @returns {Promise<number|null>} - The project's team ID, or null if refused
+ * @throws {Error} - BackendUnavailableError if the backend can't be reached
+ */
+async function authorizeTask(socket, projectId, taskId) {
+  const teamId = await getProjectTeamId(projectId, socket.token);
+  if (!teamId || !isTeamMember(socket, teamId)) {
+    emitForbiddenProject(socket, projectId);
+    return null;
+  }
+
+  const taskProjectId = await getTaskProjectId(taskId, socket.token);
+  if (taskProjectId === null || String(taskProjectId) !== String(projectId)) {
+    logger.warn(`User ${socket.userEmail} denied access to task ${taskId}: it belongs to project ${taskProjectId ?? '(unknown)'}, not ${projectId}`);
+    emitForbiddenProject(socket, projectId);
+    return null;
+  }
+  return teamId;
+}
+
+/**
+ * Build the payload for a team-scoped mutation event
+ * Shared by the socket handlers and the backend ingestion route so clients
+ * see identical shapes whatever the source.
+ * @param {string} event - task_created, task_updated, task_deleted or project_updated
+ * @param {Object} data - Event fields (taskId, projectId, taskData, projectData, action, version)
+ * @param {Object} actor - Acting user ({ userId, userEmail })
+ * @returns {Object} - Event payload
+ */
+function buildTeamEvent(event, data, actor) {
+  const { taskId, projectId, taskData, projectData, action, version } = data;
+  const by = {
+    userId: actor?.userId ?? null,
+    userEmail: actor?.userEmail ?? null
+  };
+  const timestamp = new Date().toISOString();
+
+  switch (event) {
+    case 'task_created':
+      return { taskId, projectId, taskData, version: version ?? null, createdBy: by, timestamp };
+    case 'task_updated':
+      return { taskId, projectId, taskData, version: version ?? null, action: action || 'update', updatedBy: by, timestamp };
+    case 'task_deleted':
+      return { taskId, projectId, deletedBy: by, timestamp };
+    case 'project_updated':
+      return { projectId, projectData, action: action || 'update', updatedBy: by, timestamp };
+    default:
+      throw new Error(`Unknown team event '${event}'`);
+  }
+}
+
 /**
  * Handle new socket connection
  * @param {Object} socket - Socket.IO socket instance
  * @param {Object} io - Socket.IO server instance
  */
 function handleConnection(socket, io) {
-  console.log(`New connection: ${socket.id}`);
+  logger.debug(`New connection: ${socket.id}`);
   
   // Track authenticated sockets
   if (socket.authenticated && socket.userId) {
-    // Track user's sockets
-    if (!userSockets.has(socket.userId)) {
-      userSockets.set(socket.userId, new Set());
-    }
-    userSockets.get(socket.userId).add(socket.id);
-    socketUsers.set(socket.id, {
-      userId: socket.userId,
-      email: socket.userEmail,
-      role: socket.userRole
-    });
-    
-    console.log(`User tracked: ${socket.userEmail} (${socket.userId}) via socket ${socket.id}`);
+    trackAuthenticatedSocket(socket);
   }
 
-  // Join a project room
-  socket.on('join_project', (data) => {
+  // Any inbound event counts as activity for idle detection
+  socket.use((packet, next) => {
+    if (socket.authenticated && socket.userId) {
+      presence.recordActivity(socket)
+        .catch(err => logger.error(`Failed to record activity for ${socket.id}`, err));
+    }
+    next();
+  });
+
+  // Set the user's chosen presence status (online, away or busy)
+  socket.on('set_presence', async (data) => {
     if (!socket.authenticated) {
       socket.emit('error', { 
         message: 'Authentication required',
@@ -75,56 +212,123 @@ function handleConnection(socket, io) {
       return;
     }
 
-    const { projectId } = data;
-    
-    if (!projectId) {
-      socket.emit('error', { 
-        message: 'Project ID is required',
-        code: 'MISSING_PROJECT_ID',
+    try {
+      const current = await presence.setStatus(socket, data.status);
+      socket.emit('presence_updated', {
+        ...current,
         timestamp: new Date().toISOString()
       });
-      return;
+      logger.info(`User ${socket.userEmail} set presence to ${data.status}`);
+    } catch (err) {
+      logger.error('Failed to handle set_presence', err);
+      emitHandlerError(socket, err, 'Failed to update presence', 'PRESENCE_UPDATE_FAILED');
     }
+  });
 
-    // Leave previous project rooms (but keep personal room)
-    socket.rooms.forEach(room => {
-      if (room !== socket.id && room.startsWith('project_')) {
-        socket.leave(room);
-        removeUserFromRoom(room.replace('project_', ''), socket.userId);
+  // Heartbeat from an active but otherwise quiet client - activity is
+  // recorded by the middleware above, so there is nothing else to do
+  socket.on('presence_heartbeat', () => {});
+
+  // Join a project room
+  socket.on('join_project', async (data) => {
+    try {
+      if (!socket.authenticated) {
+        socket.emit('error', { 
+          message: 'Authentication required',
+          code: 'AUTH_REQUIRED',
+          timestamp: new Date().toISOString()
+        });
+        return;
       }
-    });
-    
-    // Join new project room
-    const roomName = `project_${projectId}`;
-    socket.join(roomName);
-    
-    // Track active users in room
-    if (!activeRooms.has(projectId)) {
-      activeRooms.set(projectId, new Set());
+
+      const { projectId } = data;
+      
+      if (!projectId) {
+        socket.emit('error', { 
+          message: 'Project ID is required',
+          code: 'MISSING_PROJECT_ID',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      // Only members of the project's team may join its room
+      const teamId = await getProjectTeamId(projectId, socket.token);
+      if (!teamId || !isTeamMember(socket, teamId)) {
+        emitForbiddenProject(socket, projectId);
+        return;
+      }
+
+      // Leave previous project rooms (but keep personal room)
+      for (const room of Array.from(socket.rooms)) {
+        if (room !== socket.id && room.startsWith('project_')) {
+          socket.leave(room);
+          socket.projectTeams?.delete(room.replace('project_', ''));
+          await locks.releaseSocketLocks(socket, 'left', room.replace('project_', ''));
+          await closeDocuments(socket, room.replace('project_', ''));
+          await removeSocketFromRoom(socket, room.replace('project_', ''));
+        }
+      }
+      
+      // Join new project room and remember its team for later authorization
+      const roomName = `project_${projectId}`;
+      socket.join(roomName);
+      if (!socket.projectTeams) {
+        socket.projectTeams = new Map(); // projectId -> teamId
+      }
+      socket.projectTeams.set(String(projectId), teamId);
+      
+      // Track active users in room
+      const firstSocket = await addSocketToRoom(socket, projectId);
+      
+      // Notify others in the room (once per user, not per tab)
+      if (firstSocket) {
+        await broadcastToRoom(roomName, 'user_joined', {
+          userId: socket.userId,
+          userEmail: socket.userEmail,
+          projectId: projectId,
+          timestamp: new Date().toISOString()
+        }, { except: socket.id });
+      }
+      
+      // Send current room members to the joining user
+      const roomMembers = await getActiveUsers(projectId);
+      socket.emit('room_members', {
+        projectId: projectId,
+        members: roomMembers,
+        count: roomMembers.length
+      });
+      
+      // Send current edit locks so the UI can grey out fields being edited
+      socket.emit('task_locks', {
+        projectId,
+        locks: await locks.getProjectLocks(projectId),
+        timestamp: new Date().toISOString()
+      });
+      
+      // Tell the user up front if an admin has made the project read-only
+      const readOnly = await getReadOnly(projectId);
+      if (readOnly) {
+        socket.emit('project_read_only', {
+          projectId,
+          readOnly: true,
+          ...readOnly,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Send the latest chat messages so the channel is populated on open
+      await sendChatHistory(socket, projectId);
+      
+      logger.info(`User ${socket.userEmail} joined project ${projectId}`);
+    } catch (err) {
+      logger.error('Failed to handle join_project', err);
+      emitHandlerError(socket, err, 'Failed to join project', 'JOIN_PROJECT_FAILED');
     }
-    activeRooms.get(projectId).add(socket.userId);
-    
-    // Notify others in the room
-    socket.to(roomName).emit('user_joined', {
-      userId: socket.userId,
-      userEmail: socket.userEmail,
-      projectId: projectId,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Send current room members to the joining user
-    const roomMembers = Array.from(activeRooms.get(projectId) || []);
-    socket.emit('room_members', {
-      projectId: projectId,
-      members: roomMembers,
-      count: roomMembers.length
-    });
-    
-    console.log(`User ${socket.userEmail} joined project ${projectId}`);
   });
 
   // Leave a project room
-  socket.on('leave_project', (data) => {
+  socket.on('leave_project', async (data) => {
     if (!socket.authenticated) {
       return;
     }
@@ -139,19 +343,12 @@ function handleConnection(socket, io) {
       return;
     }
 
-    const roomName = `project_${projectId}`;
-    socket.leave(roomName);
-    removeUserFromRoom(projectId, socket.userId);
-    
-    // Notify others in the room
-    socket.to(roomName).emit('user_left', {
-      userId: socket.userId,
-      userEmail: socket.userEmail,
-      projectId: projectId,
-      timestamp: new Date().toISOString()
-    });
-    
-    console.log(`User ${socket.userEmail} left project ${projectId}`);
+    try {
+      await leaveProject(socket, projectId);
+      logger.info(`User ${socket.userEmail} left project ${projectId}`);
+    } catch (err) {
+      logger.error('Failed to handle leave_project', err);
+    }
   });
 
   // Handle task updates with improved error handling and role-based filtering
@@ -166,7 +363,7 @@ function handleConnection(socket, io) {
         return;
       }
 
-      const { taskId, projectId, taskData, action } = data;
+      const { taskId, projectId, taskData, action, baseVersion } = data;
       
       if (!taskId || !projectId) {
         socket.emit('error', { 
@@ -177,51 +374,79 @@ function handleConnection(socket, io) {
         return;
       }
 
-      // Get project's team ID and emit to team room
-      const teamId = await getProjectTeamId(projectId, socket.token);
-      if (teamId) {
-        const teamRoom = `team:${teamId}`;
-        
-        // Create the update event
-        const updateEvent = {
+      // The task must belong to a project of one of the user's teams
+      const teamId = await authorizeTask(socket, projectId, taskId);
+      if (!teamId) {
+        return;
+      }
+      // Reject updates based on a stale copy of the task
+      const result = await applyTaskUpdate(taskId, projectId, baseVersion, taskData || {}, socket);
+      if (result.projectMismatch) {
+        logger.warn(`User ${socket.userEmail} denied update of task ${taskId}: it is tracked under another project, not ${projectId}`);
+        emitForbiddenProject(socket, projectId);
+        return;
+      }
+      if (!result.applied) {
+        logger.info(`Rejected stale update of task ${taskId} from ${socket.userEmail} (base ${baseVersion}, current ${result.current.version})`);
+        socket.emit('error', {
+          message: 'Task was changed by someone else. Reapply your change to the current version.',
+          code: 'VERSION_CONFLICT',
           taskId,
           projectId,
-          taskData,
-          action: action || 'update',
-          updatedBy: {
-            userId: socket.userId,
-            userEmail: socket.userEmail
-          },
+          baseVersion,
+          current: result.current,
           timestamp: new Date().toISOString()
-        };
-
-        // For member users, only broadcast to the assignee if the task is assigned
-        if (socket.userRole === 'member' && taskData?.assigneeId) {
-          // Find sockets for the assigned user
-          const assigneeSockets = Array.from(io.sockets.sockets.values())
-            .filter(s => s.authenticated && s.userId === taskData.assigneeId);
-          
-          // Emit to assignee's sockets
-          assigneeSockets.forEach(s => s.emit('task_updated', updateEvent));
-          
-          // Also emit to the sender
-          socket.emit('task_updated', updateEvent);
-        } else {
-          // For admins or unassigned tasks, broadcast to all team members
-          io.to(teamRoom).emit('task_updated', updateEvent);
-        }
+        });
+        return;
+      }
+      
+      // Create the update event with the merged task state
+      const updateEvent = buildTeamEvent('task_updated', {
+        taskId,
+        projectId,
+        taskData: result.taskData,
+        action,
+        version: result.version
+      }, socket);
+      await notifyForTeamEvent('task_updated', updateEvent, teamId);
+
+      // For member users, only broadcast to the assignee if the task is assigned
+      // (assignee-only events are not sequenced - they are not part of the team stream)
+      if (socket.userRole === 'member' && taskData?.assigneeId) {
+        // Emit to the assignee's sockets on every instance
+        await broadcastToRoom(`user:${taskData.assigneeId}`, 'task_updated', updateEvent);
         
-        console.log(`Task ${taskId} ${action || 'updated'} in project ${projectId} by ${socket.userEmail}`);
+        // Also emit to the sender
+        socket.emit('task_updated', updateEvent);
       } else {
-        console.warn(`No team ID found for project ${projectId} - task update not broadcasted`);
+        // For admins or unassigned tasks, broadcast to all team members
+        await broadcastTeamEvent(teamId, 'task_updated', updateEvent);
       }
-    } catch (err) {
-      console.error('Failed to handle task_updated:', err.message);
-      socket.emit('error', {
-        message: 'Failed to process task update',
-        code: 'TASK_UPDATE_FAILED',
-        timestamp: new Date().toISOString()
+      
+      await recordAudit({
+        action: 'task_updated',
+        actor: socket,
+        source: 'socket',
+        teamId,
+        projectId,
+        taskId,
+        payload: updateEvent,
+        details: { action: updateEvent.action, fields: Object.keys(taskData || {}), version: result.version }
       });
+      logger.info(`Task ${taskId} ${action || 'updated'} in project ${projectId} by ${socket.userEmail}`);
+    } catch (err) {
+      if (err.code === 'TASK_BUSY') {
+        socket.emit('error', {
+          message: err.message,
+          code: err.code,
+          projectId: data.projectId,
+          taskId: data.taskId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      logger.error('Failed to handle task_updated', err);
+      emitHandlerError(socket, err, 'Failed to process task update', 'TASK_UPDATE_FAILED');
     }
   });
 
@@ -248,50 +473,53 @@ function handleConnection(socket, io) {
         return;
       }
 
-      // Get project's team ID and emit to team room
-      const teamId = await getProjectTeamId(projectId, socket.token);
-      if (teamId) {
-        const teamRoom = `team:${teamId}`;
-        
-        // Create the creation event
-        const createEvent = {
-          taskId,
-          projectId,
-          taskData,
-          createdBy: {
-            userId: socket.userId,
-            userEmail: socket.userEmail
-          },
-          timestamp: new Date().toISOString()
-        };
-
-        // For member users, only broadcast to the assignee if the task is assigned
-        if (socket.userRole === 'member' && taskData?.assigneeId) {
-          // Find sockets for the assigned user
-          const assigneeSockets = Array.from(io.sockets.sockets.values())
-            .filter(s => s.authenticated && s.userId === taskData.assigneeId);
-          
-          // Emit to assignee's sockets
-          assigneeSockets.forEach(s => s.emit('task_created', createEvent));
-          
-          // Also emit to the sender
-          socket.emit('task_created', createEvent);
-        } else {
-          // For admins or unassigned tasks, broadcast to all team members
-          io.to(teamRoom).emit('task_created', createEvent);
-        }
+      // The task must belong to a project of one of the user's teams
+      const teamId = await authorizeTask(socket, projectId, taskId);
+      if (!teamId) {
+        return;
+      }
+      // Create the creation event
+      const version = await recordTaskCreated(taskId, projectId, taskData, socket);
+      const createEvent = buildTeamEvent('task_created', { taskId, projectId, taskData, version }, socket);
+      await notifyForTeamEvent('task_created', createEvent, teamId);
+
+      // For member users, only broadcast to the assignee if the task is assigned
+      // (assignee-only events are not sequenced - they are not part of the team stream)
+      if (socket.userRole === 'member' && taskData?.assigneeId) {
+        // Emit to the assignee's sockets on every instance
+        await broadcastToRoom(`user:${taskData.assigneeId}`, 'task_created', createEvent);
         
-        console.log(`Task ${taskId} created in project ${projectId} by ${socket.userEmail}`);
+        // Also emit to the sender
+        socket.emit('task_created', createEvent);
       } else {
-        console.warn(`No team ID found for project ${projectId} - task creation not broadcasted`);
+        // For admins or unassigned tasks, broadcast to all team members
+        await broadcastTeamEvent(teamId, 'task_created', createEvent);
       }
-    } catch (err) {
-      console.error('Failed to handle task_created:', err.message);
-      socket.emit('error', {
-        message: 'Failed to process task creation',
-        code: 'TASK_CREATE_FAILED',
-        timestamp: new Date().toISOString()
+      
+      await recordAudit({
+        action: 'task_created',
+        actor: socket,
+        source: 'socket',
+        teamId,
+        projectId,
+        taskId,
+        payload: createEvent,
+        details: { version }
       });
+      logger.info(`Task ${taskId} created in project ${projectId} by ${socket.userEmail}`);
+    } catch (err) {
+      if (err.code === 'TASK_BUSY') {
+        socket.emit('error', {
+          message: err.message,
+          code: err.code,
+          projectId: data.projectId,
+          taskId: data.taskId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      logger.error('Failed to handle task_created', err);
+      emitHandlerError(socket, err, 'Failed to process task creation', 'TASK_CREATE_FAILED');
     }
   });
 
@@ -318,42 +546,48 @@ function handleConnection(socket, io) {
         return;
       }
 
-      // Get project's team ID and emit to team room
-      const teamId = await getProjectTeamId(projectId, socket.token);
-      if (teamId) {
-        const teamRoom = `team:${teamId}`;
-        
-        // Create the deletion event
-        const deleteEvent = {
-          taskId,
-          projectId,
-          deletedBy: {
-            userId: socket.userId,
-            userEmail: socket.userEmail
-          },
-          timestamp: new Date().toISOString()
-        };
+      // The task must belong to a project of one of the user's teams
+      const teamId = await authorizeTask(socket, projectId, taskId);
+      if (!teamId) {
+        return;
+      }
+      // Create the deletion event
+      await recordTaskDeleted(taskId);
+      const deleteEvent = buildTeamEvent('task_deleted', { taskId, projectId }, socket);
+      await notifyForTeamEvent('task_deleted', deleteEvent, teamId);
 
-        // For member users, only broadcast to team members (since only admins can delete)
-        if (socket.userRole === 'member') {
-          // Members shouldn't be able to delete tasks, but if they somehow do, broadcast to team
-          io.to(teamRoom).emit('task_deleted', deleteEvent);
-        } else {
-          // For admins, broadcast to all team members
-          io.to(teamRoom).emit('task_deleted', deleteEvent);
-        }
-        
-        console.log(`Task ${taskId} deleted in project ${projectId} by ${socket.userEmail}`);
+      // For member users, only broadcast to team members (since only admins can delete)
+      if (socket.userRole === 'member') {
+        // Members shouldn't be able to delete tasks, but if they somehow do, broadcast to team
+        await broadcastTeamEvent(teamId, 'task_deleted', deleteEvent);
       } else {
-        console.warn(`No team ID found for project ${projectId} - task deletion not broadcasted`);
+        // For admins, broadcast to all team members
+        await broadcastTeamEvent(teamId, 'task_deleted', deleteEvent);
       }
-    } catch (err) {
-      console.error('Failed to handle task_deleted:', err.message);
-      socket.emit('error', {
-        message: 'Failed to process task deletion',
-        code: 'TASK_DELETE_FAILED',
-        timestamp: new Date().toISOString()
+      
+      await recordAudit({
+        action: 'task_deleted',
+        actor: socket,
+        source: 'socket',
+        teamId,
+        projectId,
+        taskId,
+        payload: deleteEvent
       });
+      logger.info(`Task ${taskId} deleted in project ${projectId} by ${socket.userEmail}`);
+    } catch (err) {
+      if (err.code === 'TASK_BUSY') {
+        socket.emit('error', {
+          message: err.message,
+          code: err.code,
+          projectId: data.projectId,
+          taskId: data.taskId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      logger.error('Failed to handle task_deleted', err);
+      emitHandlerError(socket, err, 'Failed to process task deletion', 'TASK_DELETE_FAILED');
     }
   });
 
@@ -369,16 +603,21 @@ function handleConnection(socket, io) {
       return;
     }
 
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
     const roomName = `project_${projectId}`;
     
-    socket.to(roomName).emit('typing_indicator', {
+    broadcastToRoom(roomName, 'typing_indicator', {
       userId: socket.userId,
       userEmail: socket.userEmail,
       isTyping: Boolean(isTyping),
       field: field || 'general',
       projectId,
       timestamp: new Date().toISOString()
-    });
+    }, { except: socket.id }).catch(err => logger.error('Failed to broadcast typing indicator', err));
   });
 
   // Handle cursor position sharing
@@ -393,117 +632,875 @@ function handleConnection(socket, io) {
       return;
     }
 
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
     const roomName = `project_${projectId}`;
     
-    socket.to(roomName).emit('user_cursor', {
+    broadcastToRoom(roomName, 'user_cursor', {
       userId: socket.userId,
       userEmail: socket.userEmail,
       position,
       projectId,
       timestamp: new Date().toISOString()
-    });
+    }, { except: socket.id }).catch(err => logger.error('Failed to broadcast cursor position', err));
   });
 
-  // Handle project updates with improved error handling
-  socket.on('project_updated', async (data) => {
+  // Take (or renew) an advisory edit lock on a task or one of its fields
+  // Admins can pass force: true to take over someone else's lock
+  socket.on('lock_task', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, taskId, field, force } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
     try {
-      if (!socket.authenticated) {
-        socket.emit('error', { 
-          message: 'Authentication required',
-          code: 'AUTH_REQUIRED',
+      const result = await locks.acquireLock(socket, { projectId, taskId, field, force });
+      if (!result.acquired) {
+        socket.emit('lock_denied', {
+          message: 'Someone else is editing this',
+          code: 'TASK_LOCKED',
+          projectId,
+          taskId,
+          field: field || null,
+          lock: result.conflict,
           timestamp: new Date().toISOString()
         });
-        return;
       }
-
-      const { projectId, projectData, action } = data;
-      
-      if (!projectId) {
-        socket.emit('error', { 
-          message: 'Project ID is required',
-          code: 'MISSING_PROJECT_ID',
+    } catch (err) {
+      if (err.code === 'LOCK_BUSY') {
+        socket.emit('error', {
+          message: err.message,
+          code: err.code,
+          projectId,
+          taskId,
+          field: field || null,
           timestamp: new Date().toISOString()
         });
         return;
       }
+      logger.error('Failed to handle lock_task', err);
+      emitHandlerError(socket, err, 'Failed to lock task', 'LOCK_FAILED');
+    }
+  });
 
-      // Get project's team ID and emit to team room
-      const teamId = await getProjectTeamId(projectId, socket.token);
-      if (teamId) {
-        const teamRoom = `team:${teamId}`;
-        io.to(teamRoom).emit('project_updated', {
-          projectId,
-          projectData,
-          action: action || 'update',
-          updatedBy: {
-            userId: socket.userId,
-            userEmail: socket.userEmail
-          },
-          timestamp: new Date().toISOString()
-        });
-        console.log(`Project ${projectId} ${action || 'updated'} by ${socket.userEmail}`);
-      } else {
-        console.warn(`No team ID found for project ${projectId} - project update not broadcasted`);
-      }
-    } catch (err) {
-      console.error('Failed to handle project_updated:', err.message);
-      socket.emit('error', {
-        message: 'Failed to process project update',
-        code: 'PROJECT_UPDATE_FAILED',
+  // Release an edit lock (admins may release anyone's)
+  socket.on('unlock_task', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
         timestamp: new Date().toISOString()
       });
+      return;
+    }
+
+    const { projectId, taskId, field } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
+    try {
+      const result = await locks.releaseLock(socket, { projectId, taskId, field });
+      if (result.code === 'NOT_LOCK_HOLDER') {
+        socket.emit('error', {
+          message: 'Only the lock holder or an admin can release this lock',
+          code: 'NOT_LOCK_HOLDER',
+          projectId,
+          taskId,
+          field: field || null,
+          holder: result.holder,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (err) {
+      if (err.code === 'LOCK_BUSY') {
+        socket.emit('error', {
+          message: err.message,
+          code: err.code,
+          projectId,
+          taskId,
+          field: field || null,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      logger.error('Failed to handle unlock_task', err);
+      emitHandlerError(socket, err, 'Failed to unlock task', 'UNLOCK_FAILED');
+    }
+  });
+
+  // Open a task description for collaborative editing
+  // content seeds the document if nobody has opened it before, once the
+  // backend has confirmed the task belongs to the project
+  socket.on('doc_open', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, taskId, content } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
+    try {
+      if (!await authorizeTask(socket, projectId, taskId)) {
+        return;
+      }
+
+      const doc = await documents.openDocument(socket, projectId, taskId, content);
+      socket.join(`doc:${taskId}`);
+      socket.emit('doc_snapshot', {
+        projectId,
+        taskId,
+        content: doc.content,
+        revision: doc.revision,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      if (err.code === 'DOC_PROJECT_MISMATCH') {
+        emitForbiddenProject(socket, projectId);
+        return;
+      }
+      if (['DOC_BUSY', 'DOC_UNAVAILABLE'].includes(err.code)) {
+        socket.emit('error', {
+          message: err.message,
+          code: err.code,
+          projectId,
+          taskId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      logger.error('Failed to handle doc_open', err);
+      emitHandlerError(socket, err, 'Failed to open document', 'DOC_OPEN_FAILED');
+    }
+  });
+
+  // Apply an edit made against a known revision; the sender gets doc_ack and
+  // everyone else with the document open gets the transformed doc_op
+  socket.on('doc_op', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, taskId, revision, ops } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
+    try {
+      const applied = await documents.applyOperation(socket, taskId, revision, ops);
+      
+      socket.emit('doc_ack', {
+        projectId,
+        taskId,
+        revision: applied.revision,
+        timestamp: new Date().toISOString()
+      });
+      await broadcastToRoom(`doc:${taskId}`, 'doc_op', {
+        projectId,
+        taskId,
+        revision: applied.revision,
+        ops: applied.operation,
+        userId: socket.userId,
+        userEmail: socket.userEmail,
+        timestamp: new Date().toISOString()
+      }, { except: socket.id });
+    } catch (err) {
+      if (err.code === 'DOC_RESYNC_REQUIRED') {
+        // Client fell too far behind - start again from the current state
+        const doc = documents.getDocument(taskId);
+        if (!doc) {
+          socket.emit('error', {
+            message: `Document for task ${taskId} is not open`,
+            code: 'DOC_NOT_OPEN',
+            projectId,
+            taskId,
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+        socket.emit('doc_snapshot', {
+          projectId,
+          taskId,
+          content: doc.content,
+          revision: doc.revision,
+          resync: true,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      if (['DOC_NOT_OPEN', 'INVALID_OPERATION', 'DOC_TOO_LARGE', 'DOC_BUSY', 'DOC_UNAVAILABLE'].includes(err.code)) {
+        socket.emit('error', {
+          message: err.message,
+          code: err.code,
+          projectId,
+          taskId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      logger.error('Failed to handle doc_op', err);
+      emitHandlerError(socket, err, 'Failed to apply edit', 'DOC_OP_FAILED');
+    }
+  });
+
+  // Stop editing a task description
+  socket.on('doc_close', async (data) => {
+    if (!socket.authenticated) {
+      return;
+    }
+
+    try {
+      socket.leave(`doc:${data.taskId}`);
+      await documents.closeDocument(socket, data.taskId);
+    } catch (err) {
+      logger.error('Failed to handle doc_close', err);
+    }
+  });
+
+  // Send a chat message to everyone in a project room (including the sender,
+  // who can match it to their optimistic copy by clientId)
+  socket.on('chat_message', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, text, clientId } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
+    if (!text.trim()) {
+      socket.emit('error', {
+        message: 'Message text is required',
+        code: 'EMPTY_MESSAGE',
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    try {
+      const message = await getChatStore().addMessage(projectChannel(projectId), {
+        projectId,
+        userId: socket.userId,
+        userEmail: socket.userEmail,
+        text,
+        createdAt: new Date().toISOString(),
+        editedAt: null,
+        deleted: false
+      });
+      
+      await broadcastToRoom(`project_${projectId}`, 'chat_message', {
+        message,
+        clientId: clientId || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      logger.error('Failed to handle chat_message', err);
+      emitHandlerError(socket, err, 'Failed to send message', 'CHAT_SEND_FAILED');
+    }
+  });
+
+  // Edit one of your own chat messages
+  socket.on('chat_edit', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, messageId, text } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
+    if (!text.trim()) {
+      socket.emit('error', {
+        message: 'Message text is required',
+        code: 'EMPTY_MESSAGE',
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    try {
+      const store = getChatStore();
+      const existing = await store.getMessage(projectChannel(projectId), messageId);
+      if (!existing || existing.deleted) {
+        emitChatMessageNotFound(socket, projectId, messageId);
+        return;
+      }
+      if (String(existing.userId) !== String(socket.userId)) {
+        socket.emit('error', {
+          message: 'You can only edit your own messages',
+          code: 'FORBIDDEN_CHAT_EDIT',
+          projectId,
+          messageId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      
+      const message = await store.updateMessage(projectChannel(projectId), messageId, {
+        text,
+        editedAt: new Date().toISOString()
+      });
+      
+      await broadcastToRoom(`project_${projectId}`, 'chat_message_edited', {
+        message,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      logger.error('Failed to handle chat_edit', err);
+      emitHandlerError(socket, err, 'Failed to edit message', 'CHAT_EDIT_FAILED');
+    }
+  });
+
+  // Delete a chat message (authors and admins)
+  // The message is kept as a tombstone so history paging stays stable
+  socket.on('chat_delete', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, messageId } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
+    try {
+      const store = getChatStore();
+      const existing = await store.getMessage(projectChannel(projectId), messageId);
+      if (!existing || existing.deleted) {
+        emitChatMessageNotFound(socket, projectId, messageId);
+        return;
+      }
+      if (String(existing.userId) !== String(socket.userId) && socket.userRole !== 'admin') {
+        socket.emit('error', {
+          message: 'You can only delete your own messages',
+          code: 'FORBIDDEN_CHAT_DELETE',
+          projectId,
+          messageId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      
+      const deletedBy = { userId: socket.userId, userEmail: socket.userEmail };
+      await store.updateMessage(projectChannel(projectId), messageId, {
+        text: null,
+        deleted: true,
+        deletedAt: new Date().toISOString(),
+        deletedBy
+      });
+      
+      await broadcastToRoom(`project_${projectId}`, 'chat_message_deleted', {
+        projectId,
+        messageId: existing.id,
+        deletedBy,
+        timestamp: new Date().toISOString()
+      });
+      
+      // Moderation of someone else's message is an admin action
+      if (String(existing.userId) !== String(socket.userId)) {
+        await recordAudit({
+          action: 'chat_message_removed',
+          actor: socket,
+          source: 'admin',
+          teamId: socket.projectTeams?.get(String(projectId)),
+          projectId,
+          payload: existing,
+          details: { messageId: existing.id, authorId: existing.userId }
+        });
+      }
+    } catch (err) {
+      logger.error('Failed to handle chat_delete', err);
+      emitHandlerError(socket, err, 'Failed to delete message', 'CHAT_DELETE_FAILED');
+    }
+  });
+
+  // Page back through a project's chat history
+  socket.on('chat_history', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, before, limit } = data;
+    
+    if (!isAuthorizedForJoinedProject(socket, projectId)) {
+      emitForbiddenProject(socket, projectId);
+      return;
+    }
+
+    await sendChatHistory(socket, projectId, { before, limit });
+  });
+
+  // Add a comment to a task - broadcast to the task's team and notify
+  // anyone @mentioned
+  socket.on('comment_added', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, taskId, text, clientId } = data;
+    
+    if (!text.trim()) {
+      socket.emit('error', {
+        message: 'Comment text is required',
+        code: 'EMPTY_COMMENT',
+        taskId,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    try {
+      const teamId = await authorizeTask(socket, projectId, taskId);
+      if (!teamId) {
+        return;
+      }
+
+      const mentions = await findMentions(socket, teamId, text);
+      const comment = await getChatStore().addMessage(taskChannel(taskId), {
+        taskId,
+        projectId,
+        userId: socket.userId,
+        userEmail: socket.userEmail,
+        text,
+        mentions: mentions.map(member => member.userId),
+        createdAt: new Date().toISOString(),
+        editedAt: null,
+        deleted: false
+      });
+      
+      await broadcastTeamEvent(teamId, 'comment_added', {
+        taskId,
+        projectId,
+        comment,
+        clientId: clientId || null,
+        timestamp: new Date().toISOString()
+      });
+      await notifyMentions(comment.mentions, comment, teamId);
+      
+      logger.info(`Comment ${comment.id} added to task ${taskId} by ${socket.userEmail} (${comment.mentions.length} mentions)`);
+    } catch (err) {
+      logger.error('Failed to handle comment_added', err);
+      emitHandlerError(socket, err, 'Failed to add comment', 'COMMENT_ADD_FAILED');
+    }
+  });
+
+  // Edit one of your own comments - only newly added mentions are notified
+  socket.on('comment_edited', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, taskId, commentId, text } = data;
+    
+    if (!text.trim()) {
+      socket.emit('error', {
+        message: 'Comment text is required',
+        code: 'EMPTY_COMMENT',
+        taskId,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    try {
+      const teamId = await authorizeTask(socket, projectId, taskId);
+      if (!teamId) {
+        return;
+      }
+
+      const store = getChatStore();
+      const existing = await store.getMessage(taskChannel(taskId), commentId);
+      if (!existing || existing.deleted) {
+        emitCommentNotFound(socket, taskId, commentId);
+        return;
+      }
+      if (String(existing.projectId) !== String(projectId)) {
+        emitForbiddenProject(socket, projectId);
+        return;
+      }
+      if (String(existing.userId) !== String(socket.userId)) {
+        socket.emit('error', {
+          message: 'You can only edit your own comments',
+          code: 'FORBIDDEN_COMMENT_EDIT',
+          taskId,
+          commentId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      
+      const mentions = (await findMentions(socket, teamId, text)).map(member => member.userId);
+      const comment = await store.updateMessage(taskChannel(taskId), commentId, {
+        text,
+        mentions,
+        editedAt: new Date().toISOString()
+      });
+      
+      await broadcastTeamEvent(teamId, 'comment_edited', {
+        taskId,
+        projectId,
+        comment,
+        timestamp: new Date().toISOString()
+      });
+      
+      const alreadyMentioned = new Set((existing.mentions || []).map(String));
+      await notifyMentions(mentions.filter(userId => !alreadyMentioned.has(String(userId))), comment, teamId);
+    } catch (err) {
+      logger.error('Failed to handle comment_edited', err);
+      emitHandlerError(socket, err, 'Failed to edit comment', 'COMMENT_EDIT_FAILED');
+    }
+  });
+
+  // Delete a comment (authors and admins)
+  socket.on('comment_deleted', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, taskId, commentId } = data;
+
+    try {
+      const teamId = await authorizeTask(socket, projectId, taskId);
+      if (!teamId) {
+        return;
+      }
+
+      const store = getChatStore();
+      const existing = await store.getMessage(taskChannel(taskId), commentId);
+      if (!existing || existing.deleted) {
+        emitCommentNotFound(socket, taskId, commentId);
+        return;
+      }
+      if (String(existing.projectId) !== String(projectId)) {
+        emitForbiddenProject(socket, projectId);
+        return;
+      }
+      if (String(existing.userId) !== String(socket.userId) && socket.userRole !== 'admin') {
+        socket.emit('error', {
+          message: 'You can only delete your own comments',
+          code: 'FORBIDDEN_COMMENT_DELETE',
+          taskId,
+          commentId,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      
+      const deletedBy = { userId: socket.userId, userEmail: socket.userEmail };
+      await store.updateMessage(taskChannel(taskId), commentId, {
+        text: null,
+        mentions: [],
+        deleted: true,
+        deletedAt: new Date().toISOString(),
+        deletedBy
+      });
+      
+      await broadcastTeamEvent(teamId, 'comment_deleted', {
+        taskId,
+        projectId,
+        commentId: existing.id,
+        deletedBy,
+        timestamp: new Date().toISOString()
+      });
+      
+      // Moderation of someone else's comment is an admin action
+      if (String(existing.userId) !== String(socket.userId)) {
+        await recordAudit({
+          action: 'comment_removed',
+          actor: socket,
+          source: 'admin',
+          teamId,
+          projectId,
+          taskId,
+          payload: existing,
+          details: { commentId: existing.id, authorId: existing.userId }
+        });
+      }
+    } catch (err) {
+      logger.error('Failed to handle comment_deleted', err);
+      emitHandlerError(socket, err, 'Failed to delete comment', 'COMMENT_DELETE_FAILED');
     }
   });
 
-  // Handle disconnection with improved logging
-  socket.on('disconnect', (reason) => {
-    console.log(`User disconnected: ${socket.id} (${reason}) - authenticated: ${socket.authenticated}`);
-    
-    if (socket.authenticated && socket.userId) {
-      // Remove from all active rooms
-      activeRooms.forEach((users, projectId) => {
-        if (users.has(socket.userId)) {
-          users.delete(socket.userId);
-          
-          // Notify others in the room
-          const roomName = `project_${projectId}`;
-          socket.to(roomName).emit('user_left', {
-            userId: socket.userId,
-            userEmail: socket.userEmail,
-            projectId: projectId,
-            timestamp: new Date().toISOString(),
-            reason: 'disconnected'
-          });
-          
-          console.log(`User ${socket.userEmail} left project ${projectId} due to disconnect`);
-        }
+  // Page back through a task's comments
+  socket.on('comment_history', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const { projectId, taskId, before, limit } = data;
+
+    try {
+      const teamId = await authorizeTask(socket, projectId, taskId);
+      if (!teamId) {
+        return;
+      }
+
+      const page = await getChatStore().listMessages(taskChannel(taskId), { before, limit });
+      socket.emit('comment_history', {
+        taskId,
+        projectId,
+        comments: page.messages,
+        hasMore: page.hasMore,
+        nextBefore: page.nextBefore,
+        timestamp: new Date().toISOString()
       });
+    } catch (err) {
+      logger.error('Failed to handle comment_history', err);
+      emitHandlerError(socket, err, 'Failed to load comments', 'COMMENT_HISTORY_FAILED');
+    }
+  });
+
+  // Handle project updates with improved error handling
+  socket.on('project_updated', async (data) => {
+    try {
+      if (!socket.authenticated) {
+        socket.emit('error', { 
+          message: 'Authentication required',
+          code: 'AUTH_REQUIRED',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      const { projectId, projectData, action } = data;
       
-      // Remove from user sockets tracking
-      if (userSockets.has(socket.userId)) {
-        userSockets.get(socket.userId).delete(socket.id);
-        if (userSockets.get(socket.userId).size === 0) {
-          userSockets.delete(socket.userId);
-          console.log(`User ${socket.userEmail} has no remaining connections`);
-        }
+      if (!projectId) {
+        socket.emit('error', { 
+          message: 'Project ID is required',
+          code: 'MISSING_PROJECT_ID',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      // Get project's team ID and emit to team room
+      const teamId = await getProjectTeamId(projectId, socket.token);
+      if (!teamId || !isTeamMember(socket, teamId)) {
+        emitForbiddenProject(socket, projectId);
+        return;
       }
+      // Re-resolve the team next time if the project was moved
+      if (projectData?.team_id && String(projectData.team_id) !== String(teamId)) {
+        await invalidateProjectTeam(projectId);
+      }
+      
+      const projectEvent = buildTeamEvent('project_updated', { projectId, projectData, action }, socket);
+      await notifyForTeamEvent('project_updated', projectEvent, teamId);
+      await broadcastTeamEvent(teamId, 'project_updated', projectEvent);
+      await recordAudit({
+        action: 'project_updated',
+        actor: socket,
+        source: 'socket',
+        teamId,
+        projectId,
+        payload: projectEvent,
+        details: { action: projectEvent.action, fields: Object.keys(projectData || {}) }
+      });
+      logger.info(`Project ${projectId} ${action || 'updated'} by ${socket.userEmail}`);
+    } catch (err) {
+      logger.error('Failed to handle project_updated', err);
+      emitHandlerError(socket, err, 'Failed to process project update', 'PROJECT_UPDATE_FAILED');
+    }
+  });
+
+  // Mark notifications as read (the user's other sockets get notifications_read)
+  socket.on('mark_read', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    try {
+      await markRead(socket.userId, data.ids);
+    } catch (err) {
+      logger.error('Failed to handle mark_read', err);
+      emitHandlerError(socket, err, 'Failed to mark notifications as read', 'MARK_READ_FAILED');
+    }
+  });
+
+  // Mark every notification as read
+  socket.on('mark_all_read', async () => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    try {
+      const { ids } = await markRead(socket.userId, null);
+      logger.info(`User ${socket.userEmail} marked ${ids.length} notifications as read`);
+    } catch (err) {
+      logger.error('Failed to handle mark_all_read', err);
+      emitHandlerError(socket, err, 'Failed to mark notifications as read', 'MARK_READ_FAILED');
     }
+  });
+
+  // Replay team events missed while disconnected
+  // data.lastSeen maps teamId -> last sequence number the client processed
+  socket.on('sync_events', async (data) => {
+    if (!socket.authenticated) {
+      socket.emit('error', { 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const lastSeen = data?.lastSeen || {};
     
-    // Remove from socket users tracking
-    socketUsers.delete(socket.id);
+    for (const teamId of socket.teamIds || []) {
+      const lastSeq = Number(lastSeen[teamId]);
+      if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+        continue;
+      }
+
+      try {
+        const result = await getEventsSince(teamId, lastSeq);
+        if (result.resync) {
+          socket.emit('resync_required', {
+            teamId,
+            latestSeq: result.latestSeq,
+            reason: result.reason,
+            timestamp: new Date().toISOString()
+          });
+          logger.info(`Team ${teamId} replay from seq ${lastSeq} not possible for ${socket.userEmail} (${result.reason})`);
+        } else {
+          socket.emit('events_replayed', {
+            teamId,
+            events: result.events,
+            latestSeq: result.latestSeq,
+            timestamp: new Date().toISOString()
+          });
+          logger.info(`Replayed ${result.events.length} team ${teamId} events to ${socket.userEmail}`);
+        }
+      } catch (err) {
+        logger.error(`Failed to replay events for team ${teamId}`, err);
+        socket.emit('resync_required', {
+          teamId,
+          reason: 'REPLAY_FAILED',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
   });
 
+  // Handle disconnection with improved logging
+  socket.on('disconnect', bindContext(async (reason) => {
+    logger.debug(`User disconnected: ${socket.id} (${reason}) - authenticated: ${socket.authenticated}`);
+    
+    try {
+      if (socket.authenticated && socket.userId) {
+        await untrackAuthenticatedSocket(socket, 'disconnected');
+      } else {
+        await getStateAdapter().hashDelete(SOCKET_USERS_KEY, socket.id);
+      }
+    } catch (err) {
+      logger.error(`Failed to clean up state for socket ${socket.id}`, err);
+    }
+  }));
+
   // Handle errors with improved logging
-  socket.on('error', (error) => {
-    console.error(`Socket error for ${socket.id}:`, error.message || error);
+  socket.on('error', bindContext((error) => {
+    logger.error(`Socket error for ${socket.id}`, { error });
     
     // Don't disconnect on socket errors - let the client handle reconnection
     // Only log the error for debugging purposes
-  });
+  }));
   
   // Handle authentication errors
   socket.on('auth_error', (error) => {
-    console.error(`Authentication error for ${socket.id}:`, error.message || error);
+    logger.error(`Authentication error for ${socket.id}`, { error });
     
     // Emit error back to client
     socket.emit('error', {
@@ -515,54 +1512,339 @@ function handleConnection(socket, io) {
 }
 
 /**
- * Remove user from room tracking
+ * Check whether a socket's user belongs to a team
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {number} teamId - Team ID
+ * @returns {boolean} - True if teamId is in the socket's teamIds
+ */
+function isTeamMember(socket, teamId) {
+  return (socket.teamIds || []).some(id => String(id) === String(teamId));
+}
+
+/**
+ * Check that a socket joined a project room and still belongs to its team
+ * Used by high-frequency events to avoid a backend lookup per message.
+ * @param {Object} socket - Socket.IO socket instance
  * @param {string} projectId - Project ID
- * @param {string} userId - User ID
+ * @returns {boolean} - True if authorized
+ */
+function isAuthorizedForJoinedProject(socket, projectId) {
+  const teamId = socket.projectTeams?.get(String(projectId));
+  return Boolean(teamId) && socket.rooms.has(`project_${projectId}`) && isTeamMember(socket, teamId);
+}
+
+/**
+ * Report a failed handler to the client, flagging backend outages as retryable
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {Error} err - Error thrown by the handler
+ * @param {string} message - Message for other failures
+ * @param {string} code - Error code for other failures
+ */
+function emitHandlerError(socket, err, message, code) {
+  const unavailable = err.code === 'BACKEND_UNAVAILABLE';
+  socket.emit('error', {
+    message: unavailable ? 'Backend temporarily unavailable. Please retry shortly.' : message,
+    code: unavailable ? 'BACKEND_UNAVAILABLE' : code,
+    retryable: unavailable,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Reject a project-scoped event from a non-member
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Project ID
+ */
+function emitForbiddenProject(socket, projectId) {
+  logger.warn(`User ${socket.userEmail} denied access to project ${projectId}`);
+  socket.emit('error', {
+    message: 'You are not a member of the team that owns this project',
+    code: 'FORBIDDEN_PROJECT',
+    projectId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Take a socket out of a project room, releasing its locks and documents
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Project ID
+ */
+async function leaveProject(socket, projectId) {
+  const roomName = `project_${projectId}`;
+  socket.leave(roomName);
+  socket.projectTeams?.delete(String(projectId));
+  await locks.releaseSocketLocks(socket, 'left', projectId);
+  await closeDocuments(socket, projectId);
+  const userLeft = await removeSocketFromRoom(socket, projectId);
+  await instances.trackSocket(socket);
+  
+  // Notify others in the room once the user's last socket has left
+  if (userLeft) {
+    await broadcastToRoom(roomName, 'user_left', {
+      userId: socket.userId,
+      userEmail: socket.userEmail,
+      projectId: projectId,
+      timestamp: new Date().toISOString()
+    }, { except: socket.id });
+  }
+}
+
+/**
+ * Close a socket's collaborative documents and leave their rooms
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Only close documents in this project
+ */
+async function closeDocuments(socket, projectId = null) {
+  const closed = await documents.closeSocketDocuments(socket, projectId);
+  closed.forEach(taskId => socket.leave(`doc:${taskId}`));
+}
+
+/**
+ * Reject an edit or delete of a chat message that doesn't exist
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Project ID
+ * @param {number} messageId - Message ID
+ */
+function emitChatMessageNotFound(socket, projectId, messageId) {
+  socket.emit('error', {
+    message: 'Message not found',
+    code: 'CHAT_MESSAGE_NOT_FOUND',
+    projectId,
+    messageId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Reject an edit or delete of a comment that doesn't exist
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} taskId - Task ID
+ * @param {number} commentId - Comment ID
+ */
+function emitCommentNotFound(socket, taskId, commentId) {
+  socket.emit('error', {
+    message: 'Comment not found',
+    code: 'COMMENT_NOT_FOUND',
+    taskId,
+    commentId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Resolve @mentions in a comment against the task's team
+ * A backend outage only costs the mention notifications, not the comment.
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {number} teamId - Team that owns the task
+ * @param {string} text - Comment text
+ * @returns {Promise<Array>} - Mentioned members ({ userId, email, username })
+ */
+async function findMentions(socket, teamId, text) {
+  try {
+    return await resolveMentions(teamId, text, socket.token);
+  } catch (err) {
+    logger.warn(`Skipping mentions for ${socket.userEmail}'s comment: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Send a page of a project's chat history to a socket
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Project ID
+ * @param {Object} options - { before, limit } (defaults to the latest page)
+ */
+async function sendChatHistory(socket, projectId, options = {}) {
+  try {
+    const page = await getChatStore().listMessages(projectChannel(projectId), options);
+    socket.emit('chat_history', {
+      projectId,
+      ...page,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error(`Failed to load chat history for project ${projectId}`, err);
+    emitHandlerError(socket, err, 'Failed to load chat history', 'CHAT_HISTORY_FAILED');
+  }
+}
+
+/**
+ * Start tracking a newly authenticated socket: its personal room, shared
+ * user/socket tracking and presence
+ * Presence is recorded for the socket's teamIds, so load them first.
+ * @param {Object} socket - Socket.IO socket instance
+ * @returns {Promise<void>} - Resolves once tracked (failures are logged)
+ */
+function trackAuthenticatedSocket(socket) {
+  // Personal room lets any instance reach this user's sockets
+  socket.join(`user:${socket.userId}`);
+
+  return trackUserSocket(socket)
+    .then((connections) => {
+      logger.debug(`User tracked: ${socket.userEmail} (${socket.userId}) via socket ${socket.id}`);
+      return presence.markConnected(socket, connections);
+    })
+    .catch(err => logger.error(`Failed to track socket ${socket.id}`, err));
+}
+
+/**
+ * Stop tracking an authenticated socket: free its edit locks and documents,
+ * take it out of every project room (telling the others once the user's last
+ * socket has left) and update presence
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} reason - Why, for user_left and task_unlocked (disconnected or session_expired)
  */
-function removeUserFromRoom(projectId, userId) {
-  if (activeRooms.has(projectId)) {
-    activeRooms.get(projectId).delete(userId);
+async function untrackAuthenticatedSocket(socket, reason) {
+  const adapter = getStateAdapter();
+
+  // Free any edit locks and documents this socket was holding
+  await locks.releaseSocketLocks(socket, reason);
+  await closeDocuments(socket);
+  
+  // Remove this socket from the rooms it joined
+  for (const projectId of Array.from(socket.joinedProjects || [])) {
+    if (!(await adapter.setHas(roomSocketsKey(projectId, socket.userId), socket.id))) {
+      socket.joinedProjects.delete(projectId);
+      continue;
+    }
     
-    // Clean up empty rooms
-    if (activeRooms.get(projectId).size === 0) {
-      activeRooms.delete(projectId);
+    // Notify others in the room once the user's last socket has left
+    if (await removeSocketFromRoom(socket, projectId)) {
+      const roomName = `project_${projectId}`;
+      await broadcastToRoom(roomName, 'user_left', {
+        userId: socket.userId,
+        userEmail: socket.userEmail,
+        projectId: projectId,
+        timestamp: new Date().toISOString(),
+        reason
+      }, { except: socket.id });
+      
+      logger.info(`User ${socket.userEmail} left project ${projectId} (${reason})`);
     }
   }
+  
+  // Remove from user sockets tracking
+  const remaining = await adapter.setRemove(userSocketsKey(socket.userId), socket.id);
+  if (remaining === 0) {
+    logger.info(`User ${socket.userEmail} has no remaining connections`);
+  }
+  await presence.markDisconnected(socket, remaining);
+  
+  // Remove from socket users tracking
+  await adapter.hashDelete(SOCKET_USERS_KEY, socket.id);
+}
+
+/**
+ * Record an authenticated socket in shared user/socket tracking
+ * @param {Object} socket - Socket.IO socket instance
+ * @returns {Promise<number>} - User's connection count including this socket
+ */
+async function trackUserSocket(socket) {
+  const adapter = getStateAdapter();
+  await adapter.setAdd(userSocketsKey(socket.userId), socket.id);
+  await adapter.hashSet(SOCKET_USERS_KEY, socket.id, {
+    userId: socket.userId,
+    email: socket.userEmail,
+    role: socket.userRole
+  });
+  await instances.trackSocket(socket);
+  return adapter.setSize(userSocketsKey(socket.userId));
+}
+
+/**
+ * Add a socket to room tracking
+ * The socket remembers the project (and so does this instance's lease), so
+ * cleanup only visits the rooms it is actually in.
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Project ID
+ * @returns {Promise<boolean>} - True if this is the user's first socket in the room
+ */
+async function addSocketToRoom(socket, projectId) {
+  const adapter = getStateAdapter();
+  const wasPresent = await adapter.setHas(roomKey(projectId), socket.userId);
+  
+  await adapter.setAdd(roomSocketsKey(projectId, socket.userId), socket.id);
+  await adapter.setAdd(roomKey(projectId), socket.userId);
+  await adapter.setAdd(ACTIVE_ROOMS_KEY, String(projectId));
+  
+  if (!socket.joinedProjects) {
+    socket.joinedProjects = new Set(); // projectIds in room tracking
+  }
+  socket.joinedProjects.add(String(projectId));
+  await instances.trackSocket(socket);
+  
+  return !wasPresent;
+}
+
+/**
+ * Remove a socket from room tracking
+ * The user stays in the room while any of their other sockets is still in it.
+ * @param {Object} socket - Socket.IO socket instance
+ * @param {string} projectId - Project ID
+ * @returns {Promise<boolean>} - True if the user has no sockets left in the room
+ */
+async function removeSocketFromRoom(socket, projectId) {
+  const adapter = getStateAdapter();
+  const userId = socket.userId;
+  socket.joinedProjects?.delete(String(projectId));
+  const userSocketsInRoom = await adapter.setRemove(roomSocketsKey(projectId, userId), socket.id);
+  if (userSocketsInRoom > 0) {
+    return false;
+  }
+  
+  const remaining = await adapter.setRemove(roomKey(projectId), userId);
+  
+  // Clean up empty rooms
+  if (remaining === 0) {
+    await adapter.setRemove(ACTIVE_ROOMS_KEY, String(projectId));
+  }
+  return true;
 }
 
 /**
  * Get active users in a project
  * @param {string} projectId - Project ID
- * @returns {Array} - Array of user IDs
+ * @returns {Promise<Array>} - Array of user IDs
  */
-function getActiveUsers(projectId) {
-  return Array.from(activeRooms.get(projectId) || []);
+async function getActiveUsers(projectId) {
+  return getStateAdapter().setMembers(roomKey(projectId));
 }
 
 /**
  * Get all active rooms
- * @returns {Object} - Map of project IDs to user counts
+ * @returns {Promise<Object>} - Map of project IDs to user counts
  */
-function getActiveRooms() {
+async function getActiveRooms() {
+  const adapter = getStateAdapter();
   const rooms = {};
-  activeRooms.forEach((users, projectId) => {
-    rooms[projectId] = users.size;
-  });
+  const projectIds = await adapter.setMembers(ACTIVE_ROOMS_KEY);
+  for (const projectId of projectIds) {
+    rooms[projectId] = await adapter.setSize(roomKey(projectId));
+  }
   return rooms;
 }
 
 /**
  * Get user's active sockets
  * @param {string} userId - User ID
- * @returns {Array} - Array of socket IDs
+ * @returns {Promise<Array>} - Array of socket IDs
  */
-function getUserSockets(userId) {
-  return Array.from(userSockets.get(userId) || []);
+async function getUserSockets(userId) {
+  return getStateAdapter().setMembers(userSocketsKey(userId));
 }
 
 module.exports = { 
   handleConnection, 
+  buildTeamEvent,
+  getProjectTeamId,
+  invalidateProjectTeam,
+  getTaskProjectId,
+  invalidateTaskProject,
   getActiveUsers, 
   getActiveRooms, 
-  getUserSockets 
+  getUserSockets,
+  leaveProject,
+  trackAuthenticatedSocket,
+  untrackAuthenticatedSocket
 };
@@ -0,0 +1,409 @@
+const { EventEmitter } = require('events');
+const { eventsBroadcast } = require('./metrics');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'state' });
+
+// Channel used to fan room broadcasts out to every server instance
+const BROADCAST_CHANNEL = 'broadcast';
+const KEY_PREFIX = config.state.keyPrefix;
+
+let stateAdapter = null;
+let boundIo = null;
+
+/**
+ * Create an in-memory state adapter (single instance, default)
+ * @returns {Object} - State adapter
+ */
+function createMemoryAdapter() {
+  const sets = new Map(); // key -> Set of serialized members
+  const hashes = new Map(); // key -> Map of field -> serialized value
+  const counters = new Map(); // key -> integer
+  const counterExpiries = new Map(); // key -> time the counter expires (ms)
+  const lists = new Map(); // key -> Array of serialized values
+  const bus = new EventEmitter();
+
+  return {
+    name: 'memory',
+
+    async setAdd(key, member) {
+      if (!sets.has(key)) {
+        sets.set(key, new Set());
+      }
+      sets.get(key).add(JSON.stringify(member));
+    },
+
+    async setRemove(key, member) {
+      const set = sets.get(key);
+      if (!set) {
+        return 0;
+      }
+      set.delete(JSON.stringify(member));
+      if (set.size === 0) {
+        sets.delete(key);
+      }
+      return set.size;
+    },
+
+    async setMembers(key) {
+      return Array.from(sets.get(key) || []).map(member => JSON.parse(member));
+    },
+
+    async setHas(key, member) {
+      return Boolean(sets.get(key)?.has(JSON.stringify(member)));
+    },
+
+    async setSize(key) {
+      return sets.get(key)?.size || 0;
+    },
+
+    async hashSet(key, field, value) {
+      if (!hashes.has(key)) {
+        hashes.set(key, new Map());
+      }
+      hashes.get(key).set(String(field), JSON.stringify(value));
+    },
+
+    async hashSetIfAbsent(key, field, value) {
+      if (hashes.get(key)?.has(String(field))) {
+        return false;
+      }
+      if (!hashes.has(key)) {
+        hashes.set(key, new Map());
+      }
+      hashes.get(key).set(String(field), JSON.stringify(value));
+      return true;
+    },
+
+    async hashGet(key, field) {
+      const value = hashes.get(key)?.get(String(field));
+      return value === undefined ? null : JSON.parse(value);
+    },
+
+    async hashDelete(key, field) {
+      const hash = hashes.get(key);
+      if (hash) {
+        hash.delete(String(field));
+        if (hash.size === 0) {
+          hashes.delete(key);
+        }
+      }
+    },
+
+    async hashGetAll(key) {
+      const result = {};
+      (hashes.get(key) || new Map()).forEach((value, field) => {
+        result[field] = JSON.parse(value);
+      });
+      return result;
+    },
+
+    // An expiry starts when the counter is created and isn't extended by later increments
+    async increment(key, amount = 1, ttlMs = null) {
+      if (counterExpiries.get(key) <= Date.now()) {
+        counters.delete(key);
+        counterExpiries.delete(key);
+      }
+      const created = !counters.has(key);
+      const value = (counters.get(key) || 0) + amount;
+      counters.set(key, value);
+      if (created && ttlMs) {
+        counterExpiries.set(key, Date.now() + ttlMs);
+        setTimeout(() => {
+          if (counterExpiries.get(key) <= Date.now()) {
+            counters.delete(key);
+            counterExpiries.delete(key);
+          }
+        }, ttlMs).unref();
+      }
+      return value;
+    },
+
+    async getCounter(key) {
+      if (counterExpiries.get(key) <= Date.now()) {
+        counters.delete(key);
+        counterExpiries.delete(key);
+      }
+      return counters.get(key) || 0;
+    },
+
+    async listPush(key, value, maxLength) {
+      if (!lists.has(key)) {
+        lists.set(key, []);
+      }
+      const list = lists.get(key);
+      list.push(JSON.stringify(value));
+      if (maxLength && list.length > maxLength) {
+        list.splice(0, list.length - maxLength);
+      }
+    },
+
+    async listRange(key) {
+      return (lists.get(key) || []).map(value => JSON.parse(value));
+    },
+
+    async delete(key) {
+      sets.delete(key);
+      hashes.delete(key);
+      counters.delete(key);
+      counterExpiries.delete(key);
+      lists.delete(key);
+    },
+
+    async publish(channel, message) {
+      // Deliver asynchronously, like a real pub/sub round trip
+      setImmediate(() => bus.emit(channel, message));
+    },
+
+    async subscribe(channel, handler) {
+      bus.on(channel, handler);
+      return async () => {
+        bus.off(channel, handler);
+      };
+    },
+
+    async close() {
+      bus.removeAllListeners();
+    }
+  };
+}
+
+/**
+ * Create a Redis-backed state adapter shared by all server instances
+ * Works with any client exposing the ioredis command API (sadd, srem, smembers,
+ * sismember, scard, hset, hsetnx, hget, hdel, hgetall, incrby, pexpire, get, rpush, ltrim, lrange,
+ * del, publish, subscribe, unsubscribe and a 'message' event), so a local stand-in can be
+ * used in place of a real server.
+ * @param {Object} client - Redis client used for commands and publishing
+ * @param {Object} subscriber - Separate Redis client used for subscriptions
+ * @param {string} prefix - Prefix applied to every key and channel
+ * @returns {Object} - State adapter
+ */
+function createRedisAdapter(client, subscriber, prefix = KEY_PREFIX) {
+  if (!client || !subscriber) {
+    throw new Error('Redis state adapter requires a command client and a subscriber client');
+  }
+
+  const handlers = new Map(); // channel -> Array of handlers
+
+  subscriber.on('message', (channel, message) => {
+    const channelHandlers = handlers.get(channel.slice(prefix.length)) || [];
+    let parsed;
+    try {
+      parsed = JSON.parse(message);
+    } catch (error) {
+      logger.error(`Dropping malformed message on ${channel}`, error);
+      return;
+    }
+    channelHandlers.forEach(handler => handler(parsed));
+  });
+
+  return {
+    name: 'redis',
+
+    async setAdd(key, member) {
+      await client.sadd(prefix + key, JSON.stringify(member));
+    },
+
+    async setRemove(key, member) {
+      await client.srem(prefix + key, JSON.stringify(member));
+      return client.scard(prefix + key);
+    },
+
+    async setMembers(key) {
+      const members = await client.smembers(prefix + key);
+      return members.map(member => JSON.parse(member));
+    },
+
+    async setHas(key, member) {
+      return Boolean(await client.sismember(prefix + key, JSON.stringify(member)));
+    },
+
+    async setSize(key) {
+      return client.scard(prefix + key);
+    },
+
+    async hashSet(key, field, value) {
+      await client.hset(prefix + key, String(field), JSON.stringify(value));
+    },
+
+    async hashSetIfAbsent(key, field, value) {
+      return Boolean(await client.hsetnx(prefix + key, String(field), JSON.stringify(value)));
+    },
+
+    async hashGet(key, field) {
+      const value = await client.hget(prefix + key, String(field));
+      return value === null || value === undefined ? null : JSON.parse(value);
+    },
+
+    async hashDelete(key, field) {
+      await client.hdel(prefix + key, String(field));
+    },
+
+    async hashGetAll(key) {
+      const raw = await client.hgetall(prefix + key) || {};
+      const result = {};
+      Object.keys(raw).forEach(field => {
+        result[field] = JSON.parse(raw[field]);
+      });
+      return result;
+    },
+
+    async increment(key, amount = 1, ttlMs = null) {
+      const value = Number(await client.incrby(prefix + key, amount));
+      // Only the call that created the counter starts its expiry
+      if (ttlMs && value === amount) {
+        await client.pexpire(prefix + key, ttlMs);
+      }
+      return value;
+    },
+
+    async getCounter(key) {
+      return Number(await client.get(prefix + key)) || 0;
+    },
+
+    async listPush(key, value, maxLength) {
+      await client.rpush(prefix + key, JSON.stringify(value));
+      if (maxLength) {
+        await client.ltrim(prefix + key, -maxLength, -1);
+      }
+    },
+
+    async listRange(key) {
+      const values = await client.lrange(prefix + key, 0, -1);
+      return values.map(value => JSON.parse(value));
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+
+    async publish(channel, message) {
+      await client.publish(prefix + channel, JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+        await subscriber.subscribe(prefix + channel);
+      }
+      handlers.get(channel).push(handler);
+
+      return async () => {
+        const remaining = (handlers.get(channel) || []).filter(other => other !== handler);
+        if (remaining.length > 0) {
+          handlers.set(channel, remaining);
+        } else if (handlers.delete(channel)) {
+          await subscriber.unsubscribe(prefix + channel);
+        }
+      };
+    },
+
+    async close() {
+      handlers.clear();
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+/**
+ * Create the state adapter selected by STATE_ADAPTER (memory or redis)
+ * @returns {Object} - State adapter
+ */
+function createStateAdapter() {
+  const adapterType = config.state.adapter;
+
+  if (adapterType === 'memory') {
+    return createMemoryAdapter();
+  }
+
+  if (adapterType === 'redis') {
+    const redisUrl = config.state.redisUrl;
+    if (!redisUrl) {
+      throw new Error('REDIS_URL environment variable is required when STATE_ADAPTER=redis');
+    }
+
+    const Redis = require('ioredis'); // only loaded when Redis is used
+    return createRedisAdapter(new Redis(redisUrl), new Redis(redisUrl));
+  }
+
+  throw new Error(`Unknown STATE_ADAPTER '${adapterType}' (expected 'memory' or 'redis')`);
+}
+
+/**
+ * Get the process-wide state adapter, creating it on first use
+ * @returns {Object} - State adapter
+ */
+function getStateAdapter() {
+  if (!stateAdapter) {
+    stateAdapter = createStateAdapter();
+  }
+  return stateAdapter;
+}
+
+/**
+ * Replace the process-wide state adapter (e.g. with a Redis stand-in)
+ * Must be called before bindServer.
+ * @param {Object} adapter - State adapter
+ */
+function setStateAdapter(adapter) {
+  stateAdapter = adapter;
+}
+
+/**
+ * Bind the Socket.IO server so broadcasts published by any instance are
+ * delivered to the local sockets of this one
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise<Function>} - async () => void, stops delivering them
+ */
+async function bindServer(io) {
+  boundIo = io;
+  return getStateAdapter().subscribe(BROADCAST_CHANNEL, ({ room, event, payload, except }) => {
+    let target = boundIo.to(room);
+    if (except) {
+      target = target.except(except);
+    }
+    target.emit(event, payload);
+  });
+}
+
+/**
+ * Emit an event to a room across all server instances
+ * @param {string} room - Room name (e.g. team:1, project_2, user:3)
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Object} options - Options
+ * @param {string} options.except - Socket ID to exclude (usually the sender)
+ */
+async function broadcastToRoom(room, event, payload, options = {}) {
+  const adapter = getStateAdapter();
+  eventsBroadcast.inc({ event });
+
+  // A single memory-backed instance can skip the pub/sub hop
+  if (adapter.name === 'memory' && boundIo) {
+    let target = boundIo.to(room);
+    if (options.except) {
+      target = target.except(options.except);
+    }
+    target.emit(event, payload);
+    return;
+  }
+
+  await adapter.publish(BROADCAST_CHANNEL, {
+    room,
+    event,
+    payload,
+    except: options.except || null
+  });
+}
+
+module.exports = {
+  createMemoryAdapter,
+  createRedisAdapter,
+  createStateAdapter,
+  getStateAdapter,
+  setStateAdapter,
+  bindServer,
+  broadcastToRoom
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { getStateAdapter } = require('./stateAdapter');
+
+const CLAIM_TTL = 5000; // a claim left by a crashed instance is taken over after 5 seconds
+const CLAIM_WAIT = 2000; // give up on a busy task after 2 seconds
+const CLAIM_RETRY = 10; // milliseconds between attempts to claim a busy task
+
+const TASK_VERSIONS_KEY = 'task_versions'; // Hash of taskId -> { version, projectId, taskData, updatedBy, updatedAt }
+const VERSION_CLAIMS_KEY = 'task_version_claims'; // Hash of taskId -> { token, expiresAt } while a task's version changes
+
+const pending = new Map(); // taskId -> Promise of the last queued change on this instance
+
+/**
+ * Build an error with a code the socket handlers can report
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code
+ */
+function versionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Claim the right to change a task's version, waiting while another instance holds it
+ * @param {string} taskId - Task ID
+ * @returns {Promise<string>} - Token that releases the claim
+ * @throws {Error} - TASK_BUSY if the claim stays held for CLAIM_WAIT
+ */
+async function claimTask(taskId) {
+  const adapter = getStateAdapter();
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + CLAIM_WAIT;
+
+  for (;;) {
+    if (await adapter.hashSetIfAbsent(VERSION_CLAIMS_KEY, taskId, { token, expiresAt: Date.now() + CLAIM_TTL })) {
+      return token;
+    }
+    const holder = await adapter.hashGet(VERSION_CLAIMS_KEY, taskId);
+    if (holder && holder.expiresAt <= Date.now()) {
+      await adapter.hashDelete(VERSION_CLAIMS_KEY, taskId);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw versionError('TASK_BUSY', `Task ${taskId} is being changed, please retry`);
+    }
+    await new Promise(resolve => setTimeout(resolve, CLAIM_RETRY));
+  }
+}
+
+/**
+ * Release a task claim if it is still this one
+ * @param {string} taskId - Task ID
+ * @param {string} token - Token returned by claimTask
+ */
+async function releaseTask(taskId, token) {
+  const adapter = getStateAdapter();
+  const holder = await adapter.hashGet(VERSION_CLAIMS_KEY, taskId);
+  if (holder?.token === token) {
+    await adapter.hashDelete(VERSION_CLAIMS_KEY, taskId);
+  }
+}
+
+/**
+ * Run changes to one task one at a time across all instances, so a version
+ * check and the write that follows it can't interleave with another update.
+ * Changes on this instance queue behind each other before claiming the task
+ * in the state adapter.
+ * @param {string} taskId - Task ID
+ * @param {Function} change - async () => result
+ * @returns {Promise<*>} - Result of change
+ */
+function serialize(taskId, change) {
+  const key = String(taskId);
+  const claimed = async () => {
+    const token = await claimTask(key);
+    try {
+      return await change();
+    } finally {
+      await releaseTask(key, token);
+    }
+  };
+  const run = (pending.get(key) || Promise.resolve()).then(claimed, claimed);
+  const settled = run.catch(() => {});
+  pending.set(key, settled);
+  settled.then(() => {
+    if (pending.get(key) === settled) {
+      pending.delete(key);
+    }
+  });
+  return run;
+}
+
+/**
+ * Shape a version record for clients
+ * @param {Object} record - Stored version record
+ * @returns {Object} - { version, taskData, updatedBy, updatedAt }
+ */
+function toCurrentState(record) {
+  return {
+    version: record.version,
+    taskData: record.taskData,
+    updatedBy: record.updatedBy,
+    updatedAt: record.updatedAt
+  };
+}
+
+/**
+ * Save a new version of a task
+ * @param {string} taskId - Task ID
+ * @param {Object} record - Version record
+ * @returns {Promise<Object>} - Saved record
+ */
+async function saveVersion(taskId, record) {
+  await getStateAdapter().hashSet(TASK_VERSIONS_KEY, taskId, record);
+  return record;
+}
+
+/**
+ * Start tracking a newly created task
+ * @param {string} taskId - Task ID
+ * @param {string} projectId - Project ID
+ * @param {Object} taskData - Initial task data
+ * @param {Object} actor - Creating user ({ userId, userEmail })
+ * @returns {Promise<number>} - Task version
+ */
+async function recordTaskCreated(taskId, projectId, taskData, actor) {
+  return serialize(taskId, async () => {
+    // Keep versions increasing if a task ID is ever reused
+    const existing = await getStateAdapter().hashGet(TASK_VERSIONS_KEY, taskId);
+    const record = await saveVersion(taskId, {
+      version: existing ? existing.version + 1 : 1,
+      projectId,
+      taskData,
+      updatedBy: { userId: actor?.userId ?? null, userEmail: actor?.userEmail ?? null },
+      updatedAt: new Date().toISOString()
+    });
+    return record.version;
+  });
+}
+
+/**
+ * Apply a client update if it was based on the current version
+ * Tasks the server hasn't seen yet (e.g. created before it started) adopt
+ * the client's base version.
+ * @param {string} taskId - Task ID
+ * @param {string} projectId - Project ID
+ * @param {number} baseVersion - Version the client's change was based on
+ * @param {Object} taskData - Changed task fields (merged into the current state)
+ * @param {Object} actor - Updating user ({ userId, userEmail })
+ * @returns {Promise<Object>} - { applied: true, version, taskData }, { applied: false, current }
+ *   or { applied: false, projectMismatch: true } if the task is tracked under another project
+ */
+async function applyTaskUpdate(taskId, projectId, baseVersion, taskData, actor) {
+  return serialize(taskId, async () => {
+    const existing = await getStateAdapter().hashGet(TASK_VERSIONS_KEY, taskId);
+
+    // Never let a change sent for one project touch a task tracked under another
+    if (existing && String(existing.projectId) !== String(projectId)) {
+      return { applied: false, projectMismatch: true };
+    }
+
+    if (existing && existing.version !== baseVersion) {
+      return { applied: false, current: toCurrentState(existing) };
+    }
+
+    const record = await saveVersion(taskId, {
+      version: baseVersion + 1,
+      projectId,
+      taskData: { ...existing?.taskData, ...taskData },
+      updatedBy: { userId: actor?.userId ?? null, userEmail: actor?.userEmail ?? null },
+      updatedAt: new Date().toISOString()
+    });
+    return { applied: true, version: record.version, taskData: record.taskData };
+  });
+}
+
+/**
+ * Record an update without a version check (the backend is authoritative)
+ * @param {string} taskId - Task ID
+ * @param {string} projectId - Project ID
+ * @param {Object} taskData - Changed task fields
+ * @param {Object} actor - Updating user ({ userId, userEmail })
+ * @param {number} version - Version assigned by the backend, if any
+ * @returns {Promise<number>} - New task version
+ */
+async function forceTaskUpdate(taskId, projectId, taskData, actor, version) {
+  return serialize(taskId, async () => {
+    const existing = await getStateAdapter().hashGet(TASK_VERSIONS_KEY, taskId);
+    const record = await saveVersion(taskId, {
+      version: Number.isInteger(version) ? version : (existing?.version || 0) + 1,
+      projectId,
+      taskData: { ...existing?.taskData, ...taskData },
+      updatedBy: { userId: actor?.userId ?? null, userEmail: actor?.userEmail ?? null },
+      updatedAt: new Date().toISOString()
+    });
+    return record.version;
+  });
+}
+
+/**
+ * Stop tracking a deleted task
+ * @param {string} taskId - Task ID
+ */
+async function recordTaskDeleted(taskId) {
+  return serialize(taskId, () => getStateAdapter().hashDelete(TASK_VERSIONS_KEY, taskId));
+}
+
+/**
+ * Get a task's current version and state
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} - { version, taskData, updatedBy, updatedAt } or null if untracked
+ */
+async function getTaskVersion(taskId) {
+  const record = await getStateAdapter().hashGet(TASK_VERSIONS_KEY, taskId);
+  return record ? toCurrentState(record) : null;
+}
+
+module.exports = {
+  recordTaskCreated,
+  applyTaskUpdate,
+  forceTaskUpdate,
+  recordTaskDeleted,
+  getTaskVersion
+};
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+// alice, bob and the admin are in team 7 (project 3); carol is in team 8
+const fixtures = {
+  teams: { 1: [7], 2: [7], 3: [8], 9: [7, 8] },
+  projects: { 3: 7, 4: 8 }
+};
+
+describe('admin controls', () => {
+  let harness;
+  let admin;
+  let alice;
+  let carol;
+
+  /**
+   * Call an admin REST endpoint
+   * @param {string} method - HTTP method
+   * @param {string} path - Endpoint path
+   * @param {Object} body - JSON body
+   * @param {Object} user - One of USERS
+   * @returns {Promise<Response>} - Fetch response
+   */
+  function callAdmin(method, path, body, user = USERS.admin) {
+    return fetch(`${harness.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signToken(user)}` },
+      body: JSON.stringify(body)
+    });
+  }
+
+  /**
+   * Emit an admin event and wait for its reply
+   * @param {string} event - Admin event name
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object>} - { event, payload } - admin_action_completed or error
+   */
+  function emitAdmin(event, data) {
+    const reply = Promise.race([
+      waitFor(admin, 'admin_action_completed').then(payload => ({ event: 'admin_action_completed', payload })),
+      waitFor(admin, 'error').then(payload => ({ event: 'error', payload }))
+    ]);
+    admin.emit(event, data);
+    return reply;
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures });
+    ({ client: admin } = await harness.connectAs(USERS.admin));
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: carol } = await harness.connectAs(USERS.carol));
+
+    const joined = waitFor(alice, 'room_members');
+    alice.emit('join_project', { projectId: 3 });
+    await joined;
+  });
+
+  after(() => harness.close());
+
+  it('refuses admin events and routes from other roles', async () => {
+    const error = waitFor(alice, 'error');
+    alice.emit('admin_announce', { message: 'Not an admin' });
+    const payload = await error;
+    assert.strictEqual(payload.code, 'FORBIDDEN_ADMIN');
+    assert.strictEqual(payload.event, 'admin_announce');
+
+    const response = await callAdmin('POST', '/admin/announcements', { message: 'Hi' }, USERS.alice);
+    assert.strictEqual(response.status, 403);
+  });
+
+  it('announces to everyone, or to one team', async () => {
+    const toAlice = waitFor(alice, 'system_announcement');
+    const toCarol = waitFor(carol, 'system_announcement');
+    const { event, payload } = await emitAdmin('admin_announce', { message: '  Maintenance at noon  ', level: 'warning' });
+    assert.strictEqual(event, 'admin_action_completed');
+    assert.strictEqual(payload.result.message, 'Maintenance at noon');
+    assert.strictEqual((await toAlice).level, 'warning');
+    assert.strictEqual((await toCarol).by.userId, USERS.admin.user_id);
+
+    const notAlice = collect(alice, 'system_announcement');
+    const teamOnly = waitFor(carol, 'system_announcement');
+    const response = await callAdmin('POST', '/admin/announcements', { message: 'Team 8 only', teamId: 8 });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual((await teamOnly).teamId, 8);
+    assert.deepStrictEqual(await notAlice, []);
+
+    assert.strictEqual((await emitAdmin('admin_announce', { message: ' ' })).payload.code, 'EMPTY_MESSAGE');
+    const invalid = await callAdmin('POST', '/admin/announcements', { message: 'Hi', level: 'loud' });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).code, 'INVALID_FIELDS');
+  });
+
+  it('makes a project read-only for members until it is lifted', async () => {
+    const notified = waitFor(alice, 'project_read_only');
+    const response = await callAdmin('PUT', '/admin/projects/3/read-only', { readOnly: true, reason: 'Migration' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await notified).reason, 'Migration');
+
+    const refused = waitFor(alice, 'error');
+    alice.emit('chat_message', { projectId: 3, text: 'Still here?' });
+    const error = await refused;
+    assert.strictEqual(error.code, 'PROJECT_READ_ONLY');
+    assert.strictEqual(error.message, 'Project 3 is read-only: Migration');
+
+    const lifted = waitFor(alice, 'project_read_only');
+    assert.strictEqual((await emitAdmin('admin_set_read_only', { projectId: 3, readOnly: false })).event, 'admin_action_completed');
+    assert.strictEqual((await lifted).readOnly, false);
+
+    const sent = waitFor(alice, 'chat_message');
+    alice.emit('chat_message', { projectId: 3, text: 'Back again' });
+    assert.strictEqual((await sent).message.text, 'Back again');
+
+    assert.strictEqual((await callAdmin('PUT', '/admin/projects/3/read-only', { readOnly: 'yes' })).status, 400);
+  });
+
+  it('takes a user out of a project room', async () => {
+    const joined = waitFor(admin, 'room_members');
+    admin.emit('join_project', { projectId: 3 });
+    await joined;
+
+    const removed = waitFor(alice, 'removed_from_project');
+    const { event } = await emitAdmin('admin_remove_from_project', { projectId: 3, userId: 1, reason: 'Reassigned' });
+    assert.strictEqual(event, 'admin_action_completed');
+
+    const payload = await removed;
+    assert.strictEqual(payload.projectId, 3);
+    assert.strictEqual(payload.reason, 'Reassigned');
+
+    const notInRoom = collect(alice, 'chat_message');
+    const sent = waitFor(admin, 'chat_message');
+    admin.emit('chat_message', { projectId: 3, text: 'Alice is gone' });
+    await sent;
+    assert.deepStrictEqual(await notInRoom, []);
+  });
+
+  it('disconnects every socket a user has open', async () => {
+    const { client: secondTab } = await harness.connectAs(USERS.alice);
+    const notices = [waitFor(alice, 'force_disconnected'), waitFor(secondTab, 'force_disconnected')];
+    const closed = waitFor(secondTab, 'disconnect');
+
+    const response = await callAdmin('POST', '/admin/users/1/disconnect', { reason: 'Session review' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).sockets, 2);
+
+    for (const notice of await Promise.all(notices)) {
+      assert.strictEqual(notice.reason, 'Session review');
+    }
+    assert.strictEqual(await closed, 'io server disconnect');
+
+    const invalid = await callAdmin('POST', '/admin/users/1/disconnect', { reason: 'x'.repeat(501) });
+    assert.strictEqual(invalid.status, 400);
+  });
+});
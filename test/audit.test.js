@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const INGEST_SERVICE_TOKEN = 'integration-service-token';
+
+// the admin is in team 7, which owns project 3
+const fixtures = {
+  teams: { 1: [7], 9: [7] },
+  projects: { 3: 7 },
+  taskProjects: { 30: 3 }
+};
+
+describe('audit log', () => {
+  let harness;
+  let audit;
+
+  /**
+   * Query the audit log over HTTP
+   * @param {string} query - Query string
+   * @param {Object} user - One of USERS
+   * @returns {Promise<Response>} - Fetch response
+   */
+  function queryLog(query = '', user = USERS.admin) {
+    return fetch(`${harness.url}/audit${query}`, {
+      headers: { Authorization: `Bearer ${signToken(user)}` }
+    });
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures, env: { INGEST_SERVICE_TOKEN } });
+    audit = require('../audit');
+  });
+
+  after(() => harness.close());
+
+  it('records socket and ingested changes with their actor and a payload digest', async () => {
+    const { client: admin } = await harness.connectAs(USERS.admin);
+    const deleted = waitFor(admin, 'task_deleted');
+    admin.emit('task_deleted', { taskId: 30, projectId: 3 });
+    await deleted;
+
+    const response = await fetch(`${harness.url}/ingest/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Service-Token': INGEST_SERVICE_TOKEN, 'X-Request-Id': 'ingest-1' },
+      body: JSON.stringify({ event: 'project_updated', teamId: 7, projectId: 3, projectData: { name: 'Renamed' } })
+    });
+    assert.strictEqual(response.status, 202);
+
+    const { entries } = await (await queryLog()).json();
+    const [ingested, socketDelete] = entries;
+
+    assert.strictEqual(socketDelete.action, 'task_deleted');
+    assert.strictEqual(socketDelete.source, 'socket');
+    assert.deepStrictEqual(socketDelete.actor, { userId: USERS.admin.user_id, userEmail: 'admin@example.com', role: 'admin' });
+    assert.strictEqual(socketDelete.projectId, 3);
+    assert.strictEqual(socketDelete.taskId, 30);
+    assert.match(socketDelete.digest, /^sha256:[0-9a-f]{64}$/);
+    assert.ok(socketDelete.correlationId);
+
+    assert.strictEqual(ingested.action, 'project_updated');
+    assert.strictEqual(ingested.source, 'ingest');
+    assert.strictEqual(ingested.correlationId, 'ingest-1');
+    assert.strictEqual(ingested.details.seq, 2);
+  });
+
+  it('filters and pages the log for admins only', async () => {
+    for (const taskId of [1, 2, 3]) {
+      await audit.recordAudit({ action: 'lock_overridden', actor: { userId: 2 }, source: 'admin', projectId: 4, taskId });
+    }
+
+    const first = await (await queryLog('?action=lock_overridden&limit=2')).json();
+    assert.deepStrictEqual(first.entries.map(entry => entry.taskId), [3, 2]);
+    assert.strictEqual(first.hasMore, true);
+
+    const second = await (await queryLog(`?action=lock_overridden&limit=2&before=${first.nextBefore}`)).json();
+    assert.deepStrictEqual(second.entries.map(entry => entry.taskId), [1]);
+    assert.strictEqual(second.nextBefore, null);
+
+    const byUser = await (await queryLog('?userId=2&projectId=4&until=2000-01-01')).json();
+    assert.deepStrictEqual(byUser.entries, []);
+
+    const invalid = await queryLog('?since=yesterday&before=0');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).message, 'Invalid query parameters: since, before');
+
+    assert.strictEqual((await queryLog('', USERS.alice)).status, 403);
+  });
+
+  it('logs rather than throws when the sink fails', async () => {
+    const sink = audit.getAuditSink();
+    audit.setAuditSink({ name: 'broken', append: async () => { throw new Error('disk full'); } });
+    try {
+      assert.strictEqual(await audit.recordAudit({ action: 'task_deleted', source: 'socket' }), null);
+    } finally {
+      audit.setAuditSink(sink);
+    }
+  });
+
+  describe('file sink', () => {
+    let file;
+
+    before(() => {
+      file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), 'nested', 'audit.jsonl');
+    });
+
+    after(() => fs.rmSync(path.dirname(path.dirname(file)), { recursive: true, force: true }));
+
+    it('numbers concurrent appends in order and continues after a restart', async () => {
+      const sink = audit.createFileAuditSink(file);
+      await Promise.all(['a', 'b', 'c'].map(action => sink.append({ action })));
+      fs.appendFileSync(file, 'not json\n');
+
+      const restarted = audit.createFileAuditSink(file);
+      assert.strictEqual((await restarted.append({ action: 'd' })).id, 4);
+
+      const { entries } = await restarted.query({}, { limit: 10 });
+      assert.deepStrictEqual(entries.map(entry => [entry.id, entry.action]), [[4, 'd'], [3, 'c'], [2, 'b'], [1, 'a']]);
+      assert.deepStrictEqual((await restarted.query({ action: 'b' })).entries.map(entry => entry.id), [2]);
+    });
+  });
+});
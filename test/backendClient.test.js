@@ -0,0 +1,111 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const CIRCUIT_RESET_MS = 200;
+
+describe('backend client', () => {
+  let server;
+  let backendClient;
+  let respond; // (req, res) => void, the backend's current behaviour
+  let hits; // requests received, as "<method> <path>"
+
+  /**
+   * Answer with a status code
+   * @param {number} status - HTTP status
+   * @returns {Function} - Request handler
+   */
+  const answer = status => (req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status }));
+  };
+
+  /**
+   * Answer with each status in turn, repeating the last one
+   * @param {Array<number>} statuses - HTTP statuses
+   * @returns {Function} - Request handler
+   */
+  const answerInTurn = (statuses) => {
+    let index = 0;
+    return (req, res) => answer(statuses[Math.min(index++, statuses.length - 1)])(req, res);
+  };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits.push(`${req.method} ${req.url}`);
+      respond(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // config.js reads the environment when first required
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      PYTHON_BACKEND_URL: `http://127.0.0.1:${server.address().port}`,
+      BACKEND_RETRIES: '2',
+      BACKEND_RETRY_BASE_MS: '1',
+      BACKEND_CIRCUIT_THRESHOLD: '2',
+      BACKEND_CIRCUIT_RESET_MS: String(CIRCUIT_RESET_MS)
+    });
+    backendClient = require('../backendClient');
+  });
+
+  beforeEach(() => {
+    hits = [];
+    respond = answer(200);
+  });
+
+  after(() => new Promise(resolve => server.close(() => resolve())));
+
+  it('retries idempotent requests that failed on the backend', async () => {
+    respond = answerInTurn([500, 503, 200]);
+    const response = await backendClient.backendRequest('GET', '/api/tasks');
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(hits, ['GET /api/tasks', 'GET /api/tasks', 'GET /api/tasks']);
+
+    hits = [];
+    respond = answerInTurn([502, 200]);
+    await backendClient.backendRequest('PUT', '/api/tasks/1', { data: { title: 'Again' } });
+    assert.strictEqual(hits.length, 2);
+  });
+
+  it('sends a non-idempotent request only once when it reached the backend', async () => {
+    respond = answer(500);
+    await assert.rejects(
+      backendClient.backendRequest('POST', '/api/tasks', { data: { title: 'Once' } }),
+      { code: 'BACKEND_UNAVAILABLE' }
+    );
+    assert.deepStrictEqual(hits, ['POST /api/tasks']);
+
+    respond = answer(200);
+    await backendClient.backendRequest('GET', '/api/tasks');
+    assert.strictEqual(backendClient.getBackendStatus().circuit, 'closed');
+  });
+
+  it('lets a single trial through a half-open circuit and fails the rest fast', async () => {
+    respond = answer(500);
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(backendClient.backendRequest('GET', '/api/tasks'), { code: 'BACKEND_UNAVAILABLE' });
+    }
+    assert.strictEqual(backendClient.getBackendStatus().circuit, 'open');
+
+    // The health probe is the trial; hold it until the other requests have been refused
+    let releaseProbe;
+    const probeHeld = new Promise(resolve => {
+      releaseProbe = resolve;
+    });
+    respond = (req, res) => probeHeld.then(() => answer(200)(req, res));
+    hits = [];
+    await new Promise(resolve => setTimeout(resolve, CIRCUIT_RESET_MS + 50));
+    assert.strictEqual(backendClient.getBackendStatus().circuit, 'half_open');
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => backendClient.backendRequest('GET', '/api/tasks')));
+    assert.deepStrictEqual(results.map(result => result.reason?.code), ['BACKEND_UNAVAILABLE', 'BACKEND_UNAVAILABLE', 'BACKEND_UNAVAILABLE']);
+    assert.deepStrictEqual(hits, ['GET /health']);
+
+    releaseProbe();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(backendClient.getBackendStatus().circuit, 'closed');
+    assert.strictEqual((await backendClient.backendRequest('GET', '/api/tasks')).status, 200);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+const CHAT_HISTORY_LIMIT = 5;
+
+// alice and bob are in team 7, which owns project 3
+const fixtures = {
+  teams: { 1: [7], 2: [7] },
+  projects: { 3: 7 }
+};
+
+describe('project chat', () => {
+  let harness;
+  let alice;
+  let bob;
+  let chatStore;
+
+  /**
+   * Join project 3 and return the chat history sent with it
+   * @param {Object} client - Client socket
+   * @returns {Promise<Object>} - chat_history payload
+   */
+  async function joinProject(client) {
+    const history = waitFor(client, 'chat_history');
+    client.emit('join_project', { projectId: 3 });
+    return history;
+  }
+
+  /**
+   * Send a chat message and wait for its broadcast to come back
+   * @param {Object} client - Client socket
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} - Stored message
+   */
+  async function send(client, text) {
+    const sent = waitFor(client, 'chat_message');
+    client.emit('chat_message', { projectId: 3, text });
+    return (await sent).message;
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures, env: { CHAT_HISTORY_LIMIT: String(CHAT_HISTORY_LIMIT) } });
+    chatStore = require('../chatStore');
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+  });
+
+  after(() => harness.close());
+
+  it('sends the latest messages on join and broadcasts new ones to the project', async () => {
+    assert.deepStrictEqual((await joinProject(alice)).messages, []);
+    await joinProject(bob);
+
+    const received = waitFor(bob, 'chat_message');
+    alice.emit('chat_message', { projectId: 3, text: 'Hello team', clientId: 'c-1' });
+
+    const payload = await received;
+    assert.strictEqual(payload.clientId, 'c-1');
+    assert.strictEqual(payload.message.id, 1);
+    assert.strictEqual(payload.message.text, 'Hello team');
+    assert.strictEqual(payload.message.userId, USERS.alice.user_id);
+  });
+
+  it('lets only the author edit a message, and anyone see the deletion', async () => {
+    const message = await send(bob, 'Tpyo');
+
+    const error = waitFor(alice, 'error');
+    alice.emit('chat_edit', { projectId: 3, messageId: message.id, text: 'Not yours' });
+    assert.strictEqual((await error).code, 'FORBIDDEN_CHAT_EDIT');
+
+    const edited = waitFor(alice, 'chat_message_edited');
+    bob.emit('chat_edit', { projectId: 3, messageId: message.id, text: 'Typo' });
+    const editedMessage = (await edited).message;
+    assert.strictEqual(editedMessage.text, 'Typo');
+    assert.ok(editedMessage.editedAt);
+
+    const deleted = waitFor(alice, 'chat_message_deleted');
+    bob.emit('chat_delete', { projectId: 3, messageId: message.id });
+    assert.strictEqual((await deleted).messageId, message.id);
+  });
+
+  it('pages back through history oldest first, keeping the newest messages', async () => {
+    for (const text of ['three', 'four', 'five', 'six']) {
+      await send(alice, text);
+    }
+
+    let history = waitFor(alice, 'chat_history');
+    alice.emit('chat_history', { projectId: 3, limit: 2 });
+    const latest = await history;
+    assert.deepStrictEqual(latest.messages.map(message => message.id), [5, 6]);
+    assert.strictEqual(latest.hasMore, true);
+    assert.strictEqual(latest.nextBefore, 5);
+
+    history = waitFor(alice, 'chat_history');
+    alice.emit('chat_history', { projectId: 3, before: latest.nextBefore, limit: 10 });
+    const older = await history;
+    assert.deepStrictEqual(older.messages.map(message => message.id), [2, 3, 4], `only ${CHAT_HISTORY_LIMIT} are kept`);
+    assert.strictEqual(older.messages[0].deleted, true);
+    assert.strictEqual(older.messages[0].text, null);
+    assert.strictEqual(older.hasMore, false);
+    assert.strictEqual(older.nextBefore, null);
+  });
+
+  it('numbers messages across instances with the state store', async () => {
+    const stores = [chatStore.createStateChatStore(), chatStore.createStateChatStore()];
+    for (let i = 0; i < CHAT_HISTORY_LIMIT + 1; i++) {
+      await stores[i % 2].addMessage('project:9', { text: `m${i}` });
+    }
+
+    const { messages } = await stores[0].listMessages('project:9');
+    assert.deepStrictEqual(messages.map(message => message.id), [2, 3, 4, 5, 6]);
+    assert.strictEqual(messages[0].text, 'm1');
+  });
+
+  describe('file store', () => {
+    let directory;
+
+    before(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-store-'));
+    });
+
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('saves concurrent messages in the order they were numbered', async () => {
+      const store = chatStore.createFileChatStore(directory);
+      await Promise.all(['a', 'b', 'c', 'd'].map(text => store.addMessage('project:3', { text })));
+
+      const saved = JSON.parse(fs.readFileSync(path.join(directory, `${encodeURIComponent('project:3')}.json`), 'utf8'));
+      assert.deepStrictEqual(saved.map(message => [message.id, message.text]), [[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
+    });
+
+    it('reloads history after a restart and continues its numbering', async () => {
+      const store = chatStore.createFileChatStore(directory);
+      assert.deepStrictEqual((await store.listMessages('project:3')).messages.map(message => message.text), ['a', 'b', 'c', 'd']);
+
+      const next = await store.addMessage('project:3', { text: 'e' });
+      assert.strictEqual(next.id, 5);
+      assert.strictEqual((await store.updateMessage('project:3', 99, { text: 'missing' })), null);
+    });
+  });
+});
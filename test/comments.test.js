@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+// alice is in team 7 (project 3), carol in team 8 (project 4); task 50 is in project 3
+const fixtures = {
+  teams: { 1: [7], 3: [8] },
+  projects: { 3: 7, 4: 8 },
+  taskProjects: { 50: 3 }
+};
+
+describe('task comments', () => {
+  let harness;
+  let alice;
+  let carol;
+  let comment;
+
+  before(async () => {
+    harness = await startHarness({ fixtures });
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: carol } = await harness.connectAs(USERS.carol));
+  });
+
+  after(() => harness.close());
+
+  it('broadcasts comments on the project\'s tasks to the team', async () => {
+    const added = waitFor(alice, 'comment_added');
+    alice.emit('comment_added', { projectId: 3, taskId: 50, text: 'First!' });
+
+    const payload = await added;
+    assert.strictEqual(payload.taskId, 50);
+    assert.strictEqual(payload.comment.text, 'First!');
+    comment = payload.comment;
+  });
+
+  it('refuses comments on a task under a project it does not belong to', async () => {
+    const error = waitFor(carol, 'error');
+    const leaked = collect(alice, 'comment_added');
+    carol.emit('comment_added', { projectId: 4, taskId: 50, text: 'Sneaking in' });
+
+    assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+    assert.deepStrictEqual(await leaked, []);
+  });
+
+  it('refuses reading another team\'s comments through their own project', async () => {
+    const error = waitFor(carol, 'error');
+    const history = collect(carol, 'comment_history');
+    carol.emit('comment_history', { projectId: 4, taskId: 50 });
+
+    assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+    assert.deepStrictEqual(await history, []);
+  });
+
+  it('refuses editing or deleting another team\'s comments', async () => {
+    let error = waitFor(carol, 'error');
+    carol.emit('comment_edited', { projectId: 4, taskId: 50, commentId: comment.id, text: 'Changed' });
+    assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+
+    error = waitFor(carol, 'error');
+    carol.emit('comment_deleted', { projectId: 4, taskId: 50, commentId: comment.id });
+    assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+
+    const history = waitFor(alice, 'comment_history');
+    alice.emit('comment_history', { projectId: 3, taskId: 50 });
+    const [stored] = (await history).comments;
+    assert.strictEqual(stored.text, 'First!');
+    assert.strictEqual(stored.deleted, false);
+  });
+
+  it('refuses tasks the backend does not know', async () => {
+    const error = waitFor(alice, 'error');
+    alice.emit('comment_added', { projectId: 3, taskId: 404, text: 'Anyone?' });
+
+    assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NODE_ENV = 'test';
+const { loadConfig, redactConfig } = require('../config');
+
+const PRODUCTION_SECRET = 'a-production-secret-of-at-least-32-chars';
+
+/**
+ * Load the configuration for an environment, returning the problems if it is rejected
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Problems reported, empty if the configuration loaded
+ */
+function problemsFor(env) {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (error) {
+    assert.strictEqual(error.name, 'ConfigError');
+    return error.problems;
+  }
+}
+
+describe('configuration', () => {
+  it('applies the NODE_ENV overlay under environment variables', () => {
+    assert.strictEqual(loadConfig({ NODE_ENV: 'test' }).config.logging.level, 'error');
+    assert.strictEqual(loadConfig({ NODE_ENV: 'test', LOG_LEVEL: 'debug' }).config.logging.level, 'debug');
+    assert.strictEqual(loadConfig({ NODE_ENV: 'development' }).config.logging.level, 'info');
+  });
+
+  it('converts environment variables to their types', () => {
+    const { config } = loadConfig({
+      NODE_ENV: 'test',
+      PORT: '4000',
+      USER_QUOTA_MULTIPLIER: '2.5',
+      LOG_REDACT_PII: 'yes',
+      CORS_ORIGIN: 'https://a.example, https://b.example,',
+      STATE_ADAPTER: 'MEMORY',
+      EVENT_QUOTAS: '{"user_typing":{"capacity":2,"refillPerSecond":1}}'
+    });
+
+    assert.strictEqual(config.server.port, 4000);
+    assert.strictEqual(config.quotas.userMultiplier, 2.5);
+    assert.strictEqual(config.logging.redactPii, true);
+    assert.deepStrictEqual(config.cors.origin, ['https://a.example', 'https://b.example']);
+    assert.strictEqual(config.state.adapter, 'memory');
+    assert.deepStrictEqual(config.quotas.overrides, { user_typing: { capacity: 2, refillPerSecond: 1 } });
+  });
+
+  it('reports every invalid setting at once', () => {
+    const problems = problemsFor({
+      NODE_ENV: 'test',
+      BACKEND_TIMEOUT_MS: 'soon',
+      LOCK_TIMEOUT_MS: '10',
+      PORT: '70000',
+      CHAT_STORE: 'disk',
+      LOG_REDACT_PII: 'maybe',
+      EVENT_QUOTAS: '[1, 2]'
+    });
+
+    assert.deepStrictEqual(problems, [
+      "PORT must be at most 65535 (got '70000')",
+      "BACKEND_TIMEOUT_MS must be an integer (got 'soon')",
+      "LOG_REDACT_PII must be true or false (got 'maybe')",
+      "EVENT_QUOTAS must be a JSON object (got '[1, 2]')",
+      "LOCK_TIMEOUT_MS must be at least 1000 (got '10')",
+      "CHAT_STORE must be one of: memory, file, state (got 'disk')"
+    ]);
+  });
+
+  it('rejects settings that are valid alone but not together', () => {
+    assert.deepStrictEqual(problemsFor({ NODE_ENV: 'test', INSTANCE_HEARTBEAT_MS: '30000', INSTANCE_LEASE_MS: '30000' }), [
+      'INSTANCE_LEASE_MS must be longer than INSTANCE_HEARTBEAT_MS, or live instances would be cleaned up'
+    ]);
+    assert.deepStrictEqual(problemsFor({ NODE_ENV: 'test', STATE_ADAPTER: 'redis' }), [
+      'REDIS_URL is required when STATE_ADAPTER=redis'
+    ]);
+    assert.deepStrictEqual(problemsFor({ NODE_ENV: 'test', JWT_ALGORITHM: 'RS256' }), [
+      'JWT_ALGORITHM includes RS256 but neither JWKS_URL nor JWKS_FILE is set'
+    ]);
+  });
+
+  it('refuses unsafe production settings', () => {
+    const production = { NODE_ENV: 'production', PYTHON_BACKEND_URL: 'https://api.example', JWT_SECRET: PRODUCTION_SECRET };
+    assert.deepStrictEqual(problemsFor(production), []);
+
+    assert.deepStrictEqual(problemsFor({ ...production, JWT_SECRET: 'your-secret-key-here' }), [
+      'JWT_SECRET is a placeholder value - set the secret shared with the FastAPI backend'
+    ]);
+    assert.deepStrictEqual(problemsFor({ ...production, JWT_SECRET: 'short' }), [
+      'JWT_SECRET must be at least 32 characters in production'
+    ]);
+    assert.deepStrictEqual(problemsFor({ ...production, JWT_SECRET: undefined }), [
+      'JWT_SECRET is required for HS* tokens'
+    ]);
+    assert.deepStrictEqual(problemsFor({ ...production, PYTHON_BACKEND_URL: undefined, CORS_ORIGIN: '*' }), [
+      'PYTHON_BACKEND_URL is required in production',
+      'CORS_ORIGIN cannot be * in production (credentials are allowed)'
+    ]);
+  });
+
+  it('warns about settings that only matter outside tests', () => {
+    const { warnings } = loadConfig({ NODE_ENV: 'development' });
+    assert.ok(warnings.includes('JWT_SECRET is not set - using the insecure development secret'));
+    assert.ok(warnings.includes('PYTHON_BACKEND_URL is not set - backend calls will fail'));
+
+    const production = loadConfig({ NODE_ENV: 'production', PYTHON_BACKEND_URL: 'https://api.example', JWT_SECRET: PRODUCTION_SECRET });
+    assert.ok(production.warnings.includes('METRICS_TOKEN is not set - /metrics is served without authentication'));
+  });
+
+  it('freezes the configuration', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test' });
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.server));
+    assert.ok(Object.isFrozen(config.cors.origin), 'nested values too');
+  });
+
+  it('redacts secrets for display', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test', METRICS_TOKEN: 'scrape-me', REDIS_URL: 'redis://:pw@host' });
+    const redacted = redactConfig(config);
+
+    assert.strictEqual(redacted.jwt.secret, '[REDACTED]');
+    assert.strictEqual(redacted.metrics.token, '[REDACTED]');
+    assert.strictEqual(redacted.state.redisUrl, '[REDACTED]');
+    assert.strictEqual(redacted.ingest.hmacSecret, null, 'unset secrets stay null');
+    assert.strictEqual(redacted.server.port, config.server.port);
+  });
+});
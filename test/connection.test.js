@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { TEST_JWT_SECRET, USERS, signToken, expiredToken } = require('./helpers/tokens');
+
+describe('connection', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures: {
+        teams: { 1: [7, 8] },
+        tasks: { 1: [{ id: 11, title: 'Write tests', assigned_to: 1 }] }
+      }
+    });
+  });
+
+  after(() => harness.close());
+
+  it('authenticates a valid token and joins the user\'s team rooms', async () => {
+    const { client, authenticated } = await harness.connectAs(USERS.alice);
+
+    assert.strictEqual(authenticated.success, true);
+    assert.deepStrictEqual(authenticated.user, { id: 1, email: 'alice@example.com', role: 'member', username: 'alice' });
+    assert.deepStrictEqual(authenticated.teams, [7, 8]);
+    assert.deepStrictEqual(authenticated.tasks.map(task => task.id), [11]);
+    assert.strictEqual(authenticated.degraded, false);
+
+    const socket = harness.io.of('/').sockets.get(client.id);
+    assert.ok(socket.rooms.has('team:7'));
+    assert.ok(socket.rooms.has('team:8'));
+  });
+
+  it('forwards the user\'s token to the backend', async () => {
+    const token = signToken(USERS.alice);
+    const client = harness.connect(token);
+    await waitFor(client, 'authenticated');
+
+    const taskRequest = harness.backend.requests.findLast(request => request.path === '/api/tasks');
+    assert.strictEqual(taskRequest.authorization, `Bearer ${token}`);
+  });
+
+  it('rejects a token signed with another secret and disconnects', async () => {
+    const token = jwt.sign({ ...USERS.alice, type: 'access' }, 'not-the-secret', { expiresIn: '1h' });
+    const client = harness.connect(token);
+    const disconnected = waitFor(client, 'disconnect');
+
+    const error = await waitFor(client, 'authentication_error');
+    assert.strictEqual(error.code, 'INVALID_TOKEN');
+    assert.strictEqual(error.action, 'RELOGIN');
+    assert.strictEqual(await disconnected, 'io server disconnect');
+  });
+
+  it('asks for a refresh when the token has expired', async () => {
+    const client = harness.connect(expiredToken(USERS.alice));
+
+    const error = await waitFor(client, 'authentication_error');
+    assert.strictEqual(error.code, 'TOKEN_EXPIRED');
+    assert.strictEqual(error.action, 'REFRESH_TOKEN');
+    assert.ok(client.connected, 'expired sockets stay connected so they can refresh');
+  });
+
+  it('rejects refresh tokens used as access tokens', async () => {
+    const token = jwt.sign({ ...USERS.alice, type: 'refresh' }, TEST_JWT_SECRET, { expiresIn: '1h' });
+    const client = harness.connect(token);
+
+    const error = await waitFor(client, 'authentication_error');
+    assert.strictEqual(error.code, 'INVALID_TOKEN');
+  });
+});
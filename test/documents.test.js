@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+// alice is in team 7 (project 3), carol in team 8 (project 4); task 60 is in project 3
+const fixtures = {
+  teams: { 1: [7], 3: [8] },
+  projects: { 3: 7, 4: 8 },
+  taskProjects: { 60: 3, 61: 4 }
+};
+
+describe('collaborative documents', () => {
+  let harness;
+  let alice;
+  let carol;
+
+  before(async () => {
+    harness = await startHarness({ fixtures });
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: carol } = await harness.connectAs(USERS.carol));
+
+    const joined = Promise.all([waitFor(alice, 'room_members'), waitFor(carol, 'room_members')]);
+    alice.emit('join_project', { projectId: 3 });
+    carol.emit('join_project', { projectId: 4 });
+    await joined;
+  });
+
+  after(() => harness.close());
+
+  it('refuses to seed a task of another team\'s project', async () => {
+    const error = waitFor(carol, 'error');
+    const snapshot = collect(carol, 'doc_snapshot');
+    carol.emit('doc_open', { projectId: 4, taskId: 60, content: 'Planted' });
+
+    assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+    assert.deepStrictEqual(await snapshot, []);
+  });
+
+  it('seeds the document for a task the backend places in the project', async () => {
+    const snapshot = waitFor(alice, 'doc_snapshot');
+    alice.emit('doc_open', { projectId: 3, taskId: 60, content: 'Original' });
+
+    const payload = await snapshot;
+    assert.strictEqual(payload.content, 'Original');
+    assert.strictEqual(payload.revision, 0);
+  });
+
+  it('refuses tasks the backend does not know', async () => {
+    const error = waitFor(carol, 'error');
+    carol.emit('doc_open', { projectId: 4, taskId: 404, content: 'Orphan' });
+
+    assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+  });
+
+  it('opens tasks of the caller\'s own project', async () => {
+    const snapshot = waitFor(carol, 'doc_snapshot');
+    carol.emit('doc_open', { projectId: 4, taskId: 61, content: 'Mine' });
+
+    assert.strictEqual((await snapshot).content, 'Mine');
+  });
+
+  describe('across instances', () => {
+    let instanceA;
+    let instanceB;
+
+    before(() => {
+      // A second copy of the module stands in for another server instance
+      // sharing the same state adapter
+      instanceA = require('../documents');
+      const cached = require.cache[require.resolve('../documents')];
+      delete require.cache[require.resolve('../documents')];
+      instanceB = require('../documents');
+      require.cache[require.resolve('../documents')] = cached;
+    });
+
+    it('starts every instance from the first seed', async () => {
+      const opened = await instanceA.openDocument({ id: 'a1' }, 3, 62, 'hello');
+      const openedElsewhere = await instanceB.openDocument({ id: 'b1' }, 3, 62, 'something else');
+
+      assert.deepStrictEqual(opened, { content: 'hello', revision: 0 });
+      assert.deepStrictEqual(openedElsewhere, { content: 'hello', revision: 0 });
+    });
+
+    it('gives concurrent edits on different instances one order of revisions', async () => {
+      const applied = await Promise.all([
+        instanceA.applyOperation({ id: 'a1' }, 62, 0, [5, ' world']),
+        instanceB.applyOperation({ id: 'b1' }, 62, 0, ['Oh, ', 5])
+      ]);
+      assert.deepStrictEqual(applied.map(result => result.revision).sort(), [1, 2]);
+
+      // Applying an edit first brings an instance's copy up to date
+      const length = 'Oh, hello world'.length;
+      await instanceA.applyOperation({ id: 'a1' }, 62, 2, [length]);
+      assert.deepStrictEqual(instanceA.getDocument(62), { content: 'Oh, hello world', revision: 3 });
+      await instanceB.applyOperation({ id: 'b1' }, 62, 3, [length]);
+      assert.deepStrictEqual(instanceB.getDocument(62), { content: 'Oh, hello world', revision: 4 });
+    });
+
+    it('transforms an edit made against an older revision on another instance', async () => {
+      const result = await instanceB.applyOperation({ id: 'b1' }, 62, 2, [15, '!']);
+
+      assert.strictEqual(result.revision, 5);
+      assert.strictEqual(instanceB.getDocument(62).content, 'Oh, hello world!');
+    });
+
+    it('refuses an edit when the snapshot due before it cannot be saved', async () => {
+      const adapter = require('../stateAdapter').getStateAdapter();
+      await instanceA.openDocument({ id: 'a2' }, 3, 63, '');
+      for (let revision = 0; revision < 50; revision++) {
+        await instanceA.applyOperation({ id: 'a2' }, 63, revision, [revision, 'x'].filter(Boolean));
+      }
+
+      const hashSet = adapter.hashSet;
+      adapter.hashSet = async () => {
+        throw new Error('state adapter down');
+      };
+      try {
+        await assert.rejects(instanceA.applyOperation({ id: 'a2' }, 63, 50, [50, 'y']), /state adapter down/);
+      } finally {
+        adapter.hashSet = hashSet;
+      }
+      assert.strictEqual((await adapter.listRange('doc_history:63')).length, 50, 'nothing was written');
+
+      assert.strictEqual((await instanceA.applyOperation({ id: 'a2' }, 63, 50, [50, 'y'])).revision, 51);
+      assert.strictEqual((await adapter.hashGet('doc_snapshots', '63')).revision, 50);
+    });
+
+    it('refuses to rebuild a document from a snapshot older than the kept history', async () => {
+      const adapter = require('../stateAdapter').getStateAdapter();
+      await adapter.hashSet('doc_snapshots', '64', { projectId: '3', content: '', revision: 0, updatedAt: new Date().toISOString() });
+      await adapter.listPush('doc_history:64', { revision: 5, operation: ['lost'] }, 500);
+
+      await assert.rejects(instanceB.openDocument({ id: 'b2' }, 3, 64, ''), { code: 'DOC_UNAVAILABLE' });
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const http = require('http');
+const express = require('express');
+
+/**
+ * Start an in-process stand-in for the FastAPI backend
+ * Serves the endpoints the socket server calls. The fixtures are plain
+ * objects, so a test can change them between steps (e.g. move a user to
+ * another team before a token refresh).
+ * @param {Object} fixtures - { teams: { userId: [teamId] }, projects: { projectId: teamId },
+ *   tasks: { userId: [task] }, taskProjects: { taskId: projectId } }
+ * @returns {Promise<Object>} - { url, fixtures, requests, close }
+ */
+async function startFakeBackend(fixtures = {}) {
+  const data = {
+    teams: {},
+    projects: {},
+    tasks: {},
+    taskProjects: {},
+    ...fixtures
+  };
+  const requests = []; // [{ method, path, authorization, requestId }] in arrival order
+
+  const app = express();
+  app.use((req, res, next) => {
+    requests.push({
+      method: req.method,
+      path: req.path,
+      authorization: req.get('Authorization') || null,
+      requestId: req.get('X-Request-Id') || null
+    });
+    if (!req.get('Authorization')?.startsWith('Bearer ')) {
+      return res.status(401).json({ detail: 'Not authenticated' });
+    }
+    next();
+  });
+
+  app.get('/health', (req, res) => res.json({ status: 'ok' }));
+
+  app.get('/api/users/:userId/teams', (req, res) => {
+    const teamIds = data.teams[req.params.userId];
+    if (!teamIds) {
+      return res.status(404).json({ detail: 'User not found' });
+    }
+    res.json(teamIds.map(id => ({ id, name: `Team ${id}` })));
+  });
+
+  app.get('/api/tasks', (req, res) => {
+    res.json(data.tasks[req.query.assigned_to] || []);
+  });
+
+  app.get('/api/tasks/:taskId', (req, res) => {
+    const projectId = data.taskProjects[req.params.taskId];
+    if (projectId === undefined) {
+      return res.status(404).json({ detail: 'Task not found' });
+    }
+    res.json({ id: Number(req.params.taskId), title: `Task ${req.params.taskId}`, project_id: projectId });
+  });
+
+  app.get('/api/projects/:projectId', (req, res) => {
+    const teamId = data.projects[req.params.projectId];
+    if (teamId === undefined) {
+      return res.status(404).json({ detail: 'Project not found' });
+    }
+    res.json({ id: Number(req.params.projectId), name: `Project ${req.params.projectId}`, team_id: teamId });
+  });
+
+  app.get('/api/teams/:teamId/members', (req, res) => {
+    const members = Object.entries(data.teams)
+      .filter(([, teamIds]) => teamIds.includes(Number(req.params.teamId)))
+      .map(([userId]) => ({ id: Number(userId), email: `user${userId}@example.com`, username: `user${userId}` }));
+    res.json(members);
+  });
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    fixtures: data,
+    requests,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+module.exports = { startFakeBackend };
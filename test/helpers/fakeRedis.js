@@ -0,0 +1,215 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Start an in-process stand-in for a Redis server
+ * Clients made with createClient() share the server's data and channels and
+ * expose the subset of the ioredis command API the state adapter uses, with
+ * the same reply types (counts as numbers, missing values as null).
+ * @returns {Object} - { createClient }
+ */
+function createFakeRedis() {
+  const data = new Map(); // key -> { type, value }
+  const expiries = new Map(); // key -> time the key expires (ms)
+  const subscribers = new Map(); // channel -> Set of clients
+
+  /**
+   * Look up a live key, dropping it if it has expired
+   * @param {string} key - Key
+   * @param {string} type - Expected type (set, hash, string or list)
+   * @returns {*} - The key's value, or undefined
+   */
+  function read(key, type) {
+    if (expiries.get(key) <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    const entry = data.get(key);
+    if (entry && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry?.value;
+  }
+
+  /**
+   * Look up a key, creating it if it doesn't exist
+   * @param {string} key - Key
+   * @param {string} type - Type to create
+   * @param {Function} create - () => empty value
+   * @returns {*} - The key's value
+   */
+  function write(key, type, create) {
+    const value = read(key, type);
+    if (value !== undefined) {
+      return value;
+    }
+    data.set(key, { type, value: create() });
+    return data.get(key).value;
+  }
+
+  /**
+   * Delete a key once its collection is empty, as Redis does
+   * @param {string} key - Key
+   */
+  function dropIfEmpty(key) {
+    const entry = data.get(key);
+    const size = entry && (entry.value.size ?? entry.value.length);
+    if (entry && size === 0) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+  }
+
+  /**
+   * Resolve a Redis list index (negative counts from the end)
+   * @param {number} index - Index
+   * @param {number} length - List length
+   * @returns {number} - Index from the start
+   */
+  const listIndex = (index, length) => (index < 0 ? length + index : index);
+
+  /**
+   * Create a client connected to this server
+   * @returns {Object} - ioredis-like client
+   */
+  function createClient() {
+    const client = new EventEmitter();
+    const channels = new Set();
+
+    Object.assign(client, {
+      async sadd(key, ...members) {
+        const set = write(key, 'set', () => new Set());
+        const before = set.size;
+        members.forEach(member => set.add(String(member)));
+        return set.size - before;
+      },
+      async srem(key, ...members) {
+        const set = read(key, 'set');
+        if (!set) {
+          return 0;
+        }
+        const removed = members.filter(member => set.delete(String(member))).length;
+        dropIfEmpty(key);
+        return removed;
+      },
+      async smembers(key) {
+        return Array.from(read(key, 'set') || []);
+      },
+      async sismember(key, member) {
+        return read(key, 'set')?.has(String(member)) ? 1 : 0;
+      },
+      async scard(key) {
+        return read(key, 'set')?.size || 0;
+      },
+
+      async hset(key, field, value) {
+        const hash = write(key, 'hash', () => new Map());
+        const created = !hash.has(String(field));
+        hash.set(String(field), String(value));
+        return created ? 1 : 0;
+      },
+      async hsetnx(key, field, value) {
+        const hash = write(key, 'hash', () => new Map());
+        if (hash.has(String(field))) {
+          return 0;
+        }
+        hash.set(String(field), String(value));
+        return 1;
+      },
+      async hget(key, field) {
+        return read(key, 'hash')?.get(String(field)) ?? null;
+      },
+      async hdel(key, ...fields) {
+        const hash = read(key, 'hash');
+        if (!hash) {
+          return 0;
+        }
+        const removed = fields.filter(field => hash.delete(String(field))).length;
+        dropIfEmpty(key);
+        return removed;
+      },
+      async hgetall(key) {
+        return Object.fromEntries(read(key, 'hash') || []);
+      },
+
+      async incrby(key, amount) {
+        const value = Number(read(key, 'string') ?? 0) + Number(amount);
+        data.set(key, { type: 'string', value: String(value) });
+        return value;
+      },
+      async get(key) {
+        return read(key, 'string') ?? null;
+      },
+      async pexpire(key, ms) {
+        if (!data.has(key)) {
+          return 0;
+        }
+        expiries.set(key, Date.now() + Number(ms));
+        return 1;
+      },
+
+      async rpush(key, ...values) {
+        const list = write(key, 'list', () => []);
+        list.push(...values.map(String));
+        return list.length;
+      },
+      async ltrim(key, start, stop) {
+        const list = read(key, 'list');
+        if (list) {
+          const from = Math.max(listIndex(start, list.length), 0);
+          const to = listIndex(stop, list.length);
+          data.get(key).value = list.slice(from, to + 1);
+          dropIfEmpty(key);
+        }
+        return 'OK';
+      },
+      async lrange(key, start, stop) {
+        const list = read(key, 'list') || [];
+        const from = Math.max(listIndex(start, list.length), 0);
+        const to = listIndex(stop, list.length);
+        return list.slice(from, to + 1);
+      },
+
+      async del(...keys) {
+        const removed = keys.filter(key => data.delete(key)).length;
+        keys.forEach(key => expiries.delete(key));
+        return removed;
+      },
+
+      async publish(channel, message) {
+        const receivers = Array.from(subscribers.get(channel) || []);
+        // Deliver asynchronously, like a real pub/sub round trip
+        setImmediate(() => receivers.forEach(receiver => receiver.emit('message', channel, message)));
+        return receivers.length;
+      },
+      async subscribe(...names) {
+        names.forEach((channel) => {
+          channels.add(channel);
+          if (!subscribers.has(channel)) {
+            subscribers.set(channel, new Set());
+          }
+          subscribers.get(channel).add(client);
+        });
+        return channels.size;
+      },
+      async unsubscribe(...names) {
+        names.forEach((channel) => {
+          channels.delete(channel);
+          subscribers.get(channel)?.delete(client);
+        });
+        return channels.size;
+      },
+
+      async quit() {
+        channels.forEach(channel => subscribers.get(channel)?.delete(client));
+        channels.clear();
+        return 'OK';
+      }
+    });
+
+    return client;
+  }
+
+  return { createClient };
+}
+
+module.exports = { createFakeRedis };
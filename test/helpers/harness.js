@@ -0,0 +1,113 @@
+const { io: ioClient } = require('socket.io-client');
+const { startFakeBackend } = require('./fakeBackend');
+const { TEST_JWT_SECRET, signToken } = require('./tokens');
+
+/**
+ * Start the socket server in-process against a fake backend
+ * config.js reads the environment once, when the app is first required, so
+ * every harness in a test file shares the first one's env (node --test runs
+ * each file in its own process). Closing a harness stops all of its app's
+ * timers and subscriptions, so a file can start another one afterwards.
+ * @param {Object} options - { fixtures, env } - backend fixtures and extra environment variables
+ * @returns {Promise<Object>} - { url, backend, io, connect, connectAs, close }
+ */
+async function startHarness({ fixtures, env = {} } = {}) {
+  const backend = await startFakeBackend(fixtures);
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    JWT_SECRET: TEST_JWT_SECRET,
+    PYTHON_BACKEND_URL: backend.url,
+    BACKEND_RETRIES: '0',
+    ...env
+  });
+
+  const { createApp } = require('../../app');
+  const instance = createApp();
+  await new Promise(resolve => instance.server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${instance.server.address().port}`;
+  const clients = [];
+
+  /**
+   * Open a socket.io-client connection, optionally with a token
+   * @param {string} token - Access token for the handshake
+   * @returns {Object} - Client socket
+   */
+  function connect(token) {
+    const client = ioClient(url, {
+      auth: token ? { token } : {},
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true
+    });
+    clients.push(client);
+    return client;
+  }
+
+  /**
+   * Connect as a user and wait until the server has authenticated the socket
+   * @param {Object} user - One of USERS
+   * @returns {Promise<Object>} - { client, authenticated } - socket and authenticated payload
+   */
+  async function connectAs(user) {
+    const client = connect(signToken(user));
+    const authenticated = await waitFor(client, 'authenticated');
+    return { client, authenticated };
+  }
+
+  /**
+   * Disconnect every client, then stop the server and the fake backend
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    clients.forEach(client => client.close());
+    await instance.close();
+    await backend.close();
+  }
+
+  return { url, backend, io: instance.io, connect, connectAs, close };
+}
+
+/**
+ * Wait for a socket event
+ * @param {Object} client - Client socket
+ * @param {string} event - Event name
+ * @param {number} timeoutMs - How long to wait before failing
+ * @returns {Promise<*>} - The event payload
+ */
+function waitFor(client, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, onEvent);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    const onEvent = (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    };
+    client.once(event, onEvent);
+  });
+}
+
+/**
+ * Collect every payload of an event a socket receives within a time window
+ * Used to check that an event did not arrive.
+ * @param {Object} client - Client socket
+ * @param {string} event - Event name
+ * @param {number} windowMs - How long to listen
+ * @returns {Promise<Array>} - Payloads received
+ */
+function collect(client, event, windowMs = 300) {
+  const received = [];
+  const onEvent = payload => received.push(payload);
+  client.on(event, onEvent);
+  return new Promise(resolve => setTimeout(() => {
+    client.off(event, onEvent);
+    resolve(received);
+  }, windowMs));
+}
+
+module.exports = {
+  startHarness,
+  waitFor,
+  collect
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Shared with the server under test through JWT_SECRET (see harness.js)
+const TEST_JWT_SECRET = 'integration-test-secret';
+
+// Users as the FastAPI backend puts them in access tokens
+const USERS = {
+  alice: { user_id: 1, email: 'alice@example.com', username: 'alice', role: 'member' },
+  bob: { user_id: 2, email: 'bob@example.com', username: 'bob', role: 'member' },
+  carol: { user_id: 3, email: 'carol@example.com', username: 'carol', role: 'member' },
+  admin: { user_id: 9, email: 'admin@example.com', username: 'admin', role: 'admin' }
+};
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - One of USERS (or any claims with user_id and email)
+ * @param {Object} options - jsonwebtoken sign options (default: expires in 1 hour)
+ * @returns {string} - Signed token
+ */
+function signToken(user, options = {}) {
+  return jwt.sign({ ...user, type: 'access', jti: crypto.randomUUID() }, TEST_JWT_SECRET, { expiresIn: '1h', ...options });
+}
+
+/**
+ * Sign an access token that expired a minute ago
+ * @param {Object} user - One of USERS
+ * @returns {string} - Signed token
+ */
+function expiredToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign(
+    { ...user, type: 'access', jti: crypto.randomUUID(), iat: now - 3600, exp: now - 60 },
+    TEST_JWT_SECRET
+  );
+}
+
+module.exports = {
+  TEST_JWT_SECRET,
+  USERS,
+  signToken,
+  expiredToken
+};
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+const INGEST_HMAC_SECRET = 'integration-ingest-secret';
+
+// alice is in team 7, which owns project 3
+const fixtures = {
+  teams: { 1: [7] },
+  projects: { 3: 7 }
+};
+
+describe('signed backend ingestion', () => {
+  let harness;
+  let alice;
+
+  /**
+   * Post a signed ingestion event
+   * @param {Object} body - Event body
+   * @param {Object} options - { timestamp, nonce } - override the signed values
+   * @returns {Promise<Object>} - { status, body } of the response
+   */
+  async function postSigned(body, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID() } = {}) {
+    const raw = JSON.stringify(body);
+    const signature = crypto.createHmac('sha256', INGEST_HMAC_SECRET).update(`${timestamp}.${nonce}.${raw}`).digest('hex');
+    const response = await fetch(`${harness.url}/ingest/events`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Ingest-Timestamp': String(timestamp),
+        'X-Ingest-Nonce': nonce,
+        'X-Ingest-Signature': `sha256=${signature}`
+      },
+      body: raw
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures, env: { INGEST_HMAC_SECRET } });
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+  });
+
+  after(() => harness.close());
+
+  it('accepts a signed event and broadcasts it to the team', async () => {
+    const updated = waitFor(alice, 'project_updated');
+    const response = await postSigned({ event: 'project_updated', teamId: 7, projectId: 3, projectData: { name: 'Renamed' } });
+
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual((await updated).projectId, 3);
+  });
+
+  it('rejects a replayed request', async () => {
+    const body = { event: 'project_updated', teamId: 7, projectId: 3, projectData: { name: 'Once' } };
+    const signed = { timestamp: Math.floor(Date.now() / 1000), nonce: crypto.randomUUID() };
+
+    assert.strictEqual((await postSigned(body, signed)).status, 202);
+    const replay = await postSigned(body, signed);
+    assert.strictEqual(replay.status, 401);
+    assert.strictEqual(replay.body.code, 'REPLAYED_SIGNATURE');
+  });
+
+  it('rejects a request without a nonce', async () => {
+    const response = await postSigned({ event: 'project_updated', teamId: 7, projectId: 3 }, { nonce: '' });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.code, 'INVALID_NONCE');
+  });
+
+  it('rejects a stale timestamp', async () => {
+    const response = await postSigned({ event: 'project_updated', teamId: 7, projectId: 3 }, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.code, 'STALE_SIGNATURE');
+  });
+
+  it('rejects a signature over a different nonce', async () => {
+    const raw = JSON.stringify({ event: 'project_updated', teamId: 7, projectId: 3 });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', INGEST_HMAC_SECRET).update(`${timestamp}.${crypto.randomUUID()}.${raw}`).digest('hex');
+    const response = await fetch(`${harness.url}/ingest/events`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Ingest-Timestamp': String(timestamp),
+        'X-Ingest-Nonce': crypto.randomUUID(),
+        'X-Ingest-Signature': `sha256=${signature}`
+      },
+      body: raw
+    });
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await response.json()).code, 'INVALID_SIGNATURE');
+  });
+});
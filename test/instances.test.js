@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+describe('instance leases', () => {
+  let harness;
+  let adapter;
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures: { teams: { 1: [7], 2: [7], 9: [7] }, projects: { 3: 7 } },
+      env: { INSTANCE_HEARTBEAT_MS: '1000', INSTANCE_LEASE_MS: '1500' }
+    });
+    adapter = require('../stateAdapter').getStateAdapter();
+  });
+
+  after(() => harness.close());
+
+  it('keeps the lease of a live instance', async () => {
+    const { INSTANCE_ID } = require('../instances');
+    const { client } = await harness.connectAs(USERS.alice);
+
+    const lease = await adapter.hashGet('instances', INSTANCE_ID);
+    assert.ok(Date.now() - lease.heartbeatAt < 1500);
+    assert.strictEqual((await adapter.hashGet(`instance_sockets:${INSTANCE_ID}`, client.id)).userId, 1);
+  });
+
+  it('records the projects a socket has joined against the lease', async () => {
+    const { INSTANCE_ID } = require('../instances');
+    const { client } = await harness.connectAs(USERS.admin);
+
+    const members = waitFor(client, 'room_members');
+    client.emit('join_project', { projectId: 3 });
+    await members;
+    assert.deepStrictEqual((await adapter.hashGet(`instance_sockets:${INSTANCE_ID}`, client.id)).projectIds, ['3']);
+
+    client.emit('leave_project', { projectId: 3 }); // no reply, so give it a moment
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepStrictEqual((await adapter.hashGet(`instance_sockets:${INSTANCE_ID}`, client.id)).projectIds, []);
+
+    client.disconnect();
+  });
+
+  it('cleans up the sockets of an instance that stopped heartbeating', async () => {
+    const { client: alice } = await harness.connectAs(USERS.alice);
+    const members = waitFor(alice, 'room_members');
+    alice.emit('join_project', { projectId: 3 });
+    await members;
+
+    // bob's socket on an instance that crashed a while ago
+    await adapter.hashSet('instances', 'crashed', { startedAt: 0, heartbeatAt: 0 });
+    await adapter.hashSet('instance_sockets:crashed', 'ghost', { ip: '10.0.0.5', userId: 2, userEmail: 'bob@example.com', projectIds: ['3'] });
+    await adapter.setAdd('connections:10.0.0.5', 'ghost');
+    await adapter.setAdd('user_sockets:2', 'ghost');
+    await adapter.hashSet('socket_users', 'ghost', { userId: 2, email: 'bob@example.com', role: 'member' });
+    await adapter.setAdd('room_sockets:3:2', 'ghost');
+    await adapter.setAdd('room:3', 2);
+    await adapter.hashSet('presence', 2, {
+      userId: 2, userEmail: 'bob@example.com', manualStatus: 'online', status: 'online',
+      connections: 1, lastActiveAt: Date.now(), lastSeenAt: Date.now(), teamIds: [7]
+    });
+
+    const left = await waitFor(alice, 'user_left', 5000);
+    assert.strictEqual(left.userId, 2);
+
+    assert.deepStrictEqual(await adapter.setMembers('room:3'), [1]);
+    assert.strictEqual(await adapter.setSize('connections:10.0.0.5'), 0);
+    assert.strictEqual(await adapter.setSize('user_sockets:2'), 0);
+    assert.strictEqual(await adapter.hashGet('socket_users', 'ghost'), null);
+    assert.strictEqual((await adapter.hashGet('presence', 2)).status, 'offline');
+    assert.strictEqual(await adapter.hashGet('instances', 'crashed'), null);
+    assert.deepStrictEqual(await adapter.hashGetAll('instance_sockets:crashed'), {});
+  });
+});
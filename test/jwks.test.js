@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { USERS } = require('./helpers/tokens');
+
+const MIN_REFRESH_MS = 300;
+
+/**
+ * Create an RSA signing key and its public JWK
+ * @param {string} kid - Key ID
+ * @returns {Object} - { privateKey, jwk }
+ */
+function createKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+}
+
+/**
+ * Sign an access token with a key
+ * @param {Object} key - Result of createKey
+ * @param {Object} options - { kid, algorithm } - kid to put in the header (null for none)
+ * @returns {string} - Signed token
+ */
+function signWith(key, { kid = key.jwk.kid, algorithm = 'RS256' } = {}) {
+  return jwt.sign({ ...USERS.alice, type: 'access', jti: crypto.randomUUID() }, key.privateKey, {
+    algorithm,
+    expiresIn: '1h',
+    ...(kid && { keyid: kid })
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('JWKS verification', () => {
+  const keys = { first: createKey('first'), second: createKey('second'), next: createKey('next') };
+  let server;
+  let published; // JWKS document served, or null to fail
+  let fetches = 0;
+  let auth;
+  let jwks;
+
+  before(async () => {
+    published = { keys: [keys.first.jwk, keys.second.jwk] };
+    server = http.createServer((req, res) => {
+      fetches++;
+      res.writeHead(published ? 200 : 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(published || { detail: 'down' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // config.js reads the environment when first required
+    Object.assign(process.env, {
+      NODE_ENV: 'test',
+      JWT_ALGORITHM: 'RS256,HS256',
+      JWT_SECRET: 'jwks-test-secret',
+      JWKS_URL: `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`,
+      JWKS_MIN_REFRESH_INTERVAL_MS: String(MIN_REFRESH_MS)
+    });
+    auth = require('../auth');
+    jwks = require('../jwks');
+    await jwks.refreshKeys();
+  });
+
+  after(() => new Promise(resolve => server.close(() => resolve())));
+
+  it('verifies a token with the key its kid names', async () => {
+    const user = await auth.verifyToken(signWith(keys.second));
+    assert.strictEqual(user.userId, USERS.alice.user_id);
+  });
+
+  it('rejects a token whose kid names a different key than the one that signed it', async () => {
+    await assert.rejects(auth.verifyToken(signWith(keys.second, { kid: 'first' })), { name: 'JsonWebTokenError' });
+  });
+
+  it('tries every published key for a token without a kid', async () => {
+    const user = await auth.verifyToken(signWith(keys.second, { kid: null }));
+    assert.strictEqual(user.email, USERS.alice.email);
+  });
+
+  it('rejects algorithms not listed in JWT_ALGORITHM', async () => {
+    await assert.rejects(auth.verifyToken(signWith(keys.first, { algorithm: 'RS384' })), { name: 'JsonWebTokenError' });
+  });
+
+  it('picks up a rotated-in key when a token names an unknown kid', async () => {
+    published = { keys: [keys.second.jwk, keys.next.jwk] };
+    await sleep(MIN_REFRESH_MS);
+    const before = fetches;
+
+    const user = await auth.verifyToken(signWith(keys.next));
+    assert.strictEqual(user.userId, USERS.alice.user_id);
+    assert.strictEqual(fetches, before + 1);
+    assert.deepStrictEqual(jwks.getJwksStatus().kids, ['second', 'next']);
+  });
+
+  it('rejects tokens of a key once it is no longer published', async () => {
+    await assert.rejects(auth.verifyToken(signWith(keys.first)), { name: 'JsonWebTokenError' });
+  });
+
+  it('reloads for unknown kids at most once per minimum interval', async () => {
+    await sleep(MIN_REFRESH_MS);
+    const before = fetches;
+    const unknown = createKey('unknown');
+
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(auth.verifyToken(signWith(unknown)), { name: 'JsonWebTokenError' });
+    }
+    assert.strictEqual(fetches, before + 1);
+  });
+
+  it('keeps the previous keys when a reload fails', async () => {
+    published = null;
+    await jwks.refreshKeys();
+
+    const status = jwks.getJwksStatus();
+    assert.match(status.lastError, /500/);
+    assert.deepStrictEqual(status.kids, ['second', 'next']);
+    assert.strictEqual((await auth.verifyToken(signWith(keys.next))).userId, USERS.alice.user_id);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, collect } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const fixtures = {
+  teams: { 1: [7], 9: [7] },
+  projects: { 3: 7 }
+};
+
+describe('app lifecycle', () => {
+  let harness;
+
+  after(() => harness?.close());
+
+  it('leaves nothing subscribed behind when an app closes', async () => {
+    harness = await startHarness({ fixtures });
+    await harness.close();
+
+    harness = await startHarness({ fixtures });
+    const { client: alice } = await harness.connectAs(USERS.alice);
+    const announcements = collect(alice, 'system_announcement');
+
+    const response = await fetch(`${harness.url}/admin/announcements`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signToken(USERS.admin)}` },
+      body: JSON.stringify({ message: 'Maintenance at noon' })
+    });
+    assert.strictEqual(response.status, 201);
+
+    const received = await announcements;
+    assert.strictEqual(received.length, 1, 'only the running app applies the announcement');
+    assert.strictEqual(received[0].message, 'Maintenance at noon');
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+// alice, bob and the admin are in team 7, which owns project 3
+const fixtures = {
+  teams: { 1: [7], 2: [7], 9: [7] },
+  projects: { 3: 7 }
+};
+
+/**
+ * Wait for a lock event about one task, skipping events about others
+ * @param {Object} client - Client socket
+ * @param {string} event - Event name
+ * @param {number} taskId - Task ID
+ * @returns {Promise<Object>} - The event payload
+ */
+function waitForTask(client, event, taskId) {
+  return new Promise((resolve) => {
+    const onEvent = (payload) => {
+      if (payload.taskId === taskId) {
+        client.off(event, onEvent);
+        resolve(payload);
+      }
+    };
+    client.on(event, onEvent);
+  });
+}
+
+describe('edit locks', () => {
+  let harness;
+  let alice;
+  let bob;
+  let admin;
+  let adapter;
+
+  before(async () => {
+    harness = await startHarness({ fixtures });
+    adapter = require('../stateAdapter').getStateAdapter();
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+    ({ client: admin } = await harness.connectAs(USERS.admin));
+    for (const client of [alice, bob, admin]) {
+      const joined = waitFor(client, 'task_locks');
+      client.emit('join_project', { projectId: 3 });
+      await joined;
+    }
+  });
+
+  after(() => harness.close());
+
+  it('refuses a lock that overlaps someone else\'s', async () => {
+    const locked = waitForTask(bob, 'task_locked', 10);
+    alice.emit('lock_task', { projectId: 3, taskId: 10 });
+    assert.strictEqual((await locked).holder.userId, 1);
+
+    const denied = waitFor(bob, 'lock_denied');
+    bob.emit('lock_task', { projectId: 3, taskId: 10, field: 'title' });
+    const payload = await denied;
+    assert.strictEqual(payload.code, 'TASK_LOCKED');
+    assert.strictEqual(payload.lock.holder.userId, 1);
+  });
+
+  it('renews a lock its holder takes again', async () => {
+    const renewed = waitForTask(bob, 'task_locked', 10);
+    alice.emit('lock_task', { projectId: 3, taskId: 10 });
+    assert.strictEqual((await renewed).renewed, true);
+  });
+
+  it('lets only one of two simultaneous conflicting requests win', async () => {
+    const locked = collect(admin, 'task_locked');
+    const aliceDenied = collect(alice, 'lock_denied');
+    const bobDenied = collect(bob, 'lock_denied');
+    alice.emit('lock_task', { projectId: 3, taskId: 20, field: 'title' });
+    bob.emit('lock_task', { projectId: 3, taskId: 20 });
+
+    const winners = (await locked).filter(lock => lock.taskId === 20);
+    assert.strictEqual(winners.length, 1);
+    assert.strictEqual((await aliceDenied).length + (await bobDenied).length, 1);
+  });
+
+  it('refuses releasing someone else\'s lock', async () => {
+    const error = waitFor(bob, 'error');
+    bob.emit('unlock_task', { projectId: 3, taskId: 10 });
+    assert.strictEqual((await error).code, 'NOT_LOCK_HOLDER');
+  });
+
+  it('lets an admin take over a lock', async () => {
+    const unlocked = waitForTask(alice, 'task_unlocked', 10);
+    const locked = waitForTask(alice, 'task_locked', 10);
+    admin.emit('lock_task', { projectId: 3, taskId: 10, force: true });
+
+    const released = await unlocked;
+    assert.strictEqual(released.reason, 'overridden');
+    assert.strictEqual(released.releasedBy.userId, 9);
+    assert.strictEqual((await locked).holder.userId, 9);
+  });
+
+  it('takes over a claim left by a crashed instance', async () => {
+    await adapter.hashSet('lock_claims', '3|30', { token: 'crashed', expiresAt: Date.now() - 1 });
+
+    const locked = waitForTask(bob, 'task_locked', 30);
+    alice.emit('lock_task', { projectId: 3, taskId: 30 });
+    assert.strictEqual((await locked).holder.userId, 1);
+  });
+
+  it('refuses a lock while another instance keeps the task claimed', async () => {
+    await adapter.hashSet('lock_claims', '3|40', { token: 'busy', expiresAt: Date.now() + 60000 });
+
+    const error = waitFor(alice, 'error', 4000);
+    alice.emit('lock_task', { projectId: 3, taskId: 40 });
+    assert.strictEqual((await error).code, 'LOCK_BUSY');
+    await adapter.hashDelete('lock_claims', '3|40');
+  });
+
+  it('releases the holder\'s lock when it unlocks', async () => {
+    const unlocked = waitForTask(bob, 'task_unlocked', 30);
+    alice.emit('unlock_task', { projectId: 3, taskId: 30 });
+
+    const payload = await unlocked;
+    assert.strictEqual(payload.reason, 'released');
+    assert.strictEqual(payload.taskId, 30);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { io: ioClient } = require('socket.io-client');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const fixtures = {
+  teams: { 1: [7] },
+  projects: { 3: 7 }
+};
+
+describe('logging', () => {
+  let harness;
+  let logging;
+
+  /**
+   * Capture the JSON entries written while a function runs; other output
+   * (such as the test reporter's) still goes through
+   * @param {Function} fn - Function that logs
+   * @returns {Promise<Object[]>} - Parsed entries
+   */
+  async function captureLogs(fn) {
+    const entries = [];
+    const streams = [process.stdout, process.stderr];
+    const writes = streams.map(stream => stream.write);
+    streams.forEach((stream, index) => {
+      stream.write = (chunk, ...rest) => {
+        if (String(chunk).startsWith('{"time"')) {
+          entries.push(JSON.parse(chunk));
+          return true;
+        }
+        return writes[index].call(stream, chunk, ...rest);
+      };
+    });
+    try {
+      await fn();
+    } finally {
+      streams.forEach((stream, index) => { stream.write = writes[index]; });
+    }
+    return entries;
+  }
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures,
+      env: { LOG_FORMAT: 'json', LOG_LEVEL: 'debug', LOG_REDACT_PII: 'true' }
+    });
+    logging = require('../logger');
+  });
+
+  after(() => harness.close());
+
+  it('redacts secrets, tokens and email addresses', async () => {
+    const token = signToken(USERS.alice);
+    const error = Object.assign(new Error(`Rejected ${token}`), { code: 'INVALID_TOKEN' });
+
+    const [entry] = await captureLogs(() => {
+      logging.createLogger({ module: 'test' }).warn('Login failed for alice@example.com', {
+        accessToken: token,
+        headers: { Authorization: `Bearer ${token}`, accept: 'text/plain' },
+        note: `sent Bearer opaque-value and ${token}`,
+        error
+      });
+    });
+
+    assert.strictEqual(entry.level, 'warn');
+    assert.strictEqual(entry.module, 'test');
+    assert.strictEqual(entry.msg, 'Login failed for [EMAIL]');
+    assert.strictEqual(entry.accessToken, '[REDACTED]');
+    assert.deepStrictEqual(entry.headers, { Authorization: '[REDACTED]', accept: 'text/plain' });
+    assert.strictEqual(entry.note, 'sent Bearer [REDACTED] and [REDACTED]');
+    assert.strictEqual(entry.error.message, 'Rejected [REDACTED]');
+    assert.strictEqual(entry.error.code, 'INVALID_TOKEN');
+    assert.ok(entry.error.stack, 'stacks are kept at debug level');
+  });
+
+  it('keeps the correlation ID across awaits and in child loggers', async () => {
+    const log = logging.createLogger({ module: 'test' }).child({ projectId: 3 });
+    const entries = await captureLogs(() => logging.runWithContext({ correlationId: 'corr-1' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      log.info('After an await');
+      assert.strictEqual(logging.getCorrelationId(), 'corr-1');
+    }));
+
+    assert.strictEqual(entries[0].correlationId, 'corr-1');
+    assert.strictEqual(entries[0].projectId, 3);
+    assert.strictEqual(logging.getCorrelationId(), undefined);
+  });
+
+  it('reuses a sane X-Request-Id and replaces anything else', async () => {
+    const echoed = await fetch(`${harness.url}/health`, { headers: { 'X-Request-Id': 'req-42' } });
+    assert.strictEqual(echoed.headers.get('x-request-id'), 'req-42');
+
+    const replaced = await fetch(`${harness.url}/health`, { headers: { 'X-Request-Id': 'no spaces allowed' } });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('gives each socket a correlation ID and forwards it to the backend', async () => {
+    const client = ioClient(harness.url, {
+      auth: { token: signToken(USERS.alice) },
+      extraHeaders: { 'X-Request-Id': 'socket-7' },
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true
+    });
+    try {
+      const connected = waitFor(client, 'connected');
+      const authenticated = waitFor(client, 'authenticated');
+      assert.strictEqual((await connected).correlationId, 'socket-7');
+      await authenticated;
+
+      const teamsRequest = harness.backend.requests.findLast(request => request.path === '/api/users/1/teams');
+      assert.strictEqual(teamsRequest.requestId, 'socket-7');
+    } finally {
+      client.close();
+    }
+  });
+});
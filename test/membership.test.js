@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const INGEST_SERVICE_TOKEN = 'integration-service-token';
+
+// alice and bob start in team 7 (project 3); carol is in team 8 (project 4)
+const fixtures = {
+  teams: { 1: [7], 2: [7], 3: [8], 9: [7, 8] },
+  projects: { 3: 7, 4: 8 }
+};
+
+describe('team membership sync', () => {
+  let harness;
+  let alice;
+  let bob;
+  let carol;
+
+  /**
+   * Post to a membership endpoint
+   * @param {string} path - /ingest/memberships or /admin/memberships
+   * @param {Object} body - { userId, teamId, change }
+   * @returns {Promise<Object>} - Parsed response body
+   */
+  async function postMembership(path, body) {
+    const headers = path.startsWith('/admin')
+      ? { Authorization: `Bearer ${signToken(USERS.admin)}` }
+      : { 'X-Service-Token': INGEST_SERVICE_TOKEN };
+    const response = await fetch(`${harness.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    assert.strictEqual(response.status, 200);
+    return response.json();
+  }
+
+  /**
+   * Report a project change for a team the way the backend does
+   * @param {number} teamId - Team ID
+   * @param {number} projectId - Project ID
+   */
+  async function ingestProjectUpdate(teamId, projectId) {
+    const response = await fetch(`${harness.url}/ingest/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Service-Token': INGEST_SERVICE_TOKEN },
+      body: JSON.stringify({ event: 'project_updated', teamId, projectId, projectData: { name: `Project ${projectId}` } })
+    });
+    assert.strictEqual(response.status, 202);
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures, env: { INGEST_SERVICE_TOKEN } });
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+    ({ client: carol } = await harness.connectAs(USERS.carol));
+
+    const joined = waitFor(alice, 'room_members');
+    alice.emit('join_project', { projectId: 3 });
+    await joined;
+  });
+
+  after(() => harness.close());
+
+  it('takes a removed member out of the team and its projects', async () => {
+    harness.backend.fixtures.teams[1] = [];
+    const updated = waitFor(alice, 'teams_updated');
+    const removed = waitFor(alice, 'removed_from_project');
+
+    const { membership } = await postMembership('/ingest/memberships', { userId: 1, teamId: 7, change: 'removed' });
+    assert.deepStrictEqual(membership, { userId: 1, teamId: 7, change: 'removed' });
+
+    const teams = await updated;
+    assert.deepStrictEqual(teams.teams, []);
+    assert.deepStrictEqual(teams.removed, [7]);
+    assert.strictEqual(Number((await removed).projectId), 3);
+
+    const leaked = collect(alice, 'project_updated');
+    const delivered = waitFor(bob, 'project_updated');
+    await ingestProjectUpdate(7, 3);
+    assert.strictEqual((await delivered).projectId, 3);
+    assert.deepStrictEqual(await leaked, []);
+  });
+
+  it('lets a new member receive the team\'s events without reconnecting', async () => {
+    harness.backend.fixtures.teams[1] = [8];
+    const updated = waitFor(alice, 'teams_updated');
+
+    await postMembership('/admin/memberships', { userId: 1, teamId: 8, change: 'added' });
+
+    const teams = await updated;
+    assert.deepStrictEqual(teams.added, [8]);
+    assert.ok(Number.isInteger(teams.sequences[8]), 'new teams come with their latest sequence');
+
+    const received = waitFor(alice, 'project_updated');
+    await ingestProjectUpdate(8, 4);
+    assert.strictEqual((await received).teamId, 8);
+
+    const members = waitFor(alice, 'room_members');
+    alice.emit('join_project', { projectId: 4 });
+    assert.strictEqual((await members).projectId, 4, 'and join its projects');
+  });
+
+  it('fetches the user\'s teams again when no team is given', async () => {
+    harness.backend.fixtures.teams[1] = [7];
+    const updated = waitFor(alice, 'teams_updated');
+
+    const { membership } = await postMembership('/ingest/memberships', { userId: 1 });
+    assert.strictEqual(membership.change, 'resync');
+
+    const teams = await updated;
+    assert.deepStrictEqual(teams.added, [7]);
+    assert.deepStrictEqual(teams.removed, [8]);
+  });
+
+  it('leaves the sockets of other users alone', async () => {
+    const untouched = collect(carol, 'teams_updated');
+    await postMembership('/ingest/memberships', { userId: 2, teamId: 8, change: 'added' });
+
+    assert.deepStrictEqual(await untouched, []);
+  });
+});
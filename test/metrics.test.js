@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+const METRICS_TOKEN = 'integration-metrics-token';
+
+const fixtures = {
+  teams: { 1: [7] },
+  projects: { 3: 7 }
+};
+
+describe('metrics', () => {
+  let harness;
+  let metrics;
+
+  /**
+   * Scrape /metrics
+   * @param {string} token - Metrics token to send, if any
+   * @returns {Promise<Response>} - Fetch response
+   */
+  function scrape(token = METRICS_TOKEN) {
+    return fetch(`${harness.url}/metrics`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+  }
+
+  /**
+   * Find a series' value in a scrape
+   * @param {string} text - Exposition text
+   * @param {string} series - Metric name with its rendered labels
+   * @returns {number|null} - Value, or null if the series is absent
+   */
+  function valueOf(text, series) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : null;
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures, env: { METRICS_TOKEN } });
+    metrics = require('../metrics');
+  });
+
+  after(() => harness.close());
+
+  it('requires the metrics token', async () => {
+    const refused = await scrape(null);
+    assert.strictEqual(refused.status, 401);
+    assert.strictEqual((await refused.json()).code, 'INVALID_METRICS_TOKEN');
+    assert.strictEqual((await scrape('wrong')).status, 401);
+
+    const response = await scrape();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'text/plain; charset=utf-8; version=0.0.4');
+    assert.match(await response.text(), /^# TYPE teamapp_socket_connections_total counter$/m);
+  });
+
+  it('counts socket events, rejections and room occupancy', async () => {
+    const { client } = await harness.connectAs(USERS.alice);
+    const joined = waitFor(client, 'room_members');
+    client.emit('join_project', { projectId: 3 });
+    await joined;
+
+    const rejected = waitFor(client, 'error');
+    client.emit('no_such_event', {});
+    await rejected;
+
+    const text = await (await scrape()).text();
+    assert.strictEqual(valueOf(text, 'teamapp_socket_events_received_total{event="join_project"}'), 1);
+    assert.strictEqual(valueOf(text, 'teamapp_socket_events_received_total{event="unknown"}'), 1);
+    assert.strictEqual(valueOf(text, 'teamapp_socket_events_rejected_total{event="unknown",reason="validation"}'), 1);
+    assert.strictEqual(valueOf(text, 'teamapp_socket_active_connections'), 1);
+    assert.strictEqual(valueOf(text, 'teamapp_project_room_users{project_id="3"}'), 1);
+    assert.ok(valueOf(text, 'teamapp_socket_auth_total{stage="connect",outcome="success",code="NONE"}') >= 1);
+  });
+
+  it('escapes label values and renders histogram buckets', async () => {
+    const counter = metrics.createCounter('test_escapes_total', 'Label escaping', ['value']);
+    counter.inc({ value: 'a"b\\c\nd' }, 2);
+    const histogram = metrics.createHistogram('test_duration_seconds', 'Bucketing', [], [0.25, 0.5]);
+    histogram.observe({}, 0.3);
+
+    const text = await metrics.renderMetrics();
+    assert.ok(text.includes('teamapp_test_escapes_total{value="a\\"b\\\\c\\nd"} 2'));
+    assert.strictEqual(valueOf(text, 'teamapp_test_duration_seconds_bucket{le="0.25"}'), 0);
+    assert.strictEqual(valueOf(text, 'teamapp_test_duration_seconds_bucket{le="0.5"}'), 1);
+    assert.strictEqual(valueOf(text, 'teamapp_test_duration_seconds_bucket{le="+Inf"}'), 1);
+    assert.strictEqual(valueOf(text, 'teamapp_test_duration_seconds_sum'), 0.3);
+
+    assert.throws(() => metrics.createCounter('test_escapes_total', 'Again'), /already registered/);
+  });
+
+  it('runs collectors before each scrape until removed', async () => {
+    const gauge = metrics.createGauge('test_collected', 'Set by a collector');
+    let runs = 0;
+    const remove = metrics.addCollector(() => gauge.set({}, ++runs));
+
+    assert.strictEqual(valueOf(await metrics.renderMetrics(), 'teamapp_test_collected'), 1);
+    remove();
+    assert.strictEqual(valueOf(await metrics.renderMetrics(), 'teamapp_test_collected'), 1);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const INGEST_SERVICE_TOKEN = 'integration-service-token';
+const INBOX_SIZE = 3;
+
+// alice, bob and the admin are in team 7, which owns project 3
+const fixtures = {
+  teams: { 1: [7], 2: [7], 9: [7] },
+  projects: { 3: 7 },
+  taskProjects: { 10: 3 }
+};
+
+describe('notifications', () => {
+  let harness;
+  let admin;
+  let bob;
+
+  /**
+   * List bob's notifications
+   * @param {string} query - Query string
+   * @returns {Promise<Object>} - Parsed response body
+   */
+  async function listBobs(query = '') {
+    const response = await fetch(`${harness.url}/notifications${query}`, {
+      headers: { Authorization: `Bearer ${signToken(USERS.bob)}` }
+    });
+    assert.strictEqual(response.status, 200);
+    return response.json();
+  }
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures,
+      env: { INGEST_SERVICE_TOKEN, NOTIFICATION_INBOX_SIZE: String(INBOX_SIZE) }
+    });
+    ({ client: admin } = await harness.connectAs(USERS.admin));
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+  });
+
+  after(() => harness.close());
+
+  it('notifies the assignee of a task once, and not the actor', async () => {
+    const notified = waitFor(bob, 'notification');
+    const toActor = collect(admin, 'notification');
+    admin.emit('task_created', { taskId: 10, projectId: 3, taskData: { title: 'Review', assigneeId: 2 } });
+
+    const { notification, unreadCount } = await notified;
+    assert.strictEqual(notification.type, 'task_assigned');
+    assert.strictEqual(notification.message, 'admin@example.com assigned you a task: Review');
+    assert.strictEqual(notification.taskId, 10);
+    assert.strictEqual(unreadCount, 1);
+    assert.deepStrictEqual(await toActor, []);
+
+    const again = collect(bob, 'notification');
+    admin.emit('task_updated', { taskId: 10, projectId: 3, taskData: { assigneeId: 2, status: 'doing' }, baseVersion: 1 });
+    assert.deepStrictEqual(await again, [], 'an unchanged assignee is not notified again');
+  });
+
+  it('tells the assignee when their task is deleted', async () => {
+    const notified = waitFor(bob, 'notification');
+    admin.emit('task_deleted', { taskId: 10, projectId: 3 });
+
+    assert.strictEqual((await notified).notification.type, 'task_deleted');
+  });
+
+  it('keeps only the newest notifications, also for users who are offline', async () => {
+    bob.disconnect();
+    for (const name of ['Alpha', 'Beta']) {
+      const response = await fetch(`${harness.url}/ingest/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Service-Token': INGEST_SERVICE_TOKEN },
+        body: JSON.stringify({ event: 'project_updated', teamId: 7, projectId: 3, projectData: { name }, actor: { userId: 9 } })
+      });
+      assert.strictEqual(response.status, 202);
+    }
+
+    const { notifications, unreadCount } = await listBobs();
+    assert.deepStrictEqual(notifications.map(notification => notification.id), [4, 3, 2]);
+    assert.strictEqual(notifications[0].message, 'Someone updated a project: Beta');
+    assert.strictEqual(unreadCount, INBOX_SIZE);
+
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+  });
+
+  it('pages through the inbox newest first', async () => {
+    const first = await listBobs('?limit=2');
+    assert.deepStrictEqual(first.notifications.map(notification => notification.id), [4, 3]);
+    assert.strictEqual(first.nextBefore, 3);
+
+    const second = await listBobs(`?limit=2&before=${first.nextBefore}`);
+    assert.deepStrictEqual(second.notifications.map(notification => notification.id), [2]);
+    assert.strictEqual(second.nextBefore, null);
+  });
+
+  it('reports unread notifications on connect and syncs reads to the user\'s other sockets', async () => {
+    const { client: otherTab, authenticated } = await harness.connectAs(USERS.bob);
+    assert.strictEqual(authenticated.unreadNotifications, INBOX_SIZE);
+
+    let synced = waitFor(otherTab, 'notifications_read');
+    bob.emit('mark_read', { ids: [3] });
+    const one = await synced;
+    assert.deepStrictEqual(one.ids, [3]);
+    assert.strictEqual(one.unreadCount, 2);
+
+    synced = waitFor(otherTab, 'notifications_read');
+    bob.emit('mark_all_read', {});
+    const all = await synced;
+    assert.deepStrictEqual(all.ids.sort(), [2, 4]);
+    assert.strictEqual(all.unreadCount, 0);
+
+    assert.deepStrictEqual((await listBobs('?unread=true')).notifications, []);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+// alice and bob are in team 7, carol in team 8, the admin in both
+const fixtures = {
+  teams: { 1: [7], 2: [7], 3: [8], 9: [7, 8] },
+  projects: { 3: 7, 4: 8 },
+  taskProjects: { 100: 3, 101: 3, 102: 4, 103: 3, 104: 3, 105: 4 }
+};
+
+describe('projects and tasks', () => {
+  let harness;
+  let alice;
+  let bob;
+  let carol;
+  let admin;
+
+  before(async () => {
+    harness = await startHarness({ fixtures });
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+    ({ client: carol } = await harness.connectAs(USERS.carol));
+    ({ client: admin } = await harness.connectAs(USERS.admin));
+  });
+
+  after(() => harness.close());
+
+  describe('join_project', () => {
+    it('joins the project room and lists its members', async () => {
+      const members = waitFor(alice, 'room_members');
+      alice.emit('join_project', { projectId: 3 });
+
+      const payload = await members;
+      assert.strictEqual(payload.projectId, 3);
+      assert.deepStrictEqual(payload.members.map(String), ['1']);
+      assert.strictEqual(payload.count, 1);
+    });
+
+    it('tells members already in the room who joined', async () => {
+      const joined = waitFor(alice, 'user_joined');
+      bob.emit('join_project', { projectId: 3 });
+
+      const payload = await joined;
+      assert.strictEqual(payload.userId, 2);
+      assert.strictEqual(payload.userEmail, 'bob@example.com');
+    });
+
+    it('refuses projects of other teams', async () => {
+      const error = waitFor(carol, 'error');
+      carol.emit('join_project', { projectId: 3 });
+
+      assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+    });
+
+    it('refuses projects the backend does not know', async () => {
+      const error = waitFor(alice, 'error');
+      alice.emit('join_project', { projectId: 404 });
+
+      assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+    });
+  });
+
+  describe('task_created', () => {
+    it('broadcasts unassigned tasks to the project\'s team only', async () => {
+      const received = {
+        alice: waitFor(alice, 'task_created'),
+        bob: waitFor(bob, 'task_created'),
+        carol: collect(carol, 'task_created')
+      };
+      alice.emit('task_created', { taskId: 100, projectId: 3, taskData: { title: 'Unassigned' } });
+
+      const [forAlice, forBob, forCarol] = await Promise.all([received.alice, received.bob, received.carol]);
+      assert.strictEqual(forAlice.taskId, 100);
+      assert.strictEqual(forBob.taskId, 100);
+      assert.strictEqual(forBob.createdBy.userId, 1);
+      assert.strictEqual(forBob.teamId, 7);
+      assert.ok(forBob.seq > 0, 'team events carry a replay sequence');
+      assert.deepStrictEqual(forCarol, []);
+    });
+
+    it('sends tasks a member assigns only to the sender and the assignee', async () => {
+      const received = {
+        alice: waitFor(alice, 'task_created'),
+        bob: waitFor(bob, 'task_created'),
+        admin: collect(admin, 'task_created')
+      };
+      alice.emit('task_created', { taskId: 101, projectId: 3, taskData: { title: 'For bob', assigneeId: 2 } });
+
+      const [forAlice, forBob, forAdmin] = await Promise.all([received.alice, received.bob, received.admin]);
+      assert.strictEqual(forAlice.taskId, 101);
+      assert.strictEqual(forBob.taskId, 101);
+      assert.deepStrictEqual(forAdmin, []);
+    });
+
+    it('broadcasts tasks an admin creates to the whole team', async () => {
+      const received = {
+        carol: waitFor(carol, 'task_created'),
+        alice: collect(alice, 'task_created')
+      };
+      admin.emit('task_created', { taskId: 102, projectId: 4, taskData: { title: 'Team 8', assigneeId: 3 } });
+
+      assert.strictEqual((await received.carol).taskId, 102);
+      assert.deepStrictEqual(await received.alice, []);
+    });
+
+    it('refuses tasks in projects of other teams', async () => {
+      const error = waitFor(carol, 'error');
+      const leaked = collect(alice, 'task_created');
+      carol.emit('task_created', { taskId: 103, projectId: 3, taskData: { title: 'Not mine' } });
+
+      assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+      assert.deepStrictEqual(await leaked, []);
+    });
+
+    it('rejects payloads that fail validation', async () => {
+      const error = waitFor(alice, 'error');
+      alice.emit('task_created', { taskId: 104, projectId: 3 });
+
+      assert.strictEqual((await error).code, 'VALIDATION_ERROR');
+    });
+  });
+
+  describe('tasks of other teams', () => {
+    for (const event of ['task_created', 'task_deleted']) {
+      it(`refuses ${event} for a task paired with one of the user's own projects`, async () => {
+        const error = waitFor(alice, 'error');
+        const leaked = collect(carol, event);
+        alice.emit(event, { taskId: 105, projectId: 3, ...(event === 'task_created' && { taskData: { title: 'Hijacked' } }) });
+
+        assert.strictEqual((await error).code, 'FORBIDDEN_PROJECT');
+        assert.deepStrictEqual(await leaked, []);
+      });
+    }
+  });
+
+  describe('projects the backend does not know', () => {
+    const events = {
+      task_created: { taskId: 200, projectId: 404, taskData: { title: 'Nowhere' } },
+      task_updated: { taskId: 200, projectId: 404, taskData: { title: 'Still nowhere' }, baseVersion: 0 },
+      task_deleted: { taskId: 200, projectId: 404 },
+      project_updated: { projectId: 404, projectData: { name: 'Ghost' } }
+    };
+
+    for (const [event, payload] of Object.entries(events)) {
+      it(`refuses ${event}`, async () => {
+        const error = waitFor(admin, 'error');
+        admin.emit(event, payload);
+
+        const rejection = await error;
+        assert.strictEqual(rejection.code, 'FORBIDDEN_PROJECT');
+        assert.strictEqual(rejection.projectId, 404);
+      });
+    }
+  });
+});
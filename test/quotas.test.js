@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const fixtures = {
+  teams: { 1: [7], 2: [7], 3: [7], 9: [7] },
+  projects: { 3: 7 }
+};
+
+describe('event quotas', () => {
+  let harness;
+
+  /**
+   * Connect as a user and join project 3
+   * @param {Object} user - One of USERS
+   * @returns {Promise<Object>} - Client socket
+   */
+  async function joinAs(user) {
+    const { client } = await harness.connectAs(user);
+    const joined = waitFor(client, 'room_members');
+    client.emit('join_project', { projectId: 3 });
+    await joined;
+    return client;
+  }
+
+  /**
+   * Emit user_typing a number of times
+   * @param {Object} client - Client socket
+   * @param {number} times - How many packets to send
+   */
+  function type(client, times) {
+    for (let i = 0; i < times; i++) {
+      client.emit('user_typing', { projectId: 3, isTyping: true });
+    }
+  }
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures,
+      env: {
+        EVENT_QUOTAS: JSON.stringify({ user_typing: { capacity: 2, refillPerSecond: 1 } }),
+        USER_QUOTA_MULTIPLIER: '1.5',
+        QUOTA_ABUSE_THRESHOLD: '5'
+      }
+    });
+  });
+
+  after(() => harness.close());
+
+  it('drops packets over the socket quota with a single notice', async () => {
+    const alice = await joinAs(USERS.alice);
+    const bob = await joinAs(USERS.bob);
+    const typing = collect(alice, 'typing_indicator');
+    const notices = collect(bob, 'rate_limited');
+
+    type(bob, 4);
+
+    assert.strictEqual((await typing).length, 2);
+    const received = await notices;
+    assert.strictEqual(received.length, 1, 'notices are throttled per event');
+    assert.strictEqual(received[0].code, 'EVENT_RATE_LIMITED');
+    assert.strictEqual(received[0].event, 'user_typing');
+    assert.strictEqual(received[0].scope, 'socket');
+    assert.ok(received[0].retryAfter > 0 && received[0].retryAfter <= 1000);
+  });
+
+  it('shares a larger quota across all of a user\'s sockets', async () => {
+    const first = await joinAs(USERS.carol);
+    const second = await joinAs(USERS.carol);
+
+    const firstNotices = collect(first, 'rate_limited');
+    type(first, 2);
+    assert.deepStrictEqual(await firstNotices, []);
+
+    const notice = waitFor(second, 'rate_limited');
+    type(second, 2);
+    assert.strictEqual((await notice).scope, 'user');
+  });
+
+  it('disconnects a socket that keeps exceeding its quotas', async () => {
+    const client = harness.connect(signToken(USERS.admin));
+    await waitFor(client, 'authenticated');
+    const notices = [];
+    client.on('rate_limited', notice => notices.push(notice));
+    const disconnected = waitFor(client, 'disconnect');
+
+    type(client, 2 + 5);
+
+    assert.strictEqual(await disconnected, 'io server disconnect');
+    assert.deepStrictEqual(notices.map(notice => notice.code), ['EVENT_RATE_LIMITED', 'QUOTA_ABUSE']);
+    assert.strictEqual(notices[1].disconnect, true);
+  });
+
+  it('meters made-up event names as one event', async () => {
+    const client = harness.connect(signToken(USERS.admin));
+    await waitFor(client, 'authenticated');
+    const notices = [];
+    client.on('rate_limited', notice => notices.push(notice));
+    const disconnected = waitFor(client, 'disconnect');
+
+    // The default quota allows a burst of 20
+    for (let i = 0; i < 20 + 5; i++) {
+      client.emit(`made_up_${i}`, {});
+    }
+
+    assert.strictEqual(await disconnected, 'io server disconnect');
+    assert.deepStrictEqual(notices.map(notice => notice.code), ['EVENT_RATE_LIMITED', 'QUOTA_ABUSE']);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const COOLDOWN_MS = 300;
+
+describe('connection rate limiting', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures: { teams: { 1: [7], 2: [7], 3: [7] } },
+      env: {
+        MAX_CONNECTIONS_LOCALHOST: '2',
+        CONNECTION_COOLDOWN_LOCALHOST_MS: String(COOLDOWN_MS)
+      }
+    });
+  });
+
+  after(() => harness.close());
+
+  it('lets only one of several simultaneous connections through the cooldown', async () => {
+    const clients = [USERS.alice, USERS.bob, USERS.carol].map(user => harness.connect(signToken(user)));
+    const outcomes = await Promise.all(clients.map(client => Promise.race([
+      waitFor(client, 'authenticated').then(() => 'accepted'),
+      waitFor(client, 'rate_limit_exceeded').then(() => 'refused')
+    ])));
+
+    assert.deepStrictEqual(outcomes.sort(), ['accepted', 'refused', 'refused']);
+
+    clients.forEach(client => client.disconnect());
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 50));
+  });
+
+  it('refuses a second connection within the cooldown', async () => {
+    await harness.connectAs(USERS.alice);
+
+    const client = harness.connect(signToken(USERS.bob));
+    const disconnected = waitFor(client, 'disconnect');
+    const payload = await waitFor(client, 'rate_limit_exceeded');
+
+    assert.strictEqual(payload.code, 'RATE_LIMIT_EXCEEDED');
+    assert.strictEqual(await disconnected, 'io server disconnect');
+  });
+
+  it('accepts the connection once the cooldown has passed', async () => {
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 50));
+
+    const { authenticated } = await harness.connectAs(USERS.bob);
+    assert.strictEqual(authenticated.user.id, 2);
+  });
+
+  it('refuses connections beyond the concurrent limit for the address', async () => {
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 50));
+
+    const client = harness.connect(signToken(USERS.alice));
+    const payload = await waitFor(client, 'connection_limit_exceeded');
+
+    assert.strictEqual(payload.code, 'CONNECTION_LIMIT_EXCEEDED');
+    assert.strictEqual(payload.maxConnections, 2);
+    assert.strictEqual(payload.isLocalhost, true);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS, signToken, expiredToken } = require('./helpers/tokens');
+
+describe('refresh_token', () => {
+  let harness;
+
+  /**
+   * List the users the presence endpoint shows for a team
+   * @param {number} teamId - Team ID
+   * @returns {Promise<Array>} - User IDs
+   */
+  async function teamPresenceIds(teamId) {
+    const response = await fetch(`${harness.url}/teams/${teamId}/presence`, {
+      headers: { Authorization: `Bearer ${signToken(USERS.admin)}` }
+    });
+    return (await response.json()).members.map(member => Number(member.userId));
+  }
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures: {
+        teams: { 1: [7], 9: [7, 8] },
+        projects: { 3: 7, 4: 8 },
+        taskProjects: { 200: 4, 201: 3 }
+      },
+      env: { USER_TEAMS_CACHE_TTL_MS: '0' } // every refresh sees the fixtures as they are now
+    });
+  });
+
+  after(() => harness.close());
+
+  it('authenticates a socket whose token had expired', async () => {
+    const client = harness.connect(expiredToken(USERS.alice));
+    assert.strictEqual((await waitFor(client, 'authentication_error')).code, 'TOKEN_EXPIRED');
+
+    const refreshed = waitFor(client, 'token_refreshed');
+    client.emit('refresh_token', { token: signToken(USERS.alice) });
+
+    const payload = await refreshed;
+    assert.strictEqual(payload.success, true);
+    assert.strictEqual(payload.user.id, 1);
+    assert.deepStrictEqual(payload.teams, [7]);
+
+    const members = waitFor(client, 'room_members');
+    client.emit('join_project', { projectId: 3 });
+    assert.deepStrictEqual((await members).members.map(String), ['1']);
+    assert.deepStrictEqual(await teamPresenceIds(7), [1]);
+  });
+
+  it('moves the socket to the teams the user has now', async () => {
+    const { client } = await harness.connectAs(USERS.alice);
+    const { client: admin } = await harness.connectAs(USERS.admin);
+
+    harness.backend.fixtures.teams[1] = [8];
+    const refreshed = waitFor(client, 'token_refreshed');
+    client.emit('refresh_token', { token: signToken(USERS.alice) });
+    assert.deepStrictEqual((await refreshed).teams, [8]);
+    assert.ok((await teamPresenceIds(8)).includes(1), 'presence follows the user to the new team');
+    assert.ok(!(await teamPresenceIds(7)).includes(1), 'and leaves the old one');
+
+    const fromNewTeam = waitFor(client, 'task_created');
+    admin.emit('task_created', { taskId: 200, projectId: 4, taskData: { title: 'Team 8' } });
+    assert.strictEqual((await fromNewTeam).taskId, 200);
+
+    const fromOldTeam = collect(client, 'task_created');
+    admin.emit('task_created', { taskId: 201, projectId: 3, taskData: { title: 'Team 7' } });
+    assert.deepStrictEqual(await fromOldTeam, []);
+  });
+
+  it('keeps the session when the new token is rejected', async () => {
+    const { client } = await harness.connectAs(USERS.alice);
+
+    const error = waitFor(client, 'authentication_error');
+    client.emit('refresh_token', { token: jwt.sign({ ...USERS.alice, type: 'access' }, 'not-the-secret') });
+
+    const payload = await error;
+    assert.strictEqual(payload.code, 'REFRESH_FAILED');
+    assert.strictEqual(payload.action, 'RELOGIN');
+    assert.ok(client.connected);
+  });
+
+  it('rejects a refresh without a token', async () => {
+    const { client } = await harness.connectAs(USERS.alice);
+
+    const error = waitFor(client, 'error');
+    client.emit('refresh_token', {});
+
+    const payload = await error;
+    assert.strictEqual(payload.code, 'VALIDATION_ERROR');
+    assert.strictEqual(payload.event, 'refresh_token');
+  });
+});
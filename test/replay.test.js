@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+const INGEST_SERVICE_TOKEN = 'integration-service-token';
+const REPLAY_BUFFER_SIZE = 3;
+
+// alice is in team 7 (project 3); team 8 owns project 4
+const fixtures = {
+  teams: { 1: [7], 9: [7, 8] },
+  projects: { 3: 7, 4: 8 }
+};
+
+describe('event replay', () => {
+  let harness;
+
+  /**
+   * Report a project change the way the backend does
+   * @param {number} teamId - Team ID
+   * @param {string} name - New project name
+   * @returns {Promise<number>} - Sequence number the event was given
+   */
+  async function ingestProjectUpdate(teamId, name) {
+    const response = await fetch(`${harness.url}/ingest/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Service-Token': INGEST_SERVICE_TOKEN },
+      body: JSON.stringify({ event: 'project_updated', teamId, projectId: teamId === 7 ? 3 : 4, projectData: { name } })
+    });
+    assert.strictEqual(response.status, 202);
+    return (await response.json()).seq;
+  }
+
+  /**
+   * Reconnect as alice and ask for the team 7 events after a sequence number
+   * @param {number} lastSeq - Last sequence number processed
+   * @returns {Promise<Object>} - { event, payload } - events_replayed or resync_required
+   */
+  async function syncFrom(lastSeq) {
+    const { client } = await harness.connectAs(USERS.alice);
+    const reply = Promise.race([
+      waitFor(client, 'events_replayed').then(payload => ({ event: 'events_replayed', payload })),
+      waitFor(client, 'resync_required').then(payload => ({ event: 'resync_required', payload }))
+    ]);
+    client.emit('sync_events', { lastSeen: { 7: lastSeq } });
+    const result = await reply;
+    client.disconnect();
+    return result;
+  }
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures,
+      env: { INGEST_SERVICE_TOKEN, REPLAY_BUFFER_SIZE: String(REPLAY_BUFFER_SIZE) }
+    });
+  });
+
+  after(() => harness.close());
+
+  it('numbers each team\'s events separately and reports the latest on connect', async () => {
+    assert.deepStrictEqual(
+      [await ingestProjectUpdate(7, 'A'), await ingestProjectUpdate(8, 'B'), await ingestProjectUpdate(7, 'C')],
+      [1, 1, 2]
+    );
+
+    const { client, authenticated } = await harness.connectAs(USERS.alice);
+    assert.deepStrictEqual(authenticated.sequences, { 7: 2 });
+
+    const live = waitFor(client, 'project_updated');
+    await ingestProjectUpdate(7, 'D');
+    assert.strictEqual((await live).seq, 3);
+    client.disconnect();
+  });
+
+  it('replays the events missed while disconnected, in order', async () => {
+    await ingestProjectUpdate(7, 'E');
+    await ingestProjectUpdate(7, 'F');
+
+    const { event, payload } = await syncFrom(3);
+    assert.strictEqual(event, 'events_replayed');
+    assert.strictEqual(payload.latestSeq, 5);
+    assert.deepStrictEqual(payload.events.map(entry => [entry.seq, entry.event, entry.payload.projectData.name]), [
+      [4, 'project_updated', 'E'],
+      [5, 'project_updated', 'F']
+    ]);
+  });
+
+  it('replays nothing to a client that is up to date', async () => {
+    const { event, payload } = await syncFrom(5);
+    assert.strictEqual(event, 'events_replayed');
+    assert.deepStrictEqual(payload.events, []);
+  });
+
+  it('asks for a resync when the gap is older than the buffer', async () => {
+    for (const name of ['G', 'H', 'I']) {
+      await ingestProjectUpdate(7, name);
+    }
+
+    const { event, payload } = await syncFrom(5 - 1);
+    assert.strictEqual(event, 'resync_required');
+    assert.strictEqual(payload.reason, 'GAP_TOO_OLD');
+    assert.strictEqual(payload.latestSeq, 8);
+
+    assert.deepStrictEqual((await syncFrom(5)).payload.events.map(entry => entry.seq), [6, 7, 8], 'the buffered gap still replays');
+  });
+
+  it('asks for a resync when the client is ahead of the server', async () => {
+    const { event, payload } = await syncFrom(100);
+    assert.strictEqual(event, 'resync_required');
+    assert.strictEqual(payload.reason, 'SEQUENCE_AHEAD');
+    assert.strictEqual(payload.latestSeq, 8);
+  });
+});
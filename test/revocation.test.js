@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const INGEST_SERVICE_TOKEN = 'integration-service-token';
+
+const fixtures = {
+  teams: { 1: [7], 2: [7], 3: [7] },
+  projects: { 3: 7 }
+};
+
+describe('token revocation', () => {
+  let harness;
+  const now = Math.floor(Date.now() / 1000);
+
+  /**
+   * Report a revocation the way the backend does
+   * @param {Object} body - { jti, expiresAt } or { userId, issuedBefore } or { all, issuedBefore }
+   * @returns {Promise<Object>} - Parsed response body
+   */
+  async function revoke(body) {
+    const response = await fetch(`${harness.url}/ingest/revocations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Service-Token': INGEST_SERVICE_TOKEN },
+      body: JSON.stringify(body)
+    });
+    assert.strictEqual(response.status, 201);
+    return response.json();
+  }
+
+  /**
+   * Connect with a token and report how the server answered
+   * @param {string} token - Access token
+   * @returns {Promise<string>} - 'authenticated' or the authentication_error code
+   */
+  function connectOutcome(token) {
+    const client = harness.connect(token);
+    return Promise.race([
+      waitFor(client, 'authenticated').then(() => 'authenticated'),
+      waitFor(client, 'authentication_error').then(error => error.code)
+    ]);
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures, env: { INGEST_SERVICE_TOKEN } });
+  });
+
+  after(() => harness.close());
+
+  it('ends the live sessions of a revoked user', async () => {
+    const alice = harness.connect(signToken({ ...USERS.alice, iat: now - 5 }));
+    await waitFor(alice, 'authenticated');
+    const revoked = waitFor(alice, 'session_revoked');
+    const disconnected = waitFor(alice, 'disconnect');
+
+    await revoke({ userId: 1, reason: 'Password changed' });
+
+    assert.strictEqual((await revoked).reason, 'Password changed');
+    await disconnected;
+  });
+
+  it('rejects tokens issued before the cut-off, and tokens without an iat', async () => {
+    await revoke({ userId: 2, issuedBefore: now - 60 });
+
+    assert.strictEqual(await connectOutcome(signToken({ ...USERS.bob, iat: now - 61 })), 'TOKEN_REVOKED');
+    assert.strictEqual(await connectOutcome(signToken({ ...USERS.bob, iat: now - 60 })), 'authenticated');
+    assert.strictEqual(await connectOutcome(signToken({ ...USERS.bob, iat: now - 59 })), 'authenticated');
+    assert.strictEqual(await connectOutcome(signToken(USERS.bob, { noTimestamp: true })), 'TOKEN_REVOKED');
+  });
+
+  it('keeps the latest cut-off when a user is revoked again', async () => {
+    await revoke({ userId: 3, issuedBefore: now - 30 });
+    const { revocation } = await revoke({ userId: 3, issuedBefore: now - 120 });
+
+    assert.strictEqual(revocation.issuedBefore, now - 30);
+    assert.strictEqual(await connectOutcome(signToken({ ...USERS.carol, iat: now - 31 })), 'TOKEN_REVOKED');
+  });
+
+  it('revokes a single token by its jti', async () => {
+    const token = signToken({ ...USERS.bob, iat: now - 10 });
+    const { jti, exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    await revoke({ jti, expiresAt: exp });
+
+    assert.strictEqual(await connectOutcome(token), 'TOKEN_REVOKED');
+    assert.strictEqual(await connectOutcome(signToken({ ...USERS.bob, iat: now - 10 })), 'authenticated');
+  });
+});
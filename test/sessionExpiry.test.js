@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS, signToken } = require('./helpers/tokens');
+
+const GRACE_MS = 500;
+
+// alice and bob are in team 7, which owns project 3
+const fixtures = {
+  teams: { 1: [7], 2: [7] },
+  projects: { 3: 7 }
+};
+
+describe('session expiry', () => {
+  let harness;
+  let bob;
+
+  /**
+   * Connect as alice with a token that expires in three seconds and join project 3
+   * @returns {Promise<Object>} - Client socket
+   */
+  async function connectShortLived() {
+    const client = harness.connect(signToken(USERS.alice, { expiresIn: 3 }));
+    await waitFor(client, 'authenticated');
+    const joined = waitFor(client, 'room_members');
+    client.emit('join_project', { projectId: 3 });
+    await joined;
+    return client;
+  }
+
+  before(async () => {
+    harness = await startHarness({
+      fixtures,
+      env: { TOKEN_EXPIRY_WARNING_SECONDS: '1', EXPIRED_SESSION_GRACE_MS: String(GRACE_MS) }
+    });
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+    const joined = waitFor(bob, 'room_members');
+    bob.emit('join_project', { projectId: 3 });
+    await joined;
+  });
+
+  after(() => harness.close());
+
+  it('warns before expiry, then demotes and disconnects a socket that did not refresh', async () => {
+    const client = await connectShortLived();
+
+    const warning = await waitFor(client, 'token_expiring', 3000);
+    assert.strictEqual(warning.action, 'REFRESH_TOKEN');
+    assert.ok(warning.expiresIn <= 1);
+
+    const left = waitFor(bob, 'user_left', 3000);
+    const required = await waitFor(client, 'authentication_required', 3000);
+    assert.strictEqual(required.code, 'TOKEN_EXPIRED');
+    assert.strictEqual(required.retryAfter, GRACE_MS);
+    assert.strictEqual((await left).reason, 'session_expired');
+
+    const missed = collect(client, 'chat_message');
+    bob.emit('chat_message', { projectId: 3, text: 'Anyone there?' });
+    assert.deepStrictEqual(await missed, [], 'a demoted socket gets no broadcasts');
+
+    assert.strictEqual(await waitFor(client, 'disconnect', GRACE_MS * 4), 'io server disconnect');
+  });
+
+  it('reschedules the timers when the token is refreshed in time', async () => {
+    const client = await connectShortLived();
+
+    await waitFor(client, 'token_expiring', 3000);
+    const refreshed = waitFor(client, 'token_refreshed');
+    client.emit('refresh_token', { token: signToken(USERS.alice) });
+    await refreshed;
+
+    assert.deepStrictEqual(await collect(client, 'authentication_required', 2000), []);
+    client.disconnect();
+  });
+
+  it('restores a demoted session refreshed within the grace period', async () => {
+    const client = await connectShortLived();
+
+    await waitFor(client, 'authentication_required', 4000);
+    const refreshed = waitFor(client, 'token_refreshed');
+    client.emit('refresh_token', { token: signToken(USERS.alice) });
+    assert.deepStrictEqual((await refreshed).teams, [7]);
+
+    assert.deepStrictEqual(await collect(client, 'disconnect', GRACE_MS * 2), []);
+    const members = waitFor(client, 'room_members');
+    client.emit('join_project', { projectId: 3 });
+    assert.strictEqual((await members).projectId, 3);
+    client.disconnect();
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NODE_ENV = 'test';
+const { createMemoryAdapter, createRedisAdapter } = require('../stateAdapter');
+const { createFakeRedis } = require('./helpers/fakeRedis');
+
+/**
+ * Wait for asynchronous pub/sub deliveries to land
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+/**
+ * Run the storage behaviours every adapter must share
+ * @param {string} name - Adapter name
+ * @param {Function} create - () => state adapter
+ */
+function describeStorage(name, create) {
+  describe(`${name} adapter storage`, () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = create();
+    });
+
+    it('adds, checks, counts and removes set members', async () => {
+      await adapter.setAdd('members', 1);
+      await adapter.setAdd('members', 2);
+      await adapter.setAdd('members', 2);
+
+      assert.deepStrictEqual((await adapter.setMembers('members')).sort(), [1, 2]);
+      assert.strictEqual(await adapter.setHas('members', 1), true);
+      assert.strictEqual(await adapter.setHas('members', '1'), false, 'members keep their type');
+      assert.strictEqual(await adapter.setSize('members'), 2);
+      assert.strictEqual(await adapter.setRemove('members', 1), 1);
+      assert.strictEqual(await adapter.setRemove('members', 2), 0);
+      assert.deepStrictEqual(await adapter.setMembers('members'), []);
+    });
+
+    it('stores hash fields as JSON', async () => {
+      await adapter.hashSet('records', 7, { name: 'seven', tags: ['a'] });
+      await adapter.hashSet('records', 'eight', null);
+
+      assert.deepStrictEqual(await adapter.hashGet('records', '7'), { name: 'seven', tags: ['a'] });
+      assert.strictEqual(await adapter.hashGet('records', 'missing'), null);
+      assert.deepStrictEqual(await adapter.hashGetAll('records'), { 7: { name: 'seven', tags: ['a'] }, eight: null });
+
+      await adapter.hashDelete('records', 7);
+      assert.deepStrictEqual(Object.keys(await adapter.hashGetAll('records')), ['eight']);
+      assert.deepStrictEqual(await adapter.hashGetAll('nothing'), {});
+    });
+
+    it('only sets a hash field that is absent', async () => {
+      assert.strictEqual(await adapter.hashSetIfAbsent('claims', 'doc', { owner: 'a' }), true);
+      assert.strictEqual(await adapter.hashSetIfAbsent('claims', 'doc', { owner: 'b' }), false);
+      assert.deepStrictEqual(await adapter.hashGet('claims', 'doc'), { owner: 'a' });
+    });
+
+    it('keeps lists to their maximum length, newest last', async () => {
+      for (const value of [1, 2, 3, 4]) {
+        await adapter.listPush('events', { value }, 3);
+      }
+      assert.deepStrictEqual(await adapter.listRange('events'), [{ value: 2 }, { value: 3 }, { value: 4 }]);
+      assert.deepStrictEqual(await adapter.listRange('missing'), []);
+    });
+
+    it('increments counters by any amount', async () => {
+      assert.strictEqual(await adapter.increment('seq'), 1);
+      assert.strictEqual(await adapter.increment('seq'), 2);
+      assert.strictEqual(await adapter.increment('seq', -3), -1);
+      assert.strictEqual(await adapter.getCounter('seq'), -1);
+      assert.strictEqual(await adapter.getCounter('missing'), 0);
+    });
+
+    it('expires a counter from when it was created', async () => {
+      assert.strictEqual(await adapter.increment('window', 1, 200), 1);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(await adapter.increment('window', 1, 200), 2, 'later increments keep the first expiry');
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      assert.strictEqual(await adapter.getCounter('window'), 0);
+      assert.strictEqual(await adapter.increment('window', 1, 200), 1);
+    });
+
+    it('deletes keys of any kind', async () => {
+      await adapter.setAdd('doomed', 1);
+      await adapter.delete('doomed');
+      assert.strictEqual(await adapter.setSize('doomed'), 0);
+    });
+
+    it('delivers published messages to subscribers', async () => {
+      const received = [];
+      await adapter.subscribe('news', message => received.push(message));
+      await adapter.publish('news', { headline: 'hello' });
+      await settle();
+
+      assert.deepStrictEqual(received, [{ headline: 'hello' }]);
+    });
+
+    it('stops delivering to a handler once it unsubscribes', async () => {
+      const received = { kept: [], dropped: [] };
+      await adapter.subscribe('news', message => received.kept.push(message));
+      const unsubscribe = await adapter.subscribe('news', message => received.dropped.push(message));
+
+      await unsubscribe();
+      await adapter.publish('news', { headline: 'hello' });
+      await settle();
+
+      assert.deepStrictEqual(received, { kept: [{ headline: 'hello' }], dropped: [] });
+    });
+  });
+}
+
+describeStorage('memory', () => createMemoryAdapter());
+describeStorage('redis', () => {
+  const server = createFakeRedis();
+  return createRedisAdapter(server.createClient(), server.createClient(), 'test:');
+});
+
+describe('redis adapter across instances', () => {
+  let server;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    server = createFakeRedis();
+    first = createRedisAdapter(server.createClient(), server.createClient(), 'test:');
+    second = createRedisAdapter(server.createClient(), server.createClient(), 'test:');
+  });
+
+  it('shares state written by one instance with the other', async () => {
+    await first.setAdd('room:3', 1);
+    await first.hashSet('socket_users', 'abc', { userId: 1 });
+    await first.listPush('events', 'joined', 10);
+    await first.increment('seq');
+
+    assert.deepStrictEqual(await second.setMembers('room:3'), [1]);
+    assert.deepStrictEqual(await second.hashGet('socket_users', 'abc'), { userId: 1 });
+    assert.deepStrictEqual(await second.listRange('events'), ['joined']);
+    assert.strictEqual(await second.increment('seq'), 2);
+  });
+
+  it('lets only one instance claim a field', async () => {
+    const claims = await Promise.all([
+      first.hashSetIfAbsent('doc_locks', 60, { token: 'first' }),
+      second.hashSetIfAbsent('doc_locks', 60, { token: 'second' })
+    ]);
+    assert.deepStrictEqual(claims.sort(), [false, true]);
+  });
+
+  it('fans a published message out to every subscribed instance', async () => {
+    const received = { first: [], second: [] };
+    await first.subscribe('broadcast', message => received.first.push(message));
+    await second.subscribe('broadcast', message => received.second.push(message));
+    await second.subscribe('broadcast', message => received.second.push({ again: message }));
+
+    await first.publish('broadcast', { event: 'task_created' });
+    await settle();
+
+    assert.deepStrictEqual(received.first, [{ event: 'task_created' }]);
+    assert.deepStrictEqual(received.second, [{ event: 'task_created' }, { again: { event: 'task_created' } }]);
+  });
+
+  it('keeps instances with different prefixes apart', async () => {
+    const other = createRedisAdapter(server.createClient(), server.createClient(), 'other:');
+    const received = [];
+    await other.subscribe('broadcast', message => received.push(message));
+
+    await first.setAdd('room:3', 1);
+    await first.publish('broadcast', { event: 'task_created' });
+    await settle();
+
+    assert.deepStrictEqual(await other.setMembers('room:3'), []);
+    assert.deepStrictEqual(received, []);
+  });
+
+  it('stops delivering to an instance once it closes', async () => {
+    const received = [];
+    await second.subscribe('broadcast', message => received.push(message));
+    await second.close();
+
+    await first.publish('broadcast', { event: 'task_created' });
+    await settle();
+    assert.deepStrictEqual(received, []);
+  });
+});
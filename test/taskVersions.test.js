@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+const INGEST_SERVICE_TOKEN = 'integration-service-token';
+
+// alice and bob are both in team 7, which owns project 3; carol's team 8 owns project 4
+const fixtures = {
+  teams: { 1: [7], 2: [7], 3: [8] },
+  projects: { 3: 7, 4: 8 },
+  taskProjects: { 50: 3, 60: 3, 70: 4, 80: 3 }
+};
+
+describe('task versions', () => {
+  let harness;
+  let alice;
+  let bob;
+  let carol;
+
+  /**
+   * Report a backend change to a task
+   * @param {Object} body - Fields of the task_updated ingestion event
+   * @returns {Promise<number>} - Response status
+   */
+  async function ingestUpdate(body) {
+    const response = await fetch(`${harness.url}/ingest/events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Service-Token': INGEST_SERVICE_TOKEN },
+      body: JSON.stringify({ event: 'task_updated', teamId: 7, projectId: 3, ...body })
+    });
+    return response.status;
+  }
+
+  before(async () => {
+    harness = await startHarness({ fixtures, env: { INGEST_SERVICE_TOKEN } });
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+    ({ client: bob } = await harness.connectAs(USERS.bob));
+    ({ client: carol } = await harness.connectAs(USERS.carol));
+  });
+
+  after(() => harness.close());
+
+  it('starts new tasks at version 1 and merges accepted updates', async () => {
+    let received = waitFor(bob, 'task_created');
+    alice.emit('task_created', { taskId: 50, projectId: 3, taskData: { title: 'Draft', status: 'todo' } });
+    assert.strictEqual((await received).version, 1);
+
+    received = waitFor(bob, 'task_updated');
+    alice.emit('task_updated', { taskId: 50, projectId: 3, taskData: { status: 'doing' }, baseVersion: 1 });
+
+    const update = await received;
+    assert.strictEqual(update.version, 2);
+    assert.deepStrictEqual(update.taskData, { title: 'Draft', status: 'doing' });
+  });
+
+  it('rejects an update made against a stale version with the current state', async () => {
+    const error = waitFor(bob, 'error');
+    const broadcasts = collect(alice, 'task_updated');
+    bob.emit('task_updated', { taskId: 50, projectId: 3, taskData: { status: 'done' }, baseVersion: 1 });
+
+    const payload = await error;
+    assert.strictEqual(payload.code, 'VERSION_CONFLICT');
+    assert.strictEqual(payload.baseVersion, 1);
+    assert.strictEqual(payload.current.version, 2);
+    assert.deepStrictEqual(payload.current.taskData, { title: 'Draft', status: 'doing' });
+    assert.strictEqual(payload.current.updatedBy.userEmail, USERS.alice.email);
+    assert.deepStrictEqual(await broadcasts, []);
+  });
+
+  it('accepts only one of two updates made against the same version', async () => {
+    const conflicts = [collect(alice, 'error'), collect(bob, 'error')];
+    const broadcasts = collect(alice, 'task_updated');
+    alice.emit('task_updated', { taskId: 50, projectId: 3, taskData: { status: 'review' }, baseVersion: 2 });
+    bob.emit('task_updated', { taskId: 50, projectId: 3, taskData: { status: 'blocked' }, baseVersion: 2 });
+
+    const errors = (await Promise.all(conflicts)).flat();
+    assert.deepStrictEqual(errors.map(error => error.code), ['VERSION_CONFLICT']);
+    assert.deepStrictEqual((await broadcasts).map(update => update.version), [3]);
+  });
+
+  it('lets backend updates skip the check and move the version on', async () => {
+    let received = waitFor(alice, 'task_updated');
+    assert.strictEqual(await ingestUpdate({ taskId: 50, taskData: { status: 'done' } }), 202);
+    assert.strictEqual((await received).version, 4);
+
+    received = waitFor(alice, 'task_updated');
+    assert.strictEqual(await ingestUpdate({ taskId: 50, taskData: { status: 'archived' }, version: 10 }), 202);
+    assert.strictEqual((await received).version, 10);
+
+    const error = waitFor(alice, 'error');
+    alice.emit('task_updated', { taskId: 50, projectId: 3, taskData: { title: 'Late' }, baseVersion: 4 });
+    assert.strictEqual((await error).current.version, 10);
+  });
+
+  it('adopts the client\'s base version for tasks it has not seen', async () => {
+    const received = waitFor(bob, 'task_updated');
+    alice.emit('task_updated', { taskId: 60, projectId: 3, taskData: { title: 'Older task' }, baseVersion: 5 });
+
+    assert.strictEqual((await received).version, 6);
+  });
+
+  it('refuses updates to another team\'s task without revealing it', async () => {
+    const created = waitFor(carol, 'task_created');
+    carol.emit('task_created', { taskId: 70, projectId: 4, taskData: { title: 'Team 8 secret' } });
+    assert.strictEqual((await created).version, 1);
+
+    const error = waitFor(alice, 'error');
+    alice.emit('task_updated', { taskId: 70, projectId: 3, taskData: { title: 'Taken over' }, baseVersion: 1 });
+
+    const payload = await error;
+    assert.strictEqual(payload.code, 'FORBIDDEN_PROJECT');
+    assert.strictEqual(payload.current, undefined);
+    assert.ok(!JSON.stringify(payload).includes('Team 8 secret'));
+
+    const updated = waitFor(carol, 'task_updated');
+    carol.emit('task_updated', { taskId: 70, projectId: 4, taskData: { status: 'done' }, baseVersion: 1 });
+    const update = await updated;
+    assert.strictEqual(update.version, 2, 'the version record was left alone');
+    assert.deepStrictEqual(update.taskData, { title: 'Team 8 secret', status: 'done' });
+  });
+
+  it('refuses updates sent for a project other than the one the task is tracked under', async () => {
+    const { applyTaskUpdate, recordTaskCreated, getTaskVersion } = require('../taskVersions');
+    await recordTaskCreated(80, 4, { title: 'Tracked under 4' }, USERS.carol);
+
+    const result = await applyTaskUpdate(80, 3, 1, { title: 'Moved' }, USERS.alice);
+    assert.deepStrictEqual(result, { applied: false, projectMismatch: true });
+    assert.strictEqual((await getTaskVersion(80)).version, 1);
+  });
+
+  describe('across instances', () => {
+    let instanceA;
+    let instanceB;
+
+    before(() => {
+      // A second copy of the module stands in for another server instance
+      // sharing the same state adapter
+      instanceA = require('../taskVersions');
+      const cached = require.cache[require.resolve('../taskVersions')];
+      delete require.cache[require.resolve('../taskVersions')];
+      instanceB = require('../taskVersions');
+      require.cache[require.resolve('../taskVersions')] = cached;
+    });
+
+    it('accepts only one of two updates made against the same version on different instances', async () => {
+      await instanceA.recordTaskCreated(90, 3, { title: 'Shared' }, USERS.alice);
+
+      const results = await Promise.all([
+        instanceA.applyTaskUpdate(90, 3, 1, { status: 'doing' }, USERS.alice),
+        instanceB.applyTaskUpdate(90, 3, 1, { status: 'blocked' }, USERS.bob)
+      ]);
+      assert.deepStrictEqual(results.map(result => result.applied).sort(), [false, true]);
+      assert.strictEqual(results.find(result => !result.applied).current.version, 2);
+      assert.strictEqual((await instanceB.getTaskVersion(90)).version, 2);
+    });
+
+    it('refuses a change while another instance keeps the task claimed', async () => {
+      const adapter = require('../stateAdapter').getStateAdapter();
+      await adapter.hashSet('task_version_claims', '91', { token: 'busy', expiresAt: Date.now() + 60000 });
+
+      await assert.rejects(instanceA.forceTaskUpdate(91, 3, { title: 'Waiting' }, USERS.alice), { code: 'TASK_BUSY' });
+      await adapter.hashDelete('task_version_claims', '91');
+    });
+
+    it('takes over a claim left by a crashed instance', async () => {
+      const adapter = require('../stateAdapter').getStateAdapter();
+      await adapter.hashSet('task_version_claims', '92', { token: 'crashed', expiresAt: Date.now() - 1 });
+
+      assert.strictEqual(await instanceB.recordTaskCreated(92, 3, { title: 'Recovered' }, USERS.bob), 1);
+    });
+  });
+});
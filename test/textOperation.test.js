@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const textOperation = require('../textOperation');
+
+/**
+ * Apply two concurrent operations in both orders and check they meet
+ * @param {string} doc - Document both operations were made against
+ * @param {Array} a - First operation
+ * @param {Array} b - Second operation
+ * @returns {string} - The converged document
+ */
+function converge(doc, a, b) {
+  const [aPrime, bPrime] = textOperation.transform(a, b);
+  const aThenB = textOperation.apply(textOperation.apply(doc, a), bPrime);
+  const bThenA = textOperation.apply(textOperation.apply(doc, b), aPrime);
+  assert.strictEqual(aThenB, bThenA);
+  return aThenB;
+}
+
+describe('textOperation', () => {
+  describe('apply', () => {
+    it('retains, deletes and inserts over the whole document', () => {
+      assert.strictEqual(textOperation.apply('hello', [5, ' world']), 'hello world');
+      assert.strictEqual(textOperation.apply('hello world', [-6, 5]), 'world');
+      assert.strictEqual(textOperation.apply('hello', [1, -3, 'ipp', 1]), 'hippo');
+    });
+
+    it('refuses operations made against another length', () => {
+      assert.throws(() => textOperation.apply('hello', [3, 'x']), /expects a document of 3 characters, got 5/);
+    });
+  });
+
+  describe('isValid', () => {
+    it('accepts retains, deletes and inserts only', () => {
+      assert.strictEqual(textOperation.isValid([2, -1, 'x']), true);
+      assert.strictEqual(textOperation.isValid([0]), false);
+      assert.strictEqual(textOperation.isValid(['']), false);
+      assert.strictEqual(textOperation.isValid([1.5]), false);
+      assert.strictEqual(textOperation.isValid('abc'), false);
+    });
+  });
+
+  describe('transform', () => {
+    it('converges inserts at different positions', () => {
+      assert.strictEqual(converge('abc', ['X', 3], [3, 'Y']), 'XabcY');
+    });
+
+    it('puts the first operation\'s insert first at the same position', () => {
+      assert.strictEqual(converge('abc', [1, 'X', 2], [1, 'Y', 2]), 'aXYbc');
+      assert.strictEqual(converge('abc', [1, 'Y', 2], [1, 'X', 2]), 'aYXbc');
+    });
+
+    it('converges an insert with a delete around it', () => {
+      assert.strictEqual(converge('abcdef', [3, 'X', 3], [2, -2, 2]), 'abXef');
+      assert.strictEqual(converge('abcdef', [2, -2, 2], [3, 'X', 3]), 'abXef');
+    });
+
+    it('converges an insert with a delete elsewhere', () => {
+      assert.strictEqual(converge('abcdef', ['X', 6], [4, -2]), 'Xabcd');
+    });
+
+    it('converges overlapping deletes without deleting twice', () => {
+      assert.strictEqual(converge('abcdef', [1, -3, 2], [2, -3, 1]), 'af');
+    });
+
+    it('converges identical deletes', () => {
+      const [aPrime, bPrime] = textOperation.transform([1, -2, 3], [1, -2, 3]);
+      assert.strictEqual(converge('abcdef', [1, -2, 3], [1, -2, 3]), 'adef');
+      assert.deepStrictEqual(aPrime, [4]);
+      assert.deepStrictEqual(bPrime, [4]);
+    });
+
+    it('converges a delete of the whole document with an insert inside it', () => {
+      assert.strictEqual(converge('abc', [-3], [1, 'X', 2]), 'X');
+    });
+
+    it('refuses operations made against different lengths', () => {
+      assert.throws(() => textOperation.transform([3], [4]), /base lengths differ/);
+    });
+  });
+});
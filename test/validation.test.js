@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startHarness, waitFor, collect } = require('./helpers/harness');
+const { USERS } = require('./helpers/tokens');
+
+const fixtures = {
+  teams: { 1: [7] },
+  projects: { 3: 7 }
+};
+
+describe('event validation', () => {
+  let harness;
+  let alice;
+  let validateEventPayload;
+
+  before(async () => {
+    harness = await startHarness({ fixtures });
+    ({ validateEventPayload } = require('../validation'));
+    ({ client: alice } = await harness.connectAs(USERS.alice));
+  });
+
+  after(() => harness.close());
+
+  it('drops an invalid packet before its handler runs and lists every problem', async () => {
+    const error = waitFor(alice, 'error');
+    const members = collect(alice, 'room_members');
+    alice.emit('join_project', { projectId: -1, extra: 'x' });
+
+    const payload = await error;
+    assert.strictEqual(payload.code, 'VALIDATION_ERROR');
+    assert.strictEqual(payload.event, 'join_project');
+    assert.deepStrictEqual(payload.errors, [
+      { field: 'projectId', message: 'must be a positive integer or a string of 1-64 characters' },
+      { field: 'extra', message: 'is not allowed' }
+    ]);
+    assert.deepStrictEqual(await members, []);
+  });
+
+  it('passes valid packets on to their handler', async () => {
+    const members = waitFor(alice, 'room_members');
+    alice.emit('join_project', { projectId: 3 });
+
+    assert.strictEqual((await members).projectId, 3);
+  });
+
+  it('rejects events without a schema and payloads that are not objects', async () => {
+    let error = waitFor(alice, 'error');
+    alice.emit('drop_tables', { projectId: 3 });
+    assert.deepStrictEqual((await error).errors, [{ field: '', message: "unknown event 'drop_tables'" }]);
+
+    error = waitFor(alice, 'error');
+    alice.emit('leave_project', 'project-3');
+    assert.deepStrictEqual((await error).errors, [{ field: '', message: 'payload must be an object, got string' }]);
+  });
+
+  it('reports nested fields by their path', () => {
+    const errors = validateEventPayload('cursor_position', {
+      projectId: 3,
+      position: { x: '10', offset: -1, colour: 'red' }
+    });
+
+    assert.deepStrictEqual(errors, [
+      { field: 'position.x', message: 'must be a number, got string' },
+      { field: 'position.offset', message: 'must be at least 0' },
+      { field: 'position.colour', message: 'is not allowed' }
+    ]);
+  });
+
+  it('limits the serialized size of objects', () => {
+    const errors = validateEventPayload('task_created', {
+      taskId: 1,
+      projectId: 3,
+      taskData: { description: 'x'.repeat(40 * 1024) }
+    });
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].field, 'taskData');
+    assert.match(errors[0].message, /^must be at most 32768 bytes when serialized/);
+    assert.strictEqual(validateEventPayload('task_created', { taskId: 1, projectId: 3, taskData: { title: 'Small' } }), null);
+  });
+});
@@ -0,0 +1,151 @@
+// Operational transformation for plain text
+//
+// An operation is an array of components applied left to right over the
+// whole document:
+//   positive integer - retain (skip) that many characters
+//   negative integer - delete that many characters
+//   non-empty string - insert the string
+// e.g. "hello" -> "hello world" is [5, ' world'].
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+
+/**
+ * Append a component, merging it with the previous one when they are the same kind
+ * @param {Array} operation - Operation being built
+ * @param {number|string} component - Component to append
+ */
+function push(operation, component) {
+  const last = operation[operation.length - 1];
+  if ((isRetain(last) && isRetain(component)) || (isDelete(last) && isDelete(component))) {
+    operation[operation.length - 1] = last + component;
+  } else if (isInsert(last) && isInsert(component)) {
+    operation[operation.length - 1] = last + component;
+  } else {
+    operation.push(component);
+  }
+}
+
+/**
+ * Check an operation's shape
+ * @param {Array} operation - Operation
+ * @returns {boolean} - True if every component is a retain, delete or insert
+ */
+function isValid(operation) {
+  return Array.isArray(operation) &&
+    operation.every(component => isRetain(component) || isDelete(component) || isInsert(component));
+}
+
+/**
+ * Length of the document an operation must be applied to
+ * @param {Array} operation - Operation
+ * @returns {number} - Characters retained plus characters deleted
+ */
+function baseLength(operation) {
+  return operation.reduce((length, component) => (isInsert(component) ? length : length + Math.abs(component)), 0);
+}
+
+/**
+ * Apply an operation to a document
+ * @param {string} doc - Document text
+ * @param {Array} operation - Operation (baseLength must equal doc.length)
+ * @returns {string} - New document text
+ * @throws {Error} - If the operation doesn't fit the document
+ */
+function apply(doc, operation) {
+  if (baseLength(operation) !== doc.length) {
+    throw new Error(`Operation expects a document of ${baseLength(operation)} characters, got ${doc.length}`);
+  }
+
+  const parts = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      parts.push(doc.slice(index, index + component));
+      index += component;
+    } else if (isDelete(component)) {
+      index -= component;
+    } else {
+      parts.push(component);
+    }
+  }
+  return parts.join('');
+}
+
+/**
+ * Transform two concurrent operations made against the same document
+ * Returns [a', b'] such that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+ * When both insert at the same position, a's insert goes first.
+ * @param {Array} a - First operation
+ * @param {Array} b - Second operation
+ * @returns {Array} - [a', b']
+ * @throws {Error} - If the operations were not made against the same document length
+ */
+function transform(a, b) {
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      push(aPrime, opA);
+      push(bPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      push(aPrime, opB.length);
+      push(bPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Operations cannot be transformed: base lengths differ');
+    }
+
+    let length;
+    if (isRetain(opA) && isRetain(opB)) {
+      length = Math.min(opA, opB);
+      push(aPrime, length);
+      push(bPrime, length);
+      opA -= length;
+      opB -= length;
+    } else if (isDelete(opA) && isDelete(opB)) {
+      // Both deleted the same characters - nothing left to do for either
+      length = Math.min(-opA, -opB);
+      opA += length;
+      opB += length;
+    } else if (isDelete(opA) && isRetain(opB)) {
+      length = Math.min(-opA, opB);
+      push(aPrime, -length);
+      opA += length;
+      opB -= length;
+    } else {
+      // opA retains, opB deletes
+      length = Math.min(opA, -opB);
+      push(bPrime, -length);
+      opA -= length;
+      opB += length;
+    }
+
+    if (opA === 0) {
+      opA = a[i++];
+    }
+    if (opB === 0) {
+      opB = b[j++];
+    }
+  }
+
+  return [aPrime, bPrime];
+}
+
+module.exports = {
+  isValid,
+  baseLength,
+  apply,
+  transform
+};
@@ -0,0 +1,195 @@
+const { eventSchemas } = require('./eventSchemas');
+const { eventsRejected, eventLabel } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ module: 'validation' });
+
+const MAX_ID_LENGTH = 64;
+
+/**
+ * Describe the JSON type of a value
+ * @param {*} value - Value to describe
+ * @returns {string} - 'array', 'null' or the typeof result
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Validate a single value against a field rule
+ * @param {*} value - Value to check
+ * @param {Object} rule - Field rule (see eventSchemas.js)
+ * @param {string} path - Field path used in error details
+ * @param {Array} errors - Collected { field, message } errors
+ */
+function validateValue(value, rule, path, errors) {
+  if (value === undefined || value === null) {
+    if (rule.required) {
+      errors.push({ field: path, message: 'is required' });
+    }
+    return;
+  }
+
+  switch (rule.type) {
+    case 'id': {
+      const validNumber = Number.isInteger(value) && value > 0;
+      const validString = typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+      if (!validNumber && !validString) {
+        errors.push({ field: path, message: `must be a positive integer or a string of 1-${MAX_ID_LENGTH} characters` });
+      }
+      return;
+    }
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push({ field: path, message: `must be a string, got ${typeOf(value)}` });
+        return;
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        errors.push({ field: path, message: `must be at most ${rule.maxLength} characters` });
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ field: path, message: `must be a number, got ${typeOf(value)}` });
+        return;
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        errors.push({ field: path, message: 'must be an integer' });
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field: path, message: `must be at least ${rule.min}` });
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field: path, message: `must be at most ${rule.max}` });
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push({ field: path, message: `must be a boolean, got ${typeOf(value)}` });
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: `must be an array, got ${typeOf(value)}` });
+        return;
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        errors.push({ field: path, message: `must have at most ${rule.maxLength} items` });
+        return;
+      }
+      if (rule.items) {
+        value.forEach((item, index) => validateValue(item, rule.items, `${path}[${index}]`, errors));
+      }
+      break;
+
+    case 'object':
+      if (typeOf(value) !== 'object') {
+        errors.push({ field: path, message: `must be an object, got ${typeOf(value)}` });
+        return;
+      }
+      if (rule.maxKeys && Object.keys(value).length > rule.maxKeys) {
+        errors.push({ field: path, message: `must have at most ${rule.maxKeys} keys` });
+        return;
+      }
+      if (rule.properties) {
+        validateObject(value, rule.properties, path, errors);
+      }
+      if (rule.values) {
+        Object.keys(value).forEach(key => validateValue(value[key], rule.values, `${path}.${key}`, errors));
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown schema type '${rule.type}' for ${path}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field: path, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+
+  if (rule.maxBytes && (rule.type === 'object' || rule.type === 'array')) {
+    const size = Buffer.byteLength(JSON.stringify(value));
+    if (size > rule.maxBytes) {
+      errors.push({ field: path, message: `must be at most ${rule.maxBytes} bytes when serialized (got ${size})` });
+    }
+  }
+}
+
+/**
+ * Validate an object's fields against a map of rules, rejecting unknown keys
+ * @param {Object} data - Object to check
+ * @param {Object} rules - Map of field name -> rule
+ * @param {string} prefix - Path prefix for nested objects
+ * @param {Array} errors - Collected { field, message } errors
+ */
+function validateObject(data, rules, prefix, errors) {
+  const fieldPath = (key) => (prefix ? `${prefix}.${key}` : key);
+
+  Object.keys(rules).forEach(key => validateValue(data[key], rules[key], fieldPath(key), errors));
+
+  Object.keys(data)
+    .filter(key => !Object.prototype.hasOwnProperty.call(rules, key))
+    .forEach(key => errors.push({ field: fieldPath(key), message: 'is not allowed' }));
+}
+
+/**
+ * Validate an inbound event payload against its schema
+ * @param {string} event - Event name
+ * @param {*} data - Event payload
+ * @returns {Array|null} - Array of { field, message } errors, or null if valid
+ */
+function validateEventPayload(event, data) {
+  const schema = eventSchemas[event];
+  if (!schema) {
+    return [{ field: '', message: `unknown event '${event}'` }];
+  }
+
+  const errors = [];
+  if (data === undefined || data === null) {
+    validateObject({}, schema, '', errors);
+  } else if (typeOf(data) !== 'object') {
+    errors.push({ field: '', message: `payload must be an object, got ${typeOf(data)}` });
+  } else {
+    validateObject(data, schema, '', errors);
+  }
+
+  return errors.length > 0 ? errors : null;
+}
+
+/**
+ * Create Socket.IO middleware that validates every inbound event
+ * Invalid packets are dropped and answered with a VALIDATION_ERROR.
+ * @param {Object} socket - Socket.IO socket instance
+ * @returns {Function} - Middleware for socket.use()
+ */
+function createValidationMiddleware(socket) {
+  return ([event, data], next) => {
+    const errors = validateEventPayload(event, data);
+    if (!errors) {
+      return next();
+    }
+
+    eventsRejected.inc({ event: eventLabel(event), reason: 'validation' });
+    logger.warn(`Rejected ${event} from ${socket.userEmail || socket.id}: ${errors.map(e => `${e.field || 'payload'} ${e.message}`).join('; ')}`);
+    socket.emit('error', {
+      message: `Invalid payload for '${event}'`,
+      code: 'VALIDATION_ERROR',
+      event,
+      errors,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+module.exports = {
+  validateEventPayload,
+  createValidationMiddleware
+};